@@ -128,7 +128,7 @@ app.whenReady().then(() => {
         const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
             properties,
             filters: [
-                { name: 'Assets', extensions: ['jpg', 'png', 'gif', 'webp', 'jpeg', 'txt', 'md'] }
+                { name: 'Assets', extensions: ['jpg', 'png', 'gif', 'webp', 'jpeg', 'txt', 'md', 'ttf', 'otf', 'woff2'] }
             ]
         });
         if (canceled) return [];
@@ -147,6 +147,7 @@ app.whenReady().then(() => {
                 const ext = name.split('.').pop().toLowerCase();
                 const isImage = ['jpg', 'png', 'gif', 'webp', 'jpeg'].includes(ext);
                 const isText = ['txt', 'md'].includes(ext);
+                const isFont = ['ttf', 'otf', 'woff2'].includes(ext);
 
                 if (isImage || isText) {
                     const content = fs.readFileSync(fullPath);
@@ -157,6 +158,16 @@ app.whenReady().then(() => {
                         type: isImage ? 'image' : 'text',
                         data: isImage ? `data:image/${ext === 'jpg' ? 'jpeg' : ext};base64,${content.toString('base64')}` : content.toString('utf-8')
                     });
+                } else if (isFont) {
+                    // Fonts are embedded in the project like text, never referenced
+                    const content = fs.readFileSync(fullPath);
+                    results.push({
+                        name,
+                        path: relPath,
+                        absolutePath: fullPath,
+                        type: 'font',
+                        data: `data:font/${ext};base64,${content.toString('base64')}`
+                    });
                 }
             }
         };
@@ -164,6 +175,26 @@ app.whenReady().then(() => {
         filePaths.forEach(p => processPath(p));
         return results;
     });
+
+    // Handle "publish to local folder": write flipbook files into a chosen directory
+    ipcMain.handle('dialog:writeFolder', async (event, files = []) => {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+            title: 'Choose a folder for the flipbook',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (canceled || filePaths.length === 0) return null;
+
+        const targetDir = filePaths[0];
+        for (const file of files) {
+            const fullPath = join(targetDir, file.path);
+            // Never write outside the chosen folder
+            if (relative(targetDir, fullPath).startsWith('..')) continue;
+            fs.mkdirSync(dirname(fullPath), { recursive: true });
+            fs.writeFileSync(fullPath, file.base64 ? Buffer.from(file.data, 'base64') : file.data);
+        }
+
+        return pathToFileURL(join(targetDir, 'index.html')).href;
+    });
 });
 
 app.on('window-all-closed', () => {
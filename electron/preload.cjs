@@ -4,6 +4,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     isElectron: true,
     platform: process.platform,
     openAssets: (options) => ipcRenderer.invoke('dialog:openAssets', options),
+    writeFolder: (files) => ipcRenderer.invoke('dialog:writeFolder', files),
     onLongSplit: (callback) => ipcRenderer.on('shortcut:long-split', () => callback()),
     onNewPage: (callback) => ipcRenderer.on('shortcut:new-page', () => callback()),
     onDuplicatePage: (callback) => ipcRenderer.on('shortcut:duplicate-page', () => callback()),
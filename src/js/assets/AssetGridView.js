@@ -32,10 +32,17 @@ export class AssetGridView {
         item.className = 'asset-item lazy skeleton';
         item.dataset.id = asset.id;
         item.title = asset.name;
+        item.classList.toggle('selected', assetManager.isSelected(asset.id));
 
         item.addEventListener('pointerdown', (e) => {
             if (e.target.closest('.remove')) return;
             if (e.button !== 0 && e.pointerType === 'mouse') return;
+            if (e.ctrlKey || e.metaKey) {
+                assetManager.toggleSelected(asset.id);
+                return;
+            }
+            // Fonts are picked in the settings, not dropped on cells
+            if (asset.type === 'font') return;
             dragDropService.startDrag({
                 asset: asset.type === 'image' ? asset : undefined,
                 text: asset.type === 'text' ? asset.fullResData : undefined
@@ -59,6 +66,17 @@ export class AssetGridView {
             txtBox.className = 'text-icon-placeholder';
             txtBox.textContent = 'TXT';
             element.appendChild(txtBox);
+        } else if (asset.type === 'font') {
+            // Sample set in the font itself
+            const fontBox = document.createElement('div');
+            fontBox.className = 'text-icon-placeholder font-sample';
+            fontBox.textContent = 'Aa';
+            fontBox.style.fontFamily = `'${asset.family}'`;
+            fontBox.style.fontWeight = String(asset.weight || 400);
+            fontBox.style.fontStyle = asset.style || 'normal';
+            element.title = `${asset.name} (font: ${asset.family})`;
+            element.classList.toggle('is-broken', !!asset.isBroken);
+            element.appendChild(fontBox);
         } else {
             if (asset.isBroken) {
                 element.classList.add('is-broken');
@@ -84,9 +84,11 @@ export class AssetListView {
         node.__files.sort((a, b) => a.name.localeCompare(b.name)).forEach(({ name, asset }) => {
             const fileEl = document.createElement('div');
             fileEl.className = `list-item is-file ${asset.isBroken ? 'is-broken' : ''}`;
+            fileEl.classList.toggle('selected', assetManager.isSelected(asset.id));
+            fileEl.dataset.id = asset.id;
             fileEl.style.setProperty('--level', level);
 
-            let icon = asset.type === 'text' ? '📄' : '🖼️';
+            let icon = { text: '📄', font: '🔤' }[asset.type] || '🖼️';
             if (asset.isBroken) {
                 icon = '<span class="icon icon-warning color-danger"></span>';
                 fileEl.title = `Missing file: ${asset.absolutePath}`;
@@ -108,6 +110,11 @@ export class AssetListView {
             fileEl.addEventListener('pointerdown', (e) => {
                 if (e.target.closest('.remove')) return;
                 if (e.button !== 0 && e.pointerType === 'mouse') return;
+                if (e.ctrlKey || e.metaKey) {
+                    assetManager.toggleSelected(asset.id);
+                    return;
+                }
+                if (asset.type === 'font') return;
                 dragDropService.startDrag({
                     asset: asset.type === 'image' ? asset : undefined,
                     text: asset.type === 'text' ? asset.fullResData : undefined
@@ -1,5 +1,6 @@
 import { MAX_ASSET_DIMENSION, ASSET_THUMBNAIL_QUALITY, MAX_FILE_SIZE_MB } from '../core/constants.js';
 import { getSettings } from '../ui/settings.js';
+import { isFontFileName, getFontFormat, parseFontFileName } from './internal/fontUtils.js';
 
 /**
  * @typedef {Object} Asset
@@ -8,7 +9,12 @@ import { getSettings } from '../ui/settings.js';
  * @property {string} lowResData
  * @property {string} fullResData
  * @property {string} [path]
- * @property {string} type 'image' | 'text'
+ * @property {string} type 'image' | 'text' | 'font'
+ * @property {number} [width] Pixel width of the original image
+ * @property {number} [height] Pixel height of the original image
+ * @property {string} [family] Font family an imported font provides
+ * @property {number} [weight] CSS weight of the font face
+ * @property {string} [style] 'normal' | 'italic' font face
  */
 
 export class AssetManager extends EventTarget {
@@ -16,6 +22,8 @@ export class AssetManager extends EventTarget {
         super();
         /** @type {Asset[]} */
         this.assets = [];
+        /** @type {Set<string>} Ids of the assets picked with Ctrl/Cmd-click */
+        this.selectedIds = new Set();
     }
 
     /**
@@ -29,6 +37,10 @@ export class AssetManager extends EventTarget {
             return this.processTextFile(file, path);
         }
 
+        if (isFontFileName(file.name)) {
+            return this.processFontFile(file, path);
+        }
+
         if (!file.type.startsWith('image/')) {
             throw new Error('File is not an image');
         }
@@ -52,6 +64,7 @@ export class AssetManager extends EventTarget {
         try {
             const [fullResData, bitmap] = await Promise.all([base64Promise, bitmapPromise]);
             const lowResData = this._generateThumbnailFromImageSource(bitmap);
+            const { width, height } = bitmap;
             bitmap.close(); // verified: release memory
 
             return {
@@ -61,7 +74,9 @@ export class AssetManager extends EventTarget {
                 fullResData: fullResData,
                 path: path || file.name,
                 isBroken: false,
-                type: 'image'
+                type: 'image',
+                width,
+                height
             };
         } catch (err) {
             throw err;
@@ -77,6 +92,10 @@ export class AssetManager extends EventTarget {
      * @returns {Promise<Asset>}
      */
     async processRawImage(name, fullResData, type, path, absolutePath) {
+        if (type === 'font') {
+            return { ...(await this._createFontAsset(name, fullResData, path)), absolutePath };
+        }
+
         if (type !== 'image') {
             return {
                 id: crypto.randomUUID(),
@@ -94,7 +113,7 @@ export class AssetManager extends EventTarget {
         const useReferences = settings.electron?.useFileReferences === true && !!absolutePath;
 
         // For Base64, we still have to load it to an image to crop/resize
-        const lowResData = await this._createThumbnailFromBase64(fullResData);
+        const { lowResData, width, height } = await this._loadThumbnailAndSize(fullResData);
 
         return {
             id: crypto.randomUUID(),
@@ -105,7 +124,9 @@ export class AssetManager extends EventTarget {
             absolutePath: absolutePath,
             isReference: useReferences,
             isBroken: false,
-            type: 'image'
+            type: 'image',
+            width,
+            height
         };
     }
 
@@ -145,14 +166,24 @@ export class AssetManager extends EventTarget {
      * @param {string} base64Data
      * @returns {Promise<string>}
      */
-    _createThumbnailFromBase64(base64Data) {
+    async _createThumbnailFromBase64(base64Data) {
+        const { lowResData } = await this._loadThumbnailAndSize(base64Data);
+        return lowResData;
+    }
+
+    /**
+     * @private
+     * @param {string} base64Data
+     * @returns {Promise<{lowResData: string, width: number, height: number}>}
+     */
+    _loadThumbnailAndSize(base64Data) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.onerror = () => reject(new Error('Failed to load image'));
             img.onload = () => {
                 try {
-                    const thumb = this._generateThumbnailFromImageSource(img);
-                    resolve(thumb);
+                    const lowResData = this._generateThumbnailFromImageSource(img);
+                    resolve({ lowResData, width: img.naturalWidth, height: img.naturalHeight });
                 } catch (err) {
                     reject(err);
                 }
@@ -161,6 +192,33 @@ export class AssetManager extends EventTarget {
         });
     }
 
+    /**
+     * Pixel size of an image asset. Assets saved before sizes were recorded are measured
+     * from their data once; the thumbnail has the same aspect ratio as the original.
+     * @param {Asset} asset
+     * @returns {Promise<{width: number, height: number}|null>} null when the image can't be decoded
+     */
+    async getImageSize(asset) {
+        if (asset.width > 0 && asset.height > 0) {
+            return { width: asset.width, height: asset.height };
+        }
+
+        const source = asset.fullResData || asset.lowResData;
+        if (asset.type !== 'image' || !source) return null;
+
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onerror = () => resolve(null);
+            img.onload = () => {
+                // Not an edit: no change event, the size only matters to layout helpers
+                asset.width = img.naturalWidth;
+                asset.height = img.naturalHeight;
+                resolve({ width: asset.width, height: asset.height });
+            };
+            img.src = source;
+        });
+    }
+
     // Legacy alias if needed, or just internal mapping
     _createThumbnail(imageSource) {
         return this._createThumbnailFromBase64(String(imageSource));
@@ -185,6 +243,61 @@ export class AssetManager extends EventTarget {
         });
     }
 
+    /**
+     * Reads a TTF, OTF or WOFF2 file into a font asset. Fonts are always embedded: they
+     * are small and documents must render the same on other machines.
+     * @param {File} file
+     * @param {string} [path]
+     * @returns {Promise<Asset>}
+     */
+    async processFontFile(file, path) {
+        const maxBytes = MAX_FILE_SIZE_MB * 1024 * 1024;
+        if (file.size > maxBytes) {
+            throw new Error(`File too large. Maximum size: ${MAX_FILE_SIZE_MB}MB`);
+        }
+
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error('Failed to read font file'));
+            reader.onload = (e) => resolve(e.target.result);
+            reader.readAsDataURL(file);
+        });
+        return this._createFontAsset(file.name, dataUrl, path);
+    }
+
+    /**
+     * @private
+     * @param {string} name File name
+     * @param {string} dataUrl
+     * @param {string} [path]
+     * @returns {Promise<Asset>}
+     */
+    async _createFontAsset(name, dataUrl, path) {
+        const { family, weight, style } = parseFontFileName(name);
+
+        // Let the browser reject files that aren't fonts before they reach the document
+        if (typeof FontFace !== 'undefined') {
+            try {
+                await new FontFace(family, `url(${dataUrl}) format('${getFontFormat(name)}')`).load();
+            } catch {
+                throw new Error(`${name} is not a valid font file`);
+            }
+        }
+
+        return {
+            id: crypto.randomUUID(),
+            name,
+            lowResData: null, // No thumbnail for fonts
+            fullResData: dataUrl,
+            path: path || name,
+            isBroken: false,
+            type: 'font',
+            family,
+            weight,
+            style
+        };
+    }
+
     /**
      * @param {Asset} asset 
      */
@@ -200,6 +313,7 @@ export class AssetManager extends EventTarget {
         const index = this.assets.findIndex(a => a.id === id);
         if (index !== -1) {
             const asset = this.assets.splice(index, 1)[0];
+            this._deselect([id]);
             this.dispatchEvent(new CustomEvent('assets:changed', { detail: { type: 'removed', assetId: id } }));
             return asset;
         }
@@ -242,9 +356,11 @@ export class AssetManager extends EventTarget {
                 reader.readAsDataURL(blob);
             });
 
-            const lowResData = await this._createThumbnailFromBase64(dataUrl);
+            const { lowResData, width, height } = await this._loadThumbnailAndSize(dataUrl);
             this.updateAsset(asset.id, {
                 lowResData,
+                width,
+                height,
                 fullResData: null, // Keep it null/reference
                 isBroken: false
             });
@@ -266,6 +382,49 @@ export class AssetManager extends EventTarget {
         return [...this.assets];
     }
 
+    /**
+     * Adds the asset to the selection, or removes it when already selected.
+     * @param {string} id
+     */
+    toggleSelected(id) {
+        if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else if (this.getAsset(id)) {
+            this.selectedIds.add(id);
+        }
+        this.dispatchEvent(new CustomEvent('selection:changed'));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isSelected(id) {
+        return this.selectedIds.has(id);
+    }
+
+    /**
+     * @returns {Asset[]} Selected assets, in import order
+     */
+    getSelectedAssets() {
+        return this.assets.filter(a => this.selectedIds.has(a.id));
+    }
+
+    clearSelection() {
+        this._deselect([...this.selectedIds]);
+    }
+
+    /**
+     * @private
+     * @param {string[]} ids
+     */
+    _deselect(ids) {
+        const changed = ids.filter(id => this.selectedIds.delete(id));
+        if (changed.length > 0) {
+            this.dispatchEvent(new CustomEvent('selection:changed'));
+        }
+    }
+
     /**
      * Removes all assets whose path starts with the given prefix.
      * @param {string} prefix 
@@ -275,6 +434,7 @@ export class AssetManager extends EventTarget {
         const removedIds = toRemove.map(a => a.id);
 
         this.assets = this.assets.filter(a => !removedIds.includes(a.id));
+        this._deselect(removedIds);
 
         this.dispatchEvent(new CustomEvent('assets:changed', {
             detail: { type: 'removed_batch', assetIds: removedIds }
@@ -286,6 +446,7 @@ export class AssetManager extends EventTarget {
      */
     dispose() {
         this.assets = [];
+        this._deselect([...this.selectedIds]);
         this.dispatchEvent(new CustomEvent('assets:changed', { detail: { type: 'cleared' } }));
     }
 }
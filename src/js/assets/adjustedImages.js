@@ -0,0 +1,216 @@
+import { assetManager } from './AssetManager.js';
+import { getImageAdjustments, getAdjustmentKey, getRotatedSize, hasPixelAdjustments, adjustPixels } from '../layout/internal/adjustUtils.js';
+
+/**
+ * Adjusted Images
+ * Bakes rotation, vertical flip and color adjustments (see adjustUtils.js) into bitmaps.
+ * The editor and thumbnails use the asset's low-res data; exports bake the full-resolution
+ * source ahead of rendering so html2canvas and the vector exporters simply see another image.
+ */
+
+/** Low-res results kept for the editor; slider drags produce one per step */
+const MAX_LOW_RES_ENTRIES = 200;
+
+/** @type {Map<string, {url: string|null, promise: Promise<string|null>}>} */
+const cache = new Map();
+
+/** Names of assets whose full-resolution bake failed since the last export */
+const failedAssets = new Set();
+
+assetManager.addEventListener('assets:changed', (e) => {
+    const { type, assetId, assetIds, asset } = e.detail;
+    if (type === 'cleared') {
+        cache.clear();
+    } else if (type === 'removed_batch') {
+        assetIds.forEach(dropAsset);
+    } else if (type !== 'added') {
+        // Removed, or replaced / relinked with new pixels
+        dropAsset(assetId ?? asset?.id);
+    }
+});
+
+function dropAsset(assetId) {
+    for (const key of cache.keys()) {
+        if (key.startsWith(`${assetId}|`)) cache.delete(key);
+    }
+}
+
+function cacheKey(asset, image, resolution) {
+    return `${asset.id}|${resolution}|${getAdjustmentKey(image)}`;
+}
+
+function getSourceUrl(asset, resolution) {
+    if (resolution === 'low') return asset.lowResData;
+    return asset.isReference && asset.absolutePath
+        ? `broco-local://${encodeURIComponent(asset.absolutePath)}`
+        : asset.fullResData;
+}
+
+/**
+ * Baked image if it is ready, without waiting.
+ * @param {Object} asset
+ * @param {Object} image node.image
+ * @param {'low'|'full'} resolution
+ * @returns {string|null} Data URL, null when not baked (yet) or nothing to bake
+ */
+export function getAdjustedSource(asset, image, resolution) {
+    if (!getAdjustmentKey(image)) return null;
+    return cache.get(cacheKey(asset, image, resolution))?.url || null;
+}
+
+/**
+ * Bakes the adjusted image, or returns the pending / finished result.
+ * @param {Object} asset
+ * @param {Object} image node.image
+ * @param {'low'|'full'} resolution
+ * @returns {Promise<string|null>} Data URL, null when there is nothing to bake or it failed
+ */
+export function loadAdjustedSource(asset, image, resolution) {
+    const src = getSourceUrl(asset, resolution);
+    if (!getAdjustmentKey(image) || !src || asset.isBroken) return Promise.resolve(null);
+
+    const key = cacheKey(asset, image, resolution);
+    const cached = cache.get(key);
+    if (cached) return cached.promise;
+
+    const entry = { url: null, promise: null };
+    entry.promise = bakeImage(src, getImageAdjustments(image)).then(url => {
+        entry.url = url;
+        return url;
+    }, error => {
+        console.warn('Failed to apply image adjustments:', error);
+        if (resolution === 'full') failedAssets.add(asset.name || asset.id);
+        return null;
+    });
+    cache.set(key, entry);
+
+    if (resolution === 'low') trimLowResEntries();
+    return entry.promise;
+}
+
+/**
+ * Shows the adjusted low-res image in an `<img>`: at once when it is baked already,
+ * otherwise the original first and the adjusted one when ready.
+ * @param {HTMLImageElement} img
+ * @param {Object} asset
+ * @param {Object} image node.image
+ */
+export function setAdjustedImageSource(img, asset, image) {
+    const baked = getAdjustedSource(asset, image, 'low');
+    img.src = baked || asset.lowResData;
+    if (baked || !getAdjustmentKey(image)) return;
+
+    const key = cacheKey(asset, image, 'low');
+    img.dataset.adjustKey = key;
+    loadAdjustedSource(asset, image, 'low').then(url => {
+        if (url && img.dataset.adjustKey === key) img.src = url;
+    });
+}
+
+/**
+ * Bakes the full-resolution images of the given pages so that rendering them for export
+ * can pick the results up synchronously.
+ * @param {Object[]} pages Page layouts
+ */
+export async function prepareAdjustedImages(pages) {
+    const jobs = [];
+    const visit = (node) => {
+        if (node.splitState === 'split' && node.children) {
+            node.children.forEach(visit);
+            return;
+        }
+        const asset = node.image && getAdjustmentKey(node.image) && assetManager.getAsset(node.image.assetId);
+        if (asset) jobs.push(loadAdjustedSource(asset, node.image, 'full'));
+    };
+    pages.forEach(page => page && visit(page));
+    await Promise.all(jobs);
+}
+
+/**
+ * Images exported without their adjustments because baking them failed.
+ * @returns {string[]} Asset names
+ */
+export function getFailedAdjustedImages() {
+    return [...failedAssets];
+}
+
+/**
+ * Frees baked full-resolution images once an export is done.
+ */
+export function clearAdjustedImages() {
+    for (const key of cache.keys()) {
+        if (key.includes('|full|')) cache.delete(key);
+    }
+    failedAssets.clear();
+}
+
+function trimLowResEntries() {
+    const lowKeys = [...cache.keys()].filter(key => key.includes('|low|'));
+    for (let i = 0; i < lowKeys.length - MAX_LOW_RES_ENTRIES; i++) {
+        cache.delete(lowKeys[i]);
+    }
+}
+
+/**
+ * @param {string} src
+ * @param {ReturnType<typeof getImageAdjustments>} adjustments
+ * @returns {Promise<string>} Data URL
+ * @throws When the image can't be read or drawn
+ */
+async function bakeImage(src, adjustments) {
+    const { img, type } = await loadImage(src);
+    const width = img.naturalWidth;
+    const height = img.naturalHeight;
+    const size = getRotatedSize(width, height, adjustments.rotation);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.translate(size.width / 2, size.height / 2);
+    ctx.rotate((adjustments.rotation * Math.PI) / 180);
+    if (adjustments.flipV) ctx.scale(1, -1);
+    ctx.drawImage(img, -width / 2, -height / 2);
+
+    if (hasPixelAdjustments(adjustments)) {
+        const imageData = ctx.getImageData(0, 0, size.width, size.height);
+        adjustPixels(imageData.data, adjustments);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    // Keep transparency for PNG-like sources, JPEG for photos
+    const keepAlpha = /^image\/(png|gif|webp|svg)/.test(type)
+        || (src.startsWith('broco-local://') && /\.(png|gif|webp|svg)$/i.test(decodeURIComponent(src)));
+    return keepAlpha ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', 0.92);
+}
+
+/**
+ * Loads an image the canvas may read back. Linked files (broco-local://) would taint the
+ * canvas when loaded directly, so they are fetched first, like AssetManager.rehydrateAsset().
+ * @param {string} src
+ * @returns {Promise<{img: HTMLImageElement, type: string}>} The image and its MIME type
+ */
+async function loadImage(src) {
+    if (src.startsWith('data:')) {
+        return { img: await decodeImage(src), type: src.slice(5, src.indexOf(';')) };
+    }
+
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Could not read ${decodeURIComponent(src)}`);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    try {
+        return { img: await decodeImage(url), type: blob.type };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function decodeImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not decode the image'));
+        img.src = src;
+    });
+}
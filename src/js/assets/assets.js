@@ -1,5 +1,5 @@
 import { saveState } from '../io/history.js';
-import { state, getCurrentPage } from '../core/state.js';
+import { state, getCurrentPage, addPage, updateLayout } from '../core/state.js';
 import { findNodeById, renderAndRestoreFocus } from '../layout/layout.js';
 import { A4_PAPER_ID } from '../core/constants.js';
 import { showConfirm, showAlert } from '../core/utils.js';
@@ -7,6 +7,12 @@ import { assetManager } from './AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
 import { AssetGridView } from './AssetGridView.js';
 import { AssetListView } from './AssetListView.js';
+import { renderPageList } from '../layout/pages.js';
+import { getSettings, calculatePaperDimensions } from '../ui/settings.js';
+import { resolvePageMargins } from '../layout/internal/marginUtils.js';
+import { buildAutoLayout, chunkEvenly } from '../layout/internal/autoLayout.js';
+import { instantiateTemplate } from '../layout/internal/templateUtils.js';
+import { FONT_FILE_ACCEPT } from './internal/fontUtils.js';
 
 // Backward compatibility for importedAssets
 export const importedAssets = assetManager.assets;
@@ -40,7 +46,7 @@ export function setupAssetHandlers() {
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
     fileInput.multiple = true;
-    fileInput.accept = 'image/*,text/*,.md,.txt';
+    fileInput.accept = `image/*,text/*,.md,.txt,${FONT_FILE_ACCEPT}`;
     fileInput.style.display = 'none';
     document.body.appendChild(fileInput);
 
@@ -261,6 +267,33 @@ export function setupAssetHandlers() {
         }
     });
 
+    assetManager.addEventListener('selection:changed', () => {
+        document.querySelectorAll('.asset-item[data-id], .list-item.is-file[data-id]').forEach(el => {
+            el.classList.toggle('selected', assetManager.isSelected(el.dataset.id));
+        });
+        updateAutoLayoutLabel();
+    });
+
+    const autoLayoutBtn = document.getElementById('auto-layout-btn');
+    const autoLayoutCount = document.getElementById('auto-layout-count');
+
+    function updateAutoLayoutLabel() {
+        if (!autoLayoutBtn) return;
+        const selected = assetManager.getSelectedAssets().filter(a => a.type === 'image').length;
+        autoLayoutBtn.textContent = selected > 0 ? `Auto-layout ${selected} selected` : 'Auto-layout all images';
+    }
+
+    autoLayoutBtn?.addEventListener('click', async () => {
+        const perPage = parseInt(autoLayoutCount?.value, 10) || 4;
+        autoLayoutBtn.disabled = true;
+        try {
+            await autoLayoutImages(perPage);
+        } finally {
+            autoLayoutBtn.disabled = false;
+        }
+    });
+    updateAutoLayoutLabel();
+
     setupDropHandlersForList(processItems);
     refreshAllViews();
 
@@ -450,6 +483,55 @@ export async function removeAsset(assetId) {
     document.dispatchEvent(new CustomEvent('layoutUpdated'));
 }
 
+/** Most images auto-layout puts on one page */
+const MAX_AUTO_LAYOUT_PER_PAGE = 16;
+
+/**
+ * Lays out the selected images (all images when none are selected) on new pages, with
+ * cells shaped after the images so cover crops stay small. An empty current page is
+ * filled first.
+ * @param {number} perPage
+ */
+export async function autoLayoutImages(perPage) {
+    const selected = assetManager.getSelectedAssets();
+    const assets = (selected.length > 0 ? selected : assetManager.getAssets())
+        .filter(a => a.type === 'image' && !a.isBroken);
+
+    if (assets.length === 0) {
+        showAlert('Import some images first. Ctrl/Cmd-click images to lay out only those.', 'No Images');
+        return;
+    }
+
+    const images = await Promise.all(assets.map(async (asset) => {
+        const size = await assetManager.getImageSize(asset);
+        return { assetId: asset.id, ratio: size ? size.width / size.height : 1 };
+    }));
+
+    saveState();
+    const { width, height } = calculatePaperDimensions();
+    const chunks = chunkEvenly(images, Math.min(MAX_AUTO_LAYOUT_PER_PAGE, Math.max(1, perPage)));
+    const current = getCurrentPage();
+    const reuseCurrent = current.splitState === 'unsplit' && !current.image && (current.text === null || current.text === undefined);
+
+    chunks.forEach((chunk, i) => {
+        if (i > 0 || !reuseCurrent) addPage();
+
+        // Cells fill the area inside the margins; margin units are thousandths of the width
+        const margins = resolvePageMargins(getCurrentPage(), getSettings(), state.currentPageIndex, state.pages.length);
+        const contentRatio = (width * (1 - (margins.left + margins.right) / 1000))
+            / (height - width * (margins.top + margins.bottom) / 1000);
+
+        const page = instantiateTemplate({ layout: buildAutoLayout(chunk, contentRatio) }, () => `rect-${++state.currentId}`);
+        if (getCurrentPage().pageMargin) page.pageMargin = getCurrentPage().pageMargin;
+        if (getCurrentPage().title) page.title = getCurrentPage().title;
+        updateLayout(page);
+    });
+
+    assetManager.clearSelection();
+    renderAndRestoreFocus(getCurrentPage());
+    renderPageList();
+}
+
 function clearAssetFromLayout(node, assetId) {
     if (node.image && node.image.assetId === assetId) {
         node.image = null;
@@ -494,7 +576,7 @@ export async function replaceAsset(assetId) {
         // Web fallback
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = 'image/*';
+        fileInput.accept = assetManager.getAsset(assetId)?.type === 'font' ? FONT_FILE_ACCEPT : 'image/*';
 
         fileInput.onchange = async (e) => {
             const file = e.target.files[0];
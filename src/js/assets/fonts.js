@@ -0,0 +1,108 @@
+import { assetManager } from './AssetManager.js';
+import { toast } from '../core/errorHandler.js';
+import { setCustomFontOptions } from '../ui/settings.js';
+import { getFontFormat, toFontFamilyValue, canEmbedInPdf } from './internal/fontUtils.js';
+
+/**
+ * Custom Fonts
+ * Registers imported font assets with the FontFace API so text can use them like any
+ * installed font, lists them in the font dropdowns, and hands them to the exporters.
+ */
+
+/** @type {Map<string, FontFace>} Registered faces by asset id */
+const faces = new Map();
+
+function getFontAssets() {
+    return assetManager.getAssets().filter(asset => asset.type === 'font' && !asset.isBroken && asset.fullResData);
+}
+
+/**
+ * @param {import('./AssetManager.js').Asset} asset
+ */
+function registerFont(asset) {
+    unregisterFont(asset.id);
+    if (asset.type !== 'font' || asset.isBroken || !asset.fullResData) return;
+
+    const face = new FontFace(asset.family, `url(${asset.fullResData}) format('${getFontFormat(asset.name)}')`, {
+        weight: String(asset.weight || 400),
+        style: asset.style || 'normal'
+    });
+    document.fonts.add(face);
+    faces.set(asset.id, face);
+
+    face.load().catch(() => {
+        if (faces.get(asset.id) !== face) return;
+        toast.error(`The font "${asset.name}" could not be loaded`);
+        assetManager.updateAsset(asset.id, { isBroken: true });
+    });
+}
+
+/**
+ * @param {string} assetId
+ */
+function unregisterFont(assetId) {
+    const face = faces.get(assetId);
+    if (!face) return;
+    document.fonts.delete(face);
+    faces.delete(assetId);
+}
+
+/**
+ * Families of the imported fonts, for the font dropdowns.
+ * @returns {{value: string, label: string}[]}
+ */
+export function getCustomFontOptions() {
+    const families = [...new Set(getFontAssets().map(asset => asset.family))];
+    return families
+        .sort((a, b) => a.localeCompare(b))
+        .map(family => ({ value: toFontFamilyValue(family), label: family }));
+}
+
+/**
+ * Resolves once every imported font has loaded (or failed), so exports never capture
+ * text in a fallback font. `document.fonts.ready` alone misses faces nothing has asked for yet.
+ * @returns {Promise<void>}
+ */
+export async function loadCustomFonts() {
+    await Promise.all([...faces.values()].map(face => face.load().catch(() => null)));
+    await document.fonts.ready;
+}
+
+/**
+ * Imported font faces for the vector exporters.
+ * @returns {{family: string, weight: number, style: string, format: string, dataUrl: string, embeddable: boolean}[]}
+ */
+export function getCustomFontFaces() {
+    return getFontAssets().map(asset => ({
+        family: asset.family,
+        weight: asset.weight || 400,
+        style: asset.style || 'normal',
+        format: getFontFormat(asset.name),
+        dataUrl: asset.fullResData,
+        embeddable: canEmbedInPdf(asset.fullResData)
+    }));
+}
+
+export function setupCustomFonts() {
+    const refreshOptions = () => setCustomFontOptions(getCustomFontOptions());
+
+    assetManager.addEventListener('assets:changed', (e) => {
+        const { type, asset, assetId, assetIds } = e.detail;
+        if (type === 'cleared') {
+            [...faces.keys()].forEach(unregisterFont);
+        } else if (type === 'removed_batch') {
+            assetIds.forEach(unregisterFont);
+        } else if (type === 'removed') {
+            unregisterFont(assetId);
+        } else if (asset?.type === 'font') {
+            registerFont(asset);
+        } else if (asset) {
+            // Replaced by a file of another kind
+            unregisterFont(asset.id);
+        }
+        refreshOptions();
+    });
+
+    getFontAssets().forEach(registerFont);
+    refreshOptions();
+}
@@ -0,0 +1,109 @@
+/**
+ * Font Utilities
+ * Pure helpers for imported font files (asset type 'font'): recognising them, naming the
+ * family and face they provide, and telling whether the PDF exporter can embed them.
+ */
+
+/** Extension → FontFace / @font-face format */
+const FONT_FORMATS = {
+    ttf: 'truetype',
+    otf: 'opentype',
+    woff2: 'woff2'
+};
+
+/** For file input `accept` attributes */
+export const FONT_FILE_ACCEPT = Object.keys(FONT_FORMATS).map(ext => `.${ext}`).join(',');
+
+/** Face names found at the end of font file names, with their CSS weight */
+const WEIGHT_NAMES = [
+    ['extralight', 200], ['ultralight', 200], ['semibold', 600], ['demibold', 600],
+    ['extrabold', 800], ['ultrabold', 800], ['thin', 100], ['hairline', 100], ['light', 300],
+    ['regular', 400], ['normal', 400], ['book', 400], ['medium', 500], ['bold', 700],
+    ['black', 900], ['heavy', 900]
+];
+
+/**
+ * @param {string} fileName
+ * @returns {'truetype'|'opentype'|'woff2'|null}
+ */
+export function getFontFormat(fileName) {
+    const ext = String(fileName || '').split('.').pop().toLowerCase();
+    return FONT_FORMATS[ext] || null;
+}
+
+/**
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isFontFileName(fileName) {
+    return getFontFormat(fileName) !== null;
+}
+
+/**
+ * Family and face of a font file from its name, e.g. "Source-Serif_BoldItalic.ttf"
+ * is the bold italic face of "Source Serif".
+ * @param {string} fileName
+ * @returns {{family: string, weight: number, style: 'normal'|'italic'}}
+ */
+export function parseFontFileName(fileName) {
+    let stem = String(fileName || '').replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+    let weight = 400;
+    let style = 'normal';
+
+    // Only a trailing "-Face" / "_Face" part names the face
+    const match = stem.match(/^(.+?)[-_ ]([A-Za-z]+)$/);
+    if (match) {
+        let face = match[2].toLowerCase();
+        if (/(italic|oblique)$/.test(face)) {
+            style = 'italic';
+            face = face.replace(/(italic|oblique)$/, '');
+        }
+        const named = WEIGHT_NAMES.find(([name]) => name === face);
+        if (named) weight = named[1];
+        if (named || (style === 'italic' && !face)) stem = match[1];
+        else style = 'normal';
+    }
+
+    const family = stem
+        .replace(/[-_]+/g, ' ')
+        .replace(/[^\w\s-]+/g, '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return { family: family || 'Imported Font', weight, style };
+}
+
+/**
+ * CSS font-family value for an imported family, with a generic fallback.
+ * @param {string} family
+ * @returns {string}
+ */
+export function toFontFamilyValue(family) {
+    return `'${family}', sans-serif`;
+}
+
+/**
+ * First family of a CSS font-family list, unquoted.
+ * @param {string} cssFamily
+ * @returns {string}
+ */
+export function getPrimaryFontFamily(cssFamily) {
+    return String(cssFamily || '').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+}
+
+/**
+ * jsPDF can only embed TrueType outlines: .ttf files, and .otf files that carry them.
+ * CFF-flavoured OpenType ('OTTO') and WOFF2 are left to the standard fonts.
+ * @param {string} dataUrl Base64 data URL of the font file
+ * @returns {boolean}
+ */
+export function canEmbedInPdf(dataUrl) {
+    const base64 = String(dataUrl || '').split(',')[1];
+    if (!base64) return false;
+    try {
+        const signature = atob(base64.slice(0, 8)).slice(0, 4);
+        return signature === '\u0000\u0001\u0000\u0000' || signature === 'true';
+    } catch {
+        return false;
+    }
+}
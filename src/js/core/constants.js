@@ -117,6 +117,12 @@ export const SHORTCUTS = [
         group: 'Structure',
         condition: () => true
     },
+    {
+        keys: ['Alt', '2-9'],
+        label: 'Split into N',
+        group: 'Structure',
+        condition: (node) => node.splitState !== 'split'
+    },
 
     // --- Global / Navigation ---
     {
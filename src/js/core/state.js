@@ -8,6 +8,7 @@ export let state = {
     // Multi-page support
     pages: [], // Array of layout objects
     currentPageIndex: 0,
+    documentName: null, // Name of the opened layout file, for export file names
     hoveredRectId: null,
     nodeMap: new Map() // O(1) lookup for current page
 };
@@ -68,14 +69,32 @@ export function duplicatePage(index) {
     const clonedPage = JSON.parse(JSON.stringify(originalPage));
 
     // Recursively update all IDs to be unique
+    const newIds = new Map();
     function updateIds(node) {
-        node.id = `rect-${++state.currentId}`;
+        const id = `rect-${++state.currentId}`;
+        newIds.set(node.id, id);
+        node.id = id;
         if (node.children) {
             node.children.forEach(child => updateIds(child));
         }
     }
 
+    // Linked text cells follow the copy; links to other pages stay with the original
+    function updateFlowLinks(node) {
+        if (node.flowTo) {
+            if (newIds.has(node.flowTo)) {
+                node.flowTo = newIds.get(node.flowTo);
+            } else {
+                delete node.flowTo;
+            }
+        }
+        if (node.children) {
+            node.children.forEach(child => updateFlowLinks(child));
+        }
+    }
+
     updateIds(clonedPage);
+    updateFlowLinks(clonedPage);
 
     // Insert after the original
     state.pages.splice(index + 1, 0, clonedPage);
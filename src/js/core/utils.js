@@ -1,7 +1,7 @@
 import { state } from './state.js';
 
 /** Prefix for localStorage keys to avoid conflicts */
-const STORAGE_PREFIX = 'layout_splitter:';
+export const STORAGE_PREFIX = 'layout_splitter:';
 
 export function createRectangle(handleSplitClick) {
     state.currentId++;
@@ -1,15 +1,34 @@
 import html2canvas from 'html2canvas';
 import { jsPDF } from 'jspdf';
-import JSZip from 'jszip';
 import { assetManager } from '../assets/AssetManager.js';
+import { prepareAdjustedImages, clearAdjustedImages, getFailedAdjustedImages } from '../assets/adjustedImages.js';
+import { loadCustomFonts, getCustomFontFaces } from '../assets/fonts.js';
 import { A4_PAPER_ID } from '../core/constants.js';
 import { state } from '../core/state.js';
 import { renderLayout } from '../layout/renderer.js';
-import { showAlert, showPublishSuccess } from '../core/utils.js';
+import { showAlert, showConfirm, showPublishSuccess } from '../core/utils.js';
 import { toast } from '../core/errorHandler.js';
-import { calculatePaperDimensions, getSettings } from '../ui/settings.js';
-
-const FLIPBOOK_API_ENDPOINT = 'https://content.lojkine.art/api/flipbook';
+import { calculatePaperDimensions, getSettings, updateSetting, getPhysicalPageSize, BLEED_RANGE_MM } from '../ui/settings.js';
+import { extractPageScene, extendSceneIntoBleed, getDividerLineRect, clearImageSizeCache } from './internal/pageScene.js';
+import { drawSceneToPdf, drawPrintMarks, clearPdfImageCache, embedPdfFonts, getMissingPdfFonts, getPdfFontSubstitutions } from './internal/pdfRenderer.js';
+import { sceneToSvg, spreadToSvg } from './internal/svgRenderer.js';
+import { buildFlipbookFiles } from './internal/flipbookTemplate.js';
+import { addPdfOutline } from './internal/encoders.js';
+import { createPublisher, PublishCancelledError } from './publishers.js';
+import { ExportJob, ExportCancelledError, formatEta } from './exportJob.js';
+import { resolvePageIndices, remapPageNumber, remapPageNumberToUnit, PageRangeError } from './pageSelection.js';
+import { getSelectedPageIndices } from '../layout/pages.js';
+import { findOverflowingCells } from '../layout/textFlow.js';
+import { groupPagesIntoSpreads } from '../layout/internal/spreadUtils.js';
+import { buildOutline, extractHeadings, outlineToBookmarks } from '../layout/internal/outlineUtils.js';
+import { createExportPreset, resolvePresetScale } from './exportPresets.js';
+import { renderFileNameTemplate, ensurePageToken } from './fileNameTemplate.js';
+
+const MM_TO_PT = 72 / 25.4;
+const CROP_MARK_LENGTH_MM = 6;
+
+/** @type {ExportJob|null} Export currently running behind the loading overlay */
+let activeJob = null;
 
 export function setupExportHandlers() {
     const exportBtn = document.getElementById('export-layout-btn');
@@ -20,6 +39,20 @@ export function setupExportHandlers() {
     const qualitySlider = document.getElementById('export-quality');
     const qualityValue = document.getElementById('quality-value');
     const dimensionsText = document.getElementById('export-dimensions');
+    const pageScopeSelect = document.getElementById('export-page-scope');
+    const pageRangeInput = document.getElementById('export-page-range');
+    const pageSummary = document.getElementById('export-page-summary');
+    const spreadsOption = document.getElementById('export-spreads-option');
+    const spreadsCheckbox = document.getElementById('export-as-spreads');
+    const formatSelect = document.getElementById('export-format-select');
+    const fileNameInput = document.getElementById('export-file-name');
+    const fileNamePreview = document.getElementById('export-file-name-preview');
+    const fontWarning = document.getElementById('export-pdf-font-warning');
+    const backgroundOverride = document.getElementById('export-background-override');
+    const backgroundInput = document.getElementById('export-background');
+    const presetList = document.getElementById('export-preset-list');
+    const presetNameInput = document.getElementById('export-preset-name');
+    const savePresetBtn = document.getElementById('save-export-preset');
 
     if (!exportBtn || !modal) return;
 
@@ -34,12 +67,224 @@ export function setupExportHandlers() {
         dimensionsText.textContent = `${width} x ${height} px`;
     }
 
+    /**
+     * Pages chosen in the modal, as 0-based indices in document order
+     * @returns {number[]}
+     * @throws {PageRangeError}
+     */
+    function getExportPageIndices() {
+        return resolvePageIndices(pageScopeSelect?.value || 'all', {
+            pageCount: state.pages.length,
+            currentPageIndex: state.currentPageIndex,
+            rangeText: pageRangeInput?.value,
+            selectedIndices: getSelectedPageIndices()
+        });
+    }
+
+    function updatePageSummary() {
+        if (!pageScopeSelect || !pageSummary) return;
+        const isRange = pageScopeSelect.value === 'range';
+        pageRangeInput.hidden = !isRange;
+
+        try {
+            const count = getExportPageIndices().length;
+            pageSummary.textContent = `${count} of ${state.pages.length} page${state.pages.length === 1 ? '' : 's'}`;
+            pageSummary.classList.remove('invalid');
+            pageRangeInput.classList.remove('invalid');
+        } catch (error) {
+            if (!(error instanceof PageRangeError)) throw error;
+            // An empty range is still being typed, don't flag it yet
+            const pending = isRange && !pageRangeInput.value.trim();
+            pageSummary.textContent = pending ? '' : error.message;
+            pageSummary.classList.toggle('invalid', !pending);
+            pageRangeInput.classList.toggle('invalid', isRange && !pending);
+        }
+    }
+
+    /**
+     * Resolves the page selection or explains why it can't be exported.
+     * @returns {number[]|null}
+     */
+    function confirmExportPageIndices() {
+        try {
+            return getExportPageIndices();
+        } catch (error) {
+            if (!(error instanceof PageRangeError)) throw error;
+            showAlert(error.message, 'Invalid Page Selection');
+            return null;
+        }
+    }
+
+    pageScopeSelect?.addEventListener('change', () => {
+        updatePageSummary();
+        if (pageScopeSelect.value === 'range') pageRangeInput.focus();
+    });
+    pageRangeInput?.addEventListener('input', updatePageSummary);
+
+    /**
+     * Shows what the naming template expands to for the current format and pages
+     */
+    function updateFileNamePreview() {
+        if (!fileNamePreview) return;
+        const template = fileNameInput.value.trim();
+        let pageIndices;
+        try {
+            pageIndices = getExportPageIndices();
+        } catch {
+            pageIndices = [state.currentPageIndex];
+        }
+
+        const format = formatSelect.value;
+        const units = getExportUnits(pageIndices, !!spreadsCheckbox?.checked);
+        const imageExt = { jpeg: 'jpg', png: 'png', svg: 'svg' }[format];
+        let ext = 'pdf';
+        if (format === 'html-flipbook') ext = 'zip';
+        else if (imageExt) ext = units.length === 1 ? imageExt : 'zip';
+
+        const name = template ? createFileNamer(template, pageIndices).forExport() : '';
+        fileNamePreview.textContent = template ? `${name || '(empty)'}.${ext}` : '';
+    }
+
+    /**
+     * Warns before a vector PDF sets the document's fonts in a standard font
+     */
+    function updatePdfFontWarning() {
+        if (!fontWarning) return;
+        const { fontFamily, headingFonts } = getSettings().text;
+        const substitutions = ['pdf-vector', 'pdf-print'].includes(formatSelect.value)
+            ? getPdfFontSubstitutions([fontFamily, ...Object.values(headingFonts).filter(Boolean)], getCustomFontFaces())
+            : [];
+
+        fontWarning.hidden = substitutions.length === 0;
+        fontWarning.textContent = substitutions.length === 0 ? '' :
+            `Not embedded in vector PDFs: ${substitutions.map(({ family, standard }) => `${family} (set in ${standard})`).join(', ')}. Import a TrueType file of the font to keep it.`;
+    }
+
+    fileNameInput?.addEventListener('input', updateFileNamePreview);
+    formatSelect.addEventListener('change', updateFileNamePreview);
+    formatSelect.addEventListener('change', updatePdfFontWarning);
+    pageScopeSelect?.addEventListener('change', updateFileNamePreview);
+    pageRangeInput?.addEventListener('input', updateFileNamePreview);
+    spreadsCheckbox?.addEventListener('change', updateFileNamePreview);
+
+    backgroundOverride?.addEventListener('change', () => {
+        backgroundInput.disabled = !backgroundOverride.checked;
+    });
+
+    /**
+     * Current modal values, in the shape of an export preset
+     * @returns {Object}
+     */
+    function getModalValues() {
+        return {
+            format: formatSelect.value,
+            quality: parseInt(qualitySlider.value),
+            pageScope: pageScopeSelect?.value || 'all',
+            pageRange: pageRangeInput?.value || '',
+            fileName: fileNameInput?.value.trim() || '',
+            background: backgroundOverride?.checked ? backgroundInput.value : null
+        };
+    }
+
+    function applyPresetToModal(preset, qualityMultiplier) {
+        formatSelect.value = preset.format;
+        qualitySlider.value = Math.round(qualityMultiplier * 100);
+        if (pageScopeSelect) pageScopeSelect.value = preset.pageScope;
+        if (pageRangeInput) pageRangeInput.value = preset.pageRange;
+        if (fileNameInput) fileNameInput.value = preset.fileName;
+        if (backgroundOverride) {
+            backgroundOverride.checked = !!preset.background;
+            backgroundInput.disabled = !preset.background;
+            if (preset.background) backgroundInput.value = preset.background;
+        }
+        updateDimensions();
+        updatePageSummary();
+        updateFileNamePreview();
+        updatePdfFontWarning();
+    }
+
+    function renderPresetList() {
+        if (!presetList) return;
+        presetList.innerHTML = '';
+
+        getSettings().export.presets.forEach(preset => {
+            const item = document.createElement('span');
+            item.className = 'export-preset';
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'export-preset-apply';
+            applyBtn.textContent = preset.name;
+            applyBtn.title = `Export with "${preset.name}"`;
+            applyBtn.addEventListener('click', () => {
+                const { width: layoutWidth } = calculatePaperDimensions();
+                const qualityMultiplier = resolvePresetScale(preset, {
+                    layoutWidth,
+                    physicalWidthMm: getPhysicalPageSize()?.width ?? null
+                });
+                applyPresetToModal(preset, qualityMultiplier);
+                startDownload(qualityMultiplier, preset.name);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'export-preset-delete';
+            deleteBtn.innerHTML = '<span aria-hidden="true">&times;</span>';
+            deleteBtn.setAttribute('aria-label', `Delete preset ${preset.name}`);
+            deleteBtn.title = 'Delete preset';
+            deleteBtn.addEventListener('click', () => {
+                const presets = getSettings().export.presets.filter(p => p.id !== preset.id);
+                updateSetting('export', 'presets', presets);
+                renderPresetList();
+            });
+
+            item.append(applyBtn, deleteBtn);
+            presetList.appendChild(item);
+        });
+    }
+
+    savePresetBtn?.addEventListener('click', () => {
+        const name = presetNameInput.value.trim();
+        if (!name) {
+            showAlert('Enter a name for the preset first.', 'Preset Name Required');
+            return;
+        }
+
+        const preset = createExportPreset(name, getModalValues());
+        const presets = getSettings().export.presets;
+        const existing = presets.findIndex(p => p.name.toLowerCase() === name.toLowerCase());
+        // Saving under an existing name updates that preset in place
+        const updated = existing === -1
+            ? [...presets, preset]
+            : presets.map((p, index) => (index === existing ? { ...preset, id: p.id } : p));
+
+        updateSetting('export', 'presets', updated);
+        presetNameInput.value = '';
+        renderPresetList();
+        toast.success(`Preset "${preset.name}" saved`);
+    });
+
+    const cancelJobBtn = document.getElementById('cancel-export-job');
+    cancelJobBtn?.addEventListener('click', () => {
+        if (!activeJob) return;
+        cancelJobBtn.disabled = true;
+        cancelJobBtn.textContent = 'Cancelling...';
+        activeJob.cancel();
+    });
+
     qualitySlider.addEventListener('input', updateDimensions);
     updateDimensions(); // Initial call
 
     exportBtn.addEventListener('click', () => {
         modal.classList.add('active');
         updateDimensions();
+        // Default to the sidebar selection when the user just made one
+        if (pageScopeSelect && getSelectedPageIndices().length > 1 && pageScopeSelect.value === 'all') {
+            pageScopeSelect.value = 'selected';
+        }
+        updatePageSummary();
+        if (spreadsOption) spreadsOption.hidden = !getSettings().layout.spreads;
+        renderPresetList();
+        updateFileNamePreview();
+        updatePdfFontWarning();
     });
 
     // Close button (x) or Footer Close
@@ -53,39 +298,71 @@ export function setupExportHandlers() {
         }
     });
 
-    confirmBtn.addEventListener('click', async () => {
-        // Dropdown value now
-        const formatSelect = document.getElementById('export-format-select');
-        const format = formatSelect.value;
-        const qualityMultiplier = parseInt(qualitySlider.value) / 100;
+    /**
+     * Runs the download with the modal values
+     * @param {number} [qualityMultiplier] Exact scale from a preset, defaults to the slider
+     * @param {string} [presetName] Preset that started the download, for the {preset} token
+     */
+    async function startDownload(qualityMultiplier = parseInt(qualitySlider.value) / 100, presetName = '') {
+        if (confirmBtn.disabled) return;
+        const { format, fileName, background } = getModalValues();
+        const pageIndices = confirmExportPageIndices();
+        if (!pageIndices || !(await confirmTextOverflow(pageIndices))) return;
+        const asSpreads = !!spreadsCheckbox?.checked && getSettings().layout.spreads;
 
         confirmBtn.disabled = true;
         const originalText = confirmBtn.textContent;
         confirmBtn.textContent = 'Generating...';
 
         try {
-            await performExport(format, qualityMultiplier);
+            await performExport(format, qualityMultiplier, pageIndices, { asSpreads, fileName, background, presetName });
         } catch (error) {
-            console.error('Export failed:', error);
-            showAlert('Export failed. Please try again.', 'Error');
+            if (error instanceof ExportCancelledError) {
+                toast.info('Export cancelled');
+            } else {
+                console.error('Export failed:', error);
+                showAlert('Export failed. Please try again.', 'Error');
+            }
         } finally {
             confirmBtn.disabled = false;
             confirmBtn.textContent = originalText;
             modal.classList.remove('active');
         }
-    });
+    }
+
+    confirmBtn.addEventListener('click', () => startDownload());
 
     if (publishConfirmBtn) {
         publishConfirmBtn.addEventListener('click', async () => {
             const qualityMultiplier = parseInt(qualitySlider.value) / 100;
+            const pageIndices = confirmExportPageIndices();
+            if (!pageIndices) return;
+
+            // Folder pickers need this click, so they come before anything else is awaited
+            const publisher = createPublisher();
+            let publishOptions;
+            try {
+                publishOptions = await publisher.prepare();
+            } catch (error) {
+                if (!(error instanceof PublishCancelledError)) {
+                    showAlert(`Publishing failed. ${error.message}`, 'Error');
+                }
+                return;
+            }
+            if (!(await confirmTextOverflow(pageIndices))) return;
+
             publishConfirmBtn.disabled = true;
             publishConfirmBtn.textContent = 'Publishing...';
 
             try {
-                await performPublishFlipbook(qualityMultiplier);
+                await performPublishFlipbook(qualityMultiplier, pageIndices, publisher, publishOptions);
             } catch (error) {
-                console.error('Publish failed:', error);
-                showAlert('Publishing failed. Please try again.', 'Error');
+                if (error instanceof ExportCancelledError) {
+                    toast.info('Publishing cancelled');
+                } else if (!(error instanceof PublishCancelledError)) {
+                    console.error('Publish failed:', error);
+                    showAlert(`Publishing failed. ${error.message}`, 'Error');
+                }
             } finally {
                 publishConfirmBtn.disabled = false;
                 publishConfirmBtn.textContent = 'Publish Flipbook';
@@ -95,160 +372,364 @@ export function setupExportHandlers() {
     }
 }
 
-async function performExport(format, qualityMultiplier) {
-    const loadingOverlay = document.getElementById('export-loading');
-    const loadingStatus = document.getElementById('loading-status');
-    const progressText = document.getElementById('loading-progress');
+/**
+ * Warns before exporting text cells whose text is cut off (see textFlow.js).
+ * @param {number[]} pageIndices
+ * @returns {Promise<boolean>} Whether to go on with the export
+ */
+async function confirmTextOverflow(pageIndices) {
+    // Measured with the fonts the export uses
+    await loadCustomFonts();
+    let overflowing;
+    try {
+        overflowing = await runExportJob('Checking Text...', pageIndices.length, job => findOverflowingCells(pageIndices, job));
+    } catch (error) {
+        // Cancelling the check cancels the export, the dialog stays open
+        if (error instanceof ExportCancelledError) return false;
+        throw error;
+    }
+    if (overflowing.length === 0) return true;
+
+    const pages = [...new Set(overflowing.map(cell => cell.pageIndex + 1))];
+    const cells = overflowing.length === 1 ? 'A text cell' : `${overflowing.length} text cells`;
+    return showConfirm(
+        `${cells} on ${pages.length === 1 ? 'page' : 'pages'} ${pages.join(', ')} ${overflowing.length === 1 ? 'has' : 'have'} more text than fits and will be cut off. ` +
+        'Enlarge the cell, or continue its text in another cell from Cell Style.',
+        'Text Overflow',
+        'Export Anyway',
+        'export-text-overflow'
+    );
+}
 
-    if (loadingOverlay) {
-        loadingOverlay.classList.add('active');
-        // Dynamic status text based on format
-        const formatText = format.toUpperCase();
-        loadingStatus.textContent = `Generating ${formatText === 'JPEG' ? 'JPG' : formatText}...`;
+/**
+ * @param {string} format
+ * @param {number} qualityMultiplier
+ * @param {number[]} pageIndices 0-based pages to export, in output order
+ * @param {Object} [options]
+ * @param {boolean} [options.asSpreads] Put facing pages side by side on one output page
+ * @param {string} [options.fileName] Naming template (see fileNameTemplate.js), defaults to a timestamped name
+ * @param {string|null} [options.background] Background color replacing the paper color
+ * @param {string} [options.presetName] Preset used, for the {preset} token
+ */
+async function performExport(format, qualityMultiplier, pageIndices, options = {}) {
+    if (format === 'html-flipbook') {
+        return performExportHtmlFlipbook(qualityMultiplier, pageIndices, options);
     }
 
-    const tempContainer = document.createElement('div');
-    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
+    if (format === 'pdf-print' && !getPhysicalPageSize()) {
+        showAlert('Choose a print paper size in Settings > Layout before exporting a print PDF.', 'Paper Size Required');
+        return;
+    }
 
-    tempContainer.style.position = 'fixed';
-    tempContainer.style.top = '0';
-    tempContainer.style.left = '0';
-    tempContainer.style.zIndex = '-9999';
-    tempContainer.style.width = `${layoutWidth}px`;
-    tempContainer.style.height = `${layoutHeight}px`;
-    tempContainer.style.backgroundColor = '#ffffff';
-    tempContainer.style.boxSizing = 'border-box';
-    tempContainer.style.margin = '0';
-    tempContainer.style.padding = '0';
-    tempContainer.style.border = 'none';
-    tempContainer.style.boxShadow = 'none';
+    // Dynamic status text based on format
+    const formatLabels = { jpeg: 'JPG', 'pdf-vector': 'Vector PDF', 'pdf-print': 'Print PDF' };
+    const statusText = `Generating ${formatLabels[format] || format.toUpperCase()}...`;
 
-    tempContainer.className = 'export-container';
-    // Fix: Ensure container queries (cqw/cqh) resolve correctly against this container
-    tempContainer.style.containerType = 'size';
-    document.body.appendChild(tempContainer);
+    const units = getExportUnits(pageIndices, options.asSpreads);
+    return runExportJob(statusText, units.length, job => exportPages(job, format, qualityMultiplier, units, options));
+}
+
+/**
+ * Output pages of an export: one per page, or facing pages grouped into spreads.
+ * @param {number[]} pageIndices
+ * @param {boolean} asSpreads
+ * @returns {number[][]} Page indices per output page, left to right
+ */
+function getExportUnits(pageIndices, asSpreads) {
+    const { layout } = getSettings();
+    if (!asSpreads || !layout.spreads) return pageIndices.map(index => [index]);
+    return groupPagesIntoSpreads(pageIndices, state.pages.length, layout.singleCover);
+}
+
+/**
+ * Renders the chosen pages and produces the download for the format.
+ * Encoding runs through the job's worker-backed encoder; nothing is downloaded once cancelled.
+ * @param {ExportJob} job
+ * @param {string} format
+ * @param {number} qualityMultiplier
+ * @param {number[][]} units Pages per output page, see getExportUnits()
+ * @param {Object} options See performExport()
+ */
+async function exportPages(job, format, qualityMultiplier, units, options) {
+    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
+    const tempContainer = createExportContainer(layoutWidth, layoutHeight, options.background);
+    const fileNamer = createFileNamer(options.fileName, units.flat(), options.presetName);
+    const exportFileName = fileNamer.forExport() || `layout-export-${new Date().getTime()}`;
 
-    const isSingleImageExport = (format === 'png' || format === 'jpeg') && state.pages.length === 1;
-    const zip = (format === 'png' || format === 'jpeg') && state.pages.length > 1 ? new JSZip() : null;
+    const imageFiles = [];
+    const rasterPdfPages = [];
     let pdf = null;
 
     try {
-        for (let i = 0; i < state.pages.length; i++) {
-            if (progressText) {
-                progressText.textContent = `Processing page ${i + 1} of ${state.pages.length}...`;
+        for (let n = 0; n < units.length; n++) {
+            const unit = units[n];
+            job.startStep(formatPageStep('Processing', unit, n, units.length));
+
+            const paperWrappers = await renderExportPages(tempContainer, unit, layoutWidth, layoutHeight);
+            job.throwIfCancelled();
+            const fileStem = fileNamer.forPages(unit)
+                || (unit.length > 1 ? `spread-${unit.map(i => i + 1).join('-')}` : `page-${unit[0] + 1}`);
+            // Map 1px = 0.75pt to keep the PDF perfectly proportional to the layout
+            const pdfWidth = layoutWidth * 0.75;
+            const pdfHeight = layoutHeight * 0.75;
+
+            if (format === 'svg') {
+                const scenes = await extractUnitScenes(paperWrappers, unit, layoutWidth, layoutHeight);
+                const fonts = getCustomFontFaces();
+                const svgContent = scenes.length > 1 ? await spreadToSvg(scenes, fonts) : await sceneToSvg(scenes[0], fonts);
+                imageFiles.push({ path: `${fileStem}.svg`, data: new Blob([svgContent], { type: 'image/svg+xml' }) });
+            } else if (format === 'pdf-vector' || format === 'pdf-print') {
+                // Vector path: draw measured primitives instead of a screenshot so text stays selectable
+                const scenes = await extractUnitScenes(paperWrappers, unit, layoutWidth, layoutHeight);
+
+                if (format === 'pdf-print') {
+                    pdf = await addPrintPdfPage(pdf, scenes, paperWrappers, layoutWidth, layoutHeight, units);
+                } else {
+                    pdf = addPdfPage(pdf, pdfWidth * unit.length, pdfHeight);
+                    for (let k = 0; k < scenes.length; k++) {
+                        await drawSceneToPdf(pdf, scenes[k], { scale: pdfWidth / layoutWidth, offsetX: k * pdfWidth });
+                        addLinksToPdf(pdf, paperWrappers[k], uniformScale(pdfWidth / layoutWidth), { x: k * pdfWidth, y: 0 }, units);
+                    }
+                }
+            } else {
+                const canvas = await capturePage(tempContainer, paperWrappers, layoutWidth, layoutHeight, qualityMultiplier);
+                job.throwIfCancelled();
+
+                if (format === 'pdf') {
+                    const jpeg = await job.encoder.encodeCanvas(canvas, 'image/jpeg', 0.95);
+
+                    rasterPdfPages.push({
+                        jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+                        width: pdfWidth * unit.length,
+                        height: pdfHeight,
+                        // Scale factor for links: PDF dimensions / Layout dimensions
+                        links: paperWrappers.flatMap((wrapper, k) =>
+                            collectPdfLinks(wrapper, uniformScale(pdfWidth / layoutWidth), { x: k * pdfWidth, y: 0 }, units))
+                    });
+                } else {
+                    const ext = format === 'jpeg' ? 'jpg' : 'png';
+                    const mime = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+                    const blob = await job.encoder.encodeCanvas(canvas, mime, format === 'jpeg' ? 0.95 : 1.0);
+                    imageFiles.push({ path: `${fileStem}.${ext}`, data: blob });
+                }
             }
 
-            const pageLayout = state.pages[i];
-
-            tempContainer.innerHTML = '';
-            const paperWrapper = document.createElement('div');
-            paperWrapper.className = 'a4-paper';
-            paperWrapper.style.width = '100%';
-            paperWrapper.style.height = '100%';
-            paperWrapper.style.boxShadow = 'none';
-            paperWrapper.style.margin = '0';
-            paperWrapper.style.zoom = '1';
-            // PROPORTIONAL EXPORT: Set the fixed base width so calculations are stable
-            paperWrapper.style.setProperty('--paper-current-width', `${layoutWidth}px`);
-            tempContainer.appendChild(paperWrapper);
-
-            renderLayout(paperWrapper, pageLayout, {
-                useHighResImages: true,
-                hideControls: true
-            });
-
-            // Wait for high-res images and fonts to be ready for capture
-            await waitForBackgroundImages(paperWrapper);
-            await document.fonts.ready;
+            await job.completeStep();
+        }
 
-            // SVG Overlay Injection
-            const svgOverlay = generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight);
-            if (svgOverlay) {
-                paperWrapper.appendChild(svgOverlay);
+        // Bookmarks from the page titles and headings
+        const bookmarks = collectPdfBookmarks(units);
+
+        if (format === 'pdf') {
+            job.startStep('Assembling PDF');
+            const blob = await job.encoder.rasterPdf(rasterPdfPages, bookmarks);
+            job.throwIfCancelled();
+            downloadBlob(blob, `${exportFileName}.pdf`);
+        } else if (pdf) {
+            addPdfOutline(pdf, bookmarks);
+            job.throwIfCancelled();
+            downloadBlob(pdf.output('blob'), `${exportFileName}.pdf`);
+
+            const missingFonts = getMissingPdfFonts(pdf);
+            if (missingFonts.length > 0) {
+                toast.warning(`Not embedded in the PDF, only TrueType fonts can be: ${missingFonts.join(', ')}. A standard font was used instead.`);
             }
+        } else if (imageFiles.length === 1) {
+            const ext = imageFiles[0].path.split('.').pop();
+            downloadBlob(imageFiles[0].data, `${exportFileName}.${ext}`);
+        } else if (imageFiles.length > 1) {
+            job.startStep('Creating zip archive');
+            const content = await job.encoder.zip(imageFiles);
+            job.throwIfCancelled();
+            downloadBlob(content, `${exportFileName}.zip`);
+        }
+    } finally {
+        document.body.removeChild(tempContainer);
+        clearPdfImageCache();
+        clearImageSizeCache();
+    }
+}
 
-            const canvas = await html2canvas(tempContainer, {
-                scale: qualityMultiplier,
-                useCORS: true,
-                logging: false,
-                backgroundColor: '#ffffff',
-                width: layoutWidth,
-                height: layoutHeight,
-                windowWidth: layoutWidth,
-                windowHeight: layoutHeight
-            });
+/**
+ * Runs an export as a cancellable job behind the loading overlay.
+ * @template T
+ * @param {string} statusText Overlay title
+ * @param {number} totalSteps
+ * @param {(job: ExportJob) => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function runExportJob(statusText, totalSteps, task) {
+    const loadingOverlay = document.getElementById('export-loading');
+    const loadingStatus = document.getElementById('loading-status');
+    const progressText = document.getElementById('loading-progress');
+    const cancelJobBtn = document.getElementById('cancel-export-job');
 
-            const timestampForFile = new Date().getTime();
-            const exportFileName = `layout-export-${timestampForFile}`;
-
-            if (format === 'pdf') {
-                const imgData = canvas.toDataURL('image/jpeg', 0.95);
-
-                // Calculate PDF dimensions (maintain aspect ratio)
-                // Default PDF unit is 'pt' (1 pt = 1/72 inch). 
-                // We'll use points but match the pixel aspect ratio directly.
-                // Optionally we could just use 'px' unit in jsPDF but strict 'pt' is standar.
-                // Let's map 1px = 0.75pt (approx) or just use the layout dimensions directly as points 
-                // to keep it simple and perfectly proportional.
-                const pdfWidth = layoutWidth * 0.75;
-                const pdfHeight = layoutHeight * 0.75;
-                const orientation = pdfWidth > pdfHeight ? 'landscape' : 'portrait';
-
-                if (!pdf) {
-                    pdf = new jsPDF({
-                        orientation: orientation,
-                        unit: 'pt',
-                        format: [pdfWidth, pdfHeight]
-                    });
-                } else {
-                    pdf.addPage([pdfWidth, pdfHeight], orientation);
-                }
+    const job = new ExportJob(totalSteps);
+    activeJob = job;
 
-                pdf.addImage(imgData, 'JPEG', 0, 0, pdfWidth, pdfHeight);
-
-                // Add interactive links
-                // Scale factor for links: PDF dimensions / Layout dimensions
-                addLinksToPdf(pdf, paperWrapper, pdfWidth / layoutWidth);
-
-            } else if (isSingleImageExport) {
-                const ext = format === 'jpeg' ? 'jpg' : 'png';
-                const mime = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-                const dataUrl = canvas.toDataURL(mime, format === 'jpeg' ? 0.95 : 1.0);
-                const link = document.createElement('a');
-                link.href = dataUrl;
-                link.download = `${exportFileName}.${ext}`;
-                link.click();
-            } else if (zip) {
-                const ext = format === 'jpeg' ? 'jpg' : 'png';
-                const mime = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-                const dataUrl = canvas.toDataURL(mime, format === 'jpeg' ? 0.95 : 1.0);
-                const base64Data = dataUrl.split(',')[1];
-                zip.file(`page-${i + 1}.${ext}`, base64Data, { base64: true });
-            }
-        }
+    job.addEventListener('progress', (e) => {
+        if (!progressText) return;
+        const { label, completed, total, etaMs } = e.detail;
+        progressText.textContent = completed < total ? `${label}... (${formatEta(etaMs)})` : `${label}...`;
+    });
 
-        const timestamp = new Date().getTime();
-        if (format === 'pdf' && pdf) {
-            // Add bookmarks for headings from text content
-            addPdfBookmarks(pdf, state.pages);
-            pdf.save(`layout-export-${timestamp}.pdf`);
-        } else if (zip) {
-            const content = await zip.generateAsync({ type: 'blob' });
-            downloadBlob(content, `layout-export-${timestamp}.zip`);
+    if (loadingOverlay) {
+        loadingOverlay.classList.add('active');
+        loadingStatus.textContent = statusText;
+    }
+    if (cancelJobBtn) {
+        cancelJobBtn.disabled = false;
+        cancelJobBtn.textContent = 'Cancel';
+    }
+
+    try {
+        const result = await task(job);
+        const unadjusted = getFailedAdjustedImages();
+        if (unadjusted.length > 0) {
+            toast.warning(`Rotation, flip and color adjustments could not be applied to ${unadjusted.join(', ')}. Exported without them.`);
         }
+        return result;
     } finally {
-        document.body.removeChild(tempContainer);
+        clearAdjustedImages();
+        job.dispose();
+        activeJob = null;
         if (loadingOverlay) loadingOverlay.classList.remove('active');
     }
 }
 
+/**
+ * Scenes for the pages of one output page, left to right.
+ * @returns {Promise<Object[]>}
+ */
+async function extractUnitScenes(paperWrappers, unit, layoutWidth, layoutHeight) {
+    const scenes = [];
+    for (let k = 0; k < unit.length; k++) {
+        scenes.push(await extractPageScene(paperWrappers[k], state.pages[unit[k]], { layoutWidth, layoutHeight }));
+    }
+    return scenes;
+}
+
+/**
+ * Rasterizes the rendered pages (side by side for a spread) with the SVG divider overlay on top.
+ * @param {HTMLElement} tempContainer
+ * @param {HTMLElement[]} paperWrappers
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function capturePage(tempContainer, paperWrappers, layoutWidth, layoutHeight, qualityMultiplier) {
+    // SVG Overlay Injection
+    paperWrappers.forEach(paperWrapper => {
+        const svgOverlay = generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight);
+        if (svgOverlay) {
+            paperWrapper.appendChild(svgOverlay);
+        }
+    });
+
+    const captureWidth = layoutWidth * paperWrappers.length;
+    return html2canvas(tempContainer, {
+        scale: qualityMultiplier,
+        useCORS: true,
+        logging: false,
+        backgroundColor: tempContainer.style.backgroundColor,
+        width: captureWidth,
+        height: layoutHeight,
+        windowWidth: captureWidth,
+        windowHeight: layoutHeight
+    });
+}
+
+/**
+ * Creates the PDF with the imported fonts on the first page, appends a page afterwards.
+ * @param {jsPDF|null} pdf
+ * @param {number} pdfWidth Page width in pt
+ * @param {number} pdfHeight Page height in pt
+ * @returns {jsPDF}
+ */
+function addPdfPage(pdf, pdfWidth, pdfHeight) {
+    const orientation = pdfWidth > pdfHeight ? 'landscape' : 'portrait';
+    if (!pdf) {
+        const newPdf = new jsPDF({
+            orientation: orientation,
+            unit: 'pt',
+            format: [pdfWidth, pdfHeight]
+        });
+        embedPdfFonts(newPdf, getCustomFontFaces());
+        return newPdf;
+    }
+    pdf.addPage([pdfWidth, pdfHeight], orientation);
+    return pdf;
+}
+
+/**
+ * Adds one print-ready page: physical trim size, bleed around it, optional crop and
+ * registration marks outside the bleed, and TrimBox/BleedBox entries for the printer.
+ * A spread is trimmed as one sheet: its pages meet at the gutter without bleed between them.
+ * @param {jsPDF|null} pdf
+ * @param {Object[]} scenes Page scenes, left to right
+ * @param {HTMLElement[]} paperWrappers
+ * @param {number} layoutWidth
+ * @param {number} layoutHeight
+ * @param {number[][]} units Pages per output page, for internal links
+ * @returns {Promise<jsPDF>}
+ */
+async function addPrintPdfPage(pdf, scenes, paperWrappers, layoutWidth, layoutHeight, units) {
+    const { layout } = getSettings();
+    const trimSize = getPhysicalPageSize();
+    const bleedMm = Math.min(BLEED_RANGE_MM.max, Math.max(BLEED_RANGE_MM.min, layout.bleedMm));
+
+    const pageTrimWidth = trimSize.width * MM_TO_PT;
+    const trimWidth = pageTrimWidth * scenes.length;
+    const trimHeight = trimSize.height * MM_TO_PT;
+    const bleed = bleedMm * MM_TO_PT;
+    const markLength = CROP_MARK_LENGTH_MM * MM_TO_PT;
+    // Marks start just outside the bleed, leave room for them plus a small slug
+    const margin = layout.cropMarks ? bleed + markLength * 1.4 : bleed;
+
+    pdf = addPdfPage(pdf, trimWidth + margin * 2, trimHeight + margin * 2);
+
+    const scale = pageTrimWidth / layoutWidth;
+    const scaleY = trimHeight / layoutHeight;
+    for (let k = 0; k < scenes.length; k++) {
+        const edges = { left: k === 0, right: k === scenes.length - 1, top: true, bottom: true };
+        await drawSceneToPdf(pdf, extendSceneIntoBleed(scenes[k], bleed / scale, edges), {
+            scale,
+            scaleY,
+            offsetX: margin + k * pageTrimWidth,
+            offsetY: margin
+        });
+    }
+
+    if (layout.cropMarks) {
+        drawPrintMarks(pdf, { x: margin, y: margin, width: trimWidth, height: trimHeight }, bleed, markLength);
+    }
+
+    // Page boxes use PDF coordinates (origin bottom-left), symmetric here
+    const pageContext = pdf.getCurrentPageInfo().pageContext;
+    const box = (inset) => ({
+        bottomLeftX: inset,
+        bottomLeftY: inset,
+        topRightX: trimWidth + margin * 2 - inset,
+        topRightY: trimHeight + margin * 2 - inset
+    });
+    pageContext.trimBox = box(margin);
+    pageContext.bleedBox = box(margin - bleed);
+
+    paperWrappers.forEach((paperWrapper, k) => {
+        addLinksToPdf(pdf, paperWrapper, { scaleX: scale, scaleY }, { x: margin + k * pageTrimWidth, y: margin }, units);
+    });
+    return pdf;
+}
+
 function generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight) {
     const settings = getSettings();
     const borderThickness = settings.dividers.width;
     const borderColor = settings.dividers.color;
 
+    // Cells with their own border (see cellStyleUtils.js), drawn on top like the dividers
+    const borderedCells = [...paperWrapper.querySelectorAll('.splittable-rect.has-cell-style')]
+        .filter(el => (parseFloat(getComputedStyle(el, '::after').borderTopWidth) || 0) > 0);
+
     // If thickness is 0, no dividers or borders should be rendered
-    if (borderThickness <= 0) return null;
+    if (borderThickness <= 0 && borderedCells.length === 0) return null;
 
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     svg.setAttribute('width', layoutWidth);
@@ -266,16 +747,37 @@ function generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight) {
         zIndex: '9999'
     });
 
+    const paperRect = paperWrapper.getBoundingClientRect();
+
+    // Support varying export resolutions by mapping DOM coordinates to SVG viewBox
+    const scaleX = layoutWidth / paperRect.width;
+    const scaleY = layoutHeight / paperRect.height;
+
+    // With page margins the frame wraps the content area (the root cell) instead of the paper
+    const framedRoot = paperWrapper.classList.contains('has-margins')
+        ? paperWrapper.querySelector(':scope > .splittable-rect')
+        : null;
+
     // 1. Draw Paper Border
-    if (settings.dividers.showBorders) {
+    if (settings.dividers.showBorders && borderThickness > 0) {
         const borderRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
         const halfWidth = borderThickness / 2;
+        let frame = { x: 0, y: 0, width: layoutWidth, height: layoutHeight };
+        if (framedRoot) {
+            const r = framedRoot.getBoundingClientRect();
+            frame = {
+                x: (r.left - paperRect.left) * scaleX,
+                y: (r.top - paperRect.top) * scaleY,
+                width: r.width * scaleX,
+                height: r.height * scaleY
+            };
+        }
 
         // Inset the rect by half the stroke width to match CSS border behavior
-        borderRect.setAttribute('x', halfWidth);
-        borderRect.setAttribute('y', halfWidth);
-        borderRect.setAttribute('width', layoutWidth - borderThickness);
-        borderRect.setAttribute('height', layoutHeight - borderThickness);
+        borderRect.setAttribute('x', frame.x + halfWidth);
+        borderRect.setAttribute('y', frame.y + halfWidth);
+        borderRect.setAttribute('width', frame.width - borderThickness);
+        borderRect.setAttribute('height', frame.height - borderThickness);
         borderRect.setAttribute('fill', 'none');
         borderRect.setAttribute('stroke', borderColor);
         borderRect.setAttribute('stroke-width', borderThickness);
@@ -283,15 +785,11 @@ function generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight) {
     }
 
     // 2. Draw Dividers
-    const dividers = paperWrapper.querySelectorAll('.divider');
-    const paperRect = paperWrapper.getBoundingClientRect();
-
-    // Support varying export resolutions by mapping DOM coordinates to SVG viewBox
-    const scaleX = layoutWidth / paperRect.width;
-    const scaleY = layoutHeight / paperRect.height;
+    const dividers = borderThickness > 0 ? paperWrapper.querySelectorAll('.divider') : [];
 
     dividers.forEach(div => {
-        const r = div.getBoundingClientRect();
+        // Only the painted line: the padding around it is the gutter
+        const r = getDividerLineRect(div);
 
         const x = (r.left - paperRect.left) * scaleX;
         const y = (r.top - paperRect.top) * scaleY;
@@ -317,26 +815,108 @@ function generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight) {
         div.style.opacity = '0';
     });
 
+    // 3. Draw cell borders, inset by half the stroke like CSS borders
+    borderedCells.forEach(el => {
+        const r = el.getBoundingClientRect();
+        const borderStyle = getComputedStyle(el, '::after');
+        const w = (parseFloat(borderStyle.borderTopWidth) || 0) * scaleX;
+        const radius = (parseFloat(getComputedStyle(el).borderTopLeftRadius) || 0) * scaleX;
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', (r.left - paperRect.left) * scaleX + w / 2);
+        rect.setAttribute('y', (r.top - paperRect.top) * scaleY + w / 2);
+        rect.setAttribute('width', Math.max(0, r.width * scaleX - w));
+        rect.setAttribute('height', Math.max(0, r.height * scaleY - w));
+        if (radius > 0) {
+            rect.setAttribute('rx', Math.max(0, radius - w / 2));
+            rect.setAttribute('ry', Math.max(0, radius - w / 2));
+        }
+        rect.setAttribute('fill', 'none');
+        rect.setAttribute('stroke', borderStyle.borderTopColor);
+        rect.setAttribute('stroke-width', w);
+        svg.appendChild(rect);
+
+        // Hide the DOM border, keeping its width
+        el.style.setProperty('--cell-border-color', 'transparent');
+    });
+
     // Hide original DOM border
     paperWrapper.style.border = 'none';
+    if (framedRoot) {
+        // Keep the root's border width so the cells don't move
+        framedRoot.style.borderColor = 'transparent';
+    }
 
     return svg;
 }
 
-async function performPublishFlipbook(qualityMultiplier) {
-    const loadingOverlay = document.getElementById('export-loading');
-    const progressText = document.getElementById('loading-progress');
-    const loadingStatus = document.getElementById('loading-status');
+/**
+ * @param {number} qualityMultiplier
+ * @param {number[]} pageIndices
+ * @param {import('./publishers.js').Publisher} publisher
+ * @param {Object} publishOptions What publisher.prepare() returned
+ */
+async function performPublishFlipbook(qualityMultiplier, pageIndices, publisher, publishOptions) {
+    const url = await runExportJob('Publishing Flipbook...', pageIndices.length, async (job) => {
+        const renderedPages = await rasterizeFlipbookPages(job, qualityMultiplier, pageIndices);
+
+        job.startStep(`Publishing to ${publisher.label}`);
+
+        // Cancel stops the upload, and a result arriving anyway is not opened
+        return job.runCancellable(signal => publisher.publish(
+            renderedPages.map(({ links: _links, ...page }) => page),
+            renderedPages.map(page => page.links),
+            extractBookmarksForApi(pageIndices),
+            { title: document.querySelector('h1')?.textContent || 'My Flipbook' },
+            { ...publishOptions, signal }
+        ));
+    });
 
-    if (loadingOverlay) {
-        loadingOverlay.classList.add('active');
-        loadingStatus.textContent = 'Publishing Flipbook...';
+    // Success feedback comes after the loading screen is gone
+    if (/^(https?|file):/.test(url)) {
+        // Requirement 1: Open in new tab automatically
+        window.open(url, '_blank');
+        await showPublishSuccess(url);
+    } else if (url) {
+        // Browsers don't expose local folder paths, so there is nothing to open
+        toast.success(`Flipbook written to ${url}`);
     }
+}
+
+/**
+ * Exports a zip with a self-contained flipbook (index.html + page images) that opens from disk.
+ * @param {number} qualityMultiplier
+ * @param {number[]} pageIndices
+ * @param {Object} [options] See performExport()
+ */
+async function performExportHtmlFlipbook(qualityMultiplier, pageIndices, options = {}) {
+    return runExportJob('Generating HTML Flipbook...', pageIndices.length, async (job) => {
+        const renderedPages = await rasterizeFlipbookPages(job, qualityMultiplier, pageIndices, options.background);
+
+        job.startStep('Packaging flipbook');
+        const files = buildFlipbookFiles(
+            renderedPages,
+            renderedPages.map(page => page.links),
+            extractBookmarksForApi(pageIndices),
+            { title: document.querySelector('h1')?.textContent || 'My Flipbook' }
+        );
+
+        const content = await job.encoder.zip(files);
+        job.throwIfCancelled();
+        const fileName = createFileNamer(options.fileName, pageIndices, options.presetName).forExport();
+        downloadBlob(content, `${fileName || `flipbook-${new Date().getTime()}`}.zip`);
+    });
+}
 
-    // STRICT ALIGNMENT WITH performExport
+/**
+ * Fixed offscreen container every export renders pages into.
+ * @param {number} layoutWidth
+ * @param {number} layoutHeight
+ * @param {string|null} [background] Color replacing the paper color for this export
+ * @returns {HTMLElement}
+ */
+function createExportContainer(layoutWidth, layoutHeight, background = null) {
     const tempContainer = document.createElement('div');
-    // Basic resets
-    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
 
     tempContainer.style.position = 'fixed';
     tempContainer.style.top = '0';
@@ -344,142 +924,184 @@ async function performPublishFlipbook(qualityMultiplier) {
     tempContainer.style.zIndex = '-9999';
     tempContainer.style.width = `${layoutWidth}px`;
     tempContainer.style.height = `${layoutHeight}px`;
-    tempContainer.style.backgroundColor = '#ffffff';
-    // CRITICAL: Copy styles from performExport that affect layout/wrapping
+    tempContainer.style.backgroundColor = background || '#ffffff';
+    if (background) {
+        // Pages inherit the override through the paper color variable
+        tempContainer.style.setProperty('--paper-bg-color', background);
+    }
+    // CRITICAL: Styles that affect layout/wrapping must match across exports
     tempContainer.style.boxSizing = 'border-box';
     tempContainer.style.margin = '0';
     tempContainer.style.padding = '0';
     tempContainer.style.border = 'none';
     tempContainer.style.boxShadow = 'none';
 
-    // CRITICAL: Add the class that might provide CSS resets
     tempContainer.className = 'export-container';
     // Fix: Ensure container queries (cqw/cqh) resolve correctly against this container
     tempContainer.style.containerType = 'size';
     document.body.appendChild(tempContainer);
+    return tempContainer;
+}
 
-    const apiPages = [];
-
-    try {
-        for (let i = 0; i < state.pages.length; i++) {
-            if (progressText) {
-                progressText.textContent = `Rendering page ${i + 1} of ${state.pages.length}...`;
-            }
-
-            const pageLayout = state.pages[i];
-            tempContainer.innerHTML = '';
-            const paperWrapper = document.createElement('div');
-            paperWrapper.className = 'a4-paper';
-            paperWrapper.style.width = '100%';
-            paperWrapper.style.height = '100%';
-            paperWrapper.style.boxShadow = 'none';
-            paperWrapper.style.margin = '0';
-            // CRITICAL: Layout consistency
-            paperWrapper.style.zoom = '1';
-            // PROPORTIONAL EXPORT: Set the fixed base width so calculations are stable
-            paperWrapper.style.setProperty('--paper-current-width', `${layoutWidth}px`);
-            tempContainer.appendChild(paperWrapper);
-
-            renderLayout(paperWrapper, pageLayout, {
-                useHighResImages: true,
-                hideControls: true
-            });
+/**
+ * Renders pages side by side into the export container and waits for images and fonts.
+ * Each page gets its own page-sized slot so container-query text scale matches a single page.
+ * @param {HTMLElement} tempContainer
+ * @param {number[]} pageIndices One page, or the pages of a spread left to right
+ * @param {number} layoutWidth
+ * @param {number} layoutHeight
+ * @returns {Promise<HTMLElement[]>} The rendered paper elements
+ */
+async function renderExportPages(tempContainer, pageIndices, layoutWidth, layoutHeight) {
+    // Bake adjusted images first, including the facing pages whose gutter spans spill over
+    await prepareAdjustedImages(state.pages.filter((_, index) => pageIndices.some(i => Math.abs(index - i) <= 1)));
+
+    tempContainer.innerHTML = '';
+    tempContainer.style.width = `${layoutWidth * pageIndices.length}px`;
+    tempContainer.style.display = 'flex';
+
+    const paperWrappers = pageIndices.map(pageIndex => {
+        const slot = document.createElement('div');
+        slot.style.width = `${layoutWidth}px`;
+        slot.style.height = `${layoutHeight}px`;
+        slot.style.flex = 'none';
+        slot.style.containerType = 'size';
+
+        const paperWrapper = document.createElement('div');
+        paperWrapper.className = 'a4-paper';
+        paperWrapper.style.width = '100%';
+        paperWrapper.style.height = '100%';
+        paperWrapper.style.boxShadow = 'none';
+        paperWrapper.style.margin = '0';
+        // CRITICAL: Layout consistency
+        paperWrapper.style.zoom = '1';
+        // PROPORTIONAL EXPORT: Set the fixed base width so calculations are stable
+        paperWrapper.style.setProperty('--paper-current-width', `${layoutWidth}px`);
+        slot.appendChild(paperWrapper);
+        tempContainer.appendChild(slot);
+
+        renderLayout(paperWrapper, state.pages[pageIndex], {
+            useHighResImages: true,
+            hideControls: true,
+            pageIndex
+        });
+        return paperWrapper;
+    });
 
-            await waitForBackgroundImages(paperWrapper);
-            await document.fonts.ready;
+    // Wait for high-res images and fonts to be ready for capture
+    for (const paperWrapper of paperWrappers) {
+        await waitForBackgroundImages(paperWrapper);
+    }
+    await loadCustomFonts();
+    return paperWrappers;
+}
 
-            // SVG Overlay Injection
-            const svgOverlay = generateSvgOverlay(paperWrapper, layoutWidth, layoutHeight);
-            if (svgOverlay) {
-                paperWrapper.appendChild(svgOverlay);
-            }
+/**
+ * Rasterizes the chosen pages to JPEG along with their link hotspots, for flipbook viewers.
+ * Internal links are renumbered to the exported subset; links to pages left out are dropped.
+ * @param {ExportJob} job
+ * @param {number} qualityMultiplier
+ * @param {number[]} pageIndices
+ * @param {string|null} [background]
+ * @returns {Promise<Array<{imageData: string, width: number, height: number, links: Array}>>}
+ */
+async function rasterizeFlipbookPages(job, qualityMultiplier, pageIndices, background = null) {
+    const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
+    const tempContainer = createExportContainer(layoutWidth, layoutHeight, background);
+    const renderedPages = [];
 
-            // Remove UI elements logic is now handled by renderLayout options
+    try {
+        for (let n = 0; n < pageIndices.length; n++) {
+            const i = pageIndices[n];
+            job.startStep(formatPageStep('Rendering', [i], n, pageIndices.length));
 
-            // Ensure all links are extracted based on the rendered DOM
-            const { width: layoutWidth, height: layoutHeight } = calculatePaperDimensions();
+            const [paperWrapper] = await renderExportPages(tempContainer, [i], layoutWidth, layoutHeight);
+            const canvas = await capturePage(tempContainer, [paperWrapper], layoutWidth, layoutHeight, qualityMultiplier);
+            job.throwIfCancelled();
 
-            const canvas = await html2canvas(tempContainer, {
-                scale: qualityMultiplier,
-                useCORS: true,
+            const jpeg = await job.encoder.encodeCanvas(canvas, 'image/jpeg', 0.9);
+            renderedPages.push({
+                imageData: await blobToDataUrl(jpeg),
                 width: layoutWidth,
                 height: layoutHeight,
-                windowWidth: layoutWidth,
-                windowHeight: layoutHeight,
-                backgroundColor: '#ffffff'
+                // Ensure all links are extracted based on the rendered DOM
+                links: remapInternalLinks(extractLinksForApi(paperWrapper), pageIndices)
             });
 
-            const imageData = canvas.toDataURL('image/jpeg', 0.9);
-            const links = extractLinksForApi(paperWrapper);
-
-            apiPages.push({
-                imageData,
-                width: layoutWidth,
-                height: layoutHeight,
-                links
-            });
+            await job.completeStep();
         }
+    } finally {
+        document.body.removeChild(tempContainer);
+    }
 
-        if (progressText) progressText.textContent = 'Uploading to server...';
-
-        const bookmarks = extractBookmarksForApi(state.pages);
-
-        // Add timeout for network request (30 seconds)
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
+    return renderedPages;
+}
 
-        let response;
-        try {
-            response = await fetch(FLIPBOOK_API_ENDPOINT, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    title: document.querySelector('h1')?.textContent || 'My Flipbook',
-                    pages: apiPages,
-                    bookmarks: bookmarks
-                }),
-                signal: controller.signal
-            });
-        } catch (fetchError) {
-            if (fetchError.name === 'AbortError') {
-                throw new Error('Request timed out. Please check your connection and try again.');
-            }
-            throw new Error('Network error. Please check your internet connection.');
-        } finally {
-            clearTimeout(timeoutId);
-        }
+/**
+ * Progress label for one output page of a possibly partial export,
+ * e.g. "Rendering page 7 (2 of 3)" or "Processing pages 2-3 (1 of 4)"
+ * @param {string} verb
+ * @param {number[]} unit 0-based pages on this output page
+ * @param {number} position 0-based position in the export
+ * @param {number} total Output pages in the export
+ * @returns {string}
+ */
+function formatPageStep(verb, unit, position, total) {
+    if (unit.length > 1) {
+        return `${verb} pages ${unit[0] + 1}-${unit[unit.length - 1] + 1} (${position + 1} of ${total})`;
+    }
+    const pageIndex = unit[0];
+    if (pageIndex === position && total === state.pages.length) {
+        return `${verb} page ${pageIndex + 1} of ${total}`;
+    }
+    return `${verb} page ${pageIndex + 1} (${position + 1} of ${total})`;
+}
 
-        if (!response.ok) {
-            let errorMessage = 'Failed to publish flipbook';
-            try {
-                const error = await response.json();
-                errorMessage = error.error || errorMessage;
-            } catch {
-                // Response wasn't JSON
-            }
-            throw new Error(errorMessage);
-        }
+function remapInternalLinks(links, pageIndices) {
+    return links.filter(link => {
+        if (link.type !== 'internal') return true;
+        const targetPage = remapPageNumber(pageIndices, link.targetPage);
+        if (targetPage === null) return false;
+        link.targetPage = targetPage;
+        return true;
+    });
+}
 
-        const result = await response.json();
-        if (result.url) {
-            // Requirement 1: Open in new tab automatically
-            window.open(result.url, '_blank');
-            // We'll show the success modal AFTER the loading overlay is cleared in finally
-            window._pendingSuccessUrl = result.url;
-        }
-    } finally {
-        document.body.removeChild(tempContainer);
-        if (loadingOverlay) loadingOverlay.classList.remove('active');
+/**
+ * File names from the modal's naming template. Both return an empty string when there is
+ * no template (or it expands to nothing), so callers keep their default names.
+ * @param {string} template
+ * @param {number[]} pageIndices Every page in the export
+ * @param {string} [presetName]
+ * @returns {{forExport: () => string, forPages: (unit: number[]) => string}}
+ */
+function createFileNamer(template, pageIndices, presetName = '') {
+    const base = { document: state.documentName || 'layout', date: new Date(), preset: presetName };
+    const contextFor = (indices) => ({
+        ...base,
+        pages: indices.map(index => index + 1),
+        firstHeading: indices
+            .map(index => extractHeadings(state.pages[index])[0]?.text)
+            .find(Boolean)
+            ?.replace(/[*_`~]/g, '') || ''
+    });
 
-        // If we have a pending success URL, show the modal now that the loading screen is gone
-        if (window._pendingSuccessUrl) {
-            const url = window._pendingSuccessUrl;
-            delete window._pendingSuccessUrl;
-            await showPublishSuccess(url);
-        }
-    }
+    return {
+        // Single file covering the whole export: PDF, zip archive or a lone image
+        forExport: () => (template ? renderFileNameTemplate(template, contextFor(pageIndices)) : ''),
+        // One page or spread inside a zip
+        forPages: (unit) => (template ? renderFileNameTemplate(ensurePageToken(template), contextFor(unit)) : '')
+    };
 }
 
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
 
 function extractLinksForApi(container) {
     const links = [];
@@ -523,18 +1145,14 @@ function extractLinksForApi(container) {
     return links;
 }
 
-function extractBookmarksForApi(pages) {
-    const bookmarks = [];
-    pages.forEach((page, index) => {
-        const headings = extractHeadingsFromNode(page);
-        headings.forEach(h => {
-            bookmarks.push({
-                title: h.text,
-                page: index + 1
-            });
-        });
-    });
-    return bookmarks;
+/**
+ * Outline of the exported pages as the flipbook table of contents
+ * @param {number[]} pageIndices Exported pages; bookmark page numbers follow the output order
+ * @returns {Array<{title: string, page: number, level: number}>}
+ */
+function extractBookmarksForApi(pageIndices) {
+    return outlineToBookmarks(buildOutline(state.pages), pageIndex => remapPageNumber(pageIndices, pageIndex + 1))
+        .map(({ title, pageNumber, level }) => ({ title, page: pageNumber, level }));
 }
 
 function waitForBackgroundImages(container) {
@@ -570,24 +1188,27 @@ function downloadBlob(blob, filename) {
     document.body.removeChild(link);
     URL.revokeObjectURL(link.href);
 }
-function addPdfBookmarks(pdf, pages) {
-    // Extract headings from all text nodes across pages
-    pages.forEach((page, pageIndex) => {
-        const headings = extractHeadingsFromNode(page);
-        headings.forEach(heading => {
-            try {
-                // jsPDF outline API: pdf.outline.add(parent, title, options)
-                // Page numbers are 1-indexed in jsPDF
-                pdf.outline.add(null, heading.text, { pageNumber: pageIndex + 1 });
-            } catch (e) {
-                // Outline API may not be available in all jsPDF versions
-                console.warn('PDF bookmark not added:', e.message);
-            }
-        });
-    });
+
+/**
+ * Outline of the exported pages (page titles and headings) as nested PDF bookmarks
+ * @param {number[][]} units Pages per output page; outline page numbers follow the output order
+ * @returns {Array<{title: string, pageNumber: number, level: number}>}
+ */
+function collectPdfBookmarks(units) {
+    return outlineToBookmarks(buildOutline(state.pages), pageIndex => remapPageNumberToUnit(units, pageIndex + 1));
 }
 
-function addLinksToPdf(pdf, container, scale) {
+/**
+ * Link rects of a rendered page in PDF units. Links to pages (`#page=N`, e.g. wiki-links)
+ * become internal links to the output page holding that page; links to pages left out are dropped.
+ * @param {HTMLElement} container
+ * @param {{scaleX: number, scaleY: number}} scale PDF units per layout pixel, across and down
+ * @param {{x: number, y: number}} offset Page offset in PDF units
+ * @param {number[][]} units Pages per output page, see getExportUnits()
+ * @returns {Array<{x: number, y: number, width: number, height: number, url?: string, pageNumber?: number}>}
+ */
+function collectPdfLinks(container, { scaleX, scaleY }, offset, units) {
+    const result = [];
     const links = container.querySelectorAll('a');
     const containerRect = container.getBoundingClientRect();
 
@@ -595,44 +1216,41 @@ function addLinksToPdf(pdf, container, scale) {
         const href = link.getAttribute('href');
         if (!href) return;
 
+        let target = { url: href };
+        if (href.startsWith('#page=')) {
+            const pageNumber = remapPageNumberToUnit(units, parseInt(href.replace('#page=', ''), 10));
+            if (pageNumber === null) return;
+            target = { pageNumber };
+        }
+
         const rects = link.getClientRects(); // Using getClientRects for multi-line links
         for (let i = 0; i < rects.length; i++) {
             const rect = rects[i];
 
             // Calculate coordinates relative to container
-            const x = (rect.left - containerRect.left) * scale;
-            const y = (rect.top - containerRect.top) * scale;
-            const w = rect.width * scale;
-            const h = rect.height * scale;
-
-            // Add link to PDF
-            pdf.link(x, y, w, h, { url: href });
+            result.push({
+                x: offset.x + (rect.left - containerRect.left) * scaleX,
+                y: offset.y + (rect.top - containerRect.top) * scaleY,
+                width: rect.width * scaleX,
+                height: rect.height * scaleY,
+                ...target
+            });
         }
     });
-}
 
-function extractHeadingsFromNode(node) {
-    const headings = [];
-
-    if (node.text) {
-        // Extract headings from Markdown using regex
-        const lines = node.text.split('\n');
-        lines.forEach(line => {
-            const match = line.match(/^(#{1,6})\s+(.+)$/);
-            if (match) {
-                headings.push({
-                    level: match[1].length,
-                    text: match[2].trim()
-                });
-            }
-        });
-    }
+    return result;
+}
 
-    if (node.children) {
-        node.children.forEach(child => {
-            headings.push(...extractHeadingsFromNode(child));
-        });
-    }
+/**
+ * @param {number} scale
+ * @returns {{scaleX: number, scaleY: number}} The same scale across and down
+ */
+function uniformScale(scale) {
+    return { scaleX: scale, scaleY: scale };
+}
 
-    return headings;
+function addLinksToPdf(pdf, container, scale, offset, units) {
+    collectPdfLinks(container, scale, offset, units).forEach(link => {
+        pdf.link(link.x, link.y, link.width, link.height, link.pageNumber ? { pageNumber: link.pageNumber } : { url: link.url });
+    });
 }
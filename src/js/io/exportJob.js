@@ -0,0 +1,257 @@
+import { buildZip, buildRasterPdf } from './internal/encoders.js';
+
+/**
+ * Export Job
+ * Tracks a running export: per-step progress with an ETA, cancellation, and an encoder
+ * that moves image encoding, zip generation and raster PDF assembly into a Web Worker.
+ */
+
+/**
+ * Thrown from any export step once the user cancelled the job.
+ */
+export class ExportCancelledError extends Error {
+    constructor() {
+        super('Export cancelled');
+        this.name = 'ExportCancelledError';
+    }
+}
+
+export class ExportJob extends EventTarget {
+    /**
+     * @param {number} totalSteps Number of progress steps (usually pages)
+     */
+    constructor(totalSteps) {
+        super();
+        this.totalSteps = totalSteps;
+        this.completedSteps = 0;
+        this.cancelled = false;
+        this.startTime = performance.now();
+        this._encoder = null;
+        this._abort = new AbortController();
+    }
+
+    /**
+     * Aborted when the job is cancelled, for work that can stop midway (uploads)
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this._abort.signal;
+    }
+
+    /**
+     * Lazily created encoder bound to this job's lifetime
+     * @returns {ExportEncoder}
+     */
+    get encoder() {
+        if (!this._encoder) this._encoder = new ExportEncoder();
+        return this._encoder;
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this._encoder?.terminate();
+        this._abort.abort();
+        this.dispatchEvent(new CustomEvent('cancelled'));
+    }
+
+    /**
+     * Call between steps; aborts the export flow once cancelled.
+     */
+    throwIfCancelled() {
+        if (this.cancelled) throw new ExportCancelledError();
+    }
+
+    /**
+     * Runs work that takes the job's signal. Once cancelled, its result or error is dropped
+     * for an ExportCancelledError, even when the work finished anyway.
+     * @template T
+     * @param {(signal: AbortSignal) => Promise<T>} work
+     * @returns {Promise<T>}
+     */
+    async runCancellable(work) {
+        this.throwIfCancelled();
+        let result;
+        try {
+            result = await work(this.signal);
+        } catch (error) {
+            this.throwIfCancelled();
+            throw error;
+        }
+        this.throwIfCancelled();
+        return result;
+    }
+
+    /**
+     * Announce the step about to run.
+     * @param {string} label
+     */
+    startStep(label) {
+        this.throwIfCancelled();
+        this.dispatchEvent(new CustomEvent('progress', {
+            detail: {
+                label,
+                completed: this.completedSteps,
+                total: this.totalSteps,
+                etaMs: estimateRemainingMs(performance.now() - this.startTime, this.completedSteps, this.totalSteps)
+            }
+        }));
+    }
+
+    /**
+     * Mark the current step as done and give the browser a chance to paint and handle Cancel.
+     */
+    async completeStep() {
+        this.completedSteps++;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        this.throwIfCancelled();
+    }
+
+    dispose() {
+        this._encoder?.terminate();
+        this._encoder = null;
+    }
+}
+
+/**
+ * Estimate remaining time from the average duration of completed steps.
+ * @param {number} elapsedMs
+ * @param {number} completed
+ * @param {number} total
+ * @returns {number|null} Milliseconds, or null before the first step finished
+ */
+export function estimateRemainingMs(elapsedMs, completed, total) {
+    if (completed <= 0) return null;
+    return (elapsedMs / completed) * Math.max(0, total - completed);
+}
+
+/**
+ * Human readable ETA, e.g. "about 40s left"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export function formatEta(ms) {
+    if (ms === null || ms === undefined) return 'estimating time left...';
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 60) return `about ${seconds}s left`;
+    return `about ${Math.round(seconds / 60)} min left`;
+}
+
+/**
+ * Encoder facade: forwards work to the export worker, or runs it inline where
+ * workers/OffscreenCanvas are unavailable or the worker fails.
+ */
+class ExportEncoder {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 0;
+
+        if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./internal/exportWorker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+                this.worker.addEventListener('error', (e) => {
+                    console.warn('Export worker failed, encoding on the main thread:', e.message);
+                    this._rejectAll(new Error('Export worker failed'));
+                    this.worker = null;
+                });
+            } catch (e) {
+                console.warn('Export worker unavailable:', e);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} mime
+     * @param {number} quality
+     * @returns {Promise<Blob>}
+     */
+    async encodeCanvas(canvas, mime, quality) {
+        if (this.worker && typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(canvas);
+                return await this._run('encode', { bitmap, mime, quality }, [bitmap]);
+            } catch (e) {
+                if (e instanceof ExportCancelledError) throw e;
+                console.warn('Worker encoding failed, falling back:', e);
+            }
+        }
+        return canvasToBlob(canvas, mime, quality);
+    }
+
+    /**
+     * @param {Array<{path: string, data: Blob|Uint8Array|string, base64?: boolean}>} files
+     * @returns {Promise<Blob>}
+     */
+    zip(files) {
+        return this._runWithFallback('zip', { files }, [], () => buildZip(files));
+    }
+
+    /**
+     * @param {Array<Object>} pages See buildRasterPdf()
+     * @param {Array<{title: string, pageNumber: number}>} bookmarks
+     * @returns {Promise<Blob>}
+     */
+    rasterPdf(pages, bookmarks) {
+        // Copies are transferred so the fallback still has its own buffers
+        const transferablePages = pages.map(p => ({ ...p, jpeg: p.jpeg.slice() }));
+        return this._runWithFallback('pdf', { pages: transferablePages, bookmarks },
+            transferablePages.map(p => p.jpeg.buffer), () => buildRasterPdf(pages, bookmarks));
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._rejectAll(new ExportCancelledError());
+    }
+
+    async _runWithFallback(type, payload, transfer, fallback) {
+        if (this.worker) {
+            try {
+                return await this._run(type, payload, transfer);
+            } catch (e) {
+                if (e instanceof ExportCancelledError) throw e;
+                console.warn(`Worker ${type} failed, falling back:`, e);
+            }
+        }
+        return fallback();
+    }
+
+    _run(type, payload, transfer) {
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    _onMessage({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    _rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+}
+
+function canvasToBlob(canvas, mime, quality) {
+    if (typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas) {
+        return canvas.convertToBlob({ type: mime, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas encoding failed'))), mime, quality);
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * Export Presets
+ * Named export configurations (format, resolution, pages, file name, background)
+ * stored with the document settings and offered as one-click buttons in the export modal.
+ */
+
+export const EXPORT_FORMATS = ['pdf', 'pdf-vector', 'pdf-print', 'png', 'jpeg', 'svg', 'html-flipbook'];
+
+/** Resolution range of the export modal, in percent of the layout size */
+export const QUALITY_RANGE = { min: 50, max: 300 };
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * @typedef {Object} ExportPreset
+ * @property {string} id
+ * @property {string} name
+ * @property {string} format One of EXPORT_FORMATS
+ * @property {number} quality Resolution in percent of the layout size
+ * @property {number|null} dpi Resolution in dots per inch of the print paper size, overrides quality
+ * @property {number|null} pixelWidth Output width of one page in pixels, overrides dpi and quality
+ * @property {string} pageScope One of PAGE_SCOPES
+ * @property {string} pageRange Range text for the 'range' scope
+ * @property {string} fileName Naming template (see fileNameTemplate.js), empty for the default
+ * @property {string|null} background Background color, null keeps the paper color
+ */
+
+export const DEFAULT_EXPORT_PRESETS = [
+    {
+        id: 'web-jpg',
+        name: 'Web JPG 60%',
+        format: 'jpeg',
+        quality: 60,
+        dpi: null,
+        pixelWidth: null,
+        pageScope: 'all',
+        pageRange: '',
+        fileName: '',
+        background: null
+    },
+    {
+        id: 'print-pdf',
+        name: 'Print PDF 300dpi',
+        format: 'pdf',
+        quality: 300,
+        dpi: 300,
+        pixelWidth: null,
+        pageScope: 'all',
+        pageRange: '',
+        fileName: '',
+        background: null
+    },
+    {
+        id: 'instagram-png',
+        name: 'Instagram 1080 square PNG',
+        format: 'png',
+        quality: 100,
+        dpi: null,
+        pixelWidth: 1080,
+        pageScope: 'all',
+        pageRange: '',
+        fileName: '',
+        background: null
+    }
+];
+
+/**
+ * Validates a preset loaded from a file, filling in defaults for missing fields.
+ * @param {Object} raw
+ * @returns {ExportPreset|null} null when the preset can't be used
+ */
+export function normalizeExportPreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    if (!EXPORT_FORMATS.includes(raw.format)) return null;
+
+    const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createPresetId(),
+        name: raw.name.trim(),
+        format: raw.format,
+        quality: clampQuality(Number.isFinite(raw.quality) ? raw.quality : 100),
+        dpi: positive(raw.dpi),
+        pixelWidth: positive(raw.pixelWidth),
+        pageScope: typeof raw.pageScope === 'string' ? raw.pageScope : 'all',
+        pageRange: typeof raw.pageRange === 'string' ? raw.pageRange : '',
+        fileName: typeof raw.fileName === 'string' ? raw.fileName : '',
+        background: typeof raw.background === 'string' && raw.background ? raw.background : null
+    };
+}
+
+/**
+ * Normalizes a list of presets, dropping invalid entries.
+ * @param {Array} list
+ * @returns {ExportPreset[]|null} null when there is no list at all
+ */
+export function normalizeExportPresets(list) {
+    if (!Array.isArray(list)) return null;
+    return list.map(normalizeExportPreset).filter(Boolean);
+}
+
+/**
+ * Creates a preset from the current export modal values.
+ * @param {string} name
+ * @param {Partial<ExportPreset>} values
+ * @returns {ExportPreset|null}
+ */
+export function createExportPreset(name, values) {
+    return normalizeExportPreset({ ...values, id: createPresetId(), name, dpi: null, pixelWidth: null });
+}
+
+/**
+ * Scale factor a preset renders at, relative to the layout size.
+ * @param {ExportPreset} preset
+ * @param {Object} context
+ * @param {number} context.layoutWidth Layout width of one page in pixels
+ * @param {number|null} [context.physicalWidthMm] Print paper width, if a paper size is set
+ * @returns {number}
+ */
+export function resolvePresetScale(preset, { layoutWidth, physicalWidthMm = null }) {
+    let percent = preset.quality;
+    if (preset.pixelWidth) {
+        percent = (preset.pixelWidth / layoutWidth) * 100;
+    } else if (preset.dpi && physicalWidthMm) {
+        percent = ((preset.dpi * physicalWidthMm) / MM_PER_INCH / layoutWidth) * 100;
+    }
+    return clampQuality(percent) / 100;
+}
+
+/**
+ * @param {number} percent
+ * @returns {number}
+ */
+export function clampQuality(percent) {
+    return Math.min(QUALITY_RANGE.max, Math.max(QUALITY_RANGE.min, percent));
+}
+
+function createPresetId() {
+    return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
@@ -29,10 +29,13 @@ export function saveLayout() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
 
-    // Generate filename with date
+    // Keep the name of the opened file, new documents are named by date
     const date = new Date().toISOString().split('T')[0];
+    const name = state.documentName || `layout-${date}`;
     a.href = url;
-    a.download = `layout-${date}.layout.json`;
+    a.download = `${name}.layout.json`;
+    // Export file names follow the saved file
+    state.documentName = name;
     document.body.appendChild(a);
     a.click();
 
@@ -79,6 +82,7 @@ export async function openLayout() {
                 // Restore state
                 state.pages = data.pages;
                 state.currentPageIndex = data.currentPageIndex || 0;
+                state.documentName = file.name.replace(/(\.layout)?\.json$/i, '');
                 updateCurrentId(data.currentId || 1);
 
                 // Restore settings if present - MUST be done before rendering
@@ -0,0 +1,122 @@
+/**
+ * File Name Templates
+ * Expands export naming patterns like "{document}-{page:03}" into file names.
+ *
+ * Tokens:
+ *   {document}      Name of the opened layout file
+ *   {page}          Page number; "2-3" for a spread, the exported pages for whole-document
+ *                   files ("1-3,7" for pages 1, 2, 3 and 7)
+ *   {page:03}       Page number zero-padded to the given width
+ *   {date}          Export date as YYYY-MM-DD
+ *   {firstHeading}  First Markdown heading on the page (or the export)
+ *   {preset}        Name of the export preset used
+ */
+
+export const FILE_NAME_TOKENS = ['document', 'page', 'page:03', 'date', 'firstHeading', 'preset'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const MAX_TOKEN_LENGTH = 80;
+const EMPTY_TOKEN = '\u0001';
+
+/**
+ * @typedef {Object} FileNameContext
+ * @property {string} [document]
+ * @property {number[]} [pages] 1-based page numbers the file covers, in order
+ * @property {Date} [date]
+ * @property {string} [firstHeading]
+ * @property {string} [preset]
+ */
+
+/**
+ * Expands a naming template. Unknown tokens are kept literally so typos stay visible.
+ * @param {string} template
+ * @param {FileNameContext} context
+ * @returns {string} Sanitized file name without extension, may be empty
+ */
+export function renderFileNameTemplate(template, context) {
+    const expanded = String(template || '').replace(TOKEN_PATTERN, (match, token, width) => {
+        let value;
+        switch (token) {
+            case 'document':
+                value = clip(context.document);
+                break;
+            case 'page':
+                value = formatPages(context.pages, width ? parseInt(width, 10) : 0);
+                break;
+            case 'date':
+                value = formatDate(context.date || new Date());
+                break;
+            case 'firstHeading':
+                value = clip(context.firstHeading);
+                break;
+            case 'preset':
+                value = clip(context.preset);
+                break;
+            default:
+                return match;
+        }
+        return value || EMPTY_TOKEN;
+    });
+
+    return sanitizeFileName(
+        expanded
+            // A token that expanded to nothing takes its leading separator with it
+            .replace(new RegExp(`[-_ .]?${EMPTY_TOKEN}`, 'g'), '')
+            .replace(/^[-_ .]+|[-_ .]+$/g, '')
+    );
+}
+
+/**
+ * @param {string} template
+ * @returns {boolean}
+ */
+export function hasPageToken(template) {
+    return /\{page(?::\d+)?\}/.test(String(template || ''));
+}
+
+/**
+ * Template for per-page files: adds the page number when the template has none,
+ * so pages in a zip don't overwrite each other.
+ * @param {string} template
+ * @returns {string}
+ */
+export function ensurePageToken(template) {
+    return hasPageToken(template) ? template : `${template}-{page}`;
+}
+
+/**
+ * Strips characters that aren't allowed in file names on common systems.
+ * @param {string} [name]
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+    return String(name || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').trim();
+}
+
+/**
+ * Runs of consecutive pages become ranges, so only exported pages are named.
+ */
+function formatPages(pages, width) {
+    if (!pages || pages.length === 0) return '';
+    const pad = (page) => String(page).padStart(width, '0');
+
+    const runs = [];
+    pages.forEach(page => {
+        const run = runs[runs.length - 1];
+        if (run && page === run.last + 1) {
+            run.last = page;
+        } else {
+            runs.push({ first: page, last: page });
+        }
+    });
+    return runs.map(({ first, last }) => (first === last ? pad(first) : `${pad(first)}-${pad(last)}`)).join(',');
+}
+
+function formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function clip(value) {
+    return String(value || '').trim().slice(0, MAX_TOKEN_LENGTH);
+}
@@ -0,0 +1,82 @@
+import { jsPDF } from 'jspdf';
+import JSZip from 'jszip';
+import { getBookmarkParents } from '../../layout/internal/outlineUtils.js';
+
+/**
+ * Export Encoders
+ * DOM-free encoding steps of the export pipeline. They run inside the export worker
+ * and, when workers are unavailable, directly on the main thread.
+ */
+
+/**
+ * Encodes an ImageBitmap to an image Blob through an OffscreenCanvas.
+ * @param {ImageBitmap} bitmap
+ * @param {string} mime 'image/png' or 'image/jpeg'
+ * @param {number} quality JPEG quality (0..1)
+ * @returns {Promise<Blob>}
+ */
+export async function encodeBitmap(bitmap, mime, quality) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas.convertToBlob({ type: mime, quality });
+}
+
+/**
+ * Builds a zip archive.
+ * @param {Array<{path: string, data: Blob|Uint8Array|string, base64?: boolean}>} files
+ * @returns {Promise<Blob>}
+ */
+export async function buildZip(files) {
+    const zip = new JSZip();
+    files.forEach(file => zip.file(file.path, file.data, { base64: !!file.base64 }));
+    return zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Assembles a raster PDF from already encoded JPEG pages.
+ * @param {Array<{jpeg: Uint8Array, width: number, height: number, links: Array<{x: number, y: number, width: number, height: number, url?: string, pageNumber?: number}>}>} pages
+ *        Page sizes and link rects are in pt
+ * @param {Array<{title: string, pageNumber: number, level: number}>} bookmarks
+ * @returns {Blob}
+ */
+export function buildRasterPdf(pages, bookmarks) {
+    let pdf = null;
+
+    pages.forEach(page => {
+        const orientation = page.width > page.height ? 'landscape' : 'portrait';
+        if (!pdf) {
+            pdf = new jsPDF({ orientation, unit: 'pt', format: [page.width, page.height] });
+        } else {
+            pdf.addPage([page.width, page.height], orientation);
+        }
+
+        pdf.addImage(page.jpeg, 'JPEG', 0, 0, page.width, page.height);
+        // Internal links point at an output page, see collectPdfLinks()
+        page.links.forEach(link => pdf.link(link.x, link.y, link.width, link.height,
+            link.pageNumber ? { pageNumber: link.pageNumber } : { url: link.url }));
+    });
+
+    addPdfOutline(pdf, bookmarks);
+    return pdf.output('blob');
+}
+
+/**
+ * Adds the document outline as nested PDF bookmarks.
+ * @param {jsPDF} pdf
+ * @param {Array<{title: string, pageNumber: number, level: number}>} bookmarks See outlineToBookmarks()
+ */
+export function addPdfOutline(pdf, bookmarks) {
+    const parents = getBookmarkParents(bookmarks);
+    const items = [];
+    bookmarks.forEach((bookmark, index) => {
+        try {
+            const parent = parents[index] === -1 ? null : items[parents[index]] || null;
+            items[index] = pdf.outline.add(parent, bookmark.title, { pageNumber: bookmark.pageNumber });
+        } catch (e) {
+            // Outline API may not be available in all jsPDF versions
+            console.warn('PDF bookmark not added:', e.message);
+        }
+    });
+}
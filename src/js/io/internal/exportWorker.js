@@ -0,0 +1,23 @@
+import { encodeBitmap, buildZip, buildRasterPdf } from './encoders.js';
+
+/**
+ * Export Worker
+ * Runs the encoding steps of an export off the main thread.
+ * Messages: { id, type: 'encode'|'zip'|'pdf', payload } -> { id, result } or { id, error }
+ */
+
+const handlers = {
+    encode: ({ bitmap, mime, quality }) => encodeBitmap(bitmap, mime, quality),
+    zip: ({ files }) => buildZip(files),
+    pdf: ({ pages, bookmarks }) => buildRasterPdf(pages, bookmarks)
+};
+
+self.addEventListener('message', async (e) => {
+    const { id, type, payload } = e.data;
+    try {
+        const result = await handlers[type](payload);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+});
@@ -0,0 +1,215 @@
+/**
+ * Offline Flipbook Template
+ * Builds the index.html of a self-contained flipbook: page images live next to it in
+ * `pages/`, data and the viewer are inlined so it opens straight from disk (file://).
+ */
+
+/**
+ * @typedef {Object} FlipbookPage
+ * @property {string} file Relative path of the page image inside the archive
+ * @property {number} width
+ * @property {number} height
+ * @property {Array<Object>} links Links as returned by extractLinksForApi (percent rects)
+ */
+
+/**
+ * Lays out all files of an offline flipbook.
+ * @param {Array<{imageData: string, width: number, height: number}>} pages JPEG data URLs per page
+ * @param {Array<Array<Object>>} links Links per page
+ * @param {Array<{title: string, page: number, level?: number}>} bookmarks
+ * @param {{title: string}} meta
+ * @returns {Array<{path: string, data: string, base64: boolean}>}
+ */
+export function buildFlipbookFiles(pages, links, bookmarks, meta) {
+    const files = [];
+    const bookPages = pages.map((page, i) => {
+        const file = `pages/page-${i + 1}.jpg`;
+        files.push({ path: file, data: page.imageData.split(',')[1], base64: true });
+        return { file, width: page.width, height: page.height, links: links[i] || [] };
+    });
+
+    files.unshift({
+        path: 'index.html',
+        data: buildFlipbookHtml({ title: meta.title, pages: bookPages, bookmarks }),
+        base64: false
+    });
+    return files;
+}
+
+/**
+ * Builds the flipbook viewer page.
+ * @param {{title: string, pages: FlipbookPage[], bookmarks: Array<{title: string, page: number, level?: number}>}} data
+ * @returns {string} HTML document
+ */
+export function buildFlipbookHtml({ title, pages, bookmarks }) {
+    // Inline JSON must not be able to close the script element
+    const json = JSON.stringify({ title, pages, bookmarks }).replace(/</g, '\\u003c');
+    const first = pages[0] || { width: 1, height: 1 };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; font-family: system-ui, -apple-system, sans-serif; background: #2b2b2e; color: #f3f4f6; }
+body { display: flex; flex-direction: column; }
+header { display: flex; align-items: center; gap: 12px; padding: 10px 16px; background: #1f1f22; }
+header h1 { flex: 1; margin: 0; font-size: 16px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+button { background: #3f3f46; color: inherit; border: 0; border-radius: 6px; padding: 6px 12px; font: inherit; cursor: pointer; }
+button:hover:not(:disabled) { background: #52525b; }
+button:disabled { opacity: 0.4; cursor: default; }
+main { flex: 1; display: flex; min-height: 0; }
+nav { width: 260px; overflow-y: auto; background: #1f1f22; padding: 8px 0; display: none; }
+nav.open { display: block; }
+nav a { display: block; padding: 6px 16px; color: #d4d4d8; text-decoration: none; font-size: 14px; }
+nav a:hover, nav a.active { background: #3f3f46; color: #fff; }
+nav .toc-page { color: #71717a; font-size: 12px; float: right; }
+.stage { flex: 1; display: flex; align-items: center; justify-content: center; padding: 24px; perspective: 2000px; min-width: 0; }
+.page { position: relative; aspect-ratio: ${first.width} / ${first.height}; max-width: 100%; max-height: 100%; height: 100%; background: #fff; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); transform-origin: left center; }
+.page img { display: block; width: 100%; height: 100%; user-select: none; }
+.page.turn-next { animation: turn-next 0.35s ease-out; }
+.page.turn-prev { animation: turn-prev 0.35s ease-out; transform-origin: right center; }
+@keyframes turn-next { from { transform: rotateY(-25deg); opacity: 0.4; } to { transform: none; opacity: 1; } }
+@keyframes turn-prev { from { transform: rotateY(25deg); opacity: 0.4; } to { transform: none; opacity: 1; } }
+.hotspot { position: absolute; display: block; }
+.hotspot:hover { background: rgba(79, 70, 229, 0.15); }
+.counter { min-width: 70px; text-align: center; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<header>
+<button id="toc-toggle" aria-label="Table of contents">&#9776;</button>
+<h1 id="title"></h1>
+<button id="prev" aria-label="Previous page">&#8592;</button>
+<span id="counter" class="counter"></span>
+<button id="next" aria-label="Next page">&#8594;</button>
+</header>
+<main>
+<nav id="toc" aria-label="Table of contents"></nav>
+<div class="stage"><div id="page" class="page"><img id="page-image" alt=""></div></div>
+</main>
+<script>
+(function () {
+    var book = ${json};
+    var current = 0;
+    var pageEl = document.getElementById('page');
+    var imageEl = document.getElementById('page-image');
+    var counterEl = document.getElementById('counter');
+    var tocEl = document.getElementById('toc');
+
+    document.getElementById('title').textContent = book.title;
+
+    function show(index, direction) {
+        if (index < 0 || index >= book.pages.length) return;
+        current = index;
+        var page = book.pages[index];
+
+        pageEl.style.aspectRatio = page.width + ' / ' + page.height;
+        imageEl.src = page.file;
+        imageEl.alt = 'Page ' + (index + 1);
+        counterEl.textContent = (index + 1) + ' / ' + book.pages.length;
+        document.getElementById('prev').disabled = index === 0;
+        document.getElementById('next').disabled = index === book.pages.length - 1;
+
+        pageEl.querySelectorAll('.hotspot').forEach(function (el) { el.remove(); });
+        page.links.forEach(function (link) {
+            var a = document.createElement('a');
+            a.className = 'hotspot';
+            a.title = link.title || '';
+            a.style.left = link.rect.x + '%';
+            a.style.top = link.rect.y + '%';
+            a.style.width = link.rect.width + '%';
+            a.style.height = link.rect.height + '%';
+            if (link.type === 'internal') {
+                a.href = '#page=' + link.targetPage;
+            } else {
+                a.href = link.url;
+                a.target = '_blank';
+                a.rel = 'noopener';
+            }
+            pageEl.appendChild(a);
+        });
+
+        tocEl.querySelectorAll('a').forEach(function (a) {
+            a.classList.toggle('active', Number(a.dataset.page) === index + 1);
+        });
+
+        if (direction) {
+            pageEl.classList.remove('turn-next', 'turn-prev');
+            void pageEl.offsetWidth; // Restart the animation
+            pageEl.classList.add(direction > 0 ? 'turn-next' : 'turn-prev');
+        }
+
+        if (location.hash !== '#page=' + (index + 1)) {
+            history.replaceState(null, '', '#page=' + (index + 1));
+        }
+    }
+
+    function go(index) {
+        show(index, index > current ? 1 : -1);
+    }
+
+    function pageFromHash() {
+        var match = location.hash.match(/^#page=(\\d+)$/);
+        return match ? parseInt(match[1], 10) - 1 : null;
+    }
+
+    book.bookmarks.forEach(function (bookmark) {
+        var a = document.createElement('a');
+        a.href = '#page=' + bookmark.page;
+        a.dataset.page = bookmark.page;
+        a.textContent = bookmark.title;
+        // Page titles sit at level 0, headings are indented by their level
+        a.style.paddingLeft = (16 + 12 * (bookmark.level || 0)) + 'px';
+        var pageLabel = document.createElement('span');
+        pageLabel.className = 'toc-page';
+        pageLabel.textContent = bookmark.page;
+        a.appendChild(pageLabel);
+        tocEl.appendChild(a);
+    });
+    if (book.bookmarks.length > 0) tocEl.classList.add('open');
+
+    document.getElementById('toc-toggle').addEventListener('click', function () {
+        tocEl.classList.toggle('open');
+    });
+    document.getElementById('prev').addEventListener('click', function () { go(current - 1); });
+    document.getElementById('next').addEventListener('click', function () { go(current + 1); });
+
+    window.addEventListener('hashchange', function () {
+        var index = pageFromHash();
+        if (index !== null && index !== current) go(index);
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') {
+            e.preventDefault();
+            go(current + 1);
+        } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+            e.preventDefault();
+            go(current - 1);
+        } else if (e.key === 'Home') {
+            go(0);
+        } else if (e.key === 'End') {
+            go(book.pages.length - 1);
+        }
+    });
+
+    var start = pageFromHash();
+    show(start !== null && start < book.pages.length ? start : 0, 0);
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,640 @@
+import { assetManager } from '../../assets/AssetManager.js';
+import { computeCropPlacement, getImageCrop } from '../../layout/internal/cropUtils.js';
+import { hasCellStyle } from '../../layout/internal/cellStyleUtils.js';
+
+/**
+ * Page Scene Extraction
+ * Walks a page rendered offscreen by renderLayout() and describes it as flat, resolution
+ * independent primitives (rects, images, text runs) in layout pixel units.
+ * Vector exporters draw these primitives instead of rasterizing the DOM.
+ */
+
+/**
+ * @typedef {{r: number, g: number, b: number, a: number}} SceneColor
+ * @typedef {{x: number, y: number, width: number, height: number}} SceneBox
+ *
+ * @typedef {Object} SceneImage
+ * @property {string} nodeId
+ * @property {string} assetId
+ * @property {string} src Full resolution data URL (or local reference URL)
+ * @property {SceneBox} box Cell box the image is clipped to
+ * @property {SceneBox} placement Box the full image is drawn into (may exceed `box` for cover)
+ * @property {SceneBox} placementBox Area the image is fitted to: the cell, or twice its width
+ *           when the image spans the gutter of a spread
+ * @property {number} naturalWidth
+ * @property {number} naturalHeight
+ * @property {'cover'|'contain'} fit
+ * @property {boolean} flip
+ * @property {{focusX: number, focusY: number, zoom: number}} crop Focal point and zoom
+ * @property {number} [radius] Corner radius of the clip, for cells with rounded corners
+ *
+ * @typedef {Object} SceneCell
+ * @property {string} nodeId
+ * @property {SceneBox} box
+ * @property {SceneColor|null} background
+ * @property {number} radius Corner radius
+ * @property {{width: number, color: SceneColor}|null} border Drawn inside the box
+ *
+ * @typedef {Object} SceneTextRun
+ * @property {string} text
+ * @property {number} x
+ * @property {number} baseline
+ * @property {number} width
+ * @property {number} height
+ * @property {number} fontSize
+ * @property {string} fontFamily CSS font-family list as computed by the browser
+ * @property {string} fontWeight
+ * @property {string} fontStyle
+ * @property {number} letterSpacing Extra space after each character, in scene units
+ * @property {SceneColor} color
+ * @property {boolean} underline
+ * @property {boolean} strike
+ */
+
+/**
+ * Builds a scene description from a rendered paper element.
+ * @param {HTMLElement} paperWrapper The `.a4-paper` element rendered with hideControls + useHighResImages
+ * @param {Object} pageLayout Layout tree of the page
+ * @param {{layoutWidth: number, layoutHeight: number}} dims
+ * @returns {Promise<Object>} Scene
+ */
+export async function extractPageScene(paperWrapper, pageLayout, { layoutWidth, layoutHeight }) {
+    const paperRect = paperWrapper.getBoundingClientRect();
+    const scaleX = paperRect.width ? layoutWidth / paperRect.width : 1;
+    const scaleY = paperRect.height ? layoutHeight / paperRect.height : 1;
+
+    const toBox = (r) => ({
+        x: (r.left - paperRect.left) * scaleX,
+        y: (r.top - paperRect.top) * scaleY,
+        width: r.width * scaleX,
+        height: r.height * scaleY
+    });
+
+    const paperStyle = getComputedStyle(paperWrapper);
+
+    // With page margins the frame is drawn by the root cell around the content area
+    const rootEl = paperWrapper.classList.contains('has-margins')
+        ? paperWrapper.querySelector(':scope > .splittable-rect')
+        : null;
+    const frameStyle = rootEl ? getComputedStyle(rootEl) : paperStyle;
+    const borderWidth = (parseFloat(frameStyle.borderTopWidth) || 0) * scaleX;
+    const border = borderWidth > 0 ? { width: borderWidth, color: parseCssColor(frameStyle.borderTopColor) } : null;
+    if (border && rootEl) {
+        border.box = toBox(rootEl.getBoundingClientRect());
+    }
+
+    const scene = {
+        width: layoutWidth,
+        height: layoutHeight,
+        background: parseCssColor(paperStyle.backgroundColor) || { r: 255, g: 255, b: 255, a: 1 },
+        backgroundImage: null,
+        border,
+        cells: [],
+        dividers: [],
+        decorations: [],
+        images: [],
+        texts: []
+    };
+
+    // Background image (drawn "cover" over the paper)
+    const bgEl = paperWrapper.querySelector('.paper-bg-image');
+    if (bgEl) {
+        const src = extractCssUrl(bgEl.style.backgroundImage);
+        if (src) {
+            const natural = await loadNaturalSize(src);
+            const box = toBox(bgEl.getBoundingClientRect());
+            scene.backgroundImage = {
+                src,
+                box,
+                placement: computeImagePlacement(box, natural, 'cover'),
+                naturalWidth: natural.width,
+                naturalHeight: natural.height,
+                fit: 'cover',
+                opacity: parseFloat(getComputedStyle(bgEl).opacity) || 0
+            };
+        }
+    }
+
+    // Dividers (only the painted line, gutters show the paper)
+    paperWrapper.querySelectorAll('.divider').forEach(div => {
+        const color = parseCssColor(getComputedStyle(div).backgroundColor);
+        const box = toBox(getDividerLineRect(div));
+        if (color && color.a > 0 && box.width > 0 && box.height > 0) {
+            scene.dividers.push({ ...box, color });
+        }
+    });
+
+    const leaves = [];
+    collectLeaves(pageLayout, leaves);
+
+    // Styled cells: fill and corners from the cell, the border from its ::after layer
+    leaves.filter(hasCellStyle).forEach(node => {
+        const el = paperWrapper.querySelector(`#${CSS.escape(node.id)}`);
+        if (!el) return;
+        const style = getComputedStyle(el);
+        const borderStyle = getComputedStyle(el, '::after');
+        const borderWidth = (parseFloat(borderStyle.borderTopWidth) || 0) * scaleX;
+        const borderColor = parseCssColor(borderStyle.borderTopColor);
+        scene.cells.push({
+            nodeId: node.id,
+            box: toBox(el.getBoundingClientRect()),
+            background: parseCssColor(style.backgroundColor),
+            radius: (parseFloat(style.borderTopLeftRadius) || 0) * scaleX,
+            border: borderWidth > 0 && borderColor ? { width: borderWidth, color: borderColor } : null
+        });
+    });
+
+    // Images (walk the tree so we keep node-level options like fit and flip)
+    for (const node of leaves) {
+        if (!node.image) continue;
+        const asset = assetManager.getAsset(node.image.assetId);
+        const el = paperWrapper.querySelector(`#${CSS.escape(node.id)}`);
+        if (!asset || !el) continue;
+
+        const frameEl = el.querySelector(':scope > .gutter-span-image, :scope > .slot-image-frame');
+        const src = getRenderedSource(frameEl, asset);
+        if (!src) continue;
+
+        const natural = await loadNaturalSize(src);
+        // A slot frame is inset by the cell's padding; a gutter-spanning image is clipped by the cell
+        const clipEl = frameEl?.classList.contains('slot-image-frame') ? frameEl : el;
+        const box = toBox(clipEl.getBoundingClientRect());
+        const placementBox = frameEl ? toBox(frameEl.getBoundingClientRect()) : box;
+        const radius = (parseFloat(getComputedStyle(clipEl).borderTopLeftRadius) || 0) * scaleX;
+        const crop = getImageCrop(node.image);
+        scene.images.push({
+            nodeId: node.id,
+            assetId: asset.id,
+            src,
+            box,
+            placementBox,
+            placement: computeImagePlacement(placementBox, natural, node.image.fit || 'cover', { ...crop, flip: !!node.image.flip }),
+            naturalWidth: natural.width,
+            naturalHeight: natural.height,
+            fit: node.image.fit || 'cover',
+            flip: !!node.image.flip,
+            crop,
+            radius
+        });
+    }
+
+    // Halves of the facing page's gutter-spanning images
+    for (const spill of paperWrapper.querySelectorAll('.gutter-spill')) {
+        const asset = assetManager.getAsset(spill.dataset.assetId);
+        const spanEl = spill.querySelector('.gutter-span-image');
+        const src = asset && getRenderedSource(spanEl, asset);
+        if (!src || !spanEl) continue;
+
+        const natural = await loadNaturalSize(src);
+        const placementBox = toBox(spanEl.getBoundingClientRect());
+        const flip = spill.dataset.flip === 'true';
+        const crop = getImageCrop(spill.dataset);
+        scene.images.push({
+            nodeId: `${spill.dataset.nodeId}-spill`,
+            assetId: asset.id,
+            src,
+            box: toBox(spill.getBoundingClientRect()),
+            placementBox,
+            placement: computeImagePlacement(placementBox, natural, spill.dataset.fit, { ...crop, flip }),
+            naturalWidth: natural.width,
+            naturalHeight: natural.height,
+            fit: spill.dataset.fit,
+            flip,
+            crop
+        });
+    }
+
+    // Text: rendered markdown and page numbers
+    const textRoots = paperWrapper.querySelectorAll('.markdown-content, .paper-page-number');
+    textRoots.forEach(root => {
+        const clip = toBox(root.getBoundingClientRect());
+        collectDecorations(root, toBox, clip, scene.decorations);
+        collectListMarkers(root, toBox, clip, scene.texts);
+        collectTextRuns(root, toBox, scaleY, clip, scene.texts);
+    });
+
+    return scene;
+}
+
+/**
+ * Computes where an image is drawn inside a box for CSS-like object-fit values.
+ * @param {SceneBox} box
+ * @param {{width: number, height: number}} natural
+ * @param {'cover'|'contain'} fit
+ * @param {Object} [crop] Focal point, zoom and flip of the slot (see cropUtils.js), centered by default
+ * @returns {SceneBox}
+ */
+export function computeImagePlacement(box, natural, fit, crop = {}) {
+    return computeCropPlacement(box, natural, { ...crop, fit });
+}
+
+/**
+ * Painted part of a divider: its content box. The padding around it is the gutter.
+ * @param {HTMLElement} div
+ * @returns {{left: number, top: number, width: number, height: number}} Viewport rect
+ */
+export function getDividerLineRect(div) {
+    const r = div.getBoundingClientRect();
+    const style = getComputedStyle(div);
+    const padLeft = parseFloat(style.paddingLeft) || 0;
+    const padTop = parseFloat(style.paddingTop) || 0;
+    return {
+        left: r.left + padLeft,
+        top: r.top + padTop,
+        width: Math.max(0, r.width - padLeft - (parseFloat(style.paddingRight) || 0)),
+        height: Math.max(0, r.height - padTop - (parseFloat(style.paddingBottom) || 0))
+    };
+}
+
+/**
+ * Returns a copy of the scene prepared for print: paper background, dividers, border and
+ * every image slot or cell fill touching the trim edge are extended outward by the bleed.
+ * Rounded or bordered cells keep their shape.
+ * @param {Object} scene
+ * @param {number} bleed Bleed in layout pixels
+ * @param {{left: boolean, right: boolean, top: boolean, bottom: boolean}} [edges] Edges that
+ *        bleed; the inner edges of a spread page meet the facing page instead
+ * @returns {Object} Scene with `bleed` and `bleedEdges` properties
+ */
+export function extendSceneIntoBleed(scene, bleed, edges = { left: true, right: true, top: true, bottom: true }) {
+    // Anything within the page border (plus sub-pixel noise) counts as touching the edge.
+    // A frame around the content area (page margins) doesn't touch it.
+    const tolerance = (scene.border && !scene.border.box ? scene.border.width : 0) + 1;
+
+    const extendBox = (box) => {
+        const touchesLeft = edges.left && box.x <= tolerance;
+        const touchesTop = edges.top && box.y <= tolerance;
+        const touchesRight = edges.right && box.x + box.width >= scene.width - tolerance;
+        const touchesBottom = edges.bottom && box.y + box.height >= scene.height - tolerance;
+
+        const x = touchesLeft ? -bleed : box.x;
+        const y = touchesTop ? -bleed : box.y;
+        const right = touchesRight ? scene.width + bleed : box.x + box.width;
+        const bottom = touchesBottom ? scene.height + bleed : box.y + box.height;
+        return { ...box, x, y, width: right - x, height: bottom - y };
+    };
+
+    const extendImage = (img) => {
+        // Rounded corners stay where they are
+        if (!img || img.radius > 0) return img;
+        const box = extendBox(img.box);
+        // Contain keeps letterboxing inside the slot: only the slot box grows
+        if (img.fit === 'contain') return { ...img, box };
+
+        // Grow the fitted area by the same amount, it is wider than the slot when spanning the gutter
+        const source = img.placementBox || img.box;
+        const placementBox = {
+            x: source.x - (img.box.x - box.x),
+            y: source.y - (img.box.y - box.y),
+            width: source.width + (box.width - img.box.width),
+            height: source.height + (box.height - img.box.height)
+        };
+        return {
+            ...img,
+            box,
+            placementBox,
+            placement: computeImagePlacement(placementBox, { width: img.naturalWidth, height: img.naturalHeight }, 'cover', { ...img.crop, flip: img.flip })
+        };
+    };
+
+    return {
+        ...scene,
+        bleed,
+        bleedEdges: { ...edges },
+        backgroundImage: extendImage(scene.backgroundImage),
+        cells: (scene.cells || []).map(cell => (cell.radius > 0 || cell.border ? cell : { ...cell, box: extendBox(cell.box) })),
+        images: scene.images.map(extendImage),
+        dividers: scene.dividers.map(div => ({ ...extendBox(div), color: div.color }))
+    };
+}
+
+/**
+ * Parses a computed CSS color (rgb/rgba/hex) into channels.
+ * @param {string} value
+ * @returns {SceneColor|null}
+ */
+export function parseCssColor(value) {
+    if (!value || value === 'transparent') return null;
+
+    const rgb = value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+%?))?\s*\)/i);
+    if (rgb) {
+        let a = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+        if (rgb[4] && rgb[4].endsWith('%')) a /= 100;
+        return { r: Math.round(+rgb[1]), g: Math.round(+rgb[2]), b: Math.round(+rgb[3]), a };
+    }
+
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        let h = hex[1];
+        if (h.length === 3) h = h.split('').map(c => c + c).join('');
+        return {
+            r: parseInt(h.substring(0, 2), 16),
+            g: parseInt(h.substring(2, 4), 16),
+            b: parseInt(h.substring(4, 6), 16),
+            a: 1
+        };
+    }
+    return null;
+}
+
+/**
+ * Resolves an image source to a data URL so it can be embedded in standalone files.
+ * Local file references (broco-local://) are read through fetch.
+ * @param {string} src
+ * @returns {Promise<string|null>}
+ */
+export async function resolveImageDataUrl(src) {
+    if (src.startsWith('data:')) return src;
+    try {
+        const response = await fetch(src);
+        const blob = await response.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    } catch (e) {
+        console.warn('Failed to load image for export:', src, e);
+        return null;
+    }
+}
+
+function getAssetSource(asset) {
+    return asset.isReference && asset.absolutePath
+        ? `broco-local://${encodeURIComponent(asset.absolutePath)}`
+        : asset.fullResData;
+}
+
+/**
+ * Source the page was rendered with, which has any image adjustments baked in;
+ * falls back to the asset itself.
+ */
+function getRenderedSource(frameEl, asset) {
+    const imageEl = frameEl?.querySelector('.slot-image');
+    return (imageEl && extractCssUrl(imageEl.style.backgroundImage)) || getAssetSource(asset);
+}
+
+function collectLeaves(node, out) {
+    if (node.splitState === 'split' && node.children) {
+        node.children.forEach(child => collectLeaves(child, out));
+    } else {
+        out.push(node);
+    }
+}
+
+function extractCssUrl(value) {
+    const match = value && value.match(/url\(['"]?(.*?)['"]?\)/);
+    return match ? match[1] : null;
+}
+
+/** Natural image sizes by source, kept for one export */
+const naturalSizeCache = new Map();
+
+/**
+ * Releases the image sources measured during an export.
+ */
+export function clearImageSizeCache() {
+    naturalSizeCache.clear();
+}
+
+function loadNaturalSize(src) {
+    if (naturalSizeCache.has(src)) return naturalSizeCache.get(src);
+
+    const promise = new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => resolve({ width: 0, height: 0 }); // Resolve anyway to avoid hanging
+        img.src = src;
+    });
+    naturalSizeCache.set(src, promise);
+    return promise;
+}
+
+function intersects(box, clip) {
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    return cx >= clip.x && cx <= clip.x + clip.width && cy >= clip.y && cy <= clip.y + clip.height;
+}
+
+/**
+ * Backgrounds and borders of block elements inside rendered markdown
+ * (blockquote bars, code backgrounds, horizontal rules, table borders).
+ */
+function collectDecorations(root, toBox, clip, out) {
+    root.querySelectorAll('*').forEach(el => {
+        const style = getComputedStyle(el);
+        const box = toBox(el.getBoundingClientRect());
+        if (box.width <= 0 && box.height <= 0) return;
+
+        const bg = parseCssColor(style.backgroundColor);
+        if (bg && bg.a > 0) {
+            out.push({ ...clipBox(box, clip), color: bg });
+        }
+
+        const sides = [
+            ['Top', (w) => ({ x: box.x, y: box.y, width: box.width, height: w })],
+            ['Bottom', (w) => ({ x: box.x, y: box.y + box.height - w, width: box.width, height: w })],
+            ['Left', (w) => ({ x: box.x, y: box.y, width: w, height: box.height })],
+            ['Right', (w) => ({ x: box.x + box.width - w, y: box.y, width: w, height: box.height })]
+        ];
+        sides.forEach(([side, rectFor]) => {
+            const width = parseFloat(style[`border${side}Width`]) || 0;
+            if (width <= 0 || style[`border${side}Style`] === 'none') return;
+            const color = parseCssColor(style[`border${side}Color`]);
+            if (!color || color.a === 0) return;
+            const scaled = rectFor(width * (box.width / (el.getBoundingClientRect().width || 1)) || width);
+            out.push({ ...clipBox(scaled, clip), color });
+        });
+    });
+}
+
+function clipBox(box, clip) {
+    const x = Math.max(box.x, clip.x);
+    const y = Math.max(box.y, clip.y);
+    const right = Math.min(box.x + box.width, clip.x + clip.width);
+    const bottom = Math.min(box.y + box.height, clip.y + clip.height);
+    return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+/**
+ * List markers are ::marker pseudo content and have no text nodes, so synthesize them.
+ */
+function collectListMarkers(root, toBox, clip, out) {
+    root.querySelectorAll('li').forEach(li => {
+        const list = li.parentElement;
+        if (!list) return;
+
+        const firstRun = findFirstTextRect(li);
+        if (!firstRun) return;
+
+        const style = getComputedStyle(li);
+        if (style.listStyleType === 'none') return;
+
+        let marker = '•';
+        if (list.tagName === 'OL') {
+            const items = Array.from(list.children).filter(c => c.tagName === 'LI');
+            const start = parseInt(list.getAttribute('start') || '1', 10);
+            marker = `${start + items.indexOf(li)}.`;
+        }
+
+        const fontSize = parseFloat(style.fontSize) || 16;
+        const liBox = toBox(li.getBoundingClientRect());
+        const runBox = toBox(firstRun.rect);
+        const markerWidth = fontSize * 0.35 * marker.length;
+        const box = {
+            x: liBox.x - markerWidth - fontSize * 0.5,
+            y: runBox.y,
+            width: markerWidth,
+            height: runBox.height
+        };
+        if (!intersects(box, clip)) return;
+
+        out.push({
+            ...styleForRun(firstRun.node.parentElement, fontSize * (runBox.height / (firstRun.rect.height || 1))),
+            text: marker,
+            x: box.x,
+            baseline: box.y + box.height * getBaselineRatio(firstRun.node.parentElement),
+            width: box.width,
+            height: box.height,
+            underline: false,
+            strike: false
+        });
+    });
+}
+
+function findFirstTextRect(el) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+        if (!node.textContent.trim()) continue;
+        const range = document.createRange();
+        range.selectNodeContents(node);
+        const rect = range.getClientRects()[0];
+        if (rect) return { node, rect };
+    }
+    return null;
+}
+
+/**
+ * Splits every visible text node into word runs positioned with Range rects.
+ * Words broken across lines fall back to per-character runs.
+ */
+function collectTextRuns(root, toBox, scaleY, clip, out) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest('.text-placeholder')) continue;
+
+        const text = node.textContent;
+        if (!text.trim()) continue;
+
+        const style = getComputedStyle(parent);
+        if (style.visibility === 'hidden' || parseFloat(style.opacity) === 0) continue;
+
+        const fontSize = (parseFloat(style.fontSize) || 16) * scaleY;
+        const base = styleForRun(parent, fontSize);
+        const baselineRatio = getBaselineRatio(parent);
+        const decoration = getTextDecoration(parent);
+
+        const wordRegex = /\S+/g;
+        let match;
+        while ((match = wordRegex.exec(text))) {
+            const range = document.createRange();
+            range.setStart(node, match.index);
+            range.setEnd(node, match.index + match[0].length);
+            const rects = range.getClientRects();
+            if (rects.length === 0) continue;
+
+            if (rects.length === 1) {
+                pushRun(match[0], rects[0]);
+            } else {
+                // Word wraps (break-word): emit characters individually
+                for (let i = 0; i < match[0].length; i++) {
+                    const charRange = document.createRange();
+                    charRange.setStart(node, match.index + i);
+                    charRange.setEnd(node, match.index + i + 1);
+                    const charRect = charRange.getClientRects()[0];
+                    if (charRect) pushRun(match[0][i], charRect);
+                }
+            }
+        }
+
+        function pushRun(word, rect) {
+            const box = toBox(rect);
+            if (box.width <= 0 || !intersects(box, clip)) return;
+            out.push({
+                ...base,
+                text: word,
+                x: box.x,
+                baseline: box.y + box.height * baselineRatio,
+                width: box.width,
+                height: box.height,
+                underline: decoration.underline,
+                strike: decoration.strike
+            });
+        }
+    }
+}
+
+function styleForRun(element, fontSize) {
+    const style = getComputedStyle(element);
+    // Letter spacing scales with the text ('normal' is none)
+    const scale = fontSize / (parseFloat(style.fontSize) || 16);
+    return {
+        fontSize,
+        fontFamily: style.fontFamily,
+        fontWeight: style.fontWeight,
+        fontStyle: style.fontStyle,
+        letterSpacing: (parseFloat(style.letterSpacing) || 0) * scale,
+        color: parseCssColor(style.color) || { r: 0, g: 0, b: 0, a: 1 }
+    };
+}
+
+function getTextDecoration(element) {
+    let underline = false;
+    let strike = false;
+    // text-decoration is not inherited in computed style, walk up to the markdown root
+    for (let el = element; el && !el.classList.contains('markdown-content'); el = el.parentElement) {
+        const line = getComputedStyle(el).textDecorationLine || '';
+        if (line.includes('underline')) underline = true;
+        if (line.includes('line-through')) strike = true;
+    }
+    return { underline, strike };
+}
+
+const baselineCache = new Map();
+
+/**
+ * Ratio (0..1) of the alphabetic baseline within a text range rect for the element's font.
+ * Measured once per font with an inline-block probe sitting on the baseline.
+ */
+function getBaselineRatio(element) {
+    const style = getComputedStyle(element);
+    const key = `${style.fontFamily}|${style.fontWeight}|${style.fontStyle}`;
+    if (baselineCache.has(key)) return baselineCache.get(key);
+
+    const probe = document.createElement('span');
+    probe.style.cssText = 'position:absolute;visibility:hidden;white-space:nowrap;font-size:100px;line-height:normal;';
+    probe.style.fontFamily = style.fontFamily;
+    probe.style.fontWeight = style.fontWeight;
+    probe.style.fontStyle = style.fontStyle;
+
+    const text = document.createElement('span');
+    text.textContent = 'Hg';
+    const marker = document.createElement('span');
+    marker.style.cssText = 'display:inline-block;width:0;height:0;vertical-align:baseline;';
+    probe.appendChild(text);
+    probe.appendChild(marker);
+    element.appendChild(probe);
+
+    const textRect = text.getBoundingClientRect();
+    const markerRect = marker.getBoundingClientRect();
+    probe.remove();
+
+    // Fallback approximates common Latin fonts when layout is unavailable
+    const ratio = textRect.height > 0 ? (markerRect.bottom - textRect.top) / textRect.height : 0.78;
+    baselineCache.set(key, ratio);
+    return ratio;
+}
@@ -0,0 +1,413 @@
+import { resolveImageDataUrl } from './pageScene.js';
+import { getPrimaryFontFamily } from '../../assets/internal/fontUtils.js';
+
+/**
+ * Vector PDF Renderer
+ * Draws a page scene (see pageScene.js) onto a jsPDF document using real PDF primitives,
+ * so text stays selectable/searchable and images keep their full resolution.
+ */
+
+const SERIF_HINTS = ['serif', 'times', 'georgia', 'garamond', 'playfair', 'merriweather', 'lora', 'baskerville'];
+const MONO_HINTS = ['monospace', 'courier', 'mono', 'consolas', 'menlo'];
+
+/**
+ * Maps a CSS font-family list to one of the PDF standard font families.
+ * @param {string} cssFamily
+ * @returns {'helvetica'|'times'|'courier'}
+ */
+export function resolvePdfFontFamily(cssFamily) {
+    const families = (cssFamily || '')
+        .split(',')
+        .map(f => f.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+
+    for (const family of families) {
+        if (MONO_HINTS.some(hint => family.includes(hint))) return 'courier';
+        if (family === 'sans-serif' || family.includes('sans')) return 'helvetica';
+        if (SERIF_HINTS.some(hint => family.includes(hint))) return 'times';
+    }
+    return 'helvetica';
+}
+
+/**
+ * Imported fonts added to each PDF: family (lowercase) → jsPDF font name and styles.
+ * Families that could not be embedded are kept with no styles so their use can be reported.
+ * @type {WeakMap<import('jspdf').jsPDF, {fonts: Map<string, {name: string, styles: Set<string>}>, missing: Set<string>}>}
+ */
+const embeddedFonts = new WeakMap();
+
+/**
+ * Embeds imported TrueType fonts in a PDF so text set in them keeps its font.
+ * @param {import('jspdf').jsPDF} pdf
+ * @param {{family: string, weight: number, style: string, dataUrl: string, embeddable: boolean}[]} faces
+ */
+export function embedPdfFonts(pdf, faces) {
+    const fonts = new Map();
+    faces.forEach((face, i) => {
+        const key = face.family.toLowerCase();
+        if (!fonts.has(key)) fonts.set(key, { name: face.family, styles: new Set() });
+        if (!face.embeddable) return;
+
+        const style = resolvePdfFontStyle(String(face.weight), face.style);
+        const fileName = `custom-font-${i}.ttf`;
+        pdf.addFileToVFS(fileName, face.dataUrl.split(',')[1]);
+        pdf.addFont(fileName, face.family, style);
+        fonts.get(key).styles.add(style);
+    });
+    embeddedFonts.set(pdf, { fonts, missing: new Set() });
+}
+
+/**
+ * @param {import('jspdf').jsPDF} pdf
+ * @returns {string[]} Imported families that text used but could not be embedded
+ */
+export function getMissingPdfFonts(pdf) {
+    return [...(embeddedFonts.get(pdf)?.missing || [])];
+}
+
+/** Families the standard PDF fonts already match, so setting them in one changes nothing */
+const STANDARD_PDF_FAMILIES = ['sans-serif', 'serif', 'monospace', 'helvetica', 'arial', 'times', 'times new roman', 'courier', 'courier new'];
+
+const STANDARD_PDF_FONT_NAMES = { helvetica: 'Helvetica', times: 'Times', courier: 'Courier' };
+
+/**
+ * Fonts a PDF will set in a standard font instead: every family that is neither a standard
+ * one nor an imported TrueType font. Lets the export dialog warn before the file is made.
+ * @param {string[]} cssFamilies Font-family lists the document uses
+ * @param {{family: string, embeddable: boolean}[]} faces Imported font faces
+ * @returns {{family: string, standard: string}[]}
+ */
+export function getPdfFontSubstitutions(cssFamilies, faces) {
+    const embeddable = new Set(faces.filter(face => face.embeddable).map(face => face.family.toLowerCase()));
+    const substitutions = new Map();
+
+    cssFamilies.forEach(cssFamily => {
+        const family = getPrimaryFontFamily(cssFamily);
+        const key = family.toLowerCase();
+        if (!family || substitutions.has(key) || STANDARD_PDF_FAMILIES.includes(key) || embeddable.has(key)) return;
+        substitutions.set(key, { family, standard: STANDARD_PDF_FONT_NAMES[resolvePdfFontFamily(cssFamily)] });
+    });
+    return [...substitutions.values()];
+}
+
+/**
+ * Embedded font for a run, falling back to the regular face when the style isn't embedded.
+ * @returns {{name: string, style: string}|null}
+ */
+function resolveEmbeddedFont(pdf, cssFamily, style) {
+    const embedded = embeddedFonts.get(pdf);
+    const font = embedded?.fonts.get(getPrimaryFontFamily(cssFamily).toLowerCase());
+    if (!font) return null;
+
+    if (font.styles.size === 0) {
+        embedded.missing.add(font.name);
+        return null;
+    }
+    if (font.styles.has(style)) return { name: font.name, style };
+    return { name: font.name, style: font.styles.has('normal') ? 'normal' : [...font.styles][0] };
+}
+
+/**
+ * Maps computed font weight/style to a jsPDF font style.
+ * @param {string} fontWeight
+ * @param {string} fontStyle
+ * @returns {'normal'|'bold'|'italic'|'bolditalic'}
+ */
+export function resolvePdfFontStyle(fontWeight, fontStyle) {
+    const bold = (parseInt(fontWeight, 10) || (fontWeight === 'bold' ? 700 : 400)) >= 600;
+    const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+    if (bold && italic) return 'bolditalic';
+    if (bold) return 'bold';
+    if (italic) return 'italic';
+    return 'normal';
+}
+
+/**
+ * Draws a scene onto the current page of a jsPDF document.
+ * @param {import('jspdf').jsPDF} pdf
+ * @param {Object} scene Scene produced by extractPageScene()
+ * @param {{scale: number, scaleY?: number, offsetX?: number, offsetY?: number}} options
+ *        scale converts layout pixels into PDF units (scaleY when the vertical axis differs
+ *        slightly, e.g. physical paper sizes); offsets are in PDF units
+ */
+export async function drawSceneToPdf(pdf, scene, { scale, scaleY = scale, offsetX = 0, offsetY = 0 }) {
+    const X = (v) => offsetX + v * scale;
+    const Y = (v) => offsetY + v * scaleY;
+    const S = (v) => v * scale;
+    const SY = (v) => v * scaleY;
+    // Bleed per edge: the inner edges of a spread page meet the facing page instead
+    const bleed = (side) => (scene.bleedEdges?.[side] === false ? 0 : scene.bleed || 0);
+    const paperBox = {
+        x: -bleed('left'),
+        y: -bleed('top'),
+        width: scene.width + bleed('left') + bleed('right'),
+        height: scene.height + bleed('top') + bleed('bottom')
+    };
+
+    // 1. Paper background (covers the bleed area too when printing)
+    if (scene.background) {
+        fillRect(pdf, paperBox, scene.background, X, Y, S, SY);
+    }
+
+    if (scene.backgroundImage && scene.backgroundImage.opacity > 0) {
+        const bg = scene.backgroundImage;
+        const image = await loadImageForPdf(bg.src, false);
+        if (image) {
+            pdf.saveGraphicsState();
+            pdf.setGState(new pdf.GState({ opacity: bg.opacity }));
+            clipTo(pdf, bg.box, X, Y, S, SY);
+            pdf.addImage(image.data, image.format, X(bg.placement.x), Y(bg.placement.y),
+                S(bg.placement.width), SY(bg.placement.height), image.alias, 'FAST');
+            pdf.restoreGraphicsState();
+        }
+    }
+
+    // 2. Cell fills, then images clipped to their cells
+    const cells = scene.cells || [];
+    cells.forEach(cell => fillRect(pdf, cell.box, cell.background, X, Y, S, SY, cell.radius));
+
+    for (const img of scene.images) {
+        const image = await loadImageForPdf(img.src, img.flip);
+        if (!image) continue;
+
+        pdf.saveGraphicsState();
+        clipTo(pdf, img.box, X, Y, S, SY, img.radius);
+        pdf.addImage(image.data, image.format, X(img.placement.x), Y(img.placement.y),
+            S(img.placement.width), SY(img.placement.height), image.alias, 'FAST');
+        pdf.restoreGraphicsState();
+    }
+
+    // 3. Text decorations (blockquote bars, code backgrounds, rules)
+    scene.decorations.forEach(deco => fillRect(pdf, deco, deco.color, X, Y, S, SY));
+
+    // 4. Text, then cell borders over the cell content
+    scene.texts.forEach(run => drawTextRun(pdf, run, X, Y, S));
+    cells.forEach(cell => {
+        if (cell.border) strokeInside(pdf, cell.box, cell.border, cell.radius, X, Y, S, SY);
+    });
+
+    // 5. Dividers and page border on top, like the raster SVG overlay
+    scene.dividers.forEach(div => fillRect(pdf, div, div.color, X, Y, S, SY));
+
+    if (scene.border && scene.border.color) {
+        const w = scene.border.width;
+        // A frame around the content area (page margins) stays inside the page; at the paper
+        // edge, the border band runs out past the trim so it survives cutting tolerance
+        const framed = !!scene.border.box;
+        const edgeBleed = (side) => (framed ? 0 : bleed(side));
+        const { x, y, width, height } = scene.border.box || paperBox;
+        [
+            { x, y, width, height: w + edgeBleed('top') },
+            { x, y: y + height - w - edgeBleed('bottom'), width, height: w + edgeBleed('bottom') },
+            { x, y, width: w + edgeBleed('left'), height },
+            { x: x + width - w - edgeBleed('right'), y, width: w + edgeBleed('right'), height }
+        ].forEach(edge => fillRect(pdf, edge, scene.border.color, X, Y, S, SY));
+    }
+}
+
+/**
+ * Draws crop marks and registration targets around a trimmed page (all values in PDF units).
+ * Marks stay outside the bleed so they never show on the cut page.
+ * @param {import('jspdf').jsPDF} pdf
+ * @param {{x: number, y: number, width: number, height: number}} trim Trim box
+ * @param {number} bleed Bleed distance
+ * @param {number} markLength Length of each crop mark
+ */
+export function drawPrintMarks(pdf, trim, bleed, markLength) {
+    const gap = bleed + markLength * 0.2;
+    const left = trim.x;
+    const top = trim.y;
+    const right = trim.x + trim.width;
+    const bottom = trim.y + trim.height;
+
+    pdf.saveGraphicsState();
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setLineWidth(0.25);
+
+    // Crop marks: two short lines per corner, aligned with the trim edges
+    [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+        pdf.line(x + dx * gap, y, x + dx * (gap + markLength), y);
+        pdf.line(x, y + dy * gap, x, y + dy * (gap + markLength));
+    });
+
+    // Registration targets centered on each side
+    const radius = markLength * 0.3;
+    const center = gap + markLength / 2;
+    const midX = left + trim.width / 2;
+    const midY = top + trim.height / 2;
+    [[midX, top - center], [midX, bottom + center], [left - center, midY], [right + center, midY]].forEach(([cx, cy]) => {
+        pdf.circle(cx, cy, radius, 'S');
+        pdf.line(cx - radius * 1.6, cy, cx + radius * 1.6, cy);
+        pdf.line(cx, cy - radius * 1.6, cx, cy + radius * 1.6);
+    });
+
+    pdf.restoreGraphicsState();
+}
+
+function fillRect(pdf, box, color, X, Y, S, SY, radius = 0) {
+    if (!color || color.a === 0 || box.width <= 0 || box.height <= 0) return;
+    withOpacity(pdf, color.a, () => {
+        pdf.setFillColor(color.r, color.g, color.b);
+        rectPath(pdf, box, radius, 'F', X, Y, S, SY);
+    });
+}
+
+function clipTo(pdf, box, X, Y, S, SY, radius = 0) {
+    rectPath(pdf, box, radius, null, X, Y, S, SY);
+    pdf.clip();
+    pdf.discardPath();
+}
+
+/**
+ * Strokes a border inside the box, like a CSS border.
+ */
+function strokeInside(pdf, box, border, radius, X, Y, S, SY) {
+    const w = border.width;
+    if (w <= 0 || box.width <= w || box.height <= w) return;
+    const inset = { x: box.x + w / 2, y: box.y + w / 2, width: box.width - w, height: box.height - w };
+    pdf.setDrawColor(border.color.r, border.color.g, border.color.b);
+    pdf.setLineWidth(S(w));
+    rectPath(pdf, inset, Math.max(0, radius - w / 2), 'S', X, Y, S, SY);
+}
+
+/**
+ * Rectangle path, rounded when `radius` > 0; a null style leaves it unpainted for clipping.
+ */
+function rectPath(pdf, box, radius, style, X, Y, S, SY) {
+    if (radius > 0) {
+        pdf.roundedRect(X(box.x), Y(box.y), S(box.width), SY(box.height), S(radius), SY(radius), style);
+    } else {
+        pdf.rect(X(box.x), Y(box.y), S(box.width), SY(box.height), style);
+    }
+}
+
+function withOpacity(pdf, alpha, draw) {
+    if (alpha >= 1) {
+        draw();
+        return;
+    }
+    pdf.saveGraphicsState();
+    pdf.setGState(new pdf.GState({ opacity: alpha }));
+    draw();
+    pdf.restoreGraphicsState();
+}
+
+function drawTextRun(pdf, run, X, Y, S) {
+    const style = resolvePdfFontStyle(run.fontWeight, run.fontStyle);
+    const fontSize = S(run.fontSize);
+    if (fontSize <= 0) return;
+
+    const embedded = resolveEmbeddedFont(pdf, run.fontFamily, style);
+    if (embedded) {
+        pdf.setFont(embedded.name, embedded.style);
+    } else {
+        pdf.setFont(resolvePdfFontFamily(run.fontFamily), style);
+    }
+    pdf.setFontSize(fontSize);
+
+    // Standard fonts have different metrics than the browser font: stretch the run
+    // horizontally so it covers exactly the measured box and line layout is preserved.
+    // Letter spacing follows every character, like in the browser, and is kept out of the stretch.
+    const naturalWidth = pdf.getTextWidth(run.text);
+    const targetWidth = S(run.width);
+    const charSpace = S(run.letterSpacing || 0);
+    const glyphWidth = targetWidth - charSpace * [...run.text].length;
+    const horizontalScale = naturalWidth > 0 && glyphWidth > 0
+        ? Math.min(1.5, Math.max(0.6, glyphWidth / naturalWidth))
+        : 1;
+
+    const color = run.color;
+    withOpacity(pdf, color.a, () => {
+        pdf.setTextColor(color.r, color.g, color.b);
+        if (charSpace) {
+            // Character spacing outlives the text object: keep it to this run
+            pdf.saveGraphicsState();
+            pdf.text(run.text, X(run.x), Y(run.baseline), {
+                baseline: 'alphabetic',
+                horizontalScale,
+                // The horizontal scale applies to character spacing too
+                charSpace: charSpace / horizontalScale
+            });
+            pdf.restoreGraphicsState();
+        } else {
+            pdf.text(run.text, X(run.x), Y(run.baseline), {
+                baseline: 'alphabetic',
+                horizontalScale
+            });
+        }
+
+        if (run.underline || run.strike) {
+            pdf.setDrawColor(color.r, color.g, color.b);
+            pdf.setLineWidth(Math.max(0.25, fontSize * 0.06));
+            if (run.underline) {
+                const y = Y(run.baseline) + fontSize * 0.12;
+                pdf.line(X(run.x), y, X(run.x) + targetWidth, y);
+            }
+            if (run.strike) {
+                const y = Y(run.baseline) - fontSize * 0.3;
+                pdf.line(X(run.x), y, X(run.x) + targetWidth, y);
+            }
+        }
+    });
+}
+
+const pdfImageCache = new Map();
+
+/**
+ * Loads an image as JPEG/PNG data jsPDF can embed. Other formats (webp, gif) and
+ * flipped variants are re-encoded through a canvas at natural resolution.
+ * The alias lets jsPDF embed an image used on several pages only once.
+ */
+function loadImageForPdf(src, flip) {
+    const key = `${flip ? 'flip:' : ''}${src}`;
+    if (pdfImageCache.has(key)) return pdfImageCache.get(key);
+
+    const alias = `img-${pdfImageCache.size}`;
+    const promise = (async () => {
+        const dataUrl = await resolveImageDataUrl(src);
+        if (!dataUrl) return null;
+
+        const mime = dataUrl.substring(5, dataUrl.indexOf(';'));
+
+        if (!flip && (mime === 'image/jpeg' || mime === 'image/png')) {
+            return { data: dataUrl, format: mime === 'image/png' ? 'PNG' : 'JPEG', alias };
+        }
+
+        const img = await loadImage(dataUrl);
+        if (!img) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        if (flip) {
+            ctx.translate(canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(img, 0, 0);
+
+        // Keep transparency for PNG-like sources, JPEG for photos
+        const keepAlpha = mime === 'image/png' || mime === 'image/gif' || mime === 'image/webp';
+        return keepAlpha
+            ? { data: canvas.toDataURL('image/png'), format: 'PNG', alias }
+            : { data: canvas.toDataURL('image/jpeg', 0.95), format: 'JPEG', alias };
+    })();
+
+    pdfImageCache.set(key, promise);
+    return promise;
+}
+
+/**
+ * Releases cached image data once a document has been saved.
+ */
+export function clearPdfImageCache() {
+    pdfImageCache.clear();
+}
+
+function loadImage(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
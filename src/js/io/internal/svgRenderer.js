@@ -0,0 +1,221 @@
+import { resolveImageDataUrl } from './pageScene.js';
+import { getPrimaryFontFamily } from '../../assets/internal/fontUtils.js';
+
+/**
+ * SVG Renderer
+ * Serializes a page scene (see pageScene.js) into a standalone SVG document.
+ * Images are embedded as data URLs and text is emitted as real <text> elements,
+ * so the file opens editable in Inkscape or Illustrator.
+ */
+
+/**
+ * @typedef {{family: string, weight: number, style: string, format: string, dataUrl: string}} SvgFontFace
+ */
+
+/**
+ * Builds a standalone SVG document for one page.
+ * @param {Object} scene Scene produced by extractPageScene()
+ * @param {SvgFontFace[]} [fonts] Imported fonts, embedded when the text uses them
+ * @returns {Promise<string>} SVG markup
+ */
+export async function sceneToSvg(scene, fonts = []) {
+    const { defs, body } = await buildSceneMarkup(scene);
+    defs.unshift(...fontFaceDefs([scene], fonts));
+    return wrapSvgDocument(scene.width, scene.height, defs, body);
+}
+
+/**
+ * Builds one SVG document for a spread, each page placed to the right of the previous one.
+ * Ids are prefixed per page ("page-2-images") so they stay unique.
+ * @param {Object[]} scenes Page scenes, left to right
+ * @param {SvgFontFace[]} [fonts] Imported fonts, embedded when the text uses them
+ * @returns {Promise<string>} SVG markup
+ */
+export async function spreadToSvg(scenes, fonts = []) {
+    const defs = [...fontFaceDefs(scenes, fonts)];
+    const body = [];
+    let x = 0;
+
+    for (let k = 0; k < scenes.length; k++) {
+        const page = await buildSceneMarkup(scenes[k], `page-${k + 1}-`);
+        defs.push(...page.defs);
+        body.push(`<g id="page-${k + 1}" transform="translate(${num(x)} 0)">`, ...page.body, '</g>');
+        x += scenes[k].width;
+    }
+
+    return wrapSvgDocument(x, Math.max(...scenes.map(scene => scene.height)), defs, body);
+}
+
+async function buildSceneMarkup(scene, idPrefix = '') {
+    const { width, height } = scene;
+    const defs = [];
+    const body = [];
+    let clipCount = 0;
+
+    const addClip = (box, radius = 0) => {
+        const id = `${idPrefix}clip-${++clipCount}`;
+        defs.push(`<clipPath id="${id}"><rect ${rectAttrs(box)}${radiusAttrs(radius)}/></clipPath>`);
+        return id;
+    };
+    const cells = scene.cells || [];
+
+    // 1. Paper background
+    if (scene.background) {
+        body.push(`<rect x="0" y="0" width="${num(width)}" height="${num(height)}" ${fillAttrs(scene.background)}/>`);
+    }
+
+    if (scene.backgroundImage && scene.backgroundImage.opacity > 0) {
+        const bg = scene.backgroundImage;
+        const href = await resolveImageDataUrl(bg.src);
+        if (href) {
+            const clipId = addClip(bg.box);
+            body.push(`<g clip-path="url(#${clipId})" opacity="${num(bg.opacity)}">${imageTag(href, bg.placement, false)}</g>`);
+        }
+    }
+
+    // 2. Cell fills, then images each clipped to its cell
+    if (cells.some(cell => cell.background)) {
+        body.push(`<g id="${idPrefix}cells">`);
+        cells.filter(cell => cell.background).forEach(cell => {
+            body.push(`<rect ${rectAttrs(cell.box)}${radiusAttrs(cell.radius)} ${fillAttrs(cell.background)}/>`);
+        });
+        body.push('</g>');
+    }
+
+    body.push(`<g id="${idPrefix}images">`);
+    for (const img of scene.images) {
+        const href = await resolveImageDataUrl(img.src);
+        if (!href) continue;
+        const clipId = addClip(img.box, img.radius);
+        body.push(`<g id="${escapeXml(img.nodeId)}" clip-path="url(#${clipId})">${imageTag(href, img.placement, img.flip)}</g>`);
+    }
+    body.push('</g>');
+
+    // 3. Text decorations and text
+    body.push(`<g id="${idPrefix}text">`);
+    scene.decorations.forEach(deco => {
+        body.push(`<rect ${rectAttrs(deco)} ${fillAttrs(deco.color)}/>`);
+    });
+    scene.texts.forEach(run => body.push(textTag(run)));
+    body.push('</g>');
+
+    // Cell borders, over the cell content
+    cells.filter(cell => cell.border).forEach(cell => {
+        const w = cell.border.width;
+        const inset = { x: cell.box.x + w / 2, y: cell.box.y + w / 2, width: cell.box.width - w, height: cell.box.height - w };
+        body.push(`<rect ${rectAttrs(inset)}${radiusAttrs(Math.max(0, cell.radius - w / 2))} ` +
+            `fill="none" stroke="${rgb(cell.border.color)}" stroke-width="${num(w)}"/>`);
+    });
+
+    // 4. Dividers and border
+    body.push(`<g id="${idPrefix}dividers" shape-rendering="crispEdges">`);
+    scene.dividers.forEach(div => {
+        body.push(`<rect ${rectAttrs(div)} ${fillAttrs(div.color)}/>`);
+    });
+    if (scene.border && scene.border.color) {
+        const w = scene.border.width;
+        // Paper edge, or the content area when the page has margins
+        const frame = scene.border.box || { x: 0, y: 0, width, height };
+        // Inset the rect by half the stroke width to match CSS border behavior
+        body.push(`<rect x="${num(frame.x + w / 2)}" y="${num(frame.y + w / 2)}" ` +
+            `width="${num(frame.width - w)}" height="${num(frame.height - w)}" ` +
+            `fill="none" stroke="${rgb(scene.border.color)}" stroke-width="${num(w)}"/>`);
+    }
+    body.push('</g>');
+
+    return { defs, body };
+}
+
+/**
+ * @font-face rules for the imported fonts the scenes' text is set in
+ * @param {Object[]} scenes
+ * @param {SvgFontFace[]} fonts
+ * @returns {string[]}
+ */
+function fontFaceDefs(scenes, fonts) {
+    const used = new Set(scenes.flatMap(scene => scene.texts.map(run => getPrimaryFontFamily(run.fontFamily).toLowerCase())));
+    const rules = fonts
+        .filter(font => used.has(font.family.toLowerCase()))
+        .map(font => `@font-face{font-family:'${font.family}';src:url(${font.dataUrl}) format('${font.format}');` +
+            `font-weight:${font.weight};font-style:${font.style}}`);
+    return rules.length > 0 ? [`<style>${escapeXml(rules.join(''))}</style>`] : [];
+}
+
+function wrapSvgDocument(width, height, defs, body) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+        `<defs>${defs.join('')}</defs>`,
+        ...body,
+        '</svg>'
+    ].join('\n');
+}
+
+function imageTag(href, placement, flip) {
+    // Mirror around the image's own vertical axis, like CSS scaleX(-1)
+    const transform = flip
+        ? ` transform="translate(${num(placement.x * 2 + placement.width)} 0) scale(-1 1)"`
+        : '';
+    return `<image ${rectAttrs(placement)} preserveAspectRatio="none" xlink:href="${href}"${transform}/>`;
+}
+
+function textTag(run) {
+    const attrs = [
+        `x="${num(run.x)}"`,
+        `y="${num(run.baseline)}"`,
+        `font-family="${escapeXml(run.fontFamily)}"`,
+        `font-size="${num(run.fontSize)}"`,
+        `font-weight="${escapeXml(run.fontWeight)}"`,
+        `font-style="${escapeXml(run.fontStyle)}"`,
+        fillAttrs(run.color),
+        // Pin the measured width so substituted fonts keep the same line layout
+        `textLength="${num(run.width)}"`,
+        'lengthAdjust="spacingAndGlyphs"'
+    ];
+
+    if (run.letterSpacing) attrs.push(`letter-spacing="${num(run.letterSpacing)}"`);
+
+    const decorations = [];
+    if (run.underline) decorations.push('underline');
+    if (run.strike) decorations.push('line-through');
+    if (decorations.length) attrs.push(`text-decoration="${decorations.join(' ')}"`);
+
+    return `<text ${attrs.join(' ')}>${escapeXml(run.text)}</text>`;
+}
+
+function rectAttrs(box) {
+    return `x="${num(box.x)}" y="${num(box.y)}" width="${num(box.width)}" height="${num(box.height)}"`;
+}
+
+function radiusAttrs(radius) {
+    return radius > 0 ? ` rx="${num(radius)}" ry="${num(radius)}"` : '';
+}
+
+function fillAttrs(color) {
+    return color.a < 1
+        ? `fill="${rgb(color)}" fill-opacity="${num(color.a)}"`
+        : `fill="${rgb(color)}"`;
+}
+
+function rgb(color) {
+    return `rgb(${color.r},${color.g},${color.b})`;
+}
+
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
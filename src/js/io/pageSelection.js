@@ -0,0 +1,117 @@
+/**
+ * Page Selection
+ * Resolves which pages an export covers: all pages, the current page, a typed range
+ * like "1-3, 7, 10-12", or the pages selected in the sidebar.
+ */
+
+export const PAGE_SCOPES = ['all', 'current', 'range', 'selected'];
+
+/**
+ * Thrown when a typed page range can't be resolved; the message is user-facing.
+ */
+export class PageRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PageRangeError';
+    }
+}
+
+/**
+ * Parses a human page range into sorted, de-duplicated 0-based page indices.
+ * Accepts comma or semicolon separated page numbers and ranges ("1-3, 7, 10-12").
+ * Open ranges ("5-", "-3") run to the last/first page.
+ * @param {string} text
+ * @param {number} pageCount
+ * @returns {number[]}
+ * @throws {PageRangeError}
+ */
+export function parsePageRange(text, pageCount) {
+    const parts = String(text ?? '').split(/[,;]/).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) {
+        throw new PageRangeError('Enter the pages to export, e.g. 1-3, 7, 10-12.');
+    }
+
+    const indices = new Set();
+
+    parts.forEach(part => {
+        const match = part.match(/^(\d*)\s*[-–]\s*(\d*)$/);
+        let start;
+        let end;
+
+        if (/^\d+$/.test(part)) {
+            start = end = parseInt(part, 10);
+        } else if (match && (match[1] || match[2])) {
+            start = match[1] ? parseInt(match[1], 10) : 1;
+            end = match[2] ? parseInt(match[2], 10) : pageCount;
+        } else {
+            throw new PageRangeError(`"${part}" is not a valid page or range.`);
+        }
+
+        if (start > end) {
+            throw new PageRangeError(`"${part}" runs backwards. Use ${end}-${start} instead.`);
+        }
+        if (start < 1 || end > pageCount) {
+            throw new PageRangeError(`"${part}" is outside the document (pages 1-${pageCount}).`);
+        }
+
+        for (let page = start; page <= end; page++) {
+            indices.add(page - 1);
+        }
+    });
+
+    return [...indices].sort((a, b) => a - b);
+}
+
+/**
+ * Resolves an export scope to 0-based page indices in document order.
+ * @param {string} scope One of PAGE_SCOPES
+ * @param {Object} context
+ * @param {number} context.pageCount
+ * @param {number} context.currentPageIndex
+ * @param {string} [context.rangeText] Used by the 'range' scope
+ * @param {Iterable<number>} [context.selectedIndices] Used by the 'selected' scope
+ * @returns {number[]}
+ * @throws {PageRangeError}
+ */
+export function resolvePageIndices(scope, { pageCount, currentPageIndex, rangeText = '', selectedIndices = [] }) {
+    switch (scope) {
+        case 'current':
+            return [currentPageIndex];
+        case 'range':
+            return parsePageRange(rangeText, pageCount);
+        case 'selected': {
+            const indices = [...new Set(selectedIndices)]
+                .filter(index => index >= 0 && index < pageCount)
+                .sort((a, b) => a - b);
+            if (indices.length === 0) {
+                throw new PageRangeError('No pages are selected. Ctrl/Cmd-click or Shift-click pages in the sidebar to select them.');
+            }
+            return indices;
+        }
+        default:
+            return Array.from({ length: pageCount }, (_, index) => index);
+    }
+}
+
+/**
+ * Maps an original 1-based page number to its position in the exported subset.
+ * @param {number[]} pageIndices Exported 0-based indices, in output order
+ * @param {number} pageNumber Original 1-based page number
+ * @returns {number|null} 1-based page number in the output, or null when not exported
+ */
+export function remapPageNumber(pageIndices, pageNumber) {
+    const position = pageIndices.indexOf(pageNumber - 1);
+    return position === -1 ? null : position + 1;
+}
+
+/**
+ * Maps an original 1-based page number to the output page holding it, when output pages
+ * can carry several pages (spreads).
+ * @param {number[][]} units Exported 0-based indices per output page, in output order
+ * @param {number} pageNumber Original 1-based page number
+ * @returns {number|null} 1-based output page number, or null when not exported
+ */
+export function remapPageNumberToUnit(units, pageNumber) {
+    const position = units.findIndex(unit => unit.includes(pageNumber - 1));
+    return position === -1 ? null : position + 1;
+}
@@ -0,0 +1,320 @@
+import { STORAGE_PREFIX } from '../core/utils.js';
+import { buildFlipbookFiles } from './internal/flipbookTemplate.js';
+
+/**
+ * Flipbook Publishers
+ * A publisher takes rendered pages and returns where the flipbook can be viewed.
+ * Every implementation exposes the same surface:
+ *   - `name` / `label`
+ *   - `prepare()` -> Promise<Object> options for publish(), asked right in the Publish click
+ *     since pickers need the click (user activation) that started publishing
+ *   - `publish(pages, links, bookmarks, meta, options)` -> Promise<string> URL (or location) of the result
+ * where `pages` are `{imageData, width, height}` (JPEG data URLs), `links` holds one array of
+ * link hotspots per page, `bookmarks` are `{title, page}`, `meta` is `{title}` and `options`
+ * is what prepare() returned plus `{signal}`: aborting the signal stops the upload with a
+ * PublishCancelledError.
+ */
+
+const LOJKINE_ENDPOINT = 'https://content.lojkine.art/api/flipbook';
+const REQUEST_TIMEOUT_MS = 30000;
+const PUBLISHER_CONFIG_KEY = `${STORAGE_PREFIX}publisher`;
+
+/**
+ * Default publisher configuration. Kept in localStorage rather than in the layout file
+ * because it can hold credentials.
+ */
+const defaultPublisherConfig = {
+    type: 'lojkine', // 'lojkine' | 'http' | 'folder'
+    url: '',
+    authHeader: 'Authorization',
+    authToken: ''
+};
+
+/**
+ * Base class documenting the publisher contract.
+ */
+export class Publisher {
+    get name() {
+        return 'base';
+    }
+
+    get label() {
+        return this.name;
+    }
+
+    /**
+     * Runs before the pages are rendered, while the Publish click still counts as user activation.
+     * @returns {Promise<Object>} Options for publish()
+     */
+    async prepare() {
+        return {};
+    }
+
+    /**
+     * @param {Array<{imageData: string, width: number, height: number}>} _pages
+     * @param {Array<Array<Object>>} _links
+     * @param {Array<{title: string, page: number}>} _bookmarks
+     * @param {{title: string}} _meta
+     * @param {{signal?: AbortSignal}} [_options] What prepare() returned, plus the signal
+     * @returns {Promise<string>}
+     */
+    async publish(_pages, _links, _bookmarks, _meta, _options = {}) {
+        throw new Error(`Publisher "${this.name}" does not implement publish()`);
+    }
+}
+
+/**
+ * Hosted flipbook service (JSON upload).
+ */
+export class LojkinePublisher extends Publisher {
+    constructor(endpoint = LOJKINE_ENDPOINT) {
+        super();
+        this.endpoint = endpoint;
+    }
+
+    get name() {
+        return 'lojkine';
+    }
+
+    get label() {
+        return 'Lojkine Flipbook';
+    }
+
+    async publish(pages, links, bookmarks, meta, { signal } = {}) {
+        const response = await fetchWithTimeout(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: meta.title,
+                pages: pages.map((page, i) => ({ ...page, links: links[i] || [] })),
+                bookmarks: bookmarks
+            })
+        }, signal);
+        return readUrlFromResponse(response);
+    }
+}
+
+/**
+ * Self-hosted endpoint: multipart POST with page images as files and JSON fields.
+ * Expected response: JSON `{ "url": "..." }`.
+ */
+export class HttpPublisher extends Publisher {
+    /**
+     * @param {{url: string, authHeader?: string, authToken?: string}} options
+     */
+    constructor({ url, authHeader = 'Authorization', authToken = '' }) {
+        super();
+        this.url = url;
+        this.authHeader = authHeader;
+        this.authToken = authToken;
+    }
+
+    get name() {
+        return 'http';
+    }
+
+    get label() {
+        try {
+            return new URL(this.url).host;
+        } catch {
+            return 'custom endpoint';
+        }
+    }
+
+    async publish(pages, links, bookmarks, meta, { signal } = {}) {
+        if (!this.url) {
+            throw new Error('No publishing URL configured. Set one in Settings > Publishing.');
+        }
+
+        const form = new FormData();
+        form.append('title', meta.title);
+        form.append('bookmarks', JSON.stringify(bookmarks));
+        form.append('links', JSON.stringify(links));
+        form.append('pageSizes', JSON.stringify(pages.map(p => ({ width: p.width, height: p.height }))));
+        pages.forEach((page, i) => {
+            form.append('pages', dataUrlToBlob(page.imageData), `page-${i + 1}.jpg`);
+        });
+
+        const headers = {};
+        if (this.authHeader && this.authToken) {
+            headers[this.authHeader] = this.authToken;
+        }
+
+        const response = await fetchWithTimeout(this.url, { method: 'POST', headers, body: form }, signal);
+        return readUrlFromResponse(response);
+    }
+}
+
+/**
+ * Writes an offline flipbook (same files as the HTML flipbook export) into a folder.
+ * Uses the desktop app's native folder dialog, or the File System Access API in browsers.
+ */
+export class LocalFolderPublisher extends Publisher {
+    get name() {
+        return 'folder';
+    }
+
+    get label() {
+        return 'local folder';
+    }
+
+    /**
+     * Browsers only show the folder picker during a click, so the folder is chosen before
+     * rendering. The desktop app asks for it at the end with its native dialog.
+     * @returns {Promise<{dirHandle?: FileSystemDirectoryHandle}>}
+     */
+    async prepare() {
+        if (window.electronAPI?.writeFolder) return {};
+
+        if (typeof window.showDirectoryPicker !== 'function') {
+            throw new Error('Writing to a local folder is not supported in this browser.');
+        }
+
+        try {
+            return { dirHandle: await window.showDirectoryPicker({ mode: 'readwrite' }) };
+        } catch (e) {
+            if (e.name === 'AbortError') throw new PublishCancelledError();
+            throw e;
+        }
+    }
+
+    async publish(pages, links, bookmarks, meta, { signal, dirHandle } = {}) {
+        const files = buildFlipbookFiles(pages, links, bookmarks, meta);
+
+        if (window.electronAPI?.writeFolder) {
+            const url = await window.electronAPI.writeFolder(files);
+            if (!url) throw new PublishCancelledError();
+            return url;
+        }
+
+        if (!dirHandle) {
+            throw new Error('No folder was chosen to publish to.');
+        }
+
+        for (const file of files) {
+            if (signal?.aborted) throw new PublishCancelledError();
+            const parts = file.path.split('/');
+            let dir = dirHandle;
+            for (const part of parts.slice(0, -1)) {
+                dir = await dir.getDirectoryHandle(part, { create: true });
+            }
+            const handle = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(file.base64 ? base64ToBlob(file.data, 'image/jpeg') : file.data);
+            await writable.close();
+        }
+
+        // Browsers do not expose absolute paths, report the folder instead
+        return `${dirHandle.name}/index.html`;
+    }
+}
+
+/**
+ * Raised when the user dismisses a folder picker; callers treat it as a silent abort.
+ */
+export class PublishCancelledError extends Error {
+    constructor() {
+        super('Publishing cancelled');
+        this.name = 'PublishCancelledError';
+    }
+}
+
+/**
+ * Read the stored publisher configuration
+ * @returns {{type: string, url: string, authHeader: string, authToken: string}}
+ */
+export function getPublisherConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PUBLISHER_CONFIG_KEY) || '{}');
+        return { ...defaultPublisherConfig, ...saved };
+    } catch {
+        return { ...defaultPublisherConfig };
+    }
+}
+
+/**
+ * Persist part of the publisher configuration
+ * @param {object} changes
+ */
+export function savePublisherConfig(changes) {
+    const config = { ...getPublisherConfig(), ...changes };
+    localStorage.setItem(PUBLISHER_CONFIG_KEY, JSON.stringify(config));
+    return config;
+}
+
+/**
+ * Instantiate the publisher described by a configuration
+ * @param {object} [config]
+ * @returns {Publisher}
+ */
+export function createPublisher(config = getPublisherConfig()) {
+    switch (config.type) {
+        case 'http':
+            return new HttpPublisher(config);
+        case 'folder':
+            return new LocalFolderPublisher();
+        case 'lojkine':
+        default:
+            return new LojkinePublisher();
+    }
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {AbortSignal} [signal] Cancels the request on top of the timeout
+ */
+async function fetchWithTimeout(url, options, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+    if (signal?.aborted) cancel();
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (fetchError) {
+        if (signal?.aborted) throw new PublishCancelledError();
+        if (fetchError.name === 'AbortError') {
+            throw new Error('Request timed out. Please check your connection and try again.');
+        }
+        throw new Error('Network error. Please check your internet connection.');
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+async function readUrlFromResponse(response) {
+    if (!response.ok) {
+        let errorMessage = 'Failed to publish flipbook';
+        try {
+            const error = await response.json();
+            errorMessage = error.error || errorMessage;
+        } catch {
+            // Response wasn't JSON
+        }
+        throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    if (!result.url) {
+        throw new Error('The server did not return a flipbook URL.');
+    }
+    return result.url;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mime = header.substring(5, header.indexOf(';'));
+    return base64ToBlob(data, mime);
+}
+
+function base64ToBlob(base64, mime) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mime });
+}
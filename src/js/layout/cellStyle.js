@@ -0,0 +1,290 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { A4_PAPER_ID } from '../core/constants.js';
+import { saveState } from '../io/history.js';
+import { renderLayout } from './renderer.js';
+import { findNodeById } from './layout.js';
+import { getFlowHead } from './textFlow.js';
+import { getCellStyle, normalizeCellStyle } from './internal/cellStyleUtils.js';
+import { getFlowChains, getFlowTargets } from './internal/textFlowUtils.js';
+import { DEFAULT_TEXT_FIT, normalizeTextFit } from './internal/textFitUtils.js';
+
+/**
+ * Cell Style Inspector
+ * Floating panel editing the name, background, padding, corners, border and text position of
+ * the last focused cell. Changes apply live; a slider drag or color pick is one undo step.
+ * The name is what [[wiki-links]] point at (see wikiLinkUtils.js) and isn't part of the style,
+ * neither is the cell its text continues in nor fitting its text to the cell (see textFlow.js).
+ */
+
+const SLIDERS = [
+    { id: 'cell-style-padding', key: 'padding' },
+    { id: 'cell-style-radius', key: 'radius' },
+    { id: 'cell-style-border-width', key: 'borderWidth' }
+];
+
+/** Cell the inspector edits, null until a cell is focused */
+let targetId = null;
+/** Set once a continuous edit (slider drag, color pick) has saved its undo step */
+let editInProgress = false;
+
+function getTargetNode() {
+    if (!targetId) return null;
+    const node = findNodeById(getCurrentPage(), targetId);
+    return node && node.splitState !== 'split' ? node : null;
+}
+
+/**
+ * @param {(style: Object) => void} mutate Edits a full copy of the cell style
+ * @param {boolean} [continuous] Part of a drag: only the first change saves an undo step
+ */
+function updateStyle(mutate, continuous = false) {
+    const node = getTargetNode();
+    if (!node) return;
+
+    if (!continuous || !editInProgress) saveState();
+    editInProgress = continuous;
+
+    const style = getCellStyle(node);
+    mutate(style);
+    const normalized = normalizeCellStyle(style);
+    if (normalized) {
+        node.cellStyle = normalized;
+    } else {
+        delete node.cellStyle;
+    }
+
+    // Redraw without taking focus away from the panel
+    renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
+function markTarget() {
+    document.querySelectorAll('.is-style-target').forEach(el => el.classList.remove('is-style-target'));
+    const panel = document.getElementById('cell-style-panel');
+    if (targetId && panel && !panel.hidden) {
+        document.getElementById(targetId)?.classList.add('is-style-target');
+    }
+}
+
+/**
+ * Lists the empty cells the text of the target can continue in. Only text cells and cells
+ * already continuing a text can link on.
+ * @param {Object} node
+ */
+function syncFlowTargets(node) {
+    const select = document.getElementById('cell-flow-to');
+    if (!select || document.activeElement === select) return;
+
+    select.innerHTML = '';
+    select.appendChild(new Option('Nowhere', ''));
+    select.disabled = typeof node.text !== 'string' && !getFlowHead(node.id);
+    if (select.disabled) return;
+
+    const groups = new Map();
+    getFlowTargets(state.pages, state.currentPageIndex, node.id).forEach(target => {
+        if (!groups.has(target.pageIndex)) {
+            const group = document.createElement('optgroup');
+            group.label = target.pageIndex === state.currentPageIndex ? 'This page' : `Page ${target.pageIndex + 1}`;
+            groups.set(target.pageIndex, group);
+            select.appendChild(group);
+        }
+        groups.get(target.pageIndex).appendChild(new Option(target.label, target.nodeId));
+    });
+
+    select.value = node.flowTo || '';
+    // The linked cell got content of its own: the link no longer does anything
+    if (select.selectedIndex === -1) select.value = '';
+}
+
+/**
+ * Fitting applies to text cells outside of chains: a chain moves text on instead.
+ * @param {Object} node
+ */
+function syncTextFit(node) {
+    const toggle = document.getElementById('cell-text-fit');
+    const min = document.getElementById('cell-text-fit-min');
+    const max = document.getElementById('cell-text-fit-max');
+    if (!toggle || !min || !max) return;
+
+    const inChain = getFlowChains(state.pages).some(chain => chain.some(cell => cell.nodeId === node.id));
+    const bounds = normalizeTextFit(node.textFit);
+    toggle.disabled = typeof node.text !== 'string' || inChain;
+    toggle.checked = !!bounds && !toggle.disabled;
+    min.disabled = max.disabled = !toggle.checked;
+    if (document.activeElement !== min) min.value = (bounds || DEFAULT_TEXT_FIT).min;
+    if (document.activeElement !== max) max.value = (bounds || DEFAULT_TEXT_FIT).max;
+}
+
+function syncControls() {
+    const node = getTargetNode();
+    const fields = document.getElementById('cell-style-fields');
+    const target = document.getElementById('cell-style-target');
+    if (fields) fields.disabled = !node;
+    if (target) target.textContent = node ? 'Editing the highlighted cell' : 'Select a cell on the page';
+    markTarget();
+    if (!node) return;
+
+    const nameInput = document.getElementById('cell-name');
+    if (nameInput && document.activeElement !== nameInput) nameInput.value = node.name || '';
+    syncFlowTargets(node);
+    syncTextFit(node);
+
+    const style = getCellStyle(node);
+    const fillEnabled = document.getElementById('cell-style-fill-enabled');
+    const fill = document.getElementById('cell-style-fill');
+    if (fillEnabled) fillEnabled.checked = !!style.background;
+    if (fill && style.background) fill.value = style.background;
+
+    SLIDERS.forEach(({ id, key }) => {
+        const input = document.getElementById(id);
+        const label = document.getElementById(`${id}-value`);
+        if (input) input.value = style[key];
+        if (label) label.textContent = String(style[key]);
+    });
+
+    const borderColor = document.getElementById('cell-style-border-color');
+    if (borderColor) borderColor.value = style.borderColor;
+
+    document.querySelectorAll('#cell-style-panel [data-valign]').forEach(btn => {
+        btn.setAttribute('aria-pressed', btn.dataset.valign === style.verticalAlign ? 'true' : 'false');
+    });
+}
+
+export function setupCellStyleHandlers() {
+    const openBtn = document.getElementById('cell-style-btn');
+    const panel = document.getElementById('cell-style-panel');
+    if (!openBtn || !panel) return;
+
+    const setOpen = (open) => {
+        panel.hidden = !open;
+        openBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+        editInProgress = false;
+        syncControls();
+    };
+
+    openBtn.addEventListener('click', () => setOpen(panel.hidden));
+    document.getElementById('close-cell-style')?.addEventListener('click', () => setOpen(false));
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            setOpen(false);
+            document.getElementById(targetId)?.focus();
+        }
+    });
+
+    // Follow the focused cell of the edited page
+    document.addEventListener('focusin', (e) => {
+        const rect = e.target.closest?.(`#${A4_PAPER_ID} .splittable-rect[data-split-state="unsplit"]`);
+        if (!rect || rect.id === targetId) return;
+        targetId = rect.id;
+        editInProgress = false;
+        if (!panel.hidden) syncControls();
+    });
+
+    const nameInput = document.getElementById('cell-name');
+    nameInput?.addEventListener('change', () => {
+        const node = getTargetNode();
+        const name = nameInput.value.trim().replace(/\s+/g, ' ');
+        if (!node || name === (node.name || '')) return;
+
+        saveState();
+        if (name) {
+            node.name = name;
+        } else {
+            delete node.name;
+        }
+        // Links elsewhere on the page may resolve differently now
+        renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+        document.dispatchEvent(new CustomEvent('layoutUpdated'));
+    });
+
+    const flowSelect = document.getElementById('cell-flow-to');
+    flowSelect?.addEventListener('change', () => {
+        const node = getTargetNode();
+        if (!node || flowSelect.value === (node.flowTo || '')) return;
+
+        saveState();
+        if (flowSelect.value) {
+            node.flowTo = flowSelect.value;
+        } else {
+            delete node.flowTo;
+        }
+        renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+        document.dispatchEvent(new CustomEvent('layoutUpdated'));
+    });
+
+    const fitToggle = document.getElementById('cell-text-fit');
+    const fitMin = document.getElementById('cell-text-fit-min');
+    const fitMax = document.getElementById('cell-text-fit-max');
+    const updateTextFit = () => {
+        const node = getTargetNode();
+        if (!node) return;
+        const textFit = fitToggle.checked
+            ? normalizeTextFit({ min: fitMin.value, max: fitMax.value }) || DEFAULT_TEXT_FIT
+            : null;
+        if (JSON.stringify(textFit) === JSON.stringify(normalizeTextFit(node.textFit))) {
+            syncTextFit(node);
+            return;
+        }
+
+        saveState();
+        if (textFit) {
+            node.textFit = textFit;
+        } else {
+            delete node.textFit;
+        }
+        renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+        document.dispatchEvent(new CustomEvent('layoutUpdated'));
+    };
+    [fitToggle, fitMin, fitMax].forEach(input => input?.addEventListener('change', updateTextFit));
+
+    const fillEnabled = document.getElementById('cell-style-fill-enabled');
+    const fill = document.getElementById('cell-style-fill');
+    fillEnabled?.addEventListener('change', () => updateStyle(style => {
+        style.background = fillEnabled.checked ? fill.value : null;
+    }));
+    fill?.addEventListener('input', () => updateStyle(style => {
+        style.background = fill.value;
+    }, true));
+    fill?.addEventListener('change', () => {
+        editInProgress = false;
+    });
+
+    SLIDERS.forEach(({ id, key }) => {
+        const input = document.getElementById(id);
+        input?.addEventListener('input', () => updateStyle(style => {
+            style[key] = Number(input.value);
+        }, true));
+        input?.addEventListener('change', () => {
+            editInProgress = false;
+        });
+    });
+
+    const borderColor = document.getElementById('cell-style-border-color');
+    borderColor?.addEventListener('input', () => updateStyle(style => {
+        style.borderColor = borderColor.value;
+    }, true));
+    borderColor?.addEventListener('change', () => {
+        editInProgress = false;
+    });
+
+    panel.querySelectorAll('[data-valign]').forEach(btn => {
+        btn.addEventListener('click', () => updateStyle(style => {
+            style.verticalAlign = btn.dataset.valign;
+        }));
+    });
+
+    // Cleared values fall back to the defaults when normalized
+    document.getElementById('reset-cell-style')?.addEventListener('click', () => updateStyle(style => {
+        Object.keys(style).forEach(key => {
+            style[key] = null;
+        });
+    }));
+
+    // Re-renders, undo/redo and page switches
+    const refresh = () => {
+        if (!panel.hidden) syncControls();
+    };
+    document.addEventListener('layoutUpdated', refresh);
+    document.addEventListener('stateRestored', refresh);
+}
@@ -0,0 +1,172 @@
+import { getCurrentPage } from '../../core/state.js';
+import { A4_PAPER_ID } from '../../core/constants.js';
+import { saveState } from '../../io/history.js';
+import { renderLayout } from '../renderer.js';
+import { findNodeById } from './treeUtils.js';
+import { getImageAdjustments } from './adjustUtils.js';
+
+/**
+ * Image Adjustments Panel
+ * Floating panel editing the rotation, vertical flip and color adjustments of one slot's
+ * image. Changes are applied live; a slider drag or color pick is one undo step.
+ */
+
+const SLIDERS = ['brightness', 'contrast', 'saturation'];
+
+/** Slot whose image is being adjusted, null when the panel is closed */
+let activeNodeId = null;
+let isBound = false;
+/** Set once a continuous edit (slider drag, color pick) has saved its undo step */
+let editInProgress = false;
+
+/**
+ * Opens the panel for a slot's image.
+ * @param {string} nodeId
+ */
+export function openAdjustPanel(nodeId) {
+    const panel = document.getElementById('adjust-panel');
+    if (!panel) return;
+
+    bindPanel(panel);
+    activeNodeId = nodeId;
+    syncControls();
+    panel.hidden = false;
+    document.getElementById('adjust-rotate-right')?.focus();
+}
+
+export function closeAdjustPanel() {
+    const panel = document.getElementById('adjust-panel');
+    if (!panel || !activeNodeId) return;
+
+    const nodeId = activeNodeId;
+    activeNodeId = null;
+    editInProgress = false;
+    panel.hidden = true;
+
+    // Hand focus back to the slot when it was inside the panel
+    if (panel.contains(document.activeElement)) {
+        document.getElementById(nodeId)?.focus();
+    }
+}
+
+function getActiveImage() {
+    if (!activeNodeId) return null;
+    return findNodeById(getCurrentPage(), activeNodeId)?.image || null;
+}
+
+/**
+ * Redraws the page without moving focus out of the panel.
+ */
+function refreshPage() {
+    renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
+/**
+ * @param {(image: Object) => void} mutate
+ * @param {boolean} [continuous] Part of a drag: only the first change saves an undo step
+ */
+function updateImage(mutate, continuous = false) {
+    const image = getActiveImage();
+    if (!image) return;
+
+    if (!continuous || !editInProgress) saveState();
+    editInProgress = continuous;
+    mutate(image);
+    refreshPage();
+    syncControls();
+}
+
+function setAdjust(key, value, continuous = false) {
+    updateImage(image => {
+        image.adjust = { ...image.adjust, [key]: value };
+    }, continuous);
+}
+
+function syncControls() {
+    const image = getActiveImage();
+    if (!image) return;
+
+    const adjustments = getImageAdjustments(image);
+    SLIDERS.forEach(key => {
+        const input = document.getElementById(`adjust-${key}`);
+        const label = document.getElementById(`adjust-${key}-value`);
+        if (input) input.value = adjustments[key];
+        if (label) label.textContent = `${adjustments[key]}%`;
+    });
+
+    const tone = document.getElementById('adjust-tone');
+    if (tone) tone.value = adjustments.tone;
+
+    const duotoneRow = document.getElementById('adjust-duotone-row');
+    if (duotoneRow) duotoneRow.hidden = adjustments.tone !== 'duotone';
+    const dark = document.getElementById('adjust-duotone-dark');
+    const light = document.getElementById('adjust-duotone-light');
+    if (dark) dark.value = adjustments.duotoneDark;
+    if (light) light.value = adjustments.duotoneLight;
+
+    const flipV = document.getElementById('adjust-flip-v');
+    if (flipV) {
+        flipV.setAttribute('aria-pressed', adjustments.flipV ? 'true' : 'false');
+        flipV.classList.toggle('active', adjustments.flipV);
+    }
+}
+
+function bindPanel(panel) {
+    if (isBound) return;
+    isBound = true;
+
+    const rotate = (delta) => updateImage(image => {
+        image.rotation = (getImageAdjustments(image).rotation + delta + 360) % 360;
+    });
+    document.getElementById('adjust-rotate-left')?.addEventListener('click', () => rotate(-90));
+    document.getElementById('adjust-rotate-right')?.addEventListener('click', () => rotate(90));
+    document.getElementById('adjust-flip-v')?.addEventListener('click', () => updateImage(image => {
+        image.flipV = !image.flipV;
+    }));
+
+    SLIDERS.forEach(key => {
+        const input = document.getElementById(`adjust-${key}`);
+        input?.addEventListener('input', () => setAdjust(key, Number(input.value), true));
+        input?.addEventListener('change', () => {
+            editInProgress = false;
+        });
+    });
+
+    document.getElementById('adjust-tone')?.addEventListener('change', (e) => setAdjust('tone', e.target.value));
+
+    [['adjust-duotone-dark', 'duotoneDark'], ['adjust-duotone-light', 'duotoneLight']].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        input?.addEventListener('input', () => setAdjust(key, input.value, true));
+        input?.addEventListener('change', () => {
+            editInProgress = false;
+        });
+    });
+
+    document.getElementById('reset-adjustments')?.addEventListener('click', () => updateImage(image => {
+        delete image.rotation;
+        delete image.flipV;
+        delete image.adjust;
+    }));
+
+    document.getElementById('close-adjust-panel')?.addEventListener('click', closeAdjustPanel);
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeAdjustPanel();
+        }
+    });
+
+    // Undo/redo, page switches or removing the image
+    const onExternalChange = () => {
+        if (!activeNodeId) return;
+        if (getActiveImage()) {
+            syncControls();
+        } else {
+            closeAdjustPanel();
+        }
+    };
+    document.addEventListener('layoutUpdated', onExternalChange);
+    document.addEventListener('stateRestored', onExternalChange);
+}
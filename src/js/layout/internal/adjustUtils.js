@@ -0,0 +1,158 @@
+/**
+ * Image Adjustment Utilities
+ * Pure helpers for the non-destructive adjustments stored on `node.image`:
+ * - rotation: quarter turns clockwise, 0 | 90 | 180 | 270 (default 0)
+ * - flipV: mirrored top to bottom (horizontal flipping stays on `flip`)
+ * - adjust: { brightness, contrast, saturation } in percent (default 100),
+ *   plus `tone` ('none' | 'grayscale' | 'sepia' | 'duotone') and the duotone colors
+ *
+ * Adjustments are baked into pixels (see adjustedImages.js) rather than drawn with CSS
+ * filters, so the editor, thumbnails and every export show the same result. The rotated
+ * bitmap is the image everything else sees: crop focus and fit apply to it.
+ */
+
+export const TONES = ['none', 'grayscale', 'sepia', 'duotone'];
+
+export const ADJUST_RANGE = { min: 0, max: 200 };
+
+export const DEFAULT_DUOTONE = { dark: '#1e3a8a', light: '#fde68a' };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const clampPercent = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(ADJUST_RANGE.max, Math.max(ADJUST_RANGE.min, Math.round(n))) : 100;
+};
+
+/**
+ * Adjustments of an image, with defaults for images placed before adjustments existed.
+ * @param {Object} image node.image
+ * @returns {{rotation: number, flipV: boolean, brightness: number, contrast: number, saturation: number, tone: string, duotoneDark: string, duotoneLight: string}}
+ */
+export function getImageAdjustments(image) {
+    const adjust = image?.adjust || {};
+    const rotation = ((Math.round(Number(image?.rotation) / 90) || 0) % 4 + 4) % 4 * 90;
+    return {
+        rotation,
+        flipV: !!image?.flipV,
+        brightness: clampPercent(adjust.brightness),
+        contrast: clampPercent(adjust.contrast),
+        saturation: clampPercent(adjust.saturation),
+        tone: TONES.includes(adjust.tone) ? adjust.tone : 'none',
+        duotoneDark: HEX_COLOR.test(adjust.duotoneDark) ? adjust.duotoneDark : DEFAULT_DUOTONE.dark,
+        duotoneLight: HEX_COLOR.test(adjust.duotoneLight) ? adjust.duotoneLight : DEFAULT_DUOTONE.light
+    };
+}
+
+/**
+ * @param {ReturnType<typeof getImageAdjustments>} adjustments
+ * @returns {boolean} Whether any pixel values change (as opposed to only rotating / flipping)
+ */
+export function hasPixelAdjustments(adjustments) {
+    return adjustments.brightness !== 100
+        || adjustments.contrast !== 100
+        || adjustments.saturation !== 100
+        || adjustments.tone !== 'none';
+}
+
+/**
+ * @param {Object} image node.image
+ * @returns {boolean} Whether the image differs from its asset
+ */
+export function hasAdjustments(image) {
+    const adjustments = getImageAdjustments(image);
+    return adjustments.rotation !== 0 || adjustments.flipV || hasPixelAdjustments(adjustments);
+}
+
+/**
+ * Stable key for caching the baked image; empty when there is nothing to bake.
+ * @param {Object} image node.image
+ * @returns {string}
+ */
+export function getAdjustmentKey(image) {
+    if (!hasAdjustments(image)) return '';
+    const a = getImageAdjustments(image);
+    const tone = a.tone === 'duotone' ? `duotone:${a.duotoneDark}:${a.duotoneLight}` : a.tone;
+    return [a.rotation, a.flipV ? 'v' : '', a.brightness, a.contrast, a.saturation, tone].join('|');
+}
+
+/**
+ * Size of the bitmap after rotation.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rotation Degrees, a multiple of 90
+ * @returns {{width: number, height: number}}
+ */
+export function getRotatedSize(width, height, rotation) {
+    return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Applies brightness, contrast, saturation and tone to RGBA pixels in place, in that order.
+ * Alpha is left untouched.
+ * @param {Uint8ClampedArray} data ImageData.data
+ * @param {ReturnType<typeof getImageAdjustments>} adjustments
+ */
+export function adjustPixels(data, adjustments) {
+    const brightness = adjustments.brightness / 100;
+    const contrast = adjustments.contrast / 100;
+    const saturation = adjustments.saturation / 100;
+    const { tone } = adjustments;
+    const dark = parseHex(adjustments.duotoneDark);
+    const light = parseHex(adjustments.duotoneLight);
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = data[i];
+        let g = data[i + 1];
+        let b = data[i + 2];
+
+        // Brightness and contrast, clamped between steps like a filter chain
+        r = clamp255((clamp255(r * brightness) - 128) * contrast + 128);
+        g = clamp255((clamp255(g * brightness) - 128) * contrast + 128);
+        b = clamp255((clamp255(b * brightness) - 128) * contrast + 128);
+
+        if (saturation !== 1) {
+            const lum = luminance(r, g, b);
+            r = clamp255(lum + (r - lum) * saturation);
+            g = clamp255(lum + (g - lum) * saturation);
+            b = clamp255(lum + (b - lum) * saturation);
+        }
+
+        if (tone === 'grayscale') {
+            r = g = b = luminance(r, g, b);
+        } else if (tone === 'sepia') {
+            const sr = 0.393 * r + 0.769 * g + 0.189 * b;
+            const sg = 0.349 * r + 0.686 * g + 0.168 * b;
+            const sb = 0.272 * r + 0.534 * g + 0.131 * b;
+            r = sr;
+            g = sg;
+            b = sb;
+        } else if (tone === 'duotone') {
+            // Shadows take the dark color, highlights the light one
+            const t = luminance(r, g, b) / 255;
+            r = dark.r + (light.r - dark.r) * t;
+            g = dark.g + (light.g - dark.g) * t;
+            b = dark.b + (light.b - dark.b) * t;
+        }
+
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+}
+
+function luminance(r, g, b) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function clamp255(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+function parseHex(hex) {
+    return {
+        r: parseInt(hex.substring(1, 3), 16),
+        g: parseInt(hex.substring(3, 5), 16),
+        b: parseInt(hex.substring(5, 7), 16)
+    };
+}
@@ -0,0 +1,158 @@
+/**
+ * Auto Layout
+ * Builds a guillotine split tree for a set of images so that each cell's shape is
+ * close to its image's aspect ratio, which keeps `fit: 'cover'` crops small.
+ *
+ * A binary tree of images has a natural aspect ratio: side by side at equal height the
+ * widths add up (a = a1 + a2), stacked at equal width the inverse ratios add up
+ * (1/a = 1/a1 + 1/a2). Within a tree laid out at its natural ratio every cell matches its
+ * image exactly, so the best tree is the one whose natural ratio is closest to the page.
+ * Images keep their order; divider thickness is ignored.
+ */
+
+/** Candidate trees kept per image range: one per aspect-ratio bucket */
+const BUCKETS_PER_UNIT = 20;
+
+/** Weight of the smallest-cell penalty against the aspect-ratio mismatch */
+const SMALL_CELL_WEIGHT = 0.3;
+
+/**
+ * Splits items into pages of at most `perPage`, spreading any remainder so the last page
+ * isn't left with a single item.
+ * @template T
+ * @param {T[]} items
+ * @param {number} perPage
+ * @returns {T[][]}
+ */
+export function chunkEvenly(items, perPage) {
+    const size = Math.max(1, Math.floor(perPage));
+    const pageCount = Math.ceil(items.length / size);
+    const chunks = [];
+    let start = 0;
+    for (let i = 0; i < pageCount; i++) {
+        const count = Math.ceil((items.length - start) / (pageCount - i));
+        chunks.push(items.slice(start, start + count));
+        start += count;
+    }
+    return chunks;
+}
+
+/**
+ * Builds a page layout (without ids, like a template) for the images.
+ * @param {Array<{assetId: string, ratio: number}>} images Width / height of each image, in order
+ * @param {number} targetRatio Width / height of the area to fill
+ * @returns {Object} Split tree; leaves carry `image: {assetId, fit: 'cover'}`
+ */
+export function buildAutoLayout(images, targetRatio) {
+    if (images.length === 0) {
+        return { splitState: 'unsplit', image: null, text: null };
+    }
+
+    const ratios = images.map(img => (Number.isFinite(img.ratio) && img.ratio > 0 ? img.ratio : 1));
+    const best = findBestTree(ratios, targetRatio);
+    return toLayout(best, images, null);
+}
+
+/**
+ * @typedef {Object} Candidate
+ * @property {number} ratio Natural aspect ratio
+ * @property {number} minArea Smallest cell, as a fraction of the tree's area
+ * @property {number} [index] Leaf: image index
+ * @property {string} [orientation] Split: 'vertical' (side by side) | 'horizontal' (stacked)
+ * @property {Candidate[]} [children]
+ */
+
+/**
+ * @param {number[]} ratios
+ * @param {number} targetRatio
+ * @returns {Candidate}
+ */
+function findBestTree(ratios, targetRatio) {
+    const n = ratios.length;
+    // memo[i][j]: candidates for images i..j-1
+    const memo = Array.from({ length: n }, () => new Array(n + 1));
+
+    const candidatesFor = (i, j) => {
+        if (memo[i][j]) return memo[i][j];
+        if (j - i === 1) {
+            memo[i][j] = [{ ratio: ratios[i], minArea: 1, index: i }];
+            return memo[i][j];
+        }
+
+        const buckets = new Map();
+        for (let k = i + 1; k < j; k++) {
+            const left = candidatesFor(i, k);
+            const right = candidatesFor(k, j);
+            for (const a of left) {
+                for (const b of right) {
+                    addCandidate(buckets, combine(a, b, 'vertical'));
+                    addCandidate(buckets, combine(a, b, 'horizontal'));
+                }
+            }
+        }
+        memo[i][j] = [...buckets.values()];
+        return memo[i][j];
+    };
+
+    const score = (c) => Math.abs(Math.log(c.ratio / targetRatio)) - SMALL_CELL_WEIGHT * Math.log(c.minArea * n);
+    return candidatesFor(0, n).reduce((best, c) => (score(c) < score(best) ? c : best));
+}
+
+function combine(a, b, orientation) {
+    if (orientation === 'vertical') {
+        const ratio = a.ratio + b.ratio;
+        const shareA = a.ratio / ratio;
+        return { ratio, orientation, children: [a, b], minArea: Math.min(a.minArea * shareA, b.minArea * (1 - shareA)) };
+    }
+    const ratio = 1 / (1 / a.ratio + 1 / b.ratio);
+    const shareA = ratio / a.ratio;
+    return { ratio, orientation, children: [a, b], minArea: Math.min(a.minArea * shareA, b.minArea * (1 - shareA)) };
+}
+
+/**
+ * Keeps one candidate per aspect-ratio bucket: the one with the largest smallest cell.
+ */
+function addCandidate(buckets, candidate) {
+    const key = Math.round(Math.log(candidate.ratio) * BUCKETS_PER_UNIT);
+    const existing = buckets.get(key);
+    if (!existing || candidate.minArea > existing.minArea) {
+        buckets.set(key, candidate);
+    }
+}
+
+/**
+ * Converts a candidate into split nodes, merging nested splits of the same orientation
+ * into one N-ary split.
+ * @param {Candidate} candidate
+ * @param {Array<{assetId: string}>} images
+ * @param {number|null} share Percent of the parent, null for the root
+ * @returns {Object}
+ */
+function toLayout(candidate, images, share) {
+    const size = share !== null ? { size: `${share}%` } : {};
+    if (candidate.index !== undefined) {
+        return {
+            splitState: 'unsplit',
+            ...size,
+            image: { assetId: images[candidate.index].assetId, fit: 'cover' },
+            text: null
+        };
+    }
+
+    const parts = flattenSameOrientation(candidate, candidate.orientation);
+    // Side by side, cells share the width by ratio; stacked, the height by inverse ratio
+    const weight = (c) => (candidate.orientation === 'vertical' ? c.ratio : 1 / c.ratio);
+    const total = parts.reduce((sum, c) => sum + weight(c), 0);
+
+    return {
+        splitState: 'split',
+        orientation: candidate.orientation,
+        ...size,
+        children: parts.map(c => toLayout(c, images, (weight(c) / total) * 100))
+    };
+}
+
+function flattenSameOrientation(candidate, orientation) {
+    if (candidate.orientation !== orientation) return [candidate];
+    return candidate.children.flatMap(child => flattenSameOrientation(child, orientation));
+}
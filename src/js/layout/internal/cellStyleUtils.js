@@ -0,0 +1,83 @@
+/**
+ * Cell Style Utilities
+ * Pure helpers for the optional per-cell look stored on a leaf as `node.cellStyle`:
+ * - background: fill color ('#rrggbb'), none when absent
+ * - padding, radius, borderWidth: thousandths of the page size, like margins and dividers
+ * - borderColor: '#rrggbb'
+ * - verticalAlign: where text sits, 'top' | 'middle' | 'bottom'
+ * Only values that differ from the default are stored.
+ */
+
+export const VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+
+/** Allowed ranges, in thousandths of the page size */
+export const CELL_STYLE_RANGES = {
+    padding: { min: 0, max: 100 },
+    radius: { min: 0, max: 150 },
+    borderWidth: { min: 0, max: 30 }
+};
+
+const DEFAULT_BORDER_COLOR = '#374151';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const DEFAULTS = {
+    background: null,
+    padding: 0,
+    radius: 0,
+    borderWidth: 0,
+    borderColor: DEFAULT_BORDER_COLOR,
+    verticalAlign: 'top'
+};
+
+/**
+ * Validates a cell style loaded from a file or edited in the inspector.
+ * @param {Object} raw
+ * @returns {Object|null} Only the non-default values, null when nothing is left
+ */
+export function normalizeCellStyle(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const style = {};
+    if (HEX_COLOR.test(raw.background)) style.background = raw.background.toLowerCase();
+
+    Object.entries(CELL_STYLE_RANGES).forEach(([key, { min, max }]) => {
+        const value = Number(raw[key]);
+        if (Number.isFinite(value) && value > min) style[key] = Math.min(max, value);
+    });
+
+    if (HEX_COLOR.test(raw.borderColor) && raw.borderColor.toLowerCase() !== DEFAULT_BORDER_COLOR) {
+        style.borderColor = raw.borderColor.toLowerCase();
+    }
+    if (VERTICAL_ALIGNS.includes(raw.verticalAlign) && raw.verticalAlign !== 'top') {
+        style.verticalAlign = raw.verticalAlign;
+    }
+
+    return Object.keys(style).length > 0 ? style : null;
+}
+
+/**
+ * Style of a cell with every value filled in.
+ * @param {Object} node Leaf node
+ * @returns {{background: string|null, padding: number, radius: number, borderWidth: number, borderColor: string, verticalAlign: string}}
+ */
+export function getCellStyle(node) {
+    return { ...DEFAULTS, ...normalizeCellStyle(node?.cellStyle) };
+}
+
+/**
+ * @param {Object} node
+ * @returns {boolean} Whether the cell looks different from the document default
+ */
+export function hasCellStyle(node) {
+    return normalizeCellStyle(node?.cellStyle) !== null;
+}
+
+/**
+ * Radius of the area inside the border and padding, so inner corners stay concentric.
+ * @param {{radius: number, padding: number, borderWidth: number}} style
+ * @returns {number} Thousandths of the page size
+ */
+export function getInnerRadius(style) {
+    return Math.max(0, style.radius - style.padding - style.borderWidth);
+}
@@ -0,0 +1,172 @@
+import { getCurrentPage } from '../../core/state.js';
+import { saveState } from '../../io/history.js';
+import { findNodeById } from './treeUtils.js';
+import { renderAndRestoreFocus } from './focusManager.js';
+import { getCropStyle, getImageCrop, panCrop, focusCropAt, ZOOM_RANGE } from './cropUtils.js';
+
+/** Movement in pixels before a press counts as a pan instead of a click */
+const PAN_THRESHOLD = 3;
+
+/** Wheel events closer together than this (ms) make up one undo step */
+const WHEEL_UNDO_GAP = 400;
+
+/** Slot whose crop is being edited, null when none */
+let activeCropId = null;
+let lastWheelTime = 0;
+
+/**
+ * @param {string} nodeId
+ * @returns {boolean}
+ */
+export function isCropEditing(nodeId) {
+    return activeCropId === nodeId;
+}
+
+/**
+ * Switches a slot into crop mode: dragging pans, the wheel zooms and a click sets the
+ * focal point, until Done, Enter/Escape or a click outside the slot.
+ * @param {string} nodeId
+ */
+export function startCropEditing(nodeId) {
+    activeCropId = nodeId;
+    document.addEventListener('keydown', onKeyDown, true);
+    document.addEventListener('pointerdown', onOutsidePointerDown, true);
+    renderAndRestoreFocus(getCurrentPage(), `crop-done-${nodeId}`);
+}
+
+export function stopCropEditing() {
+    if (!activeCropId) return;
+    const nodeId = activeCropId;
+    activeCropId = null;
+    document.removeEventListener('keydown', onKeyDown, true);
+    document.removeEventListener('pointerdown', onOutsidePointerDown, true);
+    renderAndRestoreFocus(getCurrentPage(), nodeId);
+}
+
+/**
+ * Back to a centered, unzoomed fit.
+ * @param {string} nodeId
+ */
+export function resetCrop(nodeId) {
+    const node = findNodeById(getCurrentPage(), nodeId);
+    if (!node || !node.image) return;
+
+    saveState();
+    delete node.image.focusX;
+    delete node.image.focusY;
+    delete node.image.zoom;
+    renderAndRestoreFocus(getCurrentPage(), `crop-done-${nodeId}`);
+}
+
+/**
+ * Positions an image element inside its frame according to the crop.
+ * @param {HTMLElement} el `<img>` (object-position) or `<div>` (background-position)
+ * @param {Object} image node.image
+ */
+export function applyCropStyle(el, image) {
+    const crop = getCropStyle(image);
+    el.style.left = crop.left;
+    el.style.top = crop.top;
+    el.style.width = crop.width;
+    el.style.height = crop.height;
+    if (el.tagName === 'IMG') {
+        el.style.objectPosition = crop.position;
+    } else {
+        el.style.backgroundPosition = crop.position;
+    }
+}
+
+/**
+ * Wires pan, zoom and focal-point picking on a slot in crop mode.
+ * @param {HTMLElement} frame Clipping frame the crop is relative to
+ * @param {HTMLImageElement} img
+ * @param {Object} node
+ */
+export function attachCropHandlers(frame, img, node) {
+    const getGeometry = () => {
+        const rect = frame.getBoundingClientRect();
+        return {
+            rect,
+            box: { width: rect.width, height: rect.height },
+            natural: { width: img.naturalWidth, height: img.naturalHeight }
+        };
+    };
+
+    const update = (crop) => {
+        Object.assign(node.image, crop);
+        applyCropStyle(img, node.image);
+    };
+
+    frame.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 && e.pointerType === 'mouse') return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const { rect, box, natural } = getGeometry();
+        if (!natural.width) return;
+
+        const startX = e.clientX;
+        const startY = e.clientY;
+        const startImage = { ...node.image };
+        let panning = false;
+        frame.setPointerCapture?.(e.pointerId);
+
+        const onMove = (moveEvent) => {
+            const dx = moveEvent.clientX - startX;
+            const dy = moveEvent.clientY - startY;
+            if (!panning && Math.hypot(dx, dy) < PAN_THRESHOLD) return;
+            if (!panning) {
+                panning = true;
+                saveState();
+            }
+            update(panCrop(startImage, box, natural, dx, dy));
+        };
+
+        const onUp = (upEvent) => {
+            frame.removeEventListener('pointermove', onMove);
+            frame.removeEventListener('pointerup', onUp);
+            frame.removeEventListener('pointercancel', onUp);
+            if (panning || upEvent.type === 'pointercancel') return;
+
+            saveState();
+            const u = (upEvent.clientX - rect.left) / rect.width;
+            const v = (upEvent.clientY - rect.top) / rect.height;
+            update(focusCropAt(node.image, box, natural, u, v));
+        };
+
+        frame.addEventListener('pointermove', onMove);
+        frame.addEventListener('pointerup', onUp);
+        frame.addEventListener('pointercancel', onUp);
+    });
+
+    frame.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const now = Date.now();
+        if (now - lastWheelTime > WHEEL_UNDO_GAP) saveState();
+        lastWheelTime = now;
+
+        const crop = getImageCrop(node.image);
+        const zoom = Math.min(ZOOM_RANGE.max, Math.max(ZOOM_RANGE.min, crop.zoom * Math.exp(-e.deltaY * 0.002)));
+        update({ ...crop, zoom });
+    }, { passive: false });
+
+    // Clicks would otherwise toggle cover/contain or split the slot
+    frame.addEventListener('click', (e) => e.stopPropagation());
+}
+
+function onKeyDown(e) {
+    if (e.key === 'Escape' || e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        stopCropEditing();
+    }
+}
+
+function onOutsidePointerDown(e) {
+    const slot = activeCropId && document.getElementById(activeCropId);
+    if (!slot || !slot.contains(e.target)) {
+        stopCropEditing();
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Crop Utilities
+ * Pure helpers for the per-slot image crop stored on `node.image`:
+ * - focusX / focusY: focal point in the image, 0..1 from the left / top (default 0.5)
+ * - zoom: scale on top of the cover/contain fit (default 1)
+ *
+ * The focal point works like CSS `object-position` percentages: the image point at
+ * focusX sits at focusX of the slot width, so it stays in view whatever the slot shape,
+ * and zooming is anchored on it. Focus is in image space; a flipped image is mirrored
+ * around its own axis, so its displayed focus is 1 - focusX.
+ */
+
+export const ZOOM_RANGE = { min: 1, max: 5 };
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Crop of an image, with defaults for images placed before cropping existed.
+ * @param {Object} image node.image
+ * @returns {{focusX: number, focusY: number, zoom: number}}
+ */
+export function getImageCrop(image) {
+    const focusX = Number(image?.focusX);
+    const focusY = Number(image?.focusY);
+    const zoom = Number(image?.zoom);
+    return {
+        focusX: Number.isFinite(focusX) ? clamp01(focusX) : 0.5,
+        focusY: Number.isFinite(focusY) ? clamp01(focusY) : 0.5,
+        zoom: Number.isFinite(zoom) ? Math.min(ZOOM_RANGE.max, Math.max(ZOOM_RANGE.min, zoom)) : 1
+    };
+}
+
+/**
+ * @param {Object} image node.image
+ * @returns {boolean} Whether the image is cropped differently from a centered fit
+ */
+export function hasCustomCrop(image) {
+    const { focusX, focusY, zoom } = getImageCrop(image);
+    return focusX !== 0.5 || focusY !== 0.5 || zoom !== 1;
+}
+
+/**
+ * CSS geometry for an absolutely positioned image element inside its slot. The element is
+ * `zoom` times the slot, placed so that the fitted image lands where computeCropPlacement
+ * puts it; `position` goes to object-position / background-position. Flipping is left to
+ * a `scaleX(-1)` transform on the element.
+ * @param {Object} image node.image
+ * @returns {{left: string, top: string, width: string, height: string, position: string}}
+ */
+export function getCropStyle(image) {
+    const { focusX, focusY, zoom } = getImageCrop(image);
+    const displayX = image?.flip ? 1 - focusX : focusX;
+    return {
+        left: `${(1 - zoom) * displayX * 100}%`,
+        top: `${(1 - zoom) * focusY * 100}%`,
+        width: `${zoom * 100}%`,
+        height: `${zoom * 100}%`,
+        position: `${focusX * 100}% ${focusY * 100}%`
+    };
+}
+
+/**
+ * Where the image is drawn for a slot box, matching getCropStyle.
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {{width: number, height: number}} natural
+ * @param {Object} image node.image (fit, flip and crop)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function computeCropPlacement(box, natural, image) {
+    if (!natural.width || !natural.height || !box.width || !box.height) {
+        return { ...box };
+    }
+
+    const { focusX, focusY, zoom } = getImageCrop(image);
+    const displayX = image?.flip ? 1 - focusX : focusX;
+    const fitScale = image?.fit === 'contain'
+        ? Math.min(box.width / natural.width, box.height / natural.height)
+        : Math.max(box.width / natural.width, box.height / natural.height);
+
+    const width = natural.width * fitScale * zoom;
+    const height = natural.height * fitScale * zoom;
+    return {
+        x: box.x + (box.width - width) * displayX,
+        y: box.y + (box.height - height) * focusY,
+        width,
+        height
+    };
+}
+
+/**
+ * Crop after dragging the image by (dx, dy) in slot pixels.
+ * @param {Object} image node.image
+ * @param {{width: number, height: number}} box Slot size
+ * @param {{width: number, height: number}} natural
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {{focusX: number, focusY: number, zoom: number}}
+ */
+export function panCrop(image, box, natural, dx, dy) {
+    const crop = getImageCrop(image);
+    const placement = computeCropPlacement({ x: 0, y: 0, ...box }, natural, image);
+    const slackX = box.width - placement.width;
+    const slackY = box.height - placement.height;
+
+    let focusX = crop.focusX;
+    if (Math.abs(slackX) > 0.5) {
+        const displayX = clamp01((placement.x + dx) / slackX);
+        focusX = image?.flip ? 1 - displayX : displayX;
+    }
+    const focusY = Math.abs(slackY) > 0.5 ? clamp01((placement.y + dy) / slackY) : crop.focusY;
+    return { ...crop, focusX, focusY };
+}
+
+/**
+ * Crop with its focal point on the image point shown at (u, v) of the slot.
+ * @param {Object} image node.image
+ * @param {{width: number, height: number}} box Slot size
+ * @param {{width: number, height: number}} natural
+ * @param {number} u 0..1 from the slot's left edge
+ * @param {number} v 0..1 from the slot's top edge
+ * @returns {{focusX: number, focusY: number, zoom: number}}
+ */
+export function focusCropAt(image, box, natural, u, v) {
+    const crop = getImageCrop(image);
+    const placement = computeCropPlacement({ x: 0, y: 0, ...box }, natural, image);
+    const displayX = clamp01((u * box.width - placement.x) / placement.width);
+    return {
+        ...crop,
+        focusX: image?.flip ? 1 - displayX : displayX,
+        focusY: clamp01((v * box.height - placement.y) / placement.height)
+    };
+}
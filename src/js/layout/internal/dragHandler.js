@@ -5,6 +5,10 @@ import { renderLayout } from '../renderer.js';
 import { findNodeById, deleteNodeFromTree } from './treeUtils.js';
 import { calculateDynamicSnaps } from './snapping.js';
 import { renderAndRestoreFocus } from './focusManager.js';
+import { fitTextWhileResizing } from '../textFlow.js';
+
+/** Pending refit of the fitted text cells being resized, one per frame */
+let fitFrame = null;
 
 /**
  * Starts the drag operation for a divider
@@ -33,6 +37,9 @@ export function startDrag(event, dividerElement = null) {
     state.startX = isTouch ? event.touches[0].clientX : event.clientX;
     state.startY = isTouch ? event.touches[0].clientY : event.clientY;
 
+    // Share of the container held by the two cells; siblings beyond the pair keep theirs
+    state.pairGrow = ((parseFloat(rectA.style.flexGrow) || 0) + (parseFloat(rectB.style.flexGrow) || 0)) || 100;
+
     const parentRect = parent.getBoundingClientRect();
     const rectARect = rectA.getBoundingClientRect();
     const rectBRect = rectB.getBoundingClientRect();
@@ -123,6 +130,14 @@ export function startEdgeDrag(event, edge) {
     const oldLayoutNode = { ...oldLayout };
     oldLayoutNode.size = `${100 - MIN_EDGE_SIZE}%`;
 
+    // Page-level margins and the page title stay on the page root
+    ['pageMargin', 'title'].forEach(key => {
+        if (oldLayout[key]) {
+            newRoot[key] = oldLayout[key];
+            delete oldLayoutNode[key];
+        }
+    });
+
     if (edge === 'left' || edge === 'top') {
         newRoot.children = [newRect, oldLayoutNode];
     } else {
@@ -204,8 +219,17 @@ function onDrag(event) {
         }
     }
 
-    rectA.style.flexGrow = newSizeA;
-    rectB.style.flexGrow = newSizeB;
+    // Flex-grow stays in percent of the container so the other siblings are unaffected
+    const scale = state.availableSpace > 0 ? state.pairGrow / state.availableSpace : 0;
+    rectA.style.flexGrow = newSizeA * scale;
+    rectB.style.flexGrow = newSizeB * scale;
+
+    if (fitFrame === null) {
+        fitFrame = requestAnimationFrame(() => {
+            fitFrame = null;
+            fitTextWhileResizing([rectA, rectB]);
+        });
+    }
 }
 
 /**
@@ -222,8 +246,9 @@ export function stopDrag() {
     const fB = parseFloat(rectB.style.flexGrow);
     const total = fA + fB;
 
-    const pA = (fA / total) * 100;
-    const pB = (fB / total) * 100;
+    // Percent of the container, the pair keeps its combined share
+    const pA = (fA / total) * state.pairGrow;
+    const pB = (fB / total) * state.pairGrow;
 
     const parentNode = findNodeById(getCurrentPage(), divider.parentId);
     if (parentNode && parentNode.children) {
@@ -239,6 +264,10 @@ export function stopDrag() {
     document.removeEventListener('touchend', stopDrag);
     document.body.classList.remove('no-select');
     state.activeDivider = null;
+    if (fitFrame !== null) {
+        cancelAnimationFrame(fitFrame);
+        fitFrame = null;
+    }
 
     if (pA <= MIN_AREA_PERCENT) {
         const modifiedParent = deleteNodeFromTree(getCurrentPage(), divider.rectAId);
@@ -246,5 +275,8 @@ export function stopDrag() {
     } else if (pB <= MIN_AREA_PERCENT) {
         const modifiedParent = deleteNodeFromTree(getCurrentPage(), divider.rectBId);
         if (modifiedParent) renderAndRestoreFocus(getCurrentPage(), modifiedParent.id);
+    } else {
+        // New sizes: linked and fitted text is measured again
+        document.dispatchEvent(new CustomEvent('layoutUpdated'));
     }
 }
@@ -53,8 +53,8 @@ export function renderAndRestoreFocus(page, explicitFocusId = null) {
                 focusRestored = true;
             } else {
                 // Fallback for button ID formats if button is gone
-                if (explicitFocusId.startsWith('align-btn-') || explicitFocusId.startsWith('remove-text-btn-') || explicitFocusId.startsWith('flip-btn-')) {
-                    const rectId = explicitFocusId.replace('align-btn-', '').replace('remove-text-btn-', '').replace('flip-btn-', '');
+                if (/^(align-btn|remove-text-btn|flip-btn|span-btn|crop-btn|crop-done|adjust-btn)-/.test(explicitFocusId)) {
+                    const rectId = explicitFocusId.replace(/^(align-btn|remove-text-btn|flip-btn|span-btn|crop-btn|crop-done|adjust-btn)-/, '');
                     focusRestored = smartFocus(rectId);
                 } else {
                     // It was likely a node ID
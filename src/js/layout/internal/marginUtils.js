@@ -0,0 +1,62 @@
+import { getSpreadPosition } from './spreadUtils.js';
+
+/**
+ * Margin Utilities
+ * Pure helpers for page margins and gutters. Like the divider width, both are measured
+ * in thousandths of the page width so they scale with the paper.
+ */
+
+export const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/** Allowed margin range, in thousandths of the page width */
+export const MARGIN_RANGE = { min: 0, max: 250 };
+
+const NO_MARGINS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+/**
+ * Validates margins loaded from a file or typed in the settings.
+ * @param {Object} raw
+ * @returns {{top: number, right: number, bottom: number, left: number}|null} null when `raw` isn't a margin object
+ */
+export function normalizeMargins(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const margins = {};
+    MARGIN_SIDES.forEach(side => {
+        const value = Number(raw[side]);
+        margins[side] = Number.isFinite(value)
+            ? Math.min(MARGIN_RANGE.max, Math.max(MARGIN_RANGE.min, value))
+            : 0;
+    });
+    return margins;
+}
+
+/**
+ * Margins a page is rendered with: its own override or the document margins. In spreads
+ * with mirrored margins, `left` is the inside margin and `right` the outside one, so they
+ * swap on left-hand pages.
+ * @param {Object} page Layout tree, may carry a `pageMargin` override
+ * @param {Object} settings Current settings
+ * @param {number} pageIndex
+ * @param {number} pageCount
+ * @returns {{top: number, right: number, bottom: number, left: number}}
+ */
+export function resolvePageMargins(page, settings, pageIndex, pageCount) {
+    const margins = normalizeMargins(page?.pageMargin) || normalizeMargins(settings.paper.margin) || { ...NO_MARGINS };
+
+    if (settings.layout.spreads && settings.paper.mirrorMargins) {
+        const { side } = getSpreadPosition(pageIndex, pageCount, settings.layout.singleCover);
+        if (side === 'left') {
+            return { ...margins, left: margins.right, right: margins.left };
+        }
+    }
+    return margins;
+}
+
+/**
+ * @param {Object} margins
+ * @returns {boolean}
+ */
+export function hasMargins(margins) {
+    return MARGIN_SIDES.some(side => margins[side] > 0);
+}
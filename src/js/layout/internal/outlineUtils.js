@@ -0,0 +1,109 @@
+/**
+ * Outline Utilities
+ * Pure helpers for the document outline: optional page titles and the markdown headings of
+ * each page's text cells. The same outline drives the outline panel, PDF bookmarks and the
+ * flipbook table of contents.
+ */
+
+/** Longest page title kept */
+export const MAX_PAGE_TITLE_LENGTH = 80;
+
+const HEADING_LINE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * @typedef {Object} OutlineHeading
+ * @property {number} level 1-6
+ * @property {string} text
+ * @property {string} nodeId Text cell the heading is in
+ */
+
+/**
+ * @typedef {Object} OutlinePage
+ * @property {number} pageIndex
+ * @property {string|null} title Page title, null when untitled
+ * @property {OutlineHeading[]} headings In document order
+ */
+
+/**
+ * Cleans a page title typed by the user or read from a file.
+ * @param {any} title
+ * @returns {string|null} null for no title
+ */
+export function normalizePageTitle(title) {
+    if (typeof title !== 'string') return null;
+    const clean = title.replace(/\s+/g, ' ').trim().slice(0, MAX_PAGE_TITLE_LENGTH).trim();
+    return clean || null;
+}
+
+/**
+ * Markdown headings of a layout tree, leaves in document order. Fenced code is skipped.
+ * @param {Object} node
+ * @returns {OutlineHeading[]}
+ */
+export function extractHeadings(node) {
+    if (!node) return [];
+    if (node.splitState === 'split' && node.children) return node.children.flatMap(extractHeadings);
+    if (typeof node.text !== 'string') return [];
+
+    const headings = [];
+    let inFence = false;
+    node.text.split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        const match = !inFence && line.match(HEADING_LINE);
+        if (match) headings.push({ level: match[1].length, text: match[2].trim(), nodeId: node.id });
+    });
+    return headings;
+}
+
+/**
+ * @param {Object[]} pages
+ * @returns {OutlinePage[]}
+ */
+export function buildOutline(pages) {
+    return pages.map((page, pageIndex) => ({
+        pageIndex,
+        title: normalizePageTitle(page.title),
+        headings: extractHeadings(page)
+    }));
+}
+
+/**
+ * Flattens the outline of the exported pages into bookmarks: a page title is a top-level
+ * entry (level 0) with the page's headings under it; untitled pages list their headings only.
+ * @param {OutlinePage[]} outline
+ * @param {(pageIndex: number) => number|null} pageNumberFor Output page of a page, null when not exported
+ * @returns {Array<{title: string, pageNumber: number, level: number}>} In output order
+ */
+export function outlineToBookmarks(outline, pageNumberFor) {
+    const bookmarks = [];
+    outline.forEach(page => {
+        const pageNumber = pageNumberFor(page.pageIndex);
+        if (pageNumber === null) return;
+
+        if (page.title) bookmarks.push({ title: page.title, pageNumber, level: 0 });
+        page.headings.forEach(heading => {
+            bookmarks.push({ title: heading.text, pageNumber, level: heading.level });
+        });
+    });
+    return bookmarks.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+/**
+ * Parent of each bookmark for a nested outline: the closest earlier bookmark of a lower level.
+ * @param {Array<{level: number}>} bookmarks
+ * @returns {number[]} Index of the parent bookmark, -1 for top-level entries
+ */
+export function getBookmarkParents(bookmarks) {
+    const stack = [];
+    return bookmarks.map((bookmark, index) => {
+        while (stack.length > 0 && bookmarks[stack[stack.length - 1]].level >= bookmark.level) {
+            stack.pop();
+        }
+        const parent = stack.length > 0 ? stack[stack.length - 1] : -1;
+        stack.push(index);
+        return parent;
+    });
+}
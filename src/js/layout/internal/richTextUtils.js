@@ -0,0 +1,420 @@
+import { marked } from 'marked';
+
+/**
+ * Rich Text Utilities
+ * Pure helpers behind the text toolbar and the WYSIWYG editing mode. Markdown in `node.text`
+ * stays the source of truth: toolbar commands edit the markdown around the textarea
+ * selection, and the WYSIWYG surface renders it block by block and writes back only the
+ * blocks that were edited, so untouched markdown round-trips byte for byte.
+ */
+
+/**
+ * @typedef {Object} TextFormat
+ * @property {string} command
+ * @property {string} label Button text
+ * @property {string} title Tooltip
+ */
+
+/** @type {TextFormat[]} Toolbar buttons, in order */
+export const TEXT_FORMATS = [
+    { command: 'bold', label: 'B', title: 'Bold (Ctrl+B)' },
+    { command: 'italic', label: 'I', title: 'Italic (Ctrl+I)' },
+    { command: 'h1', label: 'H1', title: 'Heading 1' },
+    { command: 'h2', label: 'H2', title: 'Heading 2' },
+    { command: 'h3', label: 'H3', title: 'Heading 3' },
+    { command: 'ul', label: '•', title: 'Bulleted list' },
+    { command: 'ol', label: '1.', title: 'Numbered list' },
+    { command: 'quote', label: '❝', title: 'Quote' },
+    { command: 'link', label: '🔗', title: 'Link (Ctrl+K)' },
+    { command: 'code', label: '</>', title: 'Code' }
+];
+
+const INLINE_MARKERS = {
+    bold: { marker: '**', placeholder: 'bold text' },
+    italic: { marker: '*', placeholder: 'italic text' },
+    code: { marker: '`', placeholder: 'code' }
+};
+
+const HEADING_PREFIX = /^#{1,6}\s+/;
+const BULLET_PREFIX = /^(\s*)[-*+]\s+/;
+const ORDERED_PREFIX = /^(\s*)\d+[.)]\s+/;
+const QUOTE_PREFIX = /^>\s?/;
+
+/**
+ * @typedef {Object} FormatResult
+ * @property {string} value
+ * @property {number} selectionStart
+ * @property {number} selectionEnd
+ */
+
+/**
+ * Applies a toolbar command to markdown around a selection. Inline formats wrap (or unwrap)
+ * the selection; headings, lists and quotes toggle a prefix on every selected line.
+ * @param {string} value
+ * @param {number} start
+ * @param {number} end
+ * @param {string} command One of TEXT_FORMATS
+ * @returns {FormatResult|null} null for unknown commands
+ */
+export function applyMarkdownFormat(value, start, end, command) {
+    const selection = value.slice(start, end);
+    if (command === 'code' && selection.includes('\n')) return fenceLines(value, start, end);
+    if (INLINE_MARKERS[command]) return toggleInline(value, start, end, INLINE_MARKERS[command]);
+    if (command === 'link') return insertLink(value, start, end);
+
+    const heading = command.match(/^h([1-6])$/);
+    if (heading) {
+        const prefix = `${'#'.repeat(Number(heading[1]))} `;
+        return toggleLinePrefix(value, start, end, line => line.startsWith(prefix), line => prefix + line.replace(HEADING_PREFIX, ''), line => line.replace(HEADING_PREFIX, ''));
+    }
+    if (command === 'ul') {
+        return toggleLinePrefix(value, start, end, line => BULLET_PREFIX.test(line),
+            line => line.replace(ORDERED_PREFIX, '$1').replace(BULLET_PREFIX, '$1').replace(/^(\s*)/, '$1- '),
+            line => line.replace(BULLET_PREFIX, '$1'));
+    }
+    if (command === 'ol') {
+        let number = 0;
+        return toggleLinePrefix(value, start, end, line => ORDERED_PREFIX.test(line),
+            line => line.replace(BULLET_PREFIX, '$1').replace(ORDERED_PREFIX, '$1').replace(/^(\s*)/, `$1${++number}. `),
+            line => line.replace(ORDERED_PREFIX, '$1'));
+    }
+    if (command === 'quote') {
+        return toggleLinePrefix(value, start, end, line => QUOTE_PREFIX.test(line), line => `> ${line}`, line => line.replace(QUOTE_PREFIX, ''));
+    }
+    return null;
+}
+
+/**
+ * Adds a line prefix to every selected line, or removes it when all of them have it.
+ * Blank lines are left alone unless nothing else is selected.
+ * @param {(line: string) => boolean} has
+ * @param {(line: string) => string} add
+ * @param {(line: string) => string} remove
+ */
+function toggleLinePrefix(value, start, end, has, add, remove) {
+    return editLines(value, start, end, lines => {
+        const content = lines.filter(line => line.trim());
+        const all = content.length > 0 && content.every(has);
+        return lines.map(line => {
+            if (!line.trim() && content.length > 0) return line;
+            return all ? remove(line) : add(line);
+        });
+    });
+}
+
+/** Length of the run of `char` ending at `index` (exclusive), or starting there when forward */
+function runLength(value, index, char, forward) {
+    let length = 0;
+    while (value[forward ? index + length : index - length - 1] === char) length++;
+    return length;
+}
+
+/**
+ * Whether a selection sits inside the marker. A lone `*` only counts when it isn't half of `**`.
+ */
+function isWrapped(value, start, end, marker) {
+    const before = runLength(value, start, marker[0], false);
+    const after = runLength(value, end, marker[0], true);
+    if (marker === '*') return before % 2 === 1 && after % 2 === 1;
+    return before >= marker.length && after >= marker.length;
+}
+
+function toggleInline(value, start, end, { marker, placeholder }) {
+    const selection = value.slice(start, end);
+
+    if (selection && isWrapped(value, start, end, marker)) {
+        return {
+            value: value.slice(0, start - marker.length) + selection + value.slice(end + marker.length),
+            selectionStart: start - marker.length,
+            selectionEnd: end - marker.length
+        };
+    }
+    const inner = selection.slice(marker.length, selection.length - marker.length);
+    if (selection.length > marker.length * 2 && selection.startsWith(marker) && selection.endsWith(marker)
+        && (marker !== '*' || isWrapped(selection, marker.length, selection.length - marker.length, marker))) {
+        return { value: value.slice(0, start) + inner + value.slice(end), selectionStart: start, selectionEnd: start + inner.length };
+    }
+
+    // Markers hug the text: surrounding spaces stay outside
+    const text = selection || placeholder;
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.slice(lead.length).match(/\s*$/)[0];
+    const core = text.slice(lead.length, text.length - trail.length);
+    const wrapped = `${lead}${marker}${core}${marker}${trail}`;
+    const coreStart = start + lead.length + marker.length;
+    return {
+        value: value.slice(0, start) + wrapped + value.slice(end),
+        selectionStart: coreStart,
+        selectionEnd: coreStart + core.length
+    };
+}
+
+function insertLink(value, start, end) {
+    const selection = value.slice(start, end);
+    const text = selection || 'link text';
+    const link = `[${text}](url)`;
+    // With a selection the url is what's left to type, otherwise the text
+    const selectionStart = selection ? start + text.length + 3 : start + 1;
+    return {
+        value: value.slice(0, start) + link + value.slice(end),
+        selectionStart,
+        selectionEnd: selection ? selectionStart + 3 : selectionStart + text.length
+    };
+}
+
+/**
+ * Rewrites the whole lines touched by a selection, which then covers the rewritten lines.
+ * @param {(lines: string[]) => string[]} rewrite
+ */
+function editLines(value, start, end, rewrite) {
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    // A selection ending right after a newline doesn't include the next line
+    const lastChar = end > start && value[end - 1] === '\n' ? end - 1 : end;
+    const newline = value.indexOf('\n', lastChar);
+    const lineEnd = newline === -1 ? value.length : newline;
+
+    const lines = rewrite(value.slice(lineStart, lineEnd).split('\n')).join('\n');
+    // A caret moves to the end of its line, a selection covers the rewritten lines
+    return {
+        value: value.slice(0, lineStart) + lines + value.slice(lineEnd),
+        selectionStart: start === end ? lineStart + lines.length : lineStart,
+        selectionEnd: lineStart + lines.length
+    };
+}
+
+function fenceLines(value, start, end) {
+    return editLines(value, start, end, lines => {
+        const fence = '`'.repeat(Math.max(3, longestRun(lines.join('\n'), '`') + 1));
+        if (lines.length > 2 && /^(`{3,}|~{3,})/.test(lines[0]) && /^(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1])) {
+            return lines.slice(1, -1);
+        }
+        return [fence, ...lines, fence];
+    });
+}
+
+function longestRun(text, char) {
+    let longest = 0;
+    let current = 0;
+    for (const c of text) {
+        current = c === char ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+}
+
+/**
+ * @typedef {Object} MarkdownBlock
+ * @property {string} type marked token type
+ * @property {string} body Markdown of the block, without trailing newlines
+ * @property {string} sep Whitespace up to the next block (or the end of the text)
+ * @property {Object[]} tokens The block's tokens, for rendering
+ */
+
+/**
+ * Splits markdown into its top-level blocks. Concatenating `head` and every `body + sep`
+ * gives back the input exactly.
+ * @param {string} markdown
+ * @returns {{head: string, blocks: MarkdownBlock[]}}
+ */
+export function splitMarkdownBlocks(markdown) {
+    const tokens = marked.lexer(markdown || '');
+    let head = '';
+    const blocks = [];
+
+    tokens.forEach(token => {
+        if (token.type === 'space') {
+            if (blocks.length > 0) {
+                blocks[blocks.length - 1].sep += token.raw;
+            } else {
+                head += token.raw;
+            }
+            return;
+        }
+        const body = token.raw.replace(/\n+$/, '');
+        const list = [token];
+        // Reference-style links resolve against the whole text
+        list.links = tokens.links;
+        blocks.push({ type: token.type, body, sep: token.raw.slice(body.length), tokens: list });
+    });
+
+    // marked drops nothing, but don't lose text if it ever does
+    const joined = head + blocks.map(block => block.body + block.sep).join('');
+    if (joined !== (markdown || '')) {
+        return { head: '', blocks: [{ type: 'paragraph', body: markdown, sep: '', tokens: marked.lexer(markdown) }] };
+    }
+    return { head, blocks };
+}
+
+/**
+ * Joins the blocks of an edited WYSIWYG surface back into markdown. Runs of untouched blocks
+ * keep their original spacing; anything around an edited or new block gets a blank line so
+ * it can't merge with its neighbours.
+ * @param {string} head Leading whitespace of the original text
+ * @param {Array<{body: string, sep: string|null, index: number|null, unchanged: boolean}>} parts
+ *        `sep` and `index` refer to the original block, null for new blocks
+ * @param {string} tail Trailing whitespace of the original text
+ * @returns {string}
+ */
+export function joinMarkdownBlocks(head, parts, tail) {
+    let markdown = head;
+    parts.forEach((part, i) => {
+        markdown += part.body;
+        const next = parts[i + 1];
+        if (!next) {
+            markdown += part.unchanged && part.sep !== null ? part.sep : tail;
+        } else if (part.unchanged && next.unchanged && next.index === part.index + 1) {
+            markdown += part.sep;
+        } else {
+            markdown += part.sep && /\n\s*\n/.test(part.sep) ? part.sep : '\n\n';
+        }
+    });
+    return markdown;
+}
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE', 'SECTION']);
+
+/**
+ * Serializes rendered (and possibly hand-edited) HTML to markdown.
+ * @param {Element} element Its children are converted
+ * @returns {string} Blocks separated by blank lines, no trailing newline
+ */
+export function htmlToMarkdown(element) {
+    return serializeBlocks(element).join('\n\n');
+}
+
+/** @returns {string[]} */
+function serializeBlocks(element) {
+    const blocks = [];
+    let inline = [];
+    const flushInline = () => {
+        const text = escapeLineStarts(trimLines(inline.map(serializeInline).join('')));
+        if (text) blocks.push(text);
+        inline = [];
+    };
+
+    Array.from(element.childNodes).forEach(child => {
+        if (child.nodeType !== 1 || !BLOCK_TAGS.has(child.tagName)) {
+            inline.push(child);
+            return;
+        }
+        flushInline();
+        const block = serializeBlock(child);
+        if (block) blocks.push(block);
+    });
+    flushInline();
+    return blocks;
+}
+
+function serializeBlock(el) {
+    const tag = el.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+        const text = inlineText(el).replace(/\s*\n\s*/g, ' ').trim();
+        return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+    }
+    if (tag === 'P') return escapeLineStarts(trimLines(inlineText(el)));
+    if (tag === 'DIV' || tag === 'SECTION') return serializeBlocks(el).join('\n\n');
+    if (tag === 'UL' || tag === 'OL') return serializeList(el);
+    if (tag === 'BLOCKQUOTE') {
+        const inner = serializeBlocks(el).join('\n\n');
+        return inner ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '';
+    }
+    if (tag === 'PRE') {
+        const code = el.textContent.replace(/\n$/, '');
+        const language = (el.querySelector('code')?.className.match(/language-(\S+)/) || [])[1] || '';
+        const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+        return `${fence}${language}\n${code}\n${fence}`;
+    }
+    if (tag === 'HR') return '---';
+    if (tag === 'TABLE') return serializeTable(el);
+    return '';
+}
+
+function serializeList(list) {
+    const ordered = list.tagName === 'OL';
+    let number = ordered ? parseInt(list.getAttribute('start') || '1', 10) || 1 : 0;
+
+    return Array.from(list.children).filter(item => item.tagName === 'LI').map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        const checkbox = item.querySelector(':scope > input[type="checkbox"]');
+        const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+        const content = serializeBlocks(item).join('\n');
+        const lines = content.split('\n');
+        return marker + task + lines.map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+    }).join('\n');
+}
+
+function serializeTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.children)
+        .map(cell => inlineText(cell).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim()));
+    if (rows.length === 0) return '';
+    const width = Math.max(...rows.map(row => row.length));
+    const line = cells => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+function inlineText(el) {
+    return Array.from(el.childNodes).map(serializeInline).join('');
+}
+
+function serializeInline(node) {
+    if (node.nodeType === 3) return escapeText(node.textContent.replace(/ /g, ' '));
+    if (node.nodeType !== 1) return '';
+
+    const tag = node.tagName;
+    if (tag === 'BR') return '\n';
+    if (tag === 'INPUT') return '';
+    if (tag === 'IMG') return `![${escapeText(node.getAttribute('alt') || '')}](${node.getAttribute('src') || ''})`;
+    if (BLOCK_TAGS.has(tag)) return `\n${serializeBlock(node)}\n`;
+
+    // Wiki-links keep the target they were written with, see wikiLinkExtension.js
+    if (node.classList.contains('wiki-link') && node.dataset.wikiTarget) {
+        const label = node.textContent.replace(/ /g, ' ').trim();
+        const target = node.dataset.wikiTarget;
+        return label && label !== target ? `[[${target}|${label}]]` : `[[${target}]]`;
+    }
+
+    const inner = inlineText(node);
+    if (tag === 'CODE') return wrapCode(node.textContent.replace(/ /g, ' '));
+    if (tag === 'A') {
+        const href = node.getAttribute('href');
+        if (!href) return inner;
+        const title = node.getAttribute('title');
+        return `[${inner}](${href.replace(/ /g, '%20')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+    if (tag === 'STRONG' || tag === 'B') return wrapInline(inner, '**');
+    if (tag === 'EM' || tag === 'I') return wrapInline(inner, '*');
+    if (tag === 'DEL' || tag === 'S' || tag === 'STRIKE') return wrapInline(inner, '~~');
+    return inner;
+}
+
+/** Emphasis markers must hug the text, so surrounding spaces move outside */
+function wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+function wrapCode(text) {
+    if (!text) return '';
+    const fence = '`'.repeat(longestRun(text, '`') + 1);
+    const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function escapeText(text) {
+    return text
+        .replace(/([\\*`[\]~<])/g, '\\$1')
+        // Intraword underscores are literal in markdown
+        .replace(/(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g, match => match.replace('_', '\\_'));
+}
+
+/** Keeps typed text from turning into headings, lists or quotes */
+function escapeLineStarts(text) {
+    return text.split('\n').map(line => line
+        .replace(/^(\s*)(#{1,6}|[>+-])(?=\s|$)/, '$1\\$2')
+        .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, '$1$2\\$3')).join('\n');
+}
+
+function trimLines(text) {
+    return text.split('\n').map(line => line.trim()).join('\n').replace(/^\n+|\n+$/g, '');
+}
@@ -1,7 +1,7 @@
 import { SNAP_POINTS, SNAP_THRESHOLD, MIN_AREA_PERCENT } from '../../core/constants.js';
 import { state, getCurrentPage } from '../../core/state.js';
 import { saveState } from '../../io/history.js';
-import { findNodeById, findParentNode, countParallelLeaves } from './treeUtils.js';
+import { findNodeById, findParentNode, findChildIndexContaining, countParallelLeaves } from './treeUtils.js';
 
 /**
  * Snaps the divider adjacent to the focused rectangle in the given direction.
@@ -19,21 +19,19 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
 
     // Find the first ancestor that is split in the relevant orientation
     // AND where the current node (or its branch) is adjacent to the divider in that direction
+    const forward = direction === 'ArrowRight' || direction === 'ArrowDown';
+    let dividerIndex = -1;
     let searchNodeId = currentNodeId;
     while (searchNodeId) {
         const parent = findParentNode(page, searchNodeId);
         if (!parent) break;
 
         if (parent.orientation === targetDividerOrientation) {
-            const isFirstChild = parent.children[0].id === searchNodeId ||
-                (parent.children[0].children && findNodeById(parent.children[0], searchNodeId));
-
-            const isSecondChild = parent.children[1].id === searchNodeId ||
-                (parent.children[1].children && findNodeById(parent.children[1], searchNodeId));
-
-            if ((isFirstChild && (direction === 'ArrowRight' || direction === 'ArrowDown')) ||
-                (isSecondChild && (direction === 'ArrowLeft' || direction === 'ArrowUp'))) {
+            const childIndex = findChildIndexContaining(parent, searchNodeId);
+            const index = forward ? childIndex : childIndex - 1;
+            if (index >= 0 && index < parent.children.length - 1) {
                 targetParent = parent;
+                dividerIndex = index;
                 break;
             }
         }
@@ -42,24 +40,32 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
 
     if (!targetParent) return;
 
-    // We found a divider to move!
-    const nodeA = targetParent.children[0];
-    const nodeB = targetParent.children[1];
+    // We found a divider to move! It sits between children[dividerIndex] and children[dividerIndex + 1]
+    const children = targetParent.children;
+    const nodeA = children[dividerIndex];
+    const nodeB = children[dividerIndex + 1];
+
+    // Positions in percent of the container: the pair spans [start, end]
+    const fallback = 100 / children.length;
+    const sizes = children.map(c => parseFloat(c.size) || fallback);
+    const totalSize = sizes.reduce((sum, s) => sum + s, 0);
+    const toPct = (s) => (s / totalSize) * 100;
+    const start = sizes.slice(0, dividerIndex).reduce((sum, s) => sum + toPct(s), 0);
+    const end = start + toPct(sizes[dividerIndex]) + toPct(sizes[dividerIndex + 1]);
 
-    // Get current percentage of nodeA
-    const currentPct = parseFloat(nodeA.size);
+    const currentPct = start + toPct(sizes[dividerIndex]);
     if (isNaN(currentPct)) return;
 
     // Use a Set of rounded strings to ensure clean deduplication during construction
     const candidatesSet = new Set();
     const addCandidate = (val) => {
-        if (val >= 1 && val <= 99) {
+        if (val >= start + 1 && val <= end - 1) {
             candidatesSet.add(Math.round(val * 10) / 10); // Round to 1 decimal place (e.g. 33.3)
         }
     };
 
     // 1. Dynamic Snap Points (Leaf Count)
-    const totalCount = countParallelLeaves(nodeA, targetDividerOrientation) + countParallelLeaves(nodeB, targetDividerOrientation);
+    const totalCount = children.reduce((sum, c) => sum + countParallelLeaves(c, targetDividerOrientation), 0);
     if (totalCount > 1) {
         // Base 50%
         addCandidate(50);
@@ -74,18 +80,18 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
     }
 
     // 2. Boundary Snaps (Allow full collapse/expansion)
-    addCandidate(1);
-    addCandidate(99);
+    addCandidate(start + 1);
+    addCandidate(end - 1);
 
     // 3. Recursive Gap Subdivision
     const MIN_GAP_FOR_RECURSION = 10;
-    const remainingForward = 100 - currentPct;
+    const remainingForward = end - currentPct;
     if (remainingForward > MIN_GAP_FOR_RECURSION) {
         SNAP_POINTS.forEach(p => addCandidate(currentPct + (remainingForward * p / 100)));
     }
-    const remainingBackward = currentPct;
+    const remainingBackward = currentPct - start;
     if (remainingBackward > MIN_GAP_FOR_RECURSION) {
-        SNAP_POINTS.forEach(p => addCandidate(remainingBackward * p / 100));
+        SNAP_POINTS.forEach(p => addCandidate(start + remainingBackward * p / 100));
     }
 
     // 4. Global Alignment Snaps
@@ -102,7 +108,8 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
     const startBorder = (targetDividerOrientation === 'vertical' ? parseFloat(parentStyle.borderLeftWidth) : parseFloat(parentStyle.borderTopWidth)) || 0;
     const endBorder = (targetDividerOrientation === 'vertical' ? parseFloat(parentStyle.borderRightWidth) : parseFloat(parentStyle.borderBottomWidth)) || 0;
 
-    const availableFlexSpace = parentSize - startBorder - endBorder - movingDivSize;
+    const dividerCount = children.length - 1;
+    const availableFlexSpace = parentSize - startBorder - endBorder - movingDivSize * dividerCount;
 
     if (availableFlexSpace > 0) {
         otherDividers.forEach(div => {
@@ -111,7 +118,7 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
             const divCenter = (targetDividerOrientation === 'vertical' ? divRect.left + divRect.width / 2 : divRect.top + divRect.height / 2);
 
             const relCenter = divCenter - parentStart;
-            const flexPos = relCenter - startBorder - (movingDivSize / 2);
+            const flexPos = relCenter - startBorder - (dividerIndex + 0.5) * movingDivSize;
             const relPct = (flexPos / availableFlexSpace) * 100;
 
             addCandidate(relPct);
@@ -123,24 +130,28 @@ export function snapDivider(focusedRect, direction, deleteCallback, renderCallba
     const MIN_JUMP = 1.2;
     let targetPct = null;
 
-    if (direction === 'ArrowRight' || direction === 'ArrowDown') {
+    if (forward) {
         targetPct = sortedCandidates.find(c => c >= currentPct + MIN_JUMP);
-        if (targetPct === undefined && currentPct < 99) targetPct = 99;
+        if (targetPct === undefined && currentPct < end - 1) targetPct = end - 1;
     } else {
         targetPct = [...sortedCandidates].reverse().find(c => c <= currentPct - MIN_JUMP);
-        if (targetPct === undefined && currentPct > 1) targetPct = 1;
+        if (targetPct === undefined && currentPct > start + 1) targetPct = start + 1;
     }
 
     if (targetPct !== undefined && targetPct !== null) {
         saveState();
 
-        if (targetPct <= MIN_AREA_PERCENT) {
+        if (targetPct - start <= MIN_AREA_PERCENT) {
             deleteCallback(document.getElementById(nodeA.id));
-        } else if ((100 - targetPct) <= MIN_AREA_PERCENT) {
+        } else if ((end - targetPct) <= MIN_AREA_PERCENT) {
             deleteCallback(document.getElementById(nodeB.id));
         } else {
-            nodeA.size = `${targetPct}%`;
-            nodeB.size = `${100 - targetPct}%`;
+            // Other siblings keep their share; sizes are rewritten in normalized percent
+            children.forEach((c, i) => {
+                c.size = `${toPct(sizes[i])}%`;
+            });
+            nodeA.size = `${targetPct - start}%`;
+            nodeB.size = `${end - targetPct}%`;
             renderCallback(page, focusedRect.id);
         }
     }
@@ -158,10 +169,9 @@ export function calculateDynamicSnaps(divider, orientation) {
         const nodeA = findNodeById(parentNode, divider.getAttribute('data-rect-a-id'));
         const nodeB = findNodeById(parentNode, divider.getAttribute('data-rect-b-id'));
 
-        if (nodeA && nodeB) {
-            const leftCount = countParallelLeaves(nodeA, orientation);
-            const rightCount = countParallelLeaves(nodeB, orientation);
-            const totalCount = leftCount + rightCount;
+        if (nodeA && nodeB && parentNode.children) {
+            // Every cell of the container counts, not just the pair around the divider
+            const totalCount = parentNode.children.reduce((sum, c) => sum + countParallelLeaves(c, orientation), 0);
 
             if (totalCount > 1) {
                 for (let i = 1; i < totalCount; i++) {
@@ -0,0 +1,98 @@
+import { computeLeafBoxes } from './treeUtils.js';
+
+/**
+ * Spread Utilities
+ * Pure helpers for facing-pages mode: how pages pair up into spreads and which
+ * image slots sit against the gutter.
+ */
+
+/** Leaf edges within this distance (percent) of the gutter count as touching it */
+const GUTTER_TOLERANCE = 0.5;
+
+/**
+ * Pairs pages into spreads. With a single cover, page 1 stands alone on the right
+ * and the following pages pair up; a trailing odd page stands alone on the left.
+ * @param {number} pageCount
+ * @param {boolean} singleCover
+ * @returns {number[][]} 0-based page indices per spread, left to right
+ */
+export function getSpreads(pageCount, singleCover) {
+    const spreads = [];
+    let index = 0;
+
+    if (singleCover && pageCount > 0) {
+        spreads.push([0]);
+        index = 1;
+    }
+    for (; index < pageCount; index += 2) {
+        spreads.push(index + 1 < pageCount ? [index, index + 1] : [index]);
+    }
+    return spreads;
+}
+
+/**
+ * Position of a page within its spread.
+ * @param {number} pageIndex
+ * @param {number} pageCount
+ * @param {boolean} singleCover
+ * @returns {{side: 'left'|'right', facingIndex: number|null}}
+ */
+export function getSpreadPosition(pageIndex, pageCount, singleCover) {
+    if (singleCover && pageIndex === 0) {
+        return { side: 'right', facingIndex: null };
+    }
+
+    const isLeft = (pageIndex - (singleCover ? 1 : 0)) % 2 === 0;
+    const facingIndex = isLeft ? pageIndex + 1 : pageIndex - 1;
+    return {
+        side: isLeft ? 'left' : 'right',
+        facingIndex: facingIndex >= 0 && facingIndex < pageCount ? facingIndex : null
+    };
+}
+
+/**
+ * Groups exported pages into spreads, keeping only the pages that are exported.
+ * @param {number[]} pageIndices Exported pages in document order
+ * @param {number} pageCount
+ * @param {boolean} singleCover
+ * @returns {number[][]}
+ */
+export function groupPagesIntoSpreads(pageIndices, pageCount, singleCover) {
+    const exported = new Set(pageIndices);
+    return getSpreads(pageCount, singleCover)
+        .map(spread => spread.filter(index => exported.has(index)))
+        .filter(spread => spread.length > 0);
+}
+
+/**
+ * Leaves of a page whose image spans the gutter. Only slots touching the inner
+ * edge can span; the flag is ignored elsewhere.
+ * @param {Object} page Layout tree
+ * @param {'left'|'right'} side Side of the spread the page sits on
+ * @returns {Array<{node: Object, box: {x: number, y: number, width: number, height: number}}>} Boxes in percent
+ */
+export function getGutterSpans(page, side) {
+    return computeLeafBoxes(page).filter(({ node, box }) =>
+        node.image?.spanGutter && touchesGutter(box, side));
+}
+
+/**
+ * @param {{x: number, width: number}} box Leaf box in percent
+ * @param {'left'|'right'} side
+ * @returns {boolean}
+ */
+export function touchesGutter(box, side) {
+    return side === 'left'
+        ? box.x + box.width >= 100 - GUTTER_TOLERANCE
+        : box.x <= GUTTER_TOLERANCE;
+}
+
+/**
+ * Mirrors a box onto the facing page: the part of a spanning image that lands
+ * across the gutter has the same width and vertical extent as its slot.
+ * @param {{x: number, y: number, width: number, height: number}} box Percent
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function mirrorAcrossGutter(box) {
+    return { x: 100 - box.x - box.width, y: box.y, width: box.width, height: box.height };
+}
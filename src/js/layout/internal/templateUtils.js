@@ -0,0 +1,233 @@
+import { computeLeafBoxes } from './treeUtils.js';
+import { normalizeMargins } from './marginUtils.js';
+
+/**
+ * Template Utilities
+ * Pure helpers for page templates: reusable split trees (orientation and sizes, optionally
+ * with content) that new or existing pages can be built from.
+ */
+
+/**
+ * @typedef {Object} LayoutTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {Object} layout Split tree without ids
+ * @property {boolean} [builtIn]
+ */
+
+/** Deepest split tree accepted from a file */
+const MAX_TEMPLATE_DEPTH = 12;
+
+/** Rows closer than this (in percent of the page height) read as the same line */
+const READING_ORDER_TOLERANCE = 1;
+
+const STRUCTURAL_KEYS = ['id', 'splitState', 'children', 'orientation', 'size', 'pageMargin', 'title'];
+
+const cell = (size) => ({ splitState: 'unsplit', size: `${size}%` });
+const split = (orientation, size, children) => ({
+    splitState: 'split',
+    orientation,
+    ...(size !== null ? { size: `${size}%` } : {}),
+    children
+});
+const evenCells = (count) => Array.from({ length: count }, () => cell(100 / count));
+
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'builtin-hero-3',
+        name: 'Hero + 3 thumbnails',
+        builtIn: true,
+        layout: split('horizontal', null, [cell(68), split('vertical', 32, evenCells(3))])
+    },
+    {
+        id: 'builtin-grid-2x2',
+        name: '2 × 2 grid',
+        builtIn: true,
+        layout: split('horizontal', null, [split('vertical', 50, evenCells(2)), split('vertical', 50, evenCells(2))])
+    },
+    {
+        id: 'builtin-grid-3x3',
+        name: '3 × 3 grid',
+        builtIn: true,
+        layout: split('horizontal', null, [1, 2, 3].map(() => split('vertical', 100 / 3, evenCells(3))))
+    },
+    {
+        id: 'builtin-magazine',
+        name: 'Magazine column',
+        builtIn: true,
+        layout: split('horizontal', null, [cell(40), split('vertical', 60, evenCells(3))])
+    },
+    {
+        id: 'builtin-feature-sidebar',
+        name: 'Feature + sidebar',
+        builtIn: true,
+        layout: split('vertical', null, [cell(66), split('horizontal', 34, evenCells(3))])
+    },
+    {
+        id: 'builtin-two-columns',
+        name: 'Two columns',
+        builtIn: true,
+        layout: split('vertical', null, evenCells(2))
+    }
+];
+
+/**
+ * Creates a template from a page.
+ * @param {Object} page Layout tree
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContent] Keep images and text in the cells
+ * @returns {LayoutTemplate}
+ */
+export function createTemplateFromPage(page, name, { includeContent = false } = {}) {
+    return {
+        id: createTemplateId(),
+        name: name.trim(),
+        layout: stripLayout(page, includeContent, true)
+    };
+}
+
+/**
+ * Builds a page from a template, with fresh node ids.
+ * @param {LayoutTemplate} template
+ * @param {() => string} nextId Returns a new unique node id
+ * @returns {Object} Layout tree
+ */
+export function instantiateTemplate(template, nextId) {
+    const build = (source) => {
+        const node = { id: nextId(), splitState: source.splitState };
+        if (source.size) node.size = source.size;
+
+        if (source.splitState === 'split') {
+            node.orientation = source.orientation;
+            node.children = source.children.map(build);
+        } else {
+            Object.assign(node, { image: null, text: null }, JSON.parse(JSON.stringify(getLeafContent(source))));
+        }
+        return node;
+    };
+
+    const page = build(template.layout);
+    delete page.size;
+    if (template.layout.pageMargin) page.pageMargin = { ...template.layout.pageMargin };
+    return page;
+}
+
+/**
+ * Leaves of a page in reading order: top to bottom, then left to right.
+ * @param {Object} page Layout tree
+ * @returns {Object[]}
+ */
+export function getLeavesInReadingOrder(page) {
+    return computeLeafBoxes(page)
+        .sort((a, b) => (Math.abs(a.box.y - b.box.y) > READING_ORDER_TOLERANCE ? a.box.y - b.box.y : a.box.x - b.box.x))
+        .map(({ node }) => node);
+}
+
+/**
+ * Content of the filled cells of a page, in reading order.
+ * @param {Object} page Layout tree
+ * @returns {Object[]} Deep copies of the cell content (image, text, alignment...)
+ */
+export function collectPageContent(page) {
+    return getLeavesInReadingOrder(page)
+        .map(getLeafContent)
+        .filter(hasContent)
+        .map(content => JSON.parse(JSON.stringify(content)));
+}
+
+/**
+ * Pours content into the empty cells of a page, in reading order.
+ * @param {Object} page Layout tree, modified in place
+ * @param {Object[]} contents As returned by collectPageContent
+ * @returns {number} How many items didn't find an empty cell
+ */
+export function pourContent(page, contents) {
+    const queue = [...contents];
+    getLeavesInReadingOrder(page).forEach(leaf => {
+        if (queue.length === 0 || hasContent(getLeafContent(leaf))) return;
+        Object.assign(leaf, queue.shift());
+    });
+    return queue.length;
+}
+
+/**
+ * Validates a template loaded from a file or from storage.
+ * @param {Object} raw
+ * @returns {LayoutTemplate|null} null when the template can't be used
+ */
+export function normalizeTemplate(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    if (!isValidLayout(raw.layout, 0)) return null;
+
+    return {
+        id: typeof raw.id === 'string' && raw.id && !raw.id.startsWith('builtin-') ? raw.id : createTemplateId(),
+        name: raw.name.trim(),
+        layout: stripLayout(raw.layout, true, true)
+    };
+}
+
+/**
+ * Normalizes a list of templates, dropping invalid entries.
+ * @param {Array} list
+ * @returns {LayoutTemplate[]|null} null when there is no list at all
+ */
+export function normalizeTemplates(list) {
+    if (!Array.isArray(list)) return null;
+    return list.map(normalizeTemplate).filter(Boolean);
+}
+
+/**
+ * Copies the structure of a tree without ids, keeping the content when asked.
+ * @returns {Object}
+ */
+function stripLayout(node, includeContent, isRoot = false) {
+    const copy = { splitState: node.splitState === 'split' ? 'split' : 'unsplit' };
+    if (!isRoot && node.size) copy.size = node.size;
+
+    if (isRoot) {
+        const margins = normalizeMargins(node.pageMargin);
+        if (margins) copy.pageMargin = margins;
+    }
+
+    if (copy.splitState === 'split') {
+        copy.orientation = node.orientation;
+        copy.children = node.children.map(child => stripLayout(child, includeContent));
+    } else if (includeContent) {
+        Object.assign(copy, JSON.parse(JSON.stringify(getLeafContent(node))));
+    }
+    return copy;
+}
+
+function isValidLayout(node, depth) {
+    if (!node || typeof node !== 'object' || depth > MAX_TEMPLATE_DEPTH) return false;
+    if (node.splitState !== 'split') return true;
+    return ['vertical', 'horizontal'].includes(node.orientation)
+        && Array.isArray(node.children)
+        && node.children.length >= 2
+        && node.children.every(child => isValidLayout(child, depth + 1));
+}
+
+/**
+ * Cell content: everything except the structural keys and transient `_` flags.
+ * @param {Object} node
+ * @returns {Object}
+ */
+function getLeafContent(node) {
+    const content = {};
+    Object.entries(node).forEach(([key, value]) => {
+        if (!STRUCTURAL_KEYS.includes(key) && !key.startsWith('_') && value !== null && value !== undefined) {
+            content[key] = value;
+        }
+    });
+    return content;
+}
+
+function hasContent(content) {
+    return Boolean(content.image) || (content.text !== null && content.text !== undefined);
+}
+
+function createTemplateId() {
+    return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Text Fit Utilities
+ * Pure helpers for "fit text to cell": a text cell with `textFit` gets the largest font size
+ * between its bounds at which its markdown doesn't overflow (measured in textFlow.js).
+ * Sizes are in the unit of the Font Size setting: pixels on a 1000px wide page.
+ */
+
+/** Bounds a cell may pick from */
+export const TEXT_FIT_LIMITS = { min: 4, max: 200 };
+
+/** Bounds of a cell that just turned fitting on */
+export const DEFAULT_TEXT_FIT = { min: 10, max: 60 };
+
+/** Sizes are searched in half steps */
+const FIT_STEP = 0.5;
+
+const clampSize = (value, fallback) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(TEXT_FIT_LIMITS.max, Math.max(TEXT_FIT_LIMITS.min, Math.round(number)));
+};
+
+/**
+ * Cleans fit bounds read from a file or typed in the inspector.
+ * @param {any} textFit
+ * @returns {{min: number, max: number}|null} null when fitting is off
+ */
+export function normalizeTextFit(textFit) {
+    if (!textFit || typeof textFit !== 'object') return null;
+    const min = clampSize(textFit.min, DEFAULT_TEXT_FIT.min);
+    const max = clampSize(textFit.max, DEFAULT_TEXT_FIT.max);
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+function getLeaves(node) {
+    if (!node) return [];
+    if (node.splitState === 'split' && node.children) return node.children.flatMap(getLeaves);
+    return [node];
+}
+
+/**
+ * Text cells set to fit their text, in page order.
+ * @param {Object[]} pages
+ * @returns {Array<{pageIndex: number, nodeId: string, bounds: {min: number, max: number}}>}
+ */
+export function getTextFitCells(pages) {
+    return pages.flatMap((page, pageIndex) => getLeaves(page)
+        .filter(node => typeof node.text === 'string' && normalizeTextFit(node.textFit))
+        .map(node => ({ pageIndex, nodeId: node.id, bounds: normalizeTextFit(node.textFit) })));
+}
+
+/**
+ * Largest size between the bounds that fits. Text grows with the size, so a binary search
+ * over the steps finds it. When nothing fits the minimum is used (and the cell overflows).
+ * @param {{min: number, max: number}} bounds
+ * @param {(size: number) => boolean} fits
+ * @returns {number}
+ */
+export function findLargestFittingSize(bounds, fits) {
+    const steps = Math.round((bounds.max - bounds.min) / FIT_STEP);
+    let low = 0;
+    let high = steps;
+    let best = 0;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (fits(bounds.min + mid * FIT_STEP)) {
+            best = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return bounds.min + best * FIT_STEP;
+}
+
+/**
+ * CSS value of the text size variable for a fitted size, scaling with the page like the
+ * Font Size setting does (see layout.css).
+ * @param {number} size
+ * @returns {string}
+ */
+export function getFitFontSizeValue(size) {
+    return `calc(var(--paper-scale-ref) * ${size / 1000})`;
+}
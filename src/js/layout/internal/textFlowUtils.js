@@ -0,0 +1,160 @@
+import { splitMarkdownBlocks } from './richTextUtils.js';
+import { getLeavesInReadingOrder } from './templateUtils.js';
+
+/**
+ * Text Flow Utilities
+ * Pure helpers for linked text cells: a cell with text can point at an empty cell with
+ * `flowTo`, which can point further, on the same or any later page. Text that doesn't fit a
+ * cell continues in the next cell of its chain. Measuring what fits is up to textFlow.js;
+ * this module finds the chains and the places where markdown may be cut.
+ */
+
+/**
+ * @typedef {Object} FlowCell
+ * @property {number} pageIndex
+ * @property {string} nodeId
+ */
+
+/**
+ * Whether a node can show text flowed in from another cell: an empty, unsplit cell.
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export function isFlowTarget(node) {
+    return !!node && node.splitState !== 'split' && !node.image && (node.text === null || node.text === undefined);
+}
+
+function getLeaves(node) {
+    if (!node) return [];
+    if (node.splitState === 'split' && node.children) return node.children.flatMap(getLeaves);
+    return [node];
+}
+
+/**
+ * Follows the `flowTo` links from every cell with text. A chain stops at a missing cell, a
+ * cell that got content of its own, or a cell already used by an earlier chain (which also
+ * rules out loops).
+ * @param {Object[]} pages
+ * @returns {FlowCell[][]} Cells of every chain with at least one continuation, head first
+ */
+export function getFlowChains(pages) {
+    const cells = new Map();
+    pages.forEach((page, pageIndex) => {
+        getLeaves(page).forEach(node => cells.set(node.id, { node, pageIndex }));
+    });
+
+    const claimed = new Set();
+    const chains = [];
+    cells.forEach(({ node, pageIndex }) => {
+        if (typeof node.text !== 'string' || !node.flowTo) return;
+
+        const chain = [{ pageIndex, nodeId: node.id }];
+        claimed.add(node.id);
+        let next = cells.get(node.flowTo);
+        while (next && isFlowTarget(next.node) && !claimed.has(next.node.id)) {
+            chain.push({ pageIndex: next.pageIndex, nodeId: next.node.id });
+            claimed.add(next.node.id);
+            next = next.node.flowTo ? cells.get(next.node.flowTo) : null;
+        }
+        if (chain.length > 1) chains.push(chain);
+    });
+    return chains;
+}
+
+/**
+ * Cells the given cell may continue its text in: empty cells on its page or a later one
+ * that no other chain uses, and that don't come before it in its own chain.
+ * @param {Object[]} pages
+ * @param {number} pageIndex Page of the cell
+ * @param {string} nodeId
+ * @returns {Array<FlowCell & {label: string}>} In page and reading order
+ */
+export function getFlowTargets(pages, pageIndex, nodeId) {
+    const chains = getFlowChains(pages);
+    const own = chains.find(chain => chain.some(cell => cell.nodeId === nodeId)) || [];
+    const ownIndex = own.findIndex(cell => cell.nodeId === nodeId);
+    const blocked = new Set(own.slice(0, ownIndex + 1).map(cell => cell.nodeId));
+    chains.filter(chain => chain !== own).forEach(chain => chain.forEach(cell => blocked.add(cell.nodeId)));
+    blocked.add(nodeId);
+
+    const targets = [];
+    for (let index = pageIndex; index < pages.length; index++) {
+        getLeavesInReadingOrder(pages[index]).forEach((node, position) => {
+            if (!isFlowTarget(node) || blocked.has(node.id)) return;
+            targets.push({ pageIndex: index, nodeId: node.id, label: node.name || `Cell ${position + 1}` });
+        });
+    }
+    return targets;
+}
+
+/** Continuation text starting like this would turn into a heading, list, quote, table or fence */
+const BLOCK_START = /^(?:[#>|]|[-+*](?:\s|$)|\d+[.)](?:\s|$)|```|~~~|={2,}|-{2,})/;
+
+/**
+ * Offsets where markdown may be cut between two cells, in increasing order: between blocks,
+ * between the items of a list, and between the words of a paragraph. List items, code,
+ * tables and inline markup (bold, links...) stay whole. A heading is never cut from the block
+ * after it.
+ * @param {string} markdown
+ * @returns {number[]}
+ */
+export function getFlowSplitPoints(markdown) {
+    const { head, blocks } = splitMarkdownBlocks(markdown);
+    const points = [];
+    let offset = head.length;
+
+    blocks.forEach((block, index) => {
+        const start = offset;
+        const token = block.tokens[0];
+
+        if (block.type === 'paragraph' && token?.tokens) {
+            addWordPoints(points, markdown, start, token.tokens, block.body);
+        } else if (block.type === 'list' && token?.items) {
+            let itemStart = start;
+            token.items.forEach((item, itemIndex) => {
+                if (itemIndex > 0 && itemStart < start + block.body.length) points.push(itemStart);
+                itemStart += item.raw.length;
+            });
+        }
+
+        offset += block.body.length + block.sep.length;
+        if (index < blocks.length - 1 && block.type !== 'heading') points.push(start + block.body.length);
+    });
+
+    return points.filter((point, i) => point > 0 && point < markdown.length && point !== points[i - 1]);
+}
+
+/**
+ * Word starts inside a paragraph. Plain text runs may be cut at any space; other inline
+ * tokens are kept whole.
+ */
+function addWordPoints(points, markdown, start, inlineTokens, body) {
+    // Only trust the inline offsets when they add up to the paragraph
+    if (inlineTokens.map(token => token.raw).join('') !== body) return;
+
+    let offset = start;
+    inlineTokens.forEach(token => {
+        if (token.type === 'text') {
+            const space = /\s+/g;
+            let match;
+            while ((match = space.exec(token.raw)) !== null) {
+                const point = offset + match.index + match[0].length;
+                if (point < start + body.length && !BLOCK_START.test(markdown.slice(point))) points.push(point);
+            }
+        }
+        offset += token.raw.length;
+    });
+}
+
+/**
+ * Cuts markdown at a split point into the part shown in a cell and the rest that flows on.
+ * @param {string} markdown
+ * @param {number} point See getFlowSplitPoints()
+ * @returns {[string, string]}
+ */
+export function splitFlowText(markdown, point) {
+    return [
+        markdown.slice(0, point).replace(/\s+$/, ''),
+        markdown.slice(point).replace(/^(?:[ \t]*\n)+/, '')
+    ];
+}
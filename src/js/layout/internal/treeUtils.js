@@ -65,7 +65,8 @@ export function countParallelLeaves(node, orientation) {
 }
 /**
  * Core logic to delete a node from the layout tree.
- * Removes the node and merges its sibling into the parent.
+ * Removes the node and hands its space to the remaining siblings; when only one sibling
+ * is left, that sibling is merged into the parent.
  * @param {Object} root The root node of the tree (or subtree)
  * @param {string} nodeId The ID of the node to delete
  * @returns {Object|null} The node that should receive focus, or null if not found
@@ -74,8 +75,21 @@ export function deleteNodeFromTree(root, nodeId) {
     const parentNode = findParentNode(root, nodeId);
     if (!parentNode || !parentNode.children) return null;
 
-    const siblingNode = parentNode.children.find(c => c.id !== nodeId);
-    if (!siblingNode) return null;
+    const index = parentNode.children.findIndex(c => c.id === nodeId);
+    if (index === -1 || parentNode.children.length < 2) return null;
+
+    if (parentNode.children.length > 2) {
+        // Siblings stay in this container and keep their proportions
+        const fallback = 100 / parentNode.children.length;
+        parentNode.children.splice(index, 1);
+        const remaining = parentNode.children.reduce((sum, c) => sum + parseSize(c.size, fallback), 0);
+        parentNode.children.forEach(c => {
+            c.size = `${(parseSize(c.size, fallback) / remaining) * 100}%`;
+        });
+        return parentNode.children[Math.max(0, index - 1)];
+    }
+
+    const siblingNode = parentNode.children[1 - index];
 
     // Merge sibling into parent
     parentNode.splitState = siblingNode.splitState;
@@ -94,16 +108,87 @@ export function deleteNodeFromTree(root, nodeId) {
 }
 
 /**
- * Determines if a divider (represented by its parent node) is mergeable.
- * A divider is mergeable if it separates EXACTLY one leaf node from each child subtree
- * along its entire length.
+ * Splits a leaf into `count` equal cells. When the leaf's container already runs in the
+ * same direction, the new cells join that container instead of nesting a new split.
+ * @param {Object} root Page layout tree
+ * @param {string} nodeId Leaf to split
+ * @param {string} orientation 'vertical' (side by side) | 'horizontal' (stacked)
+ * @param {number} count Number of cells, at least 2
+ * @param {number} [contentIndex] Cell that keeps the leaf's content
+ * @returns {Object[]} The new cells, in order (empty if the node can't be split)
+ */
+export function splitNodeInTree(root, nodeId, orientation, count, contentIndex = 0) {
+    const node = findNodeById(root, nodeId);
+    if (!node || node.splitState === 'split' || count < 2) return [];
+
+    const content = getNodeContent(node);
+    const parentNode = findParentNode(root, nodeId);
+    const joinsParent = parentNode && parentNode.orientation === orientation;
+    const share = joinsParent ? parseSize(node.size, 100 / parentNode.children.length) / count : 100 / count;
+
+    const cells = Array.from({ length: count }, () => ({
+        id: `rect-${++state.currentId}`,
+        splitState: 'unsplit',
+        image: null,
+        text: null,
+        size: `${share}%`
+    }));
+    Object.assign(cells[Math.min(Math.max(contentIndex, 0), count - 1)], content);
+
+    if (joinsParent) {
+        parentNode.children.splice(parentNode.children.indexOf(node), 1, ...cells);
+    } else {
+        Object.keys(content).forEach(key => {
+            node[key] = null;
+        });
+        node.splitState = 'split';
+        node.orientation = orientation;
+        node.children = cells;
+    }
+    return cells;
+}
+
+/**
+ * Gives every child of a split node the same size.
+ * @param {Object} node
+ * @returns {boolean} Whether anything changed
+ */
+export function distributeChildrenEvenly(node) {
+    if (!node || node.splitState !== 'split' || !node.children) return false;
+
+    const size = `${100 / node.children.length}%`;
+    const changed = node.children.some(c => c.size !== size);
+    node.children.forEach(c => {
+        c.size = size;
+    });
+    return changed;
+}
+
+/**
+ * Index of the child of `parentNode` that is, or contains, the given node.
  * @param {Object} parentNode
+ * @param {string} nodeId
+ * @returns {number} -1 when the node isn't in this subtree
+ */
+export function findChildIndexContaining(parentNode, nodeId) {
+    if (!parentNode || !parentNode.children) return -1;
+    return parentNode.children.findIndex(c => c.id === nodeId || (c.children && findNodeById(c, nodeId)));
+}
+
+/**
+ * Determines if a divider is mergeable.
+ * A divider is mergeable if it separates EXACTLY one leaf node on each side along its
+ * entire length.
+ * @param {Object} parentNode Split node the divider belongs to
+ * @param {number} [index] Divider position: it sits between children[index] and children[index + 1]
  * @returns {boolean}
  */
-export function isDividerMergeable(parentNode) {
+export function isDividerMergeable(parentNode, index = 0) {
     if (!parentNode || parentNode.splitState !== 'split' || !parentNode.children) return false;
 
-    const [childA, childB] = parentNode.children;
+    const childA = parentNode.children[index];
+    const childB = parentNode.children[index + 1];
+    if (!childA || !childB) return false;
     const orientation = parentNode.orientation;
 
     // We check the "trailing" edge of the first child and "leading" edge of the second.
@@ -125,57 +210,43 @@ function countNodesAlongBoundary(node, splitOrientation, isLeading) {
 
     if (node.orientation === splitOrientation) {
         // Parallel split: only the child adjacent to the boundary contributes.
-        // If we want the leading edge of a vertical split [A|B], we pick A.
-        // If we want the trailing edge, we pick B.
-        const targetIndex = isLeading ? 0 : 1;
-        return countNodesAlongBoundary(node.children[targetIndex], splitOrientation, isLeading);
+        // If we want the leading edge of a vertical split [A|B|C], we pick A.
+        // If we want the trailing edge, we pick C.
+        const target = isLeading ? node.children[0] : node.children[node.children.length - 1];
+        return countNodesAlongBoundary(target, splitOrientation, isLeading);
     } else {
-        // Orthogonal split: BOTH children contribute to the shared boundary.
-        return countNodesAlongBoundary(node.children[0], splitOrientation, isLeading) +
-            countNodesAlongBoundary(node.children[1], splitOrientation, isLeading);
+        // Orthogonal split: EVERY child contributes to the shared boundary.
+        return node.children.reduce((sum, child) => sum + countNodesAlongBoundary(child, splitOrientation, isLeading), 0);
     }
 }
 
 /**
- * Merges nodes separated by a specific divider using surgical Tree Contraction.
- * Assumes isDividerMergeable(parentNode) is true.
+ * Merges the two cells on either side of a divider.
+ * Same-direction splits on both sides are first lifted into the divider's container, so the
+ * merged cell and all its former siblings end up side by side in one container.
+ * Assumes isDividerMergeable(parentNode, index) is true.
  * @param {Object} parentNode The parent node of the divider
  * @param {string} focusedNodeId The ID of the node initiating the merge (priority content)
+ * @param {number} [index] Divider position, see isDividerMergeable()
  * @returns {Object} The updated node that replaces parentNode
  */
-export function mergeNodesInTree(parentNode, focusedNodeId) {
-    const [childA, childB] = parentNode.children;
+export function mergeNodesInTree(parentNode, focusedNodeId, index = 0) {
     const orientation = parentNode.orientation;
+    const fallback = 100 / parentNode.children.length;
 
-    // 1. Identify the touching leaf nodes
-    const getTouchingLeaf = (node, splitOrientation, isLeading) => {
-        if (node.splitState === 'unsplit') return node;
-        const targetIndex = isLeading ? 0 : 1;
-        return getTouchingLeaf(node.children[targetIndex], splitOrientation, isLeading);
-    };
-
-    const leafA = getTouchingLeaf(childA, orientation, false); // Trailing edge
-    const leafB = getTouchingLeaf(childB, orientation, true);  // Leading edge
+    // 1. Lift parallel splits so the touching leaves become siblings
+    const cellsA = flattenParallel(parentNode.children[index], orientation, fallback);
+    const cellsB = flattenParallel(parentNode.children[index + 1], orientation, fallback);
+    const leafA = cellsA[cellsA.length - 1];
+    const leafB = cellsB[0];
 
     // 2. Combine content - Prioritize the focused node
-    // A node has content if it has any properties other than the structural ones
-    const structuralKeys = ['id', 'splitState', 'children', 'orientation', 'size'];
-    const getContent = (node) => {
-        const content = {};
-        Object.entries(node).forEach(([key, value]) => {
-            if (!structuralKeys.includes(key) && value !== null && value !== undefined) {
-                content[key] = (typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
-            }
-        });
-        return content;
-    };
-
-    const contentA = getContent(leafA);
-    const contentB = getContent(leafB);
+    const contentA = getNodeContent(leafA);
+    const contentB = getNodeContent(leafB);
     const hasContentA = Object.keys(contentA).length > 0;
     const hasContentB = Object.keys(contentB).length > 0;
 
-    let mergedContent = {
+    const mergedContent = {
         splitState: 'unsplit',
         children: null,
         orientation: null
@@ -192,106 +263,87 @@ export function mergeNodesInTree(parentNode, focusedNodeId) {
 
     Object.assign(mergedContent, winnerContent);
 
-    // 3. Tree Contraction Logic
-    // Recursive helper to update leaf within a subtree
-    const contract = (node, targetLeafId, newNode) => {
-        if (node.id === targetLeafId) {
-            Object.assign(node, newNode);
-            return node;
-        }
-        if (node.children) {
-            node.children = node.children.map(c => contract(c, targetLeafId, newNode));
-        }
-        return node;
-    };
-
-    // Update childA and childB structures
-    contract(childA, leafA.id, mergedContent);
-    contract(childB, leafB.id, mergedContent);
-
-    // 4. Update parentNode and Recalculate Sizes
-    const parseSize = (s) => parseFloat(s) || 50;
-    const sizeA = parseSize(childA.size);
-    const sizeB = parseSize(childB.size);
-
-    const isParallelA = childA.splitState === 'split' && childA.orientation === orientation;
-    const isParallelB = childB.splitState === 'split' && childB.orientation === orientation;
-
-    if (isParallelA && isParallelB) {
-        // [ [A1|A2] | [B1|B2] ] -> Merge A2 and B1.
-        // Result is [ A1 | [Merged(A2,B1) | B2] ] (nested binary tree)
-        // New structure for parentNode: 
-        // P { split, children: [A1, NewParent { children: [Merged, B2] }] }
-
-        const factorA = sizeA / 100;
-        const factorB = sizeB / 100;
-
-        // Adjust A1
-        childA.children[0].size = `${parseSize(childA.children[0].size) * factorA}%`;
-
-        // Adjust A2 (it will be merged, it takes sizeA*ratio2 + sizeB*ratio1)
-        const a2Abs = parseSize(childA.children[1].size) * factorA;
-        const b1Abs = parseSize(childB.children[0].size) * factorB;
-        childA.children[1].size = `${a2Abs + b1Abs}%`;
-
-        // Adjust B2
-        childB.children[1].size = `${parseSize(childB.children[1].size) * factorB}%`;
-
-        // We can structure the result as A1 | [Merged | B2]
-        // leafA already shares content with leafB due to earlier contract() calls.
-        // leafA IS childA.children[1].
-        // leafB IS childB.children[0].
-
-        const newInnerParent = {
-            id: `rect-${++state.currentId}`,
-            splitState: 'split',
-            orientation: orientation,
-            size: `${100 - parseSize(childA.children[0].size)}%`,
-            children: [
-                childA.children[1], // The merged node (A2 + B1 content)
-                childB.children[1]  // B2
-            ]
-        };
-
-        parentNode.splitState = 'split';
-        parentNode.children = [
-            childA.children[0], // A1
-            newInnerParent
-        ];
-    } else if (isParallelA) {
-        // [ [A1|A2] | B ] -> Merge A2 and B
-        const factor = sizeA / 100;
-        childA.children.forEach(c => {
-            const innerSize = parseSize(c.size);
-            const absoluteSize = innerSize * factor;
-            if (c.id === leafA.id || (c.children && findNodeById(c, leafA.id))) {
-                c.size = `${absoluteSize + sizeB}%`;
-            } else {
-                c.size = `${absoluteSize}%`;
-            }
-        });
-        parentNode.splitState = 'split';
-        parentNode.children = childA.children;
-        parentNode.orientation = childA.orientation;
-    } else if (isParallelB) {
-        // [ A | [B1|B2] ] -> Merge A and B1
-        const factor = sizeB / 100;
-        childB.children.forEach(c => {
-            const innerSize = parseSize(c.size);
-            const absoluteSize = innerSize * factor;
-            if (c.id === leafB.id || (c.children && findNodeById(c, leafB.id))) {
-                c.size = `${absoluteSize + sizeA}%`;
-            } else {
-                c.size = `${absoluteSize}%`;
-            }
-        });
-        parentNode.splitState = 'split';
-        parentNode.children = childB.children;
-        parentNode.orientation = childB.orientation;
-    } else {
-        // Simple case: A | B
+    // 3. Only the two cells were in this container: it becomes the merged cell
+    if (parentNode.children.length === 2 && cellsA.length === 1 && cellsB.length === 1) {
         Object.assign(parentNode, mergedContent);
+        return parentNode;
     }
 
+    // 4. Replace both sides with their cells, the touching pair fused into one
+    const merged = {
+        id: leafB.id === focusedNodeId ? leafB.id : leafA.id,
+        size: `${parseSize(leafA.size, fallback) + parseSize(leafB.size, fallback)}%`,
+        ...mergedContent
+    };
+
+    parentNode.splitState = 'split';
+    parentNode.children.splice(index, 2, ...cellsA.slice(0, -1), merged, ...cellsB.slice(1));
     return parentNode;
 }
+
+/**
+ * Node content: everything except the structural keys, deep-copied.
+ * @param {Object} node
+ * @returns {Object}
+ */
+function getNodeContent(node) {
+    // pageMargin and title belong to the page (the root node), not to the cell content
+    const structuralKeys = ['id', 'splitState', 'children', 'orientation', 'size', 'pageMargin', 'title'];
+    const content = {};
+    Object.entries(node).forEach(([key, value]) => {
+        if (!structuralKeys.includes(key) && value !== null && value !== undefined) {
+            content[key] = (typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+        }
+    });
+    return content;
+}
+
+/**
+ * Expands a subtree split in the given orientation into its cells, sized in percent of
+ * the container the subtree sits in.
+ * @returns {Object[]}
+ */
+function flattenParallel(node, orientation, fallback) {
+    const size = parseSize(node.size, fallback);
+    if (node.splitState !== 'split' || node.orientation !== orientation) {
+        node.size = `${size}%`;
+        return [node];
+    }
+
+    const innerFallback = 100 / node.children.length;
+    const innerTotal = node.children.reduce((sum, c) => sum + parseSize(c.size, innerFallback), 0);
+    return node.children.flatMap(child => {
+        child.size = `${(parseSize(child.size, innerFallback) * size) / innerTotal}%`;
+        return flattenParallel(child, orientation, innerFallback);
+    });
+}
+
+function parseSize(size, fallback) {
+    return parseFloat(size) || fallback;
+}
+
+/**
+ * Computes the box of every leaf from the split sizes, in percent of the root box.
+ * Divider thickness is ignored, so edges are accurate to a divider width.
+ * @param {Object} node
+ * @param {{x: number, y: number, width: number, height: number}} [box]
+ * @returns {Array<{node: Object, box: {x: number, y: number, width: number, height: number}}>}
+ */
+export function computeLeafBoxes(node, box = { x: 0, y: 0, width: 100, height: 100 }) {
+    if (node.splitState !== 'split' || !node.children) {
+        return [{ node, box }];
+    }
+
+    const total = node.children.reduce((sum, child) => sum + (parseFloat(child.size) || 0), 0) || 100;
+    const isRow = node.orientation === 'vertical';
+    let offset = 0;
+
+    return node.children.flatMap(child => {
+        const fraction = (parseFloat(child.size) || total / node.children.length) / total;
+        const childBox = isRow
+            ? { x: box.x + box.width * offset, y: box.y, width: box.width * fraction, height: box.height }
+            : { x: box.x, y: box.y + box.height * offset, width: box.width, height: box.height * fraction };
+        offset += fraction;
+        return computeLeafBoxes(child, childBox);
+    });
+}
@@ -0,0 +1,46 @@
+import { state } from '../../core/state.js';
+import { WIKI_LINK_START, parseWikiLink, resolveWikiLink } from './wikiLinkUtils.js';
+
+/**
+ * Wiki-link Markdown Extension
+ * Renders `[[Target]]` / `[[Target|Label]]` as internal links to the page (and cell) they
+ * resolve to. The `#page=N` href is what the PDF and flipbook exporters turn into page jumps;
+ * links are resolved on every render, so they follow pages as they move.
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/** marked inline extension, see marked.use() */
+export const wikiLinkExtension = {
+    name: 'wikiLink',
+    level: 'inline',
+    start(src) {
+        const index = src.indexOf('[[');
+        return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+        const match = src.match(WIKI_LINK_START);
+        const link = match && parseWikiLink(match[1]);
+        if (!link) return undefined;
+        return { type: 'wikiLink', raw: match[0], target: link.target, label: link.label };
+    },
+    renderer(token) {
+        const label = escapeHtml(token.label);
+        // The target lets the WYSIWYG editor write the link back, see richTextUtils.js
+        const target = ` data-wiki-target="${escapeHtml(token.target)}"`;
+        const resolved = resolveWikiLink(state.pages, token.target);
+        if (!resolved) {
+            return `<span class="wiki-link is-unresolved"${target} title="No page or cell named &quot;${escapeHtml(token.target)}&quot;">${label}</span>`;
+        }
+
+        const pageNumber = resolved.pageIndex + 1;
+        const cell = resolved.nodeId ? ` data-cell-id="${escapeHtml(resolved.nodeId)}"` : '';
+        return `<a class="wiki-link" href="#page=${pageNumber}"${target}${cell} title="Go to page ${pageNumber}">${label}</a>`;
+    }
+};
@@ -0,0 +1,128 @@
+import { extractHeadings, normalizePageTitle } from './outlineUtils.js';
+
+/**
+ * Wiki-link Utilities
+ * Pure helpers for Obsidian-style `[[Target]]` / `[[Target|Label]]` links in text cells.
+ * A target names a page (its title, or else the first heading on it) or a named cell;
+ * names compare case- and whitespace-insensitively, the first match in document order wins.
+ */
+
+/** A whole link at the start of a string, as the markdown tokenizer sees it */
+export const WIKI_LINK_START = /^\[\[([^[\]\n]+)\]\]/;
+
+const WIKI_LINK_GLOBAL = /\[\[([^[\]\n]+)\]\]/g;
+
+/**
+ * @param {string} inner Text between the brackets
+ * @returns {{target: string, label: string}|null}
+ */
+export function parseWikiLink(inner) {
+    const [target, ...rest] = String(inner || '').split('|');
+    const name = target.trim();
+    if (!name) return null;
+    const label = rest.join('|').trim();
+    return { target: name, label: label || name };
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Key names are compared by
+ */
+export function normalizeLinkName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Leaves of a layout tree in document order
+ * @param {Object} node
+ * @returns {Object[]}
+ */
+function getLeaves(node) {
+    if (!node) return [];
+    if (node.splitState === 'split' && node.children) return node.children.flatMap(getLeaves);
+    return [node];
+}
+
+/**
+ * Text of the first markdown heading on a page, without the #-marks.
+ * @param {Object} page Layout tree
+ * @returns {string|null}
+ */
+export function getFirstHeading(page) {
+    return extractHeadings(page)[0]?.text ?? null;
+}
+
+/**
+ * Name a page is linked by: its title, or else its first heading.
+ * @param {Object} page Layout tree, may carry a `title`
+ * @returns {string|null}
+ */
+export function getPageTitle(page) {
+    return normalizePageTitle(page?.title) || getFirstHeading(page);
+}
+
+/**
+ * Resolves a link target against the document.
+ * @param {Object[]} pages
+ * @param {string} target
+ * @returns {{pageIndex: number, nodeId: string|null}|null} nodeId is set for cell links
+ */
+export function resolveWikiLink(pages, target) {
+    const key = normalizeLinkName(target);
+    if (!key) return null;
+
+    // Explicit page titles beat headings, pages beat cells
+    const byTitle = pages.findIndex(page => normalizeLinkName(normalizePageTitle(page.title)) === key);
+    if (byTitle !== -1) return { pageIndex: byTitle, nodeId: null };
+
+    const byHeading = pages.findIndex(page => normalizeLinkName(getFirstHeading(page)) === key);
+    if (byHeading !== -1) return { pageIndex: byHeading, nodeId: null };
+
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        const cell = findNamedCell(pages[pageIndex], key);
+        if (cell) return { pageIndex, nodeId: cell.id };
+    }
+    return null;
+}
+
+function findNamedCell(node, key) {
+    if (!node) return null;
+    if (typeof node.name === 'string' && normalizeLinkName(node.name) === key) return node;
+    for (const child of node.children || []) {
+        const found = findNamedCell(child, key);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Link targets written in a text.
+ * @param {string} text Markdown
+ * @returns {string[]}
+ */
+export function findWikiLinks(text) {
+    if (typeof text !== 'string') return [];
+    return [...text.matchAll(WIKI_LINK_GLOBAL)]
+        .map(match => parseWikiLink(match[1]))
+        .filter(Boolean)
+        .map(link => link.target);
+}
+
+/**
+ * Text cells on other pages that link to a page or to a cell on it.
+ * @param {Object[]} pages
+ * @param {number} pageIndex
+ * @returns {Array<{pageIndex: number, nodeId: string}>} In document order, one entry per cell
+ */
+export function findBacklinks(pages, pageIndex) {
+    const backlinks = [];
+    pages.forEach((page, sourceIndex) => {
+        if (sourceIndex === pageIndex) return;
+        getLeaves(page).forEach(leaf => {
+            const linksHere = findWikiLinks(leaf.text)
+                .some(target => resolveWikiLink(pages, target)?.pageIndex === pageIndex);
+            if (linksHere) backlinks.push({ pageIndex: sourceIndex, nodeId: leaf.id });
+        });
+    });
+    return backlinks;
+}
@@ -1,10 +1,11 @@
 import { A4_PAPER_ID } from '../core/constants.js';
-import { state, getCurrentPage } from '../core/state.js';
+import { getCurrentPage } from '../core/state.js';
 import { saveState } from '../io/history.js';
 import { renderLayout } from './renderer.js';
+import { focusFlowHead } from './textFlow.js';
 
 // Internal modules
-import { findNodeById as findNodeByIdInternal, findParentNode as findParentNodeInternal, countParallelLeaves, deleteNodeFromTree, isDividerMergeable, mergeNodesInTree } from './internal/treeUtils.js';
+import { findNodeById as findNodeByIdInternal, findParentNode as findParentNodeInternal, countParallelLeaves, deleteNodeFromTree, isDividerMergeable, mergeNodesInTree, splitNodeInTree, distributeChildrenEvenly, findChildIndexContaining } from './internal/treeUtils.js';
 import { snapDivider as snapDividerInternal } from './internal/snapping.js';
 import { renderAndRestoreFocus as renderAndRestoreFocusInternal } from './internal/focusManager.js';
 import * as dragInternal from './internal/dragHandler.js';
@@ -61,39 +62,65 @@ export function handleSplitClick(event) {
 
     // Split logic
     saveState();
-    node.splitState = 'split';
 
     const rect = rectElement.getBoundingClientRect();
-    const width = rect.width;
-    const height = rect.height;
-
-    const defaultIsVertical = width >= height;
-    node.orientation = event.altKey ? (defaultIsVertical ? 'horizontal' : 'vertical') : (defaultIsVertical ? 'vertical' : 'horizontal');
-
-    // Create children
-    const childA = { id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size: '50%' };
-    const childB = { id: `rect-${++state.currentId}`, splitState: 'unsplit', image: null, text: null, size: '50%' };
-    node.children = [childA, childB];
-
-    // Migrate content
-    if (node.image) {
-        const targetNode = event.ctrlKey ? childB : childA;
-        targetNode.image = { ...node.image };
-        node.image = null;
+    const defaultIsVertical = rect.width >= rect.height;
+    const orientation = event.altKey ? (defaultIsVertical ? 'horizontal' : 'vertical') : (defaultIsVertical ? 'vertical' : 'horizontal');
+
+    // Content migrates to the second cell on Ctrl
+    const cells = splitNodeInTree(getCurrentPage(), node.id, orientation, 2, event.ctrlKey ? 1 : 0);
+    if (cells.length > 0) {
+        renderAndRestoreFocus(getCurrentPage(), cells[0].id);
     }
+}
+
+/**
+ * Splits a cell into `count` equal cells, along its longer side or, with `across`, the shorter one.
+ * @param {string} rectId
+ * @param {number} count
+ * @param {boolean} [across]
+ */
+export function splitRectInto(rectId, count, across = false) {
+    const node = findNodeByIdInternal(getCurrentPage(), rectId);
+    const rectElement = document.getElementById(rectId);
+    if (!node || node.splitState === 'split' || !rectElement) return;
+
+    const rect = rectElement.getBoundingClientRect();
+    const alongWidth = rect.width >= rect.height;
+    const orientation = alongWidth !== across ? 'vertical' : 'horizontal';
 
-    if (node.text !== null && node.text !== undefined) {
-        const targetNode = event.ctrlKey ? childB : childA;
-        targetNode.text = node.text;
-        targetNode.textAlign = node.textAlign;
-        node.text = null;
-        node.textAlign = null;
+    saveState();
+    const cells = splitNodeInTree(getCurrentPage(), rectId, orientation, count);
+    if (cells.length > 0) {
+        renderAndRestoreFocus(getCurrentPage(), cells[0].id);
     }
+}
+
+/**
+ * Gives every cell of a container the same size.
+ * @param {string} nodeId The container, or a cell whose container should be evened out
+ * @param {string|null} [focusId] Element to focus after rendering
+ */
+export function distributeEvenly(nodeId, focusId = null) {
+    const page = getCurrentPage();
+    const node = findNodeByIdInternal(page, nodeId);
+    if (!node) return;
 
-    renderAndRestoreFocus(getCurrentPage(), childA.id);
+    const container = node.splitState === 'split' ? node : findParentNodeInternal(page, nodeId);
+    if (!container) return;
+
+    const evenSize = `${100 / container.children.length}%`;
+    if (container.children.every(c => c.size === evenSize)) return;
+
+    saveState();
+    distributeChildrenEvenly(container);
+    renderAndRestoreFocus(page, focusId || nodeId);
 }
 
 export function createTextInRect(rectId, initialText = null) {
+    // Flowed-in text is edited in the cell it starts in
+    if (focusFlowHead(rectId)) return;
+
     const node = findNodeByIdInternal(getCurrentPage(), rectId);
     if (!node || node.splitState === 'split' || node.image) return;
 
@@ -137,6 +164,18 @@ export function toggleImageFlip(rectId) {
     renderAndRestoreFocus(getCurrentPage(), rectId);
 }
 
+/**
+ * In spreads mode, lets an image in a slot against the gutter continue onto the facing page.
+ */
+export function toggleImageGutterSpan(rectId) {
+    const node = findNodeByIdInternal(getCurrentPage(), rectId);
+    if (!node || !node.image) return;
+
+    saveState();
+    node.image.spanGutter = !node.image.spanGutter;
+    renderAndRestoreFocus(getCurrentPage(), `span-btn-${rectId}`);
+}
+
 export function swapNodesContent(sourceNode, targetNode) {
     if (!sourceNode || !targetNode) return;
 
@@ -183,7 +222,8 @@ export function stopDrag() {
 }
 
 /**
- * Find the first mergeable ancestor in a given direction
+ * Find the first mergeable divider in a given direction
+ * @returns {{parent: Object, index: number}|null} The divider's container and position
  */
 export function findMergeableParent(focusedRect, direction) {
     const page = getCurrentPage();
@@ -195,17 +235,13 @@ export function findMergeableParent(focusedRect, direction) {
         if (!parent) break;
 
         if (parent.orientation === targetOrientation) {
-            // Check if searchNodeId is on the correct side of the divider for this direction
-            const isFirst = parent.children[0].id === searchNodeId ||
-                (parent.children[0].children && findNodeByIdInternal(parent.children[0], searchNodeId));
-            const isSecond = parent.children[1].id === searchNodeId ||
-                (parent.children[1].children && findNodeByIdInternal(parent.children[1], searchNodeId));
-
-            if ((isFirst && (direction === 'ArrowRight' || direction === 'ArrowDown')) ||
-                (isSecond && (direction === 'ArrowLeft' || direction === 'ArrowUp'))) {
+            // The divider on the side of searchNodeId this direction points to
+            const childIndex = findChildIndexContaining(parent, searchNodeId);
+            const index = (direction === 'ArrowRight' || direction === 'ArrowDown') ? childIndex : childIndex - 1;
 
-                if (isDividerMergeable(parent)) {
-                    return parent;
+            if (index >= 0 && index < parent.children.length - 1) {
+                if (isDividerMergeable(parent, index)) {
+                    return { parent, index };
                 }
             }
         }
@@ -214,11 +250,13 @@ export function findMergeableParent(focusedRect, direction) {
     return null;
 }
 
-export function mergeNodes(parentNode, sourceNodeId) {
+export function mergeNodes(parentNode, sourceNodeId, index = 0) {
     saveState();
-    const merged = mergeNodesInTree(parentNode, sourceNodeId);
+    const merged = mergeNodesInTree(parentNode, sourceNodeId, index);
     if (merged) {
-        renderAndRestoreFocus(getCurrentPage(), merged.id);
+        // In a container with more cells the source keeps its id, focus stays on it
+        const source = findNodeByIdInternal(getCurrentPage(), sourceNodeId);
+        renderAndRestoreFocus(getCurrentPage(), source ? source.id : merged.id);
     }
 }
 
@@ -228,16 +266,19 @@ export function handleDividerMerge(dividerElement) {
 
     const page = getCurrentPage();
     const parentNode = findNodeByIdInternal(page, parentId);
+    const index = parseInt(dividerElement.dataset.dividerIndex, 10) || 0;
 
-    if (parentNode && isDividerMergeable(parentNode)) {
+    if (parentNode && isDividerMergeable(parentNode, index)) {
         saveState();
         // contentPriority: null means default priority (usually focusing on keeping content)
-        // Check mergeNodesInTree signature: (parentNode, focusedNodeId)
+        // Check mergeNodesInTree signature: (parentNode, focusedNodeId, index)
         // We pass null for focusedNodeId so it decides based on content
-        const merged = mergeNodesInTree(parentNode, null);
+        const merged = mergeNodesInTree(parentNode, null, index);
 
         // Full layout update is safer for tree structure changes
-        renderAndRestoreFocus(page, merged ? merged.id : parentId);
+        const rectAId = dividerElement.dataset.rectAId;
+        const focusId = rectAId && findNodeByIdInternal(page, rectAId) ? rectAId : (merged ? merged.id : parentId);
+        renderAndRestoreFocus(page, focusId);
     }
 }
 
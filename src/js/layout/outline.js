@@ -0,0 +1,130 @@
+import { state, getCurrentPage } from '../core/state.js';
+import { A4_PAPER_ID } from '../core/constants.js';
+import { saveState } from '../io/history.js';
+import { renderLayout } from './renderer.js';
+import { goToPage } from './pages.js';
+import { buildOutline, normalizePageTitle, MAX_PAGE_TITLE_LENGTH } from './internal/outlineUtils.js';
+
+/**
+ * Outline Panel
+ * Floating panel listing every page with its title and the markdown headings of its text
+ * cells. Titles are edited in place; a page or heading jumps to it. The same outline drives
+ * PDF bookmarks and the flipbook table of contents (see export.js).
+ */
+
+/**
+ * @param {number} pageIndex
+ * @param {string} value
+ */
+function setPageTitle(pageIndex, value) {
+    const page = state.pages[pageIndex];
+    const title = normalizePageTitle(value);
+    if (!page || title === normalizePageTitle(page.title)) return;
+
+    saveState();
+    if (title) {
+        page.title = title;
+    } else {
+        delete page.title;
+    }
+    // Wiki-links resolve against page titles
+    renderLayout(document.getElementById(A4_PAPER_ID), getCurrentPage());
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
+function renderOutline() {
+    const list = document.getElementById('outline-list');
+    if (!list) return;
+
+    // Re-renders run while typing: keep the focused control
+    const focusKey = document.activeElement?.closest?.('#outline-list')
+        ? document.activeElement.dataset.focusKey
+        : null;
+
+    list.innerHTML = '';
+    buildOutline(state.pages).forEach(({ pageIndex, title, headings }) => {
+        const pageItem = document.createElement('li');
+        pageItem.className = 'outline-page';
+
+        const row = document.createElement('div');
+        row.className = 'outline-page-row';
+
+        const pageBtn = document.createElement('button');
+        pageBtn.className = 'outline-page-btn';
+        pageBtn.textContent = String(pageIndex + 1);
+        pageBtn.title = `Go to page ${pageIndex + 1}`;
+        pageBtn.dataset.focusKey = `page-${pageIndex}`;
+        pageBtn.addEventListener('click', () => goToPage(pageIndex));
+
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.className = 'settings-input outline-title-input';
+        titleInput.value = title || '';
+        titleInput.placeholder = headings[0]?.text || `Page ${pageIndex + 1}`;
+        titleInput.maxLength = MAX_PAGE_TITLE_LENGTH;
+        titleInput.autocomplete = 'off';
+        titleInput.setAttribute('aria-label', `Title of page ${pageIndex + 1}`);
+        titleInput.dataset.focusKey = `title-${pageIndex}`;
+        titleInput.addEventListener('change', () => setPageTitle(pageIndex, titleInput.value));
+        titleInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                titleInput.blur();
+            }
+        });
+
+        row.append(pageBtn, titleInput);
+        pageItem.appendChild(row);
+
+        if (headings.length > 0) {
+            const headingList = document.createElement('ul');
+            headingList.className = 'outline-headings';
+            headings.forEach((heading, headingIndex) => {
+                const headingItem = document.createElement('li');
+                const headingBtn = document.createElement('button');
+                headingBtn.className = 'outline-heading-btn';
+                headingBtn.style.paddingLeft = `${(heading.level - 1) * 0.75 + 0.5}rem`;
+                headingBtn.textContent = heading.text;
+                headingBtn.title = `Go to "${heading.text}" on page ${pageIndex + 1}`;
+                headingBtn.dataset.focusKey = `heading-${pageIndex}-${headingIndex}`;
+                headingBtn.addEventListener('click', () => goToPage(pageIndex, heading.nodeId));
+                headingItem.appendChild(headingBtn);
+                headingList.appendChild(headingItem);
+            });
+            pageItem.appendChild(headingList);
+        }
+
+        list.appendChild(pageItem);
+    });
+
+    if (focusKey) list.querySelector(`[data-focus-key="${focusKey}"]`)?.focus();
+}
+
+export function setupOutlineHandlers() {
+    const openBtn = document.getElementById('outline-btn');
+    const panel = document.getElementById('outline-panel');
+    if (!openBtn || !panel) return;
+
+    const setOpen = (open) => {
+        panel.hidden = !open;
+        openBtn.setAttribute('aria-pressed', open ? 'true' : 'false');
+        if (open) renderOutline();
+    };
+
+    openBtn.addEventListener('click', () => setOpen(panel.hidden));
+    document.getElementById('close-outline')?.addEventListener('click', () => setOpen(false));
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            setOpen(false);
+            openBtn.focus();
+        }
+    });
+
+    // Text edits, undo/redo and loaded files
+    const refresh = () => {
+        if (!panel.hidden) renderOutline();
+    };
+    document.addEventListener('layoutUpdated', refresh);
+    document.addEventListener('stateRestored', refresh);
+}
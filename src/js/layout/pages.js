@@ -5,6 +5,30 @@ import { renderLayout } from './renderer.js';
 import { dragDropService } from '../ui/DragDropService.js';
 import { renderAndRestoreFocus } from './layout.js';
 import { showConfirm, showAlert } from '../core/utils.js';
+import { getSettings } from '../ui/settings.js';
+import { getSpreads } from './internal/spreadUtils.js';
+import { resolvePageMargins } from './internal/marginUtils.js';
+import { findBacklinks, getPageTitle } from './internal/wikiLinkUtils.js';
+import { normalizePageTitle } from './internal/outlineUtils.js';
+import { assetManager } from '../assets/AssetManager.js';
+import { applyCropStyle } from './internal/cropEditor.js';
+import { setAdjustedImageSource } from '../assets/adjustedImages.js';
+
+/** Pages picked in the sidebar with Ctrl/Cmd- or Shift-click, used by "Selected pages" export */
+const selectedPageIndices = new Set();
+let selectionAnchorIndex = null;
+
+/**
+ * @returns {number[]} 0-based indices of the pages selected in the sidebar, in document order
+ */
+export function getSelectedPageIndices() {
+    return [...selectedPageIndices].sort((a, b) => a - b);
+}
+
+export function clearPageSelection() {
+    selectedPageIndices.clear();
+    selectionAnchorIndex = null;
+}
 
 export function setupPageHandlers() {
     const addPageBtn = document.getElementById('add-page-btn');
@@ -21,6 +45,8 @@ export function setupPageHandlers() {
 
     // Listen for state definition/restoration
     document.addEventListener('stateRestored', () => {
+        // Indices no longer point at the same pages after undo/redo or loading a file
+        clearPageSelection();
         renderPageList();
         renderAndRestoreFocus(getCurrentPage());
     });
@@ -29,21 +55,64 @@ export function setupPageHandlers() {
         renderPageList();
     });
 
+    // Spreads mode regroups the list into pairs
+    document.addEventListener('settingsUpdated', () => {
+        renderPageList();
+    });
+
     // Initial render
     renderPageList();
 }
 
+/**
+ * Shows a page, focusing one of its cells when given.
+ * @param {number} index
+ * @param {string|null} [focusId]
+ */
+export function goToPage(index, focusId = null) {
+    if (index < 0 || index >= state.pages.length) return;
+    clearPageSelection();
+    switchPage(index);
+    renderAndRestoreFocus(getCurrentPage(), focusId);
+    renderPageList();
+}
+
 export function renderPageList() {
     const pagesList = document.getElementById('pages-list');
     if (!pagesList) return;
 
     pagesList.innerHTML = '';
+    selectedPageIndices.forEach(index => {
+        if (index >= state.pages.length) selectedPageIndices.delete(index);
+    });
+
+    // In spreads mode, facing pages share a row in the list
+    const { layout } = getSettings();
+    const spreadRows = new Map();
+    pagesList.classList.toggle('spread-list', !!layout.spreads);
+    if (layout.spreads) {
+        getSpreads(state.pages.length, layout.singleCover).forEach((spread, spreadIndex) => {
+            const row = document.createElement('div');
+            row.className = 'page-spread-row';
+            if (spread.length === 1) {
+                row.classList.add(spreadIndex === 0 && layout.singleCover ? 'single-right' : 'single-left');
+            }
+            row.setAttribute('role', 'group');
+            row.setAttribute('aria-label', spread.length === 2
+                ? `Spread: pages ${spread[0] + 1} and ${spread[1] + 1}`
+                : `Page ${spread[0] + 1}`);
+            spread.forEach(index => spreadRows.set(index, row));
+            pagesList.appendChild(row);
+        });
+    }
 
     state.pages.forEach((page, index) => {
         const item = document.createElement('div');
         item.className = `page-thumbnail-item ${index === state.currentPageIndex ? 'active' : ''}`;
+        item.classList.toggle('selected', selectedPageIndices.has(index));
         item.draggable = true;
         item.dataset.pageIndex = index;
+        item.setAttribute('aria-selected', selectedPageIndices.has(index) ? 'true' : 'false');
 
         // Thumbnail Container
         const thumbnailContainer = document.createElement('div');
@@ -51,9 +120,23 @@ export function renderPageList() {
 
         const previewContent = document.createElement('div');
         previewContent.className = 'mini-layout';
-        renderMiniLayout(previewContent, page);
+        renderMiniLayout(previewContent, page, {
+            margins: resolvePageMargins(page, getSettings(), index, state.pages.length),
+            gutter: getSettings().layout.gutter
+        });
         thumbnailContainer.appendChild(previewContent);
 
+        // Page title, set in the outline panel
+        const title = normalizePageTitle(page.title);
+        if (title) {
+            const titleLabel = document.createElement('span');
+            titleLabel.className = 'page-title';
+            titleLabel.textContent = title;
+            thumbnailContainer.appendChild(titleLabel);
+            item.title = title;
+            item.setAttribute('aria-label', `Page ${index + 1}: ${title}`);
+        }
+
         // Page Number
         const pageNum = document.createElement('span');
         pageNum.className = 'page-number';
@@ -71,6 +154,7 @@ export function renderPageList() {
                 const confirmed = await showConfirm('Are you sure you want to delete this page?', 'Are you sure?', 'Confirm', 'delete-page');
                 if (confirmed) {
                     saveState();
+                    clearPageSelection();
                     deletePage(index);
                     renderAndRestoreFocus(getCurrentPage());
                     renderPageList();
@@ -89,6 +173,7 @@ export function renderPageList() {
         duplicateBtn.onclick = (e) => {
             e.stopPropagation();
             saveState();
+            clearPageSelection();
             duplicatePage(index);
             renderAndRestoreFocus(getCurrentPage());
             renderPageList();
@@ -124,6 +209,7 @@ export function renderPageList() {
             const toIndex = index;
             if (fromIndex !== toIndex) {
                 saveState();
+                clearPageSelection();
                 reorderPage(fromIndex, toIndex);
                 renderAndRestoreFocus(getCurrentPage());
                 renderPageList();
@@ -131,7 +217,14 @@ export function renderPageList() {
             item.classList.remove('drag-over');
         });
 
-        item.addEventListener('click', () => {
+        item.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                togglePageSelection(index, e.shiftKey);
+                renderPageList();
+                return;
+            }
+
+            clearPageSelection();
             if (state.currentPageIndex !== index) {
                 switchPage(index);
                 renderAndRestoreFocus(getCurrentPage());
@@ -162,10 +255,66 @@ export function renderPageList() {
             dragDropService.endDrag();
         });
 
-        pagesList.appendChild(item);
+        (spreadRows.get(index) || pagesList).appendChild(item);
+    });
+
+    renderBacklinks();
+}
+
+/**
+ * Lists the text cells on other pages that link to the current page with [[wiki-links]]
+ */
+function renderBacklinks() {
+    const panel = document.getElementById('backlinks-panel');
+    const list = document.getElementById('backlinks-list');
+    if (!panel || !list) return;
+
+    const backlinks = findBacklinks(state.pages, state.currentPageIndex);
+    panel.hidden = backlinks.length === 0;
+    list.innerHTML = '';
+
+    backlinks.forEach(({ pageIndex, nodeId }) => {
+        const title = getPageTitle(state.pages[pageIndex]);
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'backlink-item';
+        button.textContent = title ? `${pageIndex + 1}. ${title}` : `Page ${pageIndex + 1}`;
+        button.title = `Go to the linking cell on page ${pageIndex + 1}`;
+        button.addEventListener('click', () => goToPage(pageIndex, nodeId));
+        item.appendChild(button);
+        list.appendChild(item);
     });
 }
 
+/**
+ * Ctrl/Cmd-click toggles a page, Shift-click selects the run from the last clicked page.
+ * The current page seeds the selection so the first modifier click selects two pages.
+ * @param {number} index
+ * @param {boolean} extendRange
+ */
+function togglePageSelection(index, extendRange) {
+    if (selectedPageIndices.size === 0) {
+        selectedPageIndices.add(state.currentPageIndex);
+        selectionAnchorIndex = state.currentPageIndex;
+    }
+
+    if (extendRange && selectionAnchorIndex !== null) {
+        const start = Math.min(selectionAnchorIndex, index);
+        const end = Math.max(selectionAnchorIndex, index);
+        for (let i = start; i <= end; i++) {
+            selectedPageIndices.add(i);
+        }
+        return;
+    }
+
+    if (selectedPageIndices.has(index) && selectedPageIndices.size > 1) {
+        selectedPageIndices.delete(index);
+    } else {
+        selectedPageIndices.add(index);
+    }
+    selectionAnchorIndex = index;
+}
+
 function updatePageDragFeedback(target) {
     // Remove highlight from all thumbnails
     document.querySelectorAll('.page-thumbnail-item').forEach(el => el.classList.remove('drag-over'));
@@ -184,6 +333,7 @@ function handlePageDropLogic(target) {
 
         if (fromIndex !== toIndex) {
             saveState();
+            clearPageSelection();
             reorderPage(fromIndex, toIndex);
             renderAndRestoreFocus(getCurrentPage());
             renderPageList();
@@ -191,17 +341,33 @@ function handlePageDropLogic(target) {
     }
 }
 
-function renderMiniLayout(container, node) {
+/**
+ * Simplified page thumbnail: boxes for cells showing their cropped images, tinted for text.
+ * @param {HTMLElement} container
+ * @param {Object} node Layout tree
+ * @param {Object} [spacing]
+ * @param {{top: number, right: number, bottom: number, left: number}} [spacing.margins] Thousandths of the page width
+ * @param {number} [spacing.gutter] Thousandths of the page width
+ */
+export function renderMiniLayout(container, node, { margins = null, gutter = 0 } = {}) {
     container.innerHTML = '';
     container.style.backgroundColor = '#fff'; // Default background
+    container.style.boxSizing = 'border-box';
+    // Padding percentages resolve against the width on every side, like the margin units
+    container.style.padding = margins
+        ? `${margins.top / 10}% ${margins.right / 10}% ${margins.bottom / 10}% ${margins.left / 10}%`
+        : '0';
+    // Gutters show as white gaps; without one, a 1px line stands in for the divider
+    const gap = gutter > 0 ? `max(1px, ${gutter / 10}cqw)` : '1px';
+    const gapColor = gutter > 0 ? '#fff' : '#d1d5db'; // Same as main layout border/divider color
 
     // Recursive function similar to renderer.js but for simple boxes
     function buildMiniRecursive(node, domNode) {
         if (node.splitState === 'split') {
             domNode.style.display = 'flex';
             domNode.style.flexDirection = node.orientation === 'vertical' ? 'row' : 'column';
-            domNode.style.gap = '1px';
-            domNode.style.backgroundColor = '#d1d5db'; // Same as main layout border/divider color
+            domNode.style.gap = gap;
+            domNode.style.backgroundColor = gapColor;
 
             node.children.forEach(child => {
                 const childDiv = document.createElement('div');
@@ -225,7 +391,20 @@ function renderMiniLayout(container, node) {
         } else {
             // Leaf
             domNode.style.backgroundColor = '#fff';
-            if (node.image) {
+            const asset = node.image ? assetManager.getAsset(node.image.assetId) : null;
+            if (asset?.lowResData) {
+                // Same crop as the page, on the asset thumbnail
+                domNode.style.overflow = 'hidden';
+                const img = document.createElement('img');
+                setAdjustedImageSource(img, asset, node.image);
+                img.alt = '';
+                img.style.position = 'absolute';
+                img.style.maxWidth = 'none';
+                img.style.objectFit = node.image.fit || 'cover';
+                applyCropStyle(img, node.image);
+                if (node.image.flip) img.style.transform = 'scaleX(-1)';
+                domNode.appendChild(img);
+            } else if (node.image) {
                 domNode.style.backgroundColor = '#e0e7ff'; // Indicate image presence
                 domNode.innerHTML = '<span aria-hidden="true">🖼️</span>';
                 domNode.style.fontSize = '11px';
@@ -243,5 +422,10 @@ function renderMiniLayout(container, node) {
         }
     }
 
-    buildMiniRecursive(node, container);
+    // Margins stay white, the tree fills the padded area
+    const root = document.createElement('div');
+    root.style.width = '100%';
+    root.style.height = '100%';
+    buildMiniRecursive(node, root);
+    container.appendChild(root);
 }
@@ -4,24 +4,47 @@ import { A4_PAPER_ID } from '../core/constants.js';
 import { assetManager } from '../assets/AssetManager.js';
 import { dragDropService } from '../ui/DragDropService.js';
 import { attachImageDragHandlers, handleTouchStart, handleTouchMove, handleTouchEnd, importImageToNode } from '../assets/assets.js';
-import { handleSplitClick, startDrag, startEdgeDrag, createTextInRect, toggleTextAlignment, renderAndRestoreFocus, toggleImageFlip } from './layout.js';
+import { handleSplitClick, startDrag, startEdgeDrag, createTextInRect, toggleTextAlignment, renderAndRestoreFocus, toggleImageFlip, toggleImageGutterSpan } from './layout.js';
+import { getSpreadPosition, getGutterSpans, touchesGutter, mirrorAcrossGutter } from './internal/spreadUtils.js';
+import { computeLeafBoxes } from './internal/treeUtils.js';
+import { MARGIN_SIDES, resolvePageMargins, hasMargins } from './internal/marginUtils.js';
+import { getImageCrop } from './internal/cropUtils.js';
+import { getCellStyle, hasCellStyle, getInnerRadius } from './internal/cellStyleUtils.js';
+import { isCropEditing, attachCropHandlers, applyCropStyle, startCropEditing, stopCropEditing, resetCrop } from './internal/cropEditor.js';
+import { setAdjustedImageSource, getAdjustedSource } from '../assets/adjustedImages.js';
+import { openAdjustPanel } from './internal/adjustPanel.js';
 import { saveState } from '../io/history.js';
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
 import { getSettings } from '../ui/settings.js';
+import { wikiLinkExtension } from './internal/wikiLinkExtension.js';
+import { createTextToolbar } from './richText.js';
+import { getFlowText, getFlowHead, applyTextFit } from './textFlow.js';
 
-// Configure marked for GFM and better line breaks
+// Configure marked for GFM and better line breaks, with [[wiki-links]] between pages and cells
 marked.use({
     gfm: true,
-    breaks: true
+    breaks: true,
+    extensions: [wikiLinkExtension]
 });
 
 // Resize observers removed in favor of CSS Container Queries
 
+/**
+ * Renders a page layout tree.
+ * @param {HTMLElement} container Paper element (or a rect for partial renders)
+ * @param {Object} node Layout tree
+ * @param {Object} [options]
+ * @param {boolean} [options.hideControls] Static render without editing controls
+ * @param {boolean} [options.useHighResImages] Full resolution background images (exports)
+ * @param {number} [options.pageIndex] Page being rendered, defaults to the current page
+ */
 export function renderLayout(container, node, options = {}) {
     // Top-level paper handling: ensure we don't accidentally turn the paper into rect-1
     if (container.id === A4_PAPER_ID || container.classList.contains('a4-paper')) {
         const settings = getSettings();
+        const pageIndex = options.pageIndex ?? state.currentPageIndex;
+        options = { ...options, spread: getSpreadContext(node, pageIndex) };
 
         // Use a fragment to batch all DOM operations off-screen
         const fragment = document.createDocumentFragment();
@@ -29,16 +52,20 @@ export function renderLayout(container, node, options = {}) {
         // Proportional scaling now handled by CSS Container Queries on the paper itself
         container.classList.add('a4-paper');
         container.style.backgroundColor = 'var(--paper-bg-color, #ffffff)';
+        applyPageMargins(container, resolvePageMargins(node, settings, pageIndex, state.pages.length));
 
         const rootElement = createDOMRect(node, null);
         fragment.appendChild(rootElement);
         renderNodeRecursive(rootElement, node, options);
 
+        if (options.spread) {
+            renderGutterSpills(fragment, options);
+        }
         if (!options.hideControls) {
             addEdgeHandles(fragment);
         }
         renderBackgroundImage(fragment);
-        renderPageNumber(fragment);
+        renderPageNumber(fragment, pageIndex);
 
         // Atomic swap
         container.innerHTML = '';
@@ -69,20 +96,21 @@ function renderSplitNode(container, node, options) {
     container.removeAttribute('role');
     container.removeAttribute('aria-label');
 
-    const rectA = createDOMRect(node.children[0], node.orientation);
-    const rectB = createDOMRect(node.children[1], node.orientation);
-    const divider = createDOMDivider(node, rectA, rectB, options);
-
-    container.appendChild(rectA);
-    container.appendChild(divider);
-    container.appendChild(rectB);
+    // Any number of children, with a divider between each neighbouring pair
+    const rects = node.children.map(child => createDOMRect(child, node.orientation));
+    rects.forEach((rect, index) => {
+        if (index > 0) {
+            container.appendChild(createDOMDivider(node, rects[index - 1], rect, index - 1, options));
+        }
+        container.appendChild(rect);
+    });
 
-    renderNodeRecursive(rectA, node.children[0], options);
-    renderNodeRecursive(rectB, node.children[1], options);
+    rects.forEach((rect, index) => renderNodeRecursive(rect, node.children[index], options));
 }
 
 function renderLeafNode(container, node, options) {
     container.setAttribute('data-split-state', 'unsplit');
+    container.classList.remove('is-flow-continuation');
 
     // Only make interactive if controls are enabled
     if (!options.hideControls) {
@@ -96,44 +124,38 @@ function renderLeafNode(container, node, options) {
         container.setAttribute('aria-label', label);
     }
 
+    applyCellStyle(container, node);
+    applyTextFit(container, node);
+
     if (node.image) {
         const asset = assetManager.getAsset(node.image.assetId);
         if (asset) {
             container.innerHTML = '';
             container.style.position = 'relative';
 
-            // Check if we should use high-res logic (background-image mostly for html2canvas stability)
-            if (options.useHighResImages) {
-                let imageUrl = asset.fullResData;
-
-                // For Electron references, fetch from local disk using custom protocol
-                if (asset.isReference && asset.absolutePath) {
-                    imageUrl = `broco-local://${encodeURIComponent(asset.absolutePath)}`;
-                }
-
-                if (imageUrl) {
-                    // High-res export rendering using background-image technique
-                    container.style.backgroundImage = `url(${imageUrl})`;
-                    container.style.backgroundSize = node.image.fit || 'cover';
-                    container.style.backgroundPosition = 'center';
-                    container.style.backgroundRepeat = 'no-repeat';
+            // Image spans the gutter: drawn over this slot and its mirror on the facing page
+            const spanSide = options.spread?.spanIds.has(node.id) ? options.spread.side : null;
 
-                    if (node.image.flip) {
-                        container.style.transform = 'scaleX(-1)';
-                    }
+            // Check if we should use high-res logic (background-image mostly for html2canvas stability)
+            if (options.useHighResImages && spanSide) {
+                container.style.overflow = 'hidden';
+                container.appendChild(createGutterSpanImage(asset, node.image, spanSide, options));
+            } else if (options.useHighResImages) {
+                // High-res export rendering using background-image technique
+                if (getHighResUrl(asset)) {
+                    container.appendChild(createImageFrame(asset, node.image, options));
                 }
             } else {
                 // Standard editor rendering with <img> tag
-                const img = document.createElement('img');
-                img.src = asset.lowResData;
-                img.setAttribute('data-asset-id', asset.id);
-                img.style.width = '100%';
-                img.style.height = '100%';
-                img.style.objectFit = node.image.fit || 'cover';
-
-                if (node.image.flip) {
-                    img.style.transform = 'scaleX(-1)';
+                let frame;
+                if (spanSide) {
+                    container.style.overflow = 'hidden';
+                    frame = createGutterSpanImage(asset, node.image, spanSide, options);
+                } else {
+                    frame = createImageFrame(asset, node.image, options);
                 }
+                const img = frame.querySelector('.slot-image');
+                const cropping = !options.hideControls && isCropEditing(node.id);
 
                 // If the asset is broken, show a warning overlay
                 if (asset.isBroken) {
@@ -147,9 +169,13 @@ function renderLeafNode(container, node, options) {
                     container.appendChild(brokenCover);
                 }
 
-                container.appendChild(img);
+                container.appendChild(frame);
 
-                if (!options.hideControls) {
+                if (cropping) {
+                    container.classList.add('is-cropping');
+                    container.appendChild(createCropControls(node));
+                    attachCropHandlers(frame, img, node);
+                } else if (!options.hideControls) {
                     const buttonsContainer = document.createElement('div');
                     buttonsContainer.className = 'image-controls';
 
@@ -177,6 +203,22 @@ function renderLeafNode(container, node, options) {
                         toggleImageFlip(node.id);
                     });
 
+                    if (options.spread?.gutterIds.has(node.id)) {
+                        const spanBtn = document.createElement('button');
+                        spanBtn.id = `span-btn-${node.id}`;
+                        spanBtn.className = `span-gutter-btn ${node.image.spanGutter ? 'active' : ''}`;
+                        spanBtn.title = node.image.spanGutter ? 'Keep image on this page' : 'Span image across the gutter';
+                        spanBtn.innerHTML = '<span aria-hidden="true">&#x21D4;</span>';
+                        spanBtn.setAttribute('aria-label', spanBtn.title);
+                        spanBtn.setAttribute('aria-pressed', node.image.spanGutter ? 'true' : 'false');
+                        spanBtn.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            toggleImageGutterSpan(node.id);
+                        });
+                        buttonsContainer.appendChild(spanBtn);
+                    }
+
                     const removeBtn = document.createElement('button');
                     removeBtn.className = 'remove-image-btn';
                     removeBtn.title = 'Remove image';
@@ -190,7 +232,40 @@ function renderLeafNode(container, node, options) {
                         renderAndRestoreFocus(getCurrentPage(), node.id);
                     });
 
+                    const cropBtn = document.createElement('button');
+                    cropBtn.id = `crop-btn-${node.id}`;
+                    cropBtn.className = 'crop-image-btn';
+                    cropBtn.title = 'Crop: pan, zoom and focal point';
+                    cropBtn.innerHTML = `<svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+<path d="M6 2V16C6 17.1046 6.89543 18 8 18H22M2 6H16C17.1046 6 18 6.89543 18 8V22" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+</svg>`;
+                    cropBtn.setAttribute('aria-label', 'Crop image');
+                    cropBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        startCropEditing(node.id);
+                    });
+
+                    const adjustBtn = document.createElement('button');
+                    adjustBtn.id = `adjust-btn-${node.id}`;
+                    adjustBtn.className = 'adjust-image-btn';
+                    adjustBtn.title = 'Adjust: rotate, flip vertically, color and tone';
+                    adjustBtn.innerHTML = `<svg width="20px" height="20px" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+<path d="M4 6H13M17 6H20M4 12H7M11 12H20M4 18H15M19 18H20" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+<circle cx="15" cy="6" r="2" stroke="currentColor" stroke-width="2"/>
+<circle cx="9" cy="12" r="2" stroke="currentColor" stroke-width="2"/>
+<circle cx="17" cy="18" r="2" stroke="currentColor" stroke-width="2"/>
+</svg>`;
+                    adjustBtn.setAttribute('aria-label', 'Adjust image');
+                    adjustBtn.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        openAdjustPanel(node.id);
+                    });
+
                     buttonsContainer.appendChild(flipBtn);
+                    buttonsContainer.appendChild(cropBtn);
+                    buttonsContainer.appendChild(adjustBtn);
                     buttonsContainer.appendChild(removeBtn);
 
                     container.appendChild(buttonsContainer);
@@ -203,6 +278,8 @@ function renderLeafNode(container, node, options) {
         }
     } else if (node.text !== null && node.text !== undefined) {
         renderTextContent(container, node, false, options);
+    } else if (getFlowHead(node.id)) {
+        renderFlowContinuation(container, node, options);
     } else {
         // Empty rectangle - show hover prompt
         container.innerHTML = '';
@@ -257,7 +334,8 @@ function renderTextContent(container, node, startInEditMode = false, options = {
     if (options.hideControls && !node.text) {
         preview.innerHTML = '';
     } else {
-        preview.innerHTML = DOMPurify.sanitize(marked.parse(node.text || '')) || '<span class="text-placeholder">Click to edit...</span>';
+        // Linked cells show their part of the text (see textFlow.js)
+        preview.innerHTML = DOMPurify.sanitize(marked.parse(getFlowText(node) || '')) || '<span class="text-placeholder">Click to edit...</span>';
     }
 
     preview.className = `markdown-content ${isCentered ? 'text-center' : ''} ${startInEditMode ? 'hidden' : ''}`;
@@ -507,6 +585,8 @@ function renderTextContent(container, node, startInEditMode = false, options = {
         editorContainer.appendChild(preview);
         editorContainer.appendChild(editor);
         editorContainer.appendChild(textControls);
+        // Formatting toolbar, shown while editing; buttons handled by delegation
+        editorContainer.appendChild(createTextToolbar());
     } else {
         editorContainer.appendChild(preview);
         // We still append editor but it's hidden, to avoid breaking structure if CSS relies on it, 
@@ -517,6 +597,40 @@ function renderTextContent(container, node, startInEditMode = false, options = {
     container.appendChild(editorContainer);
 }
 
+/**
+ * Empty cell showing the text flowed in from earlier cells of its chain (see textFlow.js).
+ * The text is edited in the head cell; clicks and typing here go there.
+ * @param {HTMLElement} container
+ * @param {Object} node
+ * @param {Object} options
+ */
+function renderFlowContinuation(container, node, options) {
+    const head = getFlowHead(node.id);
+    const headNode = findNodeById(state.pages[head.pageIndex] || getCurrentPage(), head.nodeId);
+    const text = getFlowText(node);
+
+    container.innerHTML = '';
+    container.style.position = 'relative';
+    container.classList.add('is-flow-continuation');
+
+    const editorContainer = document.createElement('div');
+    editorContainer.className = 'text-editor-container';
+
+    const preview = document.createElement('div');
+    preview.className = `markdown-content flow-continuation ${headNode?.textAlign === 'center' ? 'text-center' : ''}`;
+    if (text) {
+        preview.innerHTML = DOMPurify.sanitize(marked.parse(text));
+    } else if (!options.hideControls) {
+        preview.innerHTML = '<span class="text-placeholder">Text continues here</span>';
+    }
+    editorContainer.appendChild(preview);
+    container.appendChild(editorContainer);
+
+    if (!options.hideControls) {
+        container.setAttribute('aria-label', 'Continued text. Click or press Enter to edit it where it starts.');
+    }
+}
+
 function createDOMRect(node, parentOrientation) {
     const div = document.createElement('div');
     div.id = node.id;
@@ -540,13 +654,14 @@ function createDOMRect(node, parentOrientation) {
     return div;
 }
 
-function createDOMDivider(parentNode, rectA, rectB, options = {}) {
+function createDOMDivider(parentNode, rectA, rectB, index, options = {}) {
     const divider = document.createElement('div');
     divider.className = `divider no-select flex-shrink-0 ${parentNode.orientation}-divider`;
     divider.setAttribute('data-orientation', parentNode.orientation);
     divider.setAttribute('data-rect-a-id', rectA.id);
     divider.setAttribute('data-rect-b-id', rectB.id);
     divider.setAttribute('data-parent-id', parentNode.id);
+    divider.setAttribute('data-divider-index', index);
 
     if (!options.hideControls) {
         // Dragging handled by delegation
@@ -554,6 +669,43 @@ function createDOMDivider(parentNode, rectA, rectB, options = {}) {
     return divider;
 }
 
+/**
+ * Page margins become the paper's padding (see layout.css). With margins the frame
+ * moves from the paper edge to the content area.
+ * @param {HTMLElement} paper
+ * @param {{top: number, right: number, bottom: number, left: number}} margins Thousandths of the page width
+ */
+function applyPageMargins(paper, margins) {
+    MARGIN_SIDES.forEach(side => {
+        paper.style.setProperty(`--margin-${side}-ratio`, (margins[side] / 1000).toString());
+    });
+    paper.classList.toggle('has-margins', hasMargins(margins));
+}
+
+/**
+ * Per-cell background, padding, corners, border and text alignment (see cellStyleUtils.js),
+ * passed to layout.css as variables so they scale with the paper.
+ * @param {HTMLElement} container
+ * @param {Object} node Leaf node
+ */
+function applyCellStyle(container, node) {
+    const styled = hasCellStyle(node);
+    container.classList.toggle('has-cell-style', styled);
+    if (!styled) {
+        container.removeAttribute('data-valign');
+        return;
+    }
+
+    const style = getCellStyle(node);
+    container.style.setProperty('--cell-bg', style.background || 'transparent');
+    container.style.setProperty('--cell-padding-ratio', (style.padding / 1000).toString());
+    container.style.setProperty('--cell-radius-ratio', (style.radius / 1000).toString());
+    container.style.setProperty('--cell-inner-radius-ratio', (getInnerRadius(style) / 1000).toString());
+    container.style.setProperty('--cell-border-ratio', (style.borderWidth / 1000).toString());
+    container.style.setProperty('--cell-border-color', style.borderColor);
+    container.setAttribute('data-valign', style.verticalAlign);
+}
+
 function addEdgeHandles(container) {
     const edges = ['top', 'bottom', 'left', 'right'];
     edges.forEach(edge => {
@@ -564,18 +716,174 @@ function addEdgeHandles(container) {
     });
 }
 
-function renderPageNumber(container) {
+function renderPageNumber(container, pageIndex) {
     const settings = getSettings();
     if (!settings.paper.showPageNumbers) return;
 
     const pageNumber = document.createElement('div');
     pageNumber.className = 'paper-page-number';
-    pageNumber.textContent = `${state.currentPageIndex + 1}`;
+    pageNumber.textContent = `${pageIndex + 1}`;
 
     // Position it at the bottom center or bottom right
     container.appendChild(pageNumber);
 }
 
+/**
+ * Spread placement of a page, or null when the page has no facing page to span onto
+ * (or either page has margins).
+ * @returns {{side: 'left'|'right', facingIndex: number, gutterIds: Set<string>, spanIds: Set<string>}|null}
+ */
+function getSpreadContext(page, pageIndex) {
+    const { layout } = getSettings();
+    if (!layout.spreads) return null;
+
+    const { side, facingIndex } = getSpreadPosition(pageIndex, state.pages.length, layout.singleCover);
+    if (facingIndex === null) return null;
+
+    // Spanning images are placed in percent of the page, so they need margin-free pages
+    const hasPageMargins = [[page, pageIndex], [state.pages[facingIndex], facingIndex]]
+        .some(([p, index]) => hasMargins(resolvePageMargins(p, getSettings(), index, state.pages.length)));
+    if (hasPageMargins) return null;
+
+    const gutterLeaves = computeLeafBoxes(page).filter(({ box }) => touchesGutter(box, side));
+    return {
+        side,
+        facingIndex,
+        gutterIds: new Set(gutterLeaves.map(({ node }) => node.id)),
+        spanIds: new Set(gutterLeaves.filter(({ node }) => node.image?.spanGutter).map(({ node }) => node.id))
+    };
+}
+
+/**
+ * Full resolution source of an image asset; Electron references load from disk.
+ * @param {Object} asset
+ * @returns {string|null}
+ */
+function getHighResUrl(asset) {
+    return asset.isReference && asset.absolutePath
+        ? `broco-local://${encodeURIComponent(asset.absolutePath)}`
+        : asset.fullResData;
+}
+
+/**
+ * Cropped image filling a slot: a clipping frame around an image element that is
+ * zoomed and positioned by the crop (see cropUtils.js).
+ * @param {Object} asset
+ * @param {Object} image node.image
+ * @param {Object} options Render options
+ * @returns {HTMLElement}
+ */
+function createImageFrame(asset, image, options) {
+    const frame = document.createElement('div');
+    frame.className = 'slot-image-frame';
+
+    let el;
+    if (options.useHighResImages) {
+        el = document.createElement('div');
+        // Adjusted images are baked before export rendering (see prepareAdjustedImages)
+        el.style.backgroundImage = `url(${getAdjustedSource(asset, image, 'full') || getHighResUrl(asset)})`;
+        el.style.backgroundSize = image.fit || 'cover';
+        el.style.backgroundRepeat = 'no-repeat';
+    } else {
+        el = document.createElement('img');
+        setAdjustedImageSource(el, asset, image);
+        el.setAttribute('data-asset-id', asset.id);
+        el.style.objectFit = image.fit || 'cover';
+    }
+
+    el.className = 'slot-image';
+    applyCropStyle(el, image);
+    if (image.flip) {
+        el.style.transform = 'scaleX(-1)';
+    }
+    frame.appendChild(el);
+    return frame;
+}
+
+/**
+ * Image frame twice as wide as its slot, extending across the gutter.
+ * The slot (or spill) clips it to the half that belongs on this page.
+ * @param {Object} asset
+ * @param {Object} image node.image
+ * @param {'left'|'right'} side Side of the spread the element is drawn on
+ * @param {Object} options Render options
+ * @returns {HTMLElement}
+ */
+function createGutterSpanImage(asset, image, side, options) {
+    const el = createImageFrame(asset, image, options);
+    el.className = 'gutter-span-image';
+    el.style.left = side === 'left' ? '0' : '-100%';
+    return el;
+}
+
+/**
+ * Done / Reset buttons shown while a slot's crop is being edited.
+ * @param {Object} node
+ * @returns {HTMLElement}
+ */
+function createCropControls(node) {
+    const controls = document.createElement('div');
+    controls.className = 'crop-controls';
+
+    const hint = document.createElement('span');
+    hint.className = 'crop-hint';
+    hint.textContent = 'Drag to pan, scroll to zoom, click to set the focal point';
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'btn-mini crop-reset-btn';
+    resetBtn.textContent = 'Reset';
+    resetBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        resetCrop(node.id);
+    });
+
+    const doneBtn = document.createElement('button');
+    doneBtn.id = `crop-done-${node.id}`;
+    doneBtn.className = 'btn-primary btn-mini crop-done-btn';
+    doneBtn.textContent = 'Done';
+    doneBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        stopCropEditing();
+    });
+
+    controls.append(hint, resetBtn, doneBtn);
+    return controls;
+}
+
+/**
+ * Draws the halves of the facing page's gutter-spanning images that land on this page.
+ */
+function renderGutterSpills(container, options) {
+    const facingPage = state.pages[options.spread.facingIndex];
+    if (!facingPage) return;
+
+    const facingSide = options.spread.side === 'left' ? 'right' : 'left';
+    getGutterSpans(facingPage, facingSide).forEach(({ node, box }) => {
+        const asset = assetManager.getAsset(node.image.assetId);
+        if (!asset) return;
+
+        const mirrored = mirrorAcrossGutter(box);
+        const spill = document.createElement('div');
+        spill.className = 'gutter-spill';
+        spill.dataset.nodeId = node.id;
+        spill.dataset.assetId = asset.id;
+        spill.dataset.fit = node.image.fit || 'cover';
+        spill.dataset.flip = node.image.flip ? 'true' : 'false';
+        const crop = getImageCrop(node.image);
+        spill.dataset.focusX = crop.focusX;
+        spill.dataset.focusY = crop.focusY;
+        spill.dataset.zoom = crop.zoom;
+        spill.style.left = `${mirrored.x}%`;
+        spill.style.top = `${mirrored.y}%`;
+        spill.style.width = `${mirrored.width}%`;
+        spill.style.height = `${mirrored.height}%`;
+        spill.appendChild(createGutterSpanImage(asset, node.image, options.spread.side, options));
+        container.appendChild(spill);
+    });
+}
+
 export function renderBackgroundImage(container) {
     const settings = getSettings();
 
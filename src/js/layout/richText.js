@@ -0,0 +1,447 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { getCurrentPage } from '../core/state.js';
+import { STORAGE_PREFIX } from '../core/utils.js';
+import { saveState } from '../io/history.js';
+import { findNodeById } from './internal/treeUtils.js';
+import { getFlowText } from './textFlow.js';
+import {
+    TEXT_FORMATS,
+    applyMarkdownFormat,
+    splitMarkdownBlocks,
+    joinMarkdownBlocks,
+    htmlToMarkdown
+} from './internal/richTextUtils.js';
+
+/**
+ * Rich Text Editing
+ * Formatting toolbar for text cells and the optional WYSIWYG mode. In markdown mode the
+ * toolbar edits the textarea around its selection; in WYSIWYG mode the cell is edited as a
+ * contenteditable surface that writes back to `node.text` as it changes (see richTextUtils.js).
+ */
+
+const EDIT_MODE_KEY = `${STORAGE_PREFIX}text_edit_mode`;
+
+/** Blocks shown read-only in WYSIWYG mode: they only round-trip as markdown */
+const ATOMIC_BLOCKS = new Set(['table', 'html']);
+
+const PLACEHOLDER_HTML = '<span class="text-placeholder">Click to edit...</span>';
+
+/**
+ * The WYSIWYG surface being edited, if any
+ * @type {{surface: HTMLElement, container: HTMLElement, nodeId: string, head: string, tail: string, blocks: Array<{body: string, sep: string, html: string}>, range: Range|null}|null}
+ */
+let session = null;
+
+export function isWysiwygMode() {
+    return localStorage.getItem(EDIT_MODE_KEY) === 'wysiwyg';
+}
+
+function setWysiwygMode(enabled) {
+    localStorage.setItem(EDIT_MODE_KEY, enabled ? 'wysiwyg' : 'markdown');
+    document.querySelectorAll('.text-toolbar [data-format="wysiwyg"]').forEach(btn => {
+        btn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    });
+}
+
+/**
+ * Toolbar of a text cell, shown while it's edited
+ * @returns {HTMLElement}
+ */
+export function createTextToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'text-toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Text formatting');
+
+    TEXT_FORMATS.forEach(format => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `text-toolbar-btn format-${format.command}`;
+        btn.dataset.format = format.command;
+        btn.textContent = format.label;
+        btn.title = format.title;
+        btn.setAttribute('aria-label', format.title);
+        toolbar.appendChild(btn);
+    });
+
+    const modeBtn = document.createElement('button');
+    modeBtn.type = 'button';
+    modeBtn.className = 'text-toolbar-btn text-toolbar-mode';
+    modeBtn.dataset.format = 'wysiwyg';
+    modeBtn.textContent = 'Rich';
+    modeBtn.title = 'Edit formatted text instead of markdown';
+    modeBtn.setAttribute('aria-pressed', isWysiwygMode() ? 'true' : 'false');
+    toolbar.appendChild(modeBtn);
+
+    // Link target for the WYSIWYG mode, where there's no markdown to type it into
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.className = 'text-toolbar-url hidden';
+    urlInput.placeholder = 'https://… then Enter';
+    urlInput.setAttribute('aria-label', 'Link address');
+    toolbar.appendChild(urlInput);
+
+    return toolbar;
+}
+
+/**
+ * Opens the editor of a text cell in the current mode.
+ * @param {HTMLElement} container The cell (.splittable-rect)
+ */
+export function startTextEditing(container) {
+    const preview = container.querySelector('.markdown-content');
+    const editor = container.querySelector('.text-editor');
+    if (!preview || !editor) return;
+
+    const node = findNodeById(getCurrentPage(), container.id);
+    if (isWysiwygMode() && node) {
+        startWysiwyg(container, node);
+        return;
+    }
+    preview.classList.add('hidden');
+    editor.classList.remove('hidden');
+    editor.focus();
+}
+
+/**
+ * Runs a toolbar button for the cell it belongs to.
+ * @param {HTMLElement} button
+ */
+export function handleToolbarCommand(button) {
+    const container = button.closest('.splittable-rect');
+    const command = button.dataset.format;
+    if (!container || !command) return;
+
+    if (command === 'wysiwyg') {
+        toggleEditMode(container);
+        return;
+    }
+
+    if (session && session.container === container) {
+        formatWysiwyg(command);
+        return;
+    }
+
+    const editor = container.querySelector('.text-editor');
+    if (editor) formatTextarea(editor, command);
+}
+
+/**
+ * Applies a toolbar command to the textarea selection.
+ * @param {HTMLTextAreaElement} editor
+ * @param {string} command
+ */
+export function formatTextarea(editor, command) {
+    const before = editor.value;
+    const result = applyMarkdownFormat(before, editor.selectionStart, editor.selectionEnd, command);
+    if (!result) return;
+
+    // Replace only the changed span so the rest of the text (and its scroll) stays put
+    let prefix = 0;
+    while (prefix < before.length && prefix < result.value.length && before[prefix] === result.value[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < result.value.length - prefix
+        && before[before.length - 1 - suffix] === result.value[result.value.length - 1 - suffix]) suffix++;
+
+    editor.focus();
+    editor.setRangeText(result.value.slice(prefix, result.value.length - suffix), prefix, before.length - suffix);
+    editor.selectionStart = result.selectionStart;
+    editor.selectionEnd = result.selectionEnd;
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Switches between markdown and WYSIWYG editing, keeping the cell in edit mode.
+ */
+function toggleEditMode(container) {
+    const enable = !isWysiwygMode();
+    setWysiwygMode(enable);
+
+    if (session && session.container === container) {
+        finishWysiwyg({ refocus: false });
+        startTextEditing(container);
+        return;
+    }
+    const editor = container.querySelector('.text-editor');
+    if (editor && !editor.classList.contains('hidden')) {
+        // Blurring closes the textarea (see main.js), then the other editor opens
+        editor.blur();
+        startTextEditing(container);
+    }
+}
+
+function startWysiwyg(container, node) {
+    if (session) finishWysiwyg({ refocus: false });
+
+    const preview = container.querySelector('.markdown-content');
+    const editor = container.querySelector('.text-editor');
+
+    const surface = document.createElement('div');
+    surface.className = `markdown-content wysiwyg-editor ${node.textAlign === 'center' ? 'text-center' : ''}`;
+    surface.contentEditable = 'true';
+    surface.spellcheck = true;
+    surface.setAttribute('role', 'textbox');
+    surface.setAttribute('aria-multiline', 'true');
+    surface.setAttribute('aria-label', 'Formatted text');
+    editor.after(surface);
+
+    const { head, blocks } = splitMarkdownBlocks(node.text || '');
+    const snapshot = blocks.map((block, index) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'wysiwyg-block';
+        wrapper.dataset.mdBlock = String(index);
+        wrapper.innerHTML = DOMPurify.sanitize(marked.parser(block.tokens));
+        if (ATOMIC_BLOCKS.has(block.type)) {
+            wrapper.contentEditable = 'false';
+            wrapper.title = 'Edit tables and HTML in markdown mode';
+        }
+        surface.appendChild(wrapper);
+        // Read back: the browser may normalize the markup
+        return { body: block.body, sep: block.sep, html: wrapper.innerHTML };
+    });
+    if (blocks.length === 0) surface.innerHTML = '<p><br></p>';
+
+    session = {
+        surface,
+        container,
+        nodeId: node.id,
+        head,
+        tail: blocks.length > 0 ? blocks[blocks.length - 1].sep : '',
+        blocks: snapshot,
+        range: null
+    };
+
+    // Emphasis as <b>/<i> rather than styled spans
+    document.execCommand('styleWithCSS', false, false);
+
+    surface.addEventListener('input', syncWysiwyg);
+    surface.addEventListener('paste', (e) => {
+        // Formatting comes from the toolbar, pasted HTML would not round-trip
+        e.preventDefault();
+        document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    });
+    surface.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            finishWysiwyg({ refocus: true });
+        } else if (e.key === 'k' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            formatWysiwyg('link');
+        }
+    });
+    surface.addEventListener('focusout', (e) => {
+        // The toolbar keeps the surface open
+        if (e.relatedTarget && container.querySelector('.text-toolbar')?.contains(e.relatedTarget)) return;
+        finishWysiwyg({ refocus: !e.relatedTarget });
+    });
+
+    preview.classList.add('hidden');
+    container.classList.add('is-editing');
+    surface.focus();
+    placeCaretAtEnd(surface);
+}
+
+function placeCaretAtEnd(element) {
+    const selection = window.getSelection();
+    if (!selection) return;
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/** Markdown of the surface: untouched blocks as written, edited ones serialized */
+function serializeWysiwyg() {
+    const used = new Set();
+    const parts = [];
+    let loose = [];
+
+    const flushLoose = () => {
+        if (loose.length === 0) return;
+        const holder = document.createElement('div');
+        loose.forEach(child => holder.appendChild(child.cloneNode(true)));
+        const body = htmlToMarkdown(holder);
+        if (body) parts.push({ body, sep: null, index: null, unchanged: false });
+        loose = [];
+    };
+
+    Array.from(session.surface.childNodes).forEach(child => {
+        const index = child.nodeType === 1 && child.dataset.mdBlock !== undefined ? Number(child.dataset.mdBlock) : null;
+        if (index === null || !session.blocks[index]) {
+            // Text or elements the browser added outside the blocks
+            if (child.nodeType === 1 && child.classList.contains('wysiwyg-block')) {
+                flushLoose();
+                const body = htmlToMarkdown(child);
+                if (body) parts.push({ body, sep: null, index: null, unchanged: false });
+            } else {
+                loose.push(child);
+            }
+            return;
+        }
+        flushLoose();
+
+        const block = session.blocks[index];
+        // A block split in two by Enter leaves a copy with the same index
+        if (!used.has(index) && child.innerHTML === block.html) {
+            used.add(index);
+            parts.push({ body: block.body, sep: block.sep, index, unchanged: true });
+            return;
+        }
+        const body = htmlToMarkdown(child);
+        if (!body) return;
+        const first = !used.has(index);
+        used.add(index);
+        parts.push({ body, sep: first ? block.sep : null, index: first ? index : null, unchanged: false });
+    });
+    flushLoose();
+
+    return joinMarkdownBlocks(session.head, parts, session.tail);
+}
+
+function syncWysiwyg() {
+    if (!session) return;
+    const node = findNodeById(getCurrentPage(), session.nodeId);
+    if (!node) return;
+
+    const text = serializeWysiwyg();
+    if (text === node.text) return;
+    node.text = text;
+    const editor = session.container.querySelector('.text-editor');
+    if (editor) editor.value = text;
+    document.dispatchEvent(new CustomEvent('layoutUpdated'));
+}
+
+/**
+ * Closes the WYSIWYG surface and shows the rendered preview again.
+ * @param {{refocus: boolean}} options refocus: focus the cell afterwards
+ */
+function finishWysiwyg({ refocus }) {
+    if (!session) return;
+    syncWysiwyg();
+
+    const { surface, container, nodeId } = session;
+    session = null;
+    surface.remove();
+
+    window._justFinishedEditing = true;
+    setTimeout(() => { window._justFinishedEditing = false; }, 100);
+
+    const node = findNodeById(getCurrentPage(), nodeId);
+    const preview = container.querySelector('.markdown-content');
+    if (preview) {
+        preview.innerHTML = DOMPurify.sanitize(marked.parse((node && getFlowText(node)) || '')) || PLACEHOLDER_HTML;
+        preview.classList.remove('hidden');
+    }
+    container.querySelector('.text-toolbar-url')?.classList.add('hidden');
+    container.classList.remove('is-editing');
+    saveState();
+    if (refocus) container.focus();
+}
+
+/**
+ * Formats the WYSIWYG selection with the browser's editing commands, which keep the
+ * native undo stack; the result is serialized back to markdown on the next input.
+ * @param {string} command
+ */
+function formatWysiwyg(command) {
+    const { surface, container } = session;
+    surface.focus();
+
+    const selection = window.getSelection();
+    const inCode = selection?.anchorNode?.parentElement?.closest('code');
+    const block = (tag) => {
+        const current = selection?.anchorNode?.parentElement?.closest('h1, h2, h3, blockquote');
+        document.execCommand('formatBlock', false, current && current.tagName.toLowerCase() === tag ? '<p>' : `<${tag}>`);
+    };
+
+    switch (command) {
+        case 'bold':
+        case 'italic':
+            document.execCommand(command);
+            break;
+        case 'h1':
+        case 'h2':
+        case 'h3':
+            block(command);
+            break;
+        case 'quote':
+            block('blockquote');
+            break;
+        case 'ul':
+            document.execCommand('insertUnorderedList');
+            break;
+        case 'ol':
+            document.execCommand('insertOrderedList');
+            break;
+        case 'code': {
+            if (inCode && surface.contains(inCode)) {
+                // Unwrap: the code's text replaces the whole element
+                const range = document.createRange();
+                range.selectNode(inCode.closest('pre') || inCode);
+                selection.removeAllRanges();
+                selection.addRange(range);
+                document.execCommand('insertText', false, inCode.textContent);
+                break;
+            }
+            const text = selection?.toString() || 'code';
+            const code = document.createElement('code');
+            code.textContent = text;
+            document.execCommand('insertHTML', false, code.outerHTML);
+            break;
+        }
+        case 'link':
+            askForLink(container, selection);
+            return;
+        default:
+            return;
+    }
+    syncWysiwyg();
+}
+
+/**
+ * Shows the toolbar's address field; Enter links the selection that was active.
+ */
+function askForLink(container, selection) {
+    const urlInput = container.querySelector('.text-toolbar-url');
+    if (!urlInput || !selection || selection.rangeCount === 0) return;
+
+    session.range = selection.getRangeAt(0).cloneRange();
+    urlInput.value = '';
+    urlInput.classList.remove('hidden');
+    urlInput.focus();
+
+    urlInput.onkeydown = (e) => {
+        if (e.key !== 'Enter' && e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (!session) return;
+
+        // Back to the surface before hiding the field, so the edit stays open
+        const { surface, range } = session;
+        surface.focus();
+        urlInput.classList.add('hidden');
+        const current = window.getSelection();
+        current.removeAllRanges();
+        if (range) current.addRange(range);
+
+        const url = urlInput.value.trim();
+        if (e.key === 'Enter' && url) {
+            if (current.isCollapsed) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.textContent = url;
+                document.execCommand('insertHTML', false, link.outerHTML);
+            } else {
+                document.execCommand('createLink', false, url);
+            }
+            syncWysiwyg();
+        }
+    };
+    urlInput.onblur = (e) => {
+        urlInput.classList.add('hidden');
+        // Leaving the field for anything but the surface ends the edit
+        if (session && e.relatedTarget !== session.surface) finishWysiwyg({ refocus: false });
+    };
+}
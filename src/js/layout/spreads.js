@@ -0,0 +1,75 @@
+import { state, switchPage, getCurrentPage } from '../core/state.js';
+import { A4_PAPER_ID } from '../core/constants.js';
+import { getSettings } from '../ui/settings.js';
+import { renderLayout } from './renderer.js';
+import { renderAndRestoreFocus } from './layout.js';
+import { renderPageList } from './pages.js';
+import { getSpreadPosition } from './internal/spreadUtils.js';
+
+const FACING_PAPER_ID = 'facing-paper';
+
+/**
+ * Spread View
+ * In facing-pages mode the workspace shows the page being edited next to its facing page.
+ * The facing page is a static render; clicking it makes it the page being edited.
+ */
+export function setupSpreadView() {
+    const workspace = document.querySelector('.workspace-wrapper');
+    const paper = document.getElementById(A4_PAPER_ID);
+    if (!workspace || !paper) return;
+
+    const facingPaper = document.createElement('div');
+    facingPaper.id = FACING_PAPER_ID;
+    facingPaper.className = 'a4-paper facing-paper';
+    facingPaper.setAttribute('role', 'button');
+    facingPaper.setAttribute('tabindex', '0');
+    facingPaper.hidden = true;
+    // After the editable paper in DOM order so focus fallbacks still find the edited page first
+    workspace.appendChild(facingPaper);
+
+    const editFacingPage = () => {
+        const index = parseInt(facingPaper.dataset.pageIndex, 10);
+        if (Number.isNaN(index) || index === state.currentPageIndex) return;
+        switchPage(index);
+        renderAndRestoreFocus(getCurrentPage());
+        renderPageList();
+    };
+
+    facingPaper.addEventListener('click', editFacingPage);
+    facingPaper.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            editFacingPage();
+        }
+    });
+
+    document.addEventListener('layoutUpdated', () => updateSpreadView(workspace, paper, facingPaper));
+}
+
+function updateSpreadView(workspace, paper, facingPaper) {
+    const { layout } = getSettings();
+
+    if (!layout.spreads) {
+        workspace.classList.remove('spread-view');
+        delete paper.dataset.spreadSide;
+        facingPaper.hidden = true;
+        facingPaper.innerHTML = '';
+        return;
+    }
+
+    const { side, facingIndex } = getSpreadPosition(state.currentPageIndex, state.pages.length, layout.singleCover);
+    workspace.classList.add('spread-view');
+    paper.dataset.spreadSide = side;
+
+    if (facingIndex === null) {
+        facingPaper.hidden = true;
+        facingPaper.innerHTML = '';
+        return;
+    }
+
+    facingPaper.hidden = false;
+    facingPaper.dataset.pageIndex = facingIndex;
+    facingPaper.dataset.spreadSide = side === 'left' ? 'right' : 'left';
+    facingPaper.setAttribute('aria-label', `Facing page ${facingIndex + 1}. Click to edit.`);
+    renderLayout(facingPaper, state.pages[facingIndex], { hideControls: true, pageIndex: facingIndex });
+}
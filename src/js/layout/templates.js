@@ -0,0 +1,242 @@
+import { state, addPage, getCurrentPage, updateLayout } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { renderAndRestoreFocus } from './layout.js';
+import { renderMiniLayout, renderPageList } from './pages.js';
+import { showAlert, showConfirm, STORAGE_PREFIX } from '../core/utils.js';
+import { toast } from '../core/errorHandler.js';
+import { getSettings } from '../ui/settings.js';
+import {
+    BUILT_IN_TEMPLATES,
+    createTemplateFromPage,
+    instantiateTemplate,
+    collectPageContent,
+    pourContent,
+    normalizeTemplates
+} from './internal/templateUtils.js';
+
+/**
+ * Page Templates
+ * Built-in and user-saved split trees. User templates live in localStorage so they are
+ * shared between documents, and can be exported to / imported from JSON.
+ */
+
+const TEMPLATES_KEY = `${STORAGE_PREFIX}layout_templates`;
+
+/**
+ * @returns {import('./internal/templateUtils.js').LayoutTemplate[]}
+ */
+export function getUserTemplates() {
+    try {
+        return normalizeTemplates(JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * @param {import('./internal/templateUtils.js').LayoutTemplate[]} templates
+ */
+function saveUserTemplates(templates) {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+const nextNodeId = () => `rect-${++state.currentId}`;
+
+/**
+ * Adds a page built from the template after the last page.
+ * @param {import('./internal/templateUtils.js').LayoutTemplate} template
+ */
+export function addPageFromTemplate(template) {
+    saveState();
+    addPage();
+    updateLayout(instantiateTemplate(template, nextNodeId));
+    renderAndRestoreFocus(getCurrentPage());
+    renderPageList();
+}
+
+/**
+ * Rebuilds the current page from the template, pouring its images and text into the
+ * template's empty cells in reading order.
+ * @param {import('./internal/templateUtils.js').LayoutTemplate} template
+ * @returns {number} How many items didn't fit
+ */
+export function applyTemplateToCurrentPage(template) {
+    saveState();
+    const page = getCurrentPage();
+    const newPage = instantiateTemplate(template, nextNodeId);
+    const leftover = pourContent(newPage, collectPageContent(page));
+
+    // A page margin override stays with the page unless the template brings its own
+    if (page.pageMargin && !newPage.pageMargin) newPage.pageMargin = page.pageMargin;
+    if (page.title) newPage.title = page.title;
+
+    updateLayout(newPage);
+    renderAndRestoreFocus(getCurrentPage());
+    renderPageList();
+    return leftover;
+}
+
+export function setupTemplateHandlers() {
+    const openBtn = document.getElementById('templates-btn');
+    const modal = document.getElementById('templates-modal');
+    const list = document.getElementById('template-list');
+    const nameInput = document.getElementById('template-name');
+    const includeContent = document.getElementById('template-include-content');
+    const saveBtn = document.getElementById('save-template');
+    const importBtn = document.getElementById('import-templates');
+    const exportBtn = document.getElementById('export-templates');
+    const closeBtn = document.getElementById('close-templates');
+
+    if (!openBtn || !modal || !list) return;
+
+    const close = () => modal.classList.remove('active');
+
+    function renderTemplateList() {
+        list.innerHTML = '';
+        const { gutter } = getSettings().layout;
+
+        [...BUILT_IN_TEMPLATES, ...getUserTemplates()].forEach(template => {
+            const card = document.createElement('div');
+            card.className = 'template-card';
+            card.setAttribute('role', 'listitem');
+
+            const preview = document.createElement('div');
+            preview.className = 'template-preview mini-layout';
+            renderMiniLayout(preview, template.layout, { margins: template.layout.pageMargin || null, gutter });
+
+            const name = document.createElement('span');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            name.title = template.name;
+
+            const actions = document.createElement('div');
+            actions.className = 'template-actions';
+
+            const newPageBtn = document.createElement('button');
+            newPageBtn.className = 'btn-text';
+            newPageBtn.textContent = 'New page';
+            newPageBtn.title = `Add a page from "${template.name}"`;
+            newPageBtn.addEventListener('click', () => {
+                addPageFromTemplate(template);
+                close();
+            });
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn-text';
+            applyBtn.textContent = 'Apply';
+            applyBtn.title = `Apply "${template.name}" to this page`;
+            applyBtn.addEventListener('click', () => {
+                const leftover = applyTemplateToCurrentPage(template);
+                close();
+                if (leftover > 0) {
+                    toast.warning(`${leftover} of the page's items didn't fit this template. Undo to restore them.`);
+                }
+            });
+
+            actions.append(newPageBtn, applyBtn);
+
+            if (!template.builtIn) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'template-delete';
+                deleteBtn.innerHTML = '<span aria-hidden="true">&times;</span>';
+                deleteBtn.setAttribute('aria-label', `Delete template ${template.name}`);
+                deleteBtn.title = 'Delete template';
+                deleteBtn.addEventListener('click', async () => {
+                    const confirmed = await showConfirm(`Delete the template "${template.name}"?`, 'Delete Template', 'Delete');
+                    if (!confirmed) return;
+                    saveUserTemplates(getUserTemplates().filter(t => t.id !== template.id));
+                    renderTemplateList();
+                });
+                card.appendChild(deleteBtn);
+            }
+
+            card.append(preview, name, actions);
+            list.appendChild(card);
+        });
+    }
+
+    openBtn.addEventListener('click', () => {
+        renderTemplateList();
+        modal.classList.add('active');
+    });
+
+    closeBtn?.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    saveBtn?.addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showAlert('Enter a name for the template first.', 'Template Name Required');
+            return;
+        }
+
+        const template = createTemplateFromPage(getCurrentPage(), name, { includeContent: includeContent?.checked });
+        const templates = getUserTemplates();
+        const existing = templates.findIndex(t => t.name.toLowerCase() === name.toLowerCase());
+        // Saving under an existing name replaces that template
+        const updated = existing === -1
+            ? [...templates, template]
+            : templates.map((t, index) => (index === existing ? { ...template, id: t.id } : t));
+
+        saveUserTemplates(updated);
+        nameInput.value = '';
+        renderTemplateList();
+        toast.success(`Template "${template.name}" saved`);
+    });
+
+    exportBtn?.addEventListener('click', () => {
+        const templates = getUserTemplates();
+        if (templates.length === 0) {
+            showAlert('Save a page as a template first. Built-in templates are always available.', 'No Templates');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify({ version: '1.0', templates }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'templates.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    });
+
+    importBtn?.addEventListener('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                let imported = null;
+                try {
+                    const data = JSON.parse(event.target.result);
+                    imported = normalizeTemplates(Array.isArray(data) ? data : data.templates);
+                } catch (err) {
+                    console.error('Failed to parse templates:', err);
+                }
+
+                if (!imported || imported.length === 0) {
+                    showAlert('No valid templates found in this file.', 'Import Error');
+                    return;
+                }
+
+                const templates = getUserTemplates();
+                const ids = new Set(templates.map(t => t.id));
+                saveUserTemplates([...templates, ...imported.filter(t => !ids.has(t.id))]);
+                renderTemplateList();
+                toast.success(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`);
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+    });
+}
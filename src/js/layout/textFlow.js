@@ -0,0 +1,413 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { state, getCurrentPage } from '../core/state.js';
+import { A4_PAPER_ID } from '../core/constants.js';
+import { calculatePaperDimensions } from '../ui/settings.js';
+import { renderLayout } from './renderer.js';
+import { goToPage } from './pages.js';
+import { findNodeById } from './internal/treeUtils.js';
+import { getFlowChains, getFlowSplitPoints, splitFlowText } from './internal/textFlowUtils.js';
+import { getTextFitCells, normalizeTextFit, findLargestFittingSize, getFitFontSizeValue } from './internal/textFitUtils.js';
+
+/**
+ * Text Flow and Fit
+ * Linked text cells (see textFlowUtils.js): the text of a chain is cut where the next cell
+ * takes over. Cells set to fit their text (see textFitUtils.js) get the largest font size
+ * that fits. Both are measured offscreen at export size, so the editor, the thumbnails and
+ * every export break at the same word and use the same size. Text cells that still don't
+ * fit are flagged on the page and before exporting.
+ */
+
+/**
+ * @typedef {Object} FlowEntry
+ * @property {string} text Markdown the cell shows
+ * @property {string} headId Cell holding the text of the chain
+ * @property {number} headPageIndex
+ * @property {string} source Head text the cut was measured for
+ */
+
+/** @type {Map<string, FlowEntry>} Every cell of a chain, heads included */
+let flows = new Map();
+/** @type {Map<string, number>} Font size of every fitted cell, as in textFitUtils.js */
+let fittedSizes = new Map();
+/** What the flows and fits were measured for, see getMeasureKey() */
+let measuredKey = null;
+
+/** Heights are rounded, allow a pixel */
+const OVERFLOW_TOLERANCE = 1;
+
+/**
+ * Markdown a text cell shows: its part of the chain, or all of its text. While the head
+ * is being edited (not measured yet) it shows everything.
+ * @param {Object} node
+ * @returns {string|null}
+ */
+export function getFlowText(node) {
+    const entry = flows.get(node.id);
+    if (!entry) return node.text;
+    if (entry.headId !== node.id) return entry.text;
+    return entry.source === node.text ? entry.text : node.text;
+}
+
+/**
+ * @param {string} nodeId
+ * @returns {{nodeId: string, pageIndex: number}|null} Head of the chain when the cell is a continuation
+ */
+export function getFlowHead(nodeId) {
+    const entry = flows.get(nodeId);
+    if (!entry || entry.headId === nodeId) return null;
+    return { nodeId: entry.headId, pageIndex: entry.headPageIndex };
+}
+
+/**
+ * Continuation cells are edited through their head: shows and focuses it.
+ * @param {string} nodeId
+ * @returns {boolean} Whether the cell was a continuation
+ */
+export function focusFlowHead(nodeId) {
+    const head = getFlowHead(nodeId);
+    if (!head) return false;
+    goToPage(head.pageIndex, head.nodeId);
+    return true;
+}
+
+/**
+ * Sets the fitted font size of a cell on its element, or clears it. Linked cells don't fit.
+ * @param {HTMLElement} element Cell element
+ * @param {Object} node
+ */
+export function applyTextFit(element, node) {
+    const size = fittedSizes.get(node.id);
+    if (size && typeof node.text === 'string' && normalizeTextFit(node.textFit)) {
+        element.style.setProperty('--text-font-size-proportional', getFitFontSizeValue(size));
+    } else {
+        element.style.removeProperty('--text-font-size-proportional');
+    }
+}
+
+/**
+ * @param {HTMLElement} preview
+ * @returns {boolean}
+ */
+function isOverflowing(preview) {
+    return preview.scrollHeight > preview.clientHeight + OVERFLOW_TOLERANCE;
+}
+
+function renderMarkdown(markdown) {
+    return DOMPurify.sanitize(marked.parse(markdown || ''));
+}
+
+/**
+ * Renders pages at export size into a hidden export container, runs the callback and
+ * removes them again. Styles match renderExportPages() in export.js.
+ * @template T
+ * @param {number[]} pageIndices
+ * @param {(papers: Map<number, HTMLElement>) => T} callback
+ * @returns {T}
+ */
+function withMeasuredPages(pageIndices, callback) {
+    const { width, height } = calculatePaperDimensions();
+    const host = document.createElement('div');
+    host.className = 'export-container';
+    host.setAttribute('aria-hidden', 'true');
+    host.style.position = 'fixed';
+    host.style.top = '0';
+    host.style.left = '0';
+    host.style.zIndex = '-9999';
+    host.style.visibility = 'hidden';
+    host.style.pointerEvents = 'none';
+    host.style.display = 'flex';
+    host.style.width = `${width * pageIndices.length}px`;
+    host.style.height = `${height}px`;
+    host.style.containerType = 'size';
+    document.body.appendChild(host);
+
+    const papers = new Map();
+    pageIndices.forEach(pageIndex => {
+        const slot = document.createElement('div');
+        slot.style.width = `${width}px`;
+        slot.style.height = `${height}px`;
+        slot.style.flex = 'none';
+        slot.style.containerType = 'size';
+
+        const paper = document.createElement('div');
+        paper.className = 'a4-paper';
+        paper.style.width = '100%';
+        paper.style.height = '100%';
+        paper.style.boxShadow = 'none';
+        paper.style.margin = '0';
+        paper.style.zoom = '1';
+        paper.style.setProperty('--paper-current-width', `${width}px`);
+        slot.appendChild(paper);
+        host.appendChild(slot);
+
+        renderLayout(paper, state.pages[pageIndex], { hideControls: true, pageIndex });
+        papers.set(pageIndex, paper);
+    });
+
+    try {
+        return callback(papers);
+    } finally {
+        host.remove();
+    }
+}
+
+/**
+ * Largest part of the markdown that fits the preview, cut at a split point.
+ * @param {HTMLElement} preview
+ * @param {string} markdown
+ * @returns {[string, string]} Shown part and the rest
+ */
+function fitText(preview, markdown) {
+    const fits = (part) => {
+        preview.innerHTML = renderMarkdown(part);
+        return !isOverflowing(preview);
+    };
+    if (fits(markdown)) return [markdown, ''];
+
+    // Taller with every point, so the last fitting one can be searched
+    const points = getFlowSplitPoints(markdown);
+    let low = 0;
+    let high = points.length - 1;
+    let best = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (fits(splitFlowText(markdown, points[mid])[0])) {
+            best = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    // Not even a word fits: everything moves on
+    return best === -1 ? ['', markdown] : splitFlowText(markdown, points[best]);
+}
+
+function computeFlows() {
+    const chains = getFlowChains(state.pages);
+    flows = new Map();
+    if (chains.length === 0) return;
+
+    // Registered first, so chain cells render as text while measuring
+    chains.forEach(chain => {
+        const [head] = chain;
+        const source = findNodeById(state.pages[head.pageIndex], head.nodeId)?.text || '';
+        chain.forEach(cell => {
+            flows.set(cell.nodeId, { text: '', headId: head.nodeId, headPageIndex: head.pageIndex, source });
+        });
+    });
+
+    const pageIndices = [...new Set(chains.flat().map(cell => cell.pageIndex))];
+    withMeasuredPages(pageIndices, papers => {
+        chains.forEach(chain => {
+            let remaining = flows.get(chain[0].nodeId).source;
+            chain.forEach((cell, index) => {
+                const entry = flows.get(cell.nodeId);
+                // By attribute: the edited page has the same ids
+                const preview = papers.get(cell.pageIndex).querySelector(`[id="${cell.nodeId}"] .markdown-content`);
+                // The last cell takes whatever is left, even when it overflows
+                if (index === chain.length - 1 || !preview) {
+                    entry.text = remaining;
+                    remaining = '';
+                    return;
+                }
+                [entry.text, remaining] = fitText(preview, remaining);
+            });
+        });
+    });
+}
+
+/**
+ * Largest font size at which the cell's text fits its preview, left set on the cell.
+ * @param {HTMLElement} rect Cell element
+ * @param {HTMLElement} preview
+ * @param {{min: number, max: number}} bounds
+ * @returns {number}
+ */
+function fitFontSize(rect, preview, bounds) {
+    const size = findLargestFittingSize(bounds, size => {
+        rect.style.setProperty('--text-font-size-proportional', getFitFontSizeValue(size));
+        return !isOverflowing(preview);
+    });
+    // The search ends on the last size it tried, which may not fit
+    rect.style.setProperty('--text-font-size-proportional', getFitFontSizeValue(size));
+    return size;
+}
+
+function computeFits() {
+    const cells = getTextFitCells(state.pages).filter(cell => !flows.has(cell.nodeId));
+    if (cells.length === 0) return;
+
+    const pageIndices = [...new Set(cells.map(cell => cell.pageIndex))];
+    withMeasuredPages(pageIndices, papers => {
+        cells.forEach(cell => {
+            const rect = papers.get(cell.pageIndex).querySelector(`[id="${cell.nodeId}"]`);
+            const preview = rect?.querySelector('.markdown-content');
+            if (preview) fittedSizes.set(cell.nodeId, fitFontSize(rect, preview, cell.bounds));
+        });
+    });
+}
+
+/**
+ * Refits the fitted cells inside the given elements while a divider drag resizes them.
+ * Measured on the page itself; the drop measures again at export size.
+ * @param {HTMLElement[]} elements
+ */
+export function fitTextWhileResizing(elements) {
+    const page = getCurrentPage();
+    elements.forEach(element => {
+        const rects = element.matches('[data-split-state="unsplit"]')
+            ? [element]
+            : element.querySelectorAll('.splittable-rect[data-split-state="unsplit"]');
+        rects.forEach(rect => {
+            const node = findNodeById(page, rect.id);
+            const bounds = node && typeof node.text === 'string' && !flows.has(node.id) ? normalizeTextFit(node.textFit) : null;
+            const preview = rect.querySelector('.markdown-content:not(.wysiwyg-editor)');
+            if (bounds && preview && !preview.classList.contains('hidden')) fitFontSize(rect, preview, bounds);
+        });
+    });
+}
+
+/**
+ * Shows the new cuts and sizes on the edited page without re-rendering the cell being edited.
+ */
+function applyFlowToPaper() {
+    const paper = document.getElementById(A4_PAPER_ID);
+    const page = getCurrentPage();
+    if (!paper || !page) return;
+
+    paper.querySelectorAll('.splittable-rect[data-split-state="unsplit"]').forEach(rect => {
+        const node = findNodeById(page, rect.id);
+        if (!node) return;
+        applyTextFit(rect, node);
+
+        // Cells joining or leaving a chain change shape
+        if (getFlowHead(node.id) || rect.classList.contains('is-flow-continuation')) {
+            renderLayout(rect, node);
+            return;
+        }
+        const preview = rect.querySelector('.markdown-content:not(.wysiwyg-editor)');
+        if (preview && typeof node.text === 'string') {
+            preview.innerHTML = renderMarkdown(getFlowText(node)) || '<span class="text-placeholder">Click to edit...</span>';
+        }
+    });
+}
+
+/** Keys of every node that change the size of cells */
+const LAYOUT_KEYS = ['size', 'orientation', 'pageMargin', 'cellStyle'];
+/** Keys of linked and fitted cells that change what they show */
+const MEASURED_KEYS = ['id', 'text', 'textFit', 'flowTo'];
+
+/**
+ * Outline of a page as far as measuring its linked and fitted cells goes: the text and
+ * images of other cells are left out.
+ * @param {Object} node
+ * @param {Set<string>} measuredIds
+ * @returns {Array}
+ */
+function describeMeasuredLayout(node, measuredIds) {
+    const keys = measuredIds.has(node.id) ? [...LAYOUT_KEYS, ...MEASURED_KEYS] : LAYOUT_KEYS;
+    const children = node.splitState === 'split' && node.children
+        ? node.children.map(child => describeMeasuredLayout(child, measuredIds))
+        : null;
+    return [keys.map(key => node[key] ?? null), children];
+}
+
+/**
+ * What the last measurements depend on: the paper size and the pages holding linked or
+ * fitted cells.
+ * @returns {string}
+ */
+function getMeasureKey() {
+    const cells = [...getFlowChains(state.pages).flat(), ...getTextFitCells(state.pages)];
+    const measuredIds = new Set(cells.map(cell => cell.nodeId));
+    const pageIndices = [...new Set(cells.map(cell => cell.pageIndex))].sort((a, b) => a - b);
+    const { width, height } = calculatePaperDimensions();
+    return JSON.stringify([width, height, pageIndices.map(pageIndex => (
+        [pageIndex, describeMeasuredLayout(state.pages[pageIndex], measuredIds)]
+    ))]);
+}
+
+/**
+ * Re-measures linked and fitted cells when they, their pages or the paper size changed
+ * since last time.
+ */
+export function updateTextFlow() {
+    const key = getMeasureKey();
+    if (key === measuredKey) return;
+
+    const hadResults = flows.size > 0 || fittedSizes.size > 0;
+    measuredKey = key;
+    // Measured from scratch: sizes fitted before don't leak into chains
+    fittedSizes = new Map();
+    computeFlows();
+    computeFits();
+    if (hadResults || flows.size > 0 || fittedSizes.size > 0) applyFlowToPaper();
+}
+
+/**
+ * Marks the text cells of the edited page whose text is cut off.
+ */
+function flagOverflowingCells() {
+    const paper = document.getElementById(A4_PAPER_ID);
+    paper?.querySelectorAll('.splittable-rect[data-split-state="unsplit"]').forEach(rect => {
+        const preview = rect.querySelector('.markdown-content:not(.wysiwyg-editor)');
+        const overflowing = !!preview && !preview.classList.contains('hidden') && isOverflowing(preview);
+        rect.classList.toggle('is-overflowing', overflowing);
+    });
+}
+
+/**
+ * @param {Object} node
+ * @returns {boolean} Whether any cell shows text, flowed in or its own
+ */
+function hasTextCells(node) {
+    if (node.splitState === 'split') return (node.children || []).some(hasTextCells);
+    return typeof node.text === 'string' || flows.has(node.id);
+}
+
+/**
+ * Text cells of the given pages that are cut off at export size, after flowing linked cells
+ * and fitting text. Measured one page per job step, so long documents show progress and can
+ * be cancelled.
+ * @param {number[]} pageIndices
+ * @param {import('../io/exportJob.js').ExportJob} [job]
+ * @returns {Promise<Array<{pageIndex: number, nodeId: string}>>}
+ */
+export async function findOverflowingCells(pageIndices, job = null) {
+    updateTextFlow();
+    const overflowing = [];
+    for (const pageIndex of pageIndices) {
+        job?.startStep(`Checking text on page ${pageIndex + 1}`);
+        if (hasTextCells(state.pages[pageIndex])) {
+            overflowing.push(...withMeasuredPages([pageIndex], papers => (
+                Array.from(papers.get(pageIndex).querySelectorAll('.markdown-content'))
+                    .filter(isOverflowing)
+                    .map(preview => ({ pageIndex, nodeId: preview.closest('.splittable-rect').id }))
+            )));
+        }
+        await job?.completeStep();
+    }
+    return overflowing;
+}
+
+export function setupTextFlow() {
+    const update = () => {
+        updateTextFlow();
+        // Read sizes after the browser has laid out the new render
+        requestAnimationFrame(flagOverflowingCells);
+    };
+    const remeasure = () => {
+        measuredKey = null;
+        update();
+    };
+
+    // Registered before the page list and spread view, which render with the new cuts
+    document.addEventListener('layoutUpdated', update);
+    document.addEventListener('stateRestored', update);
+    document.addEventListener('settingsUpdated', remeasure);
+    // Custom fonts change text metrics once they load
+    document.fonts?.addEventListener?.('loadingdone', remeasure);
+
+    requestAnimationFrame(update);
+}
@@ -0,0 +1,201 @@
+/**
+ * Theme Utilities
+ * Pure helpers for themes: named looks covering fonts, colors, dividers and paper that can be
+ * applied to any document. A theme only touches the settings it describes; layout, margins,
+ * background images and export presets stay with the document.
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id
+ * @property {string} name
+ * @property {{body: string, h1: string|null, h2: string|null, h3: string|null}} fonts
+ *   CSS font-family lists, null headings use the body font
+ * @property {{text: string, heading: string|null, paper: string, divider: string}} colors
+ *   '#rrggbb', a null heading color keeps the default heading shades
+ * @property {{width: number, showBorders: boolean}} dividers Width in thousandths of the page width
+ * @property {boolean} [builtIn]
+ */
+
+export const HEADING_LEVELS = ['h1', 'h2', 'h3'];
+
+/** Divider widths a theme may set, like the settings slider */
+const DIVIDER_WIDTH_RANGE = { min: 0, max: 100 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** Font-family lists only: names, quotes, commas and spaces */
+const FONT_FAMILY = /^[\w\s'",-]{1,200}$/;
+
+const theme = (id, name, fonts, colors, dividers) => ({
+    id,
+    name,
+    builtIn: true,
+    fonts: { h1: null, h2: null, h3: null, ...fonts },
+    colors: { heading: null, ...colors },
+    dividers
+});
+
+export const BUILT_IN_THEMES = [
+    theme('builtin-classic', 'Classic',
+        { body: 'sans-serif' },
+        { text: '#374151', paper: '#ffffff', divider: '#d1d5db' },
+        { width: 5, showBorders: true }),
+    theme('builtin-editorial', 'Editorial',
+        { body: "'Georgia', serif", h1: "'Playfair Display', serif", h2: "'Playfair Display', serif", h3: "'Playfair Display', serif" },
+        { text: '#1f2937', heading: '#111827', paper: '#fffdf8', divider: '#111827' },
+        { width: 2, showBorders: false }),
+    theme('builtin-modern', 'Modern',
+        { body: "'Inter', sans-serif", h1: "'Montserrat', sans-serif", h2: "'Montserrat', sans-serif" },
+        { text: '#334155', heading: '#4f46e5', paper: '#ffffff', divider: '#e2e8f0' },
+        { width: 8, showBorders: true }),
+    theme('builtin-warm', 'Warm Paper',
+        { body: "'Merriweather', serif", h1: "'Lato', sans-serif", h2: "'Lato', sans-serif", h3: "'Lato', sans-serif" },
+        { text: '#44403c', heading: '#b45309', paper: '#faf5eb', divider: '#e7dcc8' },
+        { width: 6, showBorders: true }),
+    theme('builtin-midnight', 'Midnight',
+        { body: "'Open Sans', sans-serif", h1: "'Roboto', sans-serif" },
+        { text: '#e5e7eb', heading: '#38bdf8', paper: '#111827', divider: '#1f2937' },
+        { width: 6, showBorders: true }),
+    theme('builtin-typewriter', 'Typewriter',
+        { body: "'Courier New', monospace" },
+        { text: '#000000', heading: '#000000', paper: '#ffffff', divider: '#000000' },
+        { width: 3, showBorders: true })
+];
+
+/**
+ * Creates a theme from the look of the current settings.
+ * @param {Object} settings As returned by getSettings()
+ * @param {string} name
+ * @returns {Theme}
+ */
+export function createThemeFromSettings(settings, name) {
+    const headingFonts = settings.text.headingFonts || {};
+    return {
+        id: createThemeId(),
+        name: name.trim(),
+        fonts: {
+            body: settings.text.fontFamily,
+            ...Object.fromEntries(HEADING_LEVELS.map(level => [level, headingFonts[level] || null]))
+        },
+        colors: {
+            text: settings.text.textColor,
+            heading: settings.text.colorAffectsHeaders ? settings.text.textColor : settings.text.headingColor || null,
+            paper: settings.paper.backgroundColor,
+            divider: settings.dividers.color
+        },
+        dividers: {
+            width: settings.dividers.width,
+            showBorders: settings.dividers.showBorders
+        }
+    };
+}
+
+/**
+ * Copies the settings with the theme's look applied.
+ * @param {Object} settings
+ * @param {Theme} theme
+ * @returns {Object} New settings object
+ */
+export function applyThemeToSettings(settings, theme) {
+    const next = JSON.parse(JSON.stringify(settings));
+    next.text.fontFamily = theme.fonts.body;
+    next.text.headingFonts = Object.fromEntries(HEADING_LEVELS.map(level => [level, theme.fonts[level]]));
+    next.text.textColor = theme.colors.text;
+    next.text.headingColor = theme.colors.heading;
+    // The theme decides the heading color
+    next.text.colorAffectsHeaders = false;
+    next.paper.backgroundColor = theme.colors.paper;
+    next.dividers.color = theme.colors.divider;
+    next.dividers.width = theme.dividers.width;
+    next.dividers.showBorders = theme.dividers.showBorders;
+    return next;
+}
+
+/**
+ * @param {Object} settings
+ * @param {Theme} theme
+ * @returns {boolean} Whether the settings currently look like the theme
+ */
+export function settingsMatchTheme(settings, theme) {
+    return isSameLook(createThemeFromSettings(settings, theme.name), theme);
+}
+
+/**
+ * @param {Theme} a
+ * @param {Theme} b
+ * @returns {boolean} Whether both themes set the same fonts, colors and dividers, whatever their names
+ */
+export function isSameLook(a, b) {
+    const look = (theme) => JSON.stringify([
+        theme.fonts.body, ...HEADING_LEVELS.map(level => theme.fonts[level] || null),
+        theme.colors.text.toLowerCase(), theme.colors.heading?.toLowerCase() || null,
+        theme.colors.paper.toLowerCase(), theme.colors.divider.toLowerCase(),
+        theme.dividers.width, theme.dividers.showBorders
+    ]);
+    return look(a) === look(b);
+}
+
+/**
+ * Validates a theme loaded from a file or from storage.
+ * @param {Object} raw
+ * @returns {Theme|null} null when the theme can't be used
+ */
+export function normalizeTheme(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+
+    const fonts = raw.fonts || {};
+    const colors = raw.colors || {};
+    const dividers = raw.dividers || {};
+    if (!isFontFamily(fonts.body) || !isColor(colors.text) || !isColor(colors.paper) || !isColor(colors.divider)) {
+        return null;
+    }
+
+    const width = Number(dividers.width);
+    return {
+        id: typeof raw.id === 'string' && raw.id && !raw.id.startsWith('builtin-') ? raw.id : createThemeId(),
+        name: raw.name.trim(),
+        fonts: {
+            body: fonts.body.trim(),
+            ...Object.fromEntries(HEADING_LEVELS.map(level => [
+                level,
+                isFontFamily(fonts[level]) ? fonts[level].trim() : null
+            ]))
+        },
+        colors: {
+            text: colors.text.toLowerCase(),
+            heading: isColor(colors.heading) ? colors.heading.toLowerCase() : null,
+            paper: colors.paper.toLowerCase(),
+            divider: colors.divider.toLowerCase()
+        },
+        dividers: {
+            width: Number.isFinite(width)
+                ? Math.round(Math.min(DIVIDER_WIDTH_RANGE.max, Math.max(DIVIDER_WIDTH_RANGE.min, width)))
+                : 5,
+            showBorders: dividers.showBorders !== false
+        }
+    };
+}
+
+/**
+ * Normalizes a list of themes, dropping invalid entries.
+ * @param {Array} list
+ * @returns {Theme[]|null} null when there is no list at all
+ */
+export function normalizeThemes(list) {
+    if (!Array.isArray(list)) return null;
+    return list.map(normalizeTheme).filter(Boolean);
+}
+
+function isFontFamily(value) {
+    return typeof value === 'string' && FONT_FAMILY.test(value.trim());
+}
+
+function isColor(value) {
+    return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+function createThemeId() {
+    return `theme-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
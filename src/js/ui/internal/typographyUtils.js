@@ -0,0 +1,78 @@
+import { HEADING_LEVELS } from './themeUtils.js';
+
+/**
+ * Typography Utilities
+ * Pure helpers for the text rhythm settings and the H1–H3 styles, turned into the CSS
+ * variables the markdown preview (and so every export) is styled with.
+ * Sizes are multiples of the body font size; spacings are in em so they scale with the text.
+ */
+
+/** Allowed ranges, shared by the settings inputs and files */
+export const TYPOGRAPHY_RANGES = {
+    lineHeight: { min: 0.8, max: 3 },
+    letterSpacing: { min: -0.1, max: 0.5 },
+    paragraphSpacing: { min: 0, max: 3 },
+    size: { min: 0.5, max: 6 },
+    weight: { min: 100, max: 900 }
+};
+
+/** Matches the look before headings could be styled */
+export const DEFAULT_HEADING_STYLES = {
+    h1: { size: 2.5, weight: 800, lineHeight: 1.6, letterSpacing: 0 },
+    h2: { size: 2, weight: 700, lineHeight: 1.6, letterSpacing: 0 },
+    h3: { size: 1.75, weight: 600, lineHeight: 1.6, letterSpacing: 0 }
+};
+
+/**
+ * Clamps a setting to its range, falling back when it isn't a number.
+ * @param {string} key Key of TYPOGRAPHY_RANGES
+ * @param {any} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+export function clampTypography(key, value, fallback) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return fallback;
+    const { min, max } = TYPOGRAPHY_RANGES[key];
+    const clamped = Math.min(max, Math.max(min, number));
+    // Font weights come in hundreds
+    return key === 'weight' ? Math.round(clamped / 100) * 100 : clamped;
+}
+
+/**
+ * Validates the heading styles loaded from a file, filling in what's missing.
+ * @param {Object} raw
+ * @returns {Object<string, {size: number, weight: number, lineHeight: number, letterSpacing: number}>}
+ */
+export function normalizeHeadingStyles(raw) {
+    return Object.fromEntries(HEADING_LEVELS.map(level => {
+        const defaults = DEFAULT_HEADING_STYLES[level];
+        const style = raw?.[level] || {};
+        return [level, Object.fromEntries(
+            Object.entries(defaults).map(([key, fallback]) => [key, clampTypography(key, style[key], fallback)])
+        )];
+    }));
+}
+
+/**
+ * CSS variables for the text settings.
+ * @param {{lineHeight: number, letterSpacing: number, paragraphSpacing: number, headings: Object}} text settings.text
+ * @returns {Object<string, string>}
+ */
+export function getTypographyVariables(text) {
+    const vars = {
+        '--text-line-height': String(text.lineHeight),
+        '--text-letter-spacing': `${text.letterSpacing}em`,
+        '--paragraph-spacing': String(text.paragraphSpacing)
+    };
+
+    const headings = normalizeHeadingStyles(text.headings);
+    HEADING_LEVELS.forEach(level => {
+        const style = headings[level];
+        vars[`--${level}-size`] = String(style.size);
+        vars[`--${level}-weight`] = String(style.weight);
+        vars[`--${level}-line-height`] = String(style.lineHeight);
+        vars[`--${level}-letter-spacing`] = `${style.letterSpacing}em`;
+    });
+    return vars;
+}
@@ -1,8 +1,9 @@
 import { state, addPage, duplicatePage, getCurrentPage } from '../core/state.js';
-import { handleSplitClick, createTextInRect, findNodeById, swapNodesContent, renderAndRestoreFocus, snapDivider, findMergeableParent, mergeNodes } from '../layout/layout.js';
+import { handleSplitClick, createTextInRect, findNodeById, swapNodesContent, renderAndRestoreFocus, snapDivider, findMergeableParent, mergeNodes, splitRectInto, distributeEvenly } from '../layout/layout.js';
 import { undo, redo, saveState } from '../io/history.js';
 import { renderLayout } from '../layout/renderer.js';
 import { renderPageList } from '../layout/pages.js';
+import { isWysiwygMode, startTextEditing } from '../layout/richText.js';
 import { saveLayout } from '../io/fileIO.js';
 import { A4_PAPER_ID } from '../core/constants.js';
 
@@ -97,6 +98,24 @@ function handleKeyDown(e) {
         return;
     }
 
+    // Alt + 2..9 = split into N cells along the long side, Alt + Shift + 2..9 across it.
+    // Checked by code so Shift and keyboard layouts don't change the digit.
+    const splitMatch = e.altKey && !e.ctrlKey && !e.metaKey && /^(?:Digit|Numpad)([2-9])$/.exec(e.code);
+    if (splitMatch) {
+        e.preventDefault();
+        e.stopPropagation();
+        splitRectInto(focused.id, parseInt(splitMatch[1], 10), e.shiftKey);
+        return;
+    }
+
+    // Alt + = : make all cells of the focused cell's container the same size
+    if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'Equal') {
+        e.preventDefault();
+        e.stopPropagation();
+        distributeEvenly(focused.id);
+        return;
+    }
+
     switch (e.key) {
         case 'ArrowUp':
         case 'ArrowDown':
@@ -109,9 +128,9 @@ function handleKeyDown(e) {
             } else if (e.altKey) {
                 snapDivider(focused, e.key);
             } else if (e.ctrlKey) {
-                const parentToMerge = findMergeableParent(focused, e.key);
-                if (parentToMerge) {
-                    mergeNodes(parentToMerge, focused.id);
+                const divider = findMergeableParent(focused, e.key);
+                if (divider) {
+                    mergeNodes(divider.parent, focused.id, divider.index);
                 }
             } else {
                 navigateRects(focused, e.key);
@@ -121,6 +140,11 @@ function handleKeyDown(e) {
         case 'Enter':
             e.preventDefault();
             e.stopPropagation();
+            // Existing text opens in the chosen editing mode (markdown or WYSIWYG)
+            if (isWysiwygMode() && focused.querySelector('.text-editor')) {
+                startTextEditing(focused);
+                break;
+            }
             // Pass null to keep existing text, or init empty if new
             createTextInRect(focused.id, null);
             break;
@@ -1,5 +1,17 @@
 import { DIVIDER_SIZE, A4_PAPER_ID } from '../core/constants.js';
 import { getCurrentPage } from '../core/state.js';
+import { saveState } from '../io/history.js';
+import { getPublisherConfig, savePublisherConfig } from '../io/publishers.js';
+import { DEFAULT_EXPORT_PRESETS, normalizeExportPresets } from '../io/exportPresets.js';
+import { MARGIN_SIDES, normalizeMargins } from '../layout/internal/marginUtils.js';
+import { STORAGE_PREFIX } from '../core/utils.js';
+import { HEADING_LEVELS, applyThemeToSettings, normalizeTheme } from './internal/themeUtils.js';
+import {
+    DEFAULT_HEADING_STYLES,
+    clampTypography,
+    normalizeHeadingStyles,
+    getTypographyVariables
+} from './internal/typographyUtils.js';
 // import { renderCoverImage } from './renderer.js'; // REMOVED to break circular dependency
 
 /**
@@ -8,19 +20,33 @@ import { getCurrentPage } from '../core/state.js';
 const defaultSettings = {
     layout: {
         ratio: 1.414, // A4 default (approx)
-        isLandscape: false
+        isLandscape: false,
+        paperSize: null, // Key of PAPER_SIZES, null = free aspect ratio
+        bleedMm: 3,
+        cropMarks: true,
+        spreads: false, // Facing pages: pages pair up left/right
+        singleCover: true, // In spreads, page 1 stands alone as the cover
+        gutter: 0 // Space between cells, in thousandths of the page width (like dividers.width)
     },
     text: {
         fontFamily: 'sans-serif',
         fontSize: 20, // px
+        lineHeight: 1.6,
+        letterSpacing: 0, // em
+        paragraphSpacing: 0.25, // em, space between paragraphs
         textColor: '#374151',
-        colorAffectsHeaders: false
+        colorAffectsHeaders: false,
+        headingFonts: { h1: null, h2: null, h3: null }, // null = body font
+        headingColor: null, // null = default heading shades
+        headings: DEFAULT_HEADING_STYLES // Size (multiple of fontSize), weight, line height and letter spacing (em)
     },
     paper: {
         backgroundColor: '#ffffff',
         backgroundImage: null, // data URL
         backgroundImageOpacity: 0.2,
-        showPageNumbers: false
+        showPageNumbers: false,
+        margin: { top: 0, right: 0, bottom: 0, left: 0 }, // Thousandths of the page width, pages may override
+        mirrorMargins: true // In spreads, left/right act as inside/outside margins
     },
     dividers: {
         width: DIVIDER_SIZE,
@@ -29,13 +55,52 @@ const defaultSettings = {
     },
     electron: {
         useFileReferences: false
+    },
+    export: {
+        presets: DEFAULT_EXPORT_PRESETS // Saved with the document, see exportPresets.js
     }
 };
 
 /**
- * Current settings state (deep cloned from defaults)
+ * The user's default theme is kept on this device and applies to every new document
+ */
+const DEFAULT_THEME_KEY = `${STORAGE_PREFIX}default_theme`;
+
+/**
+ * @returns {import('./internal/themeUtils.js').Theme|null} Theme new documents start from
+ */
+export function getDefaultTheme() {
+    try {
+        return normalizeTheme(JSON.parse(localStorage.getItem(DEFAULT_THEME_KEY) || 'null'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {import('./internal/themeUtils.js').Theme|null} theme null goes back to the built-in defaults
+ */
+export function setDefaultTheme(theme) {
+    if (theme) {
+        localStorage.setItem(DEFAULT_THEME_KEY, JSON.stringify(theme));
+    } else {
+        localStorage.removeItem(DEFAULT_THEME_KEY);
+    }
+}
+
+/**
+ * Settings of a new document: the defaults with the user's default theme
+ */
+function createInitialSettings() {
+    const base = JSON.parse(JSON.stringify(defaultSettings));
+    const theme = getDefaultTheme();
+    return theme ? applyThemeToSettings(base, theme) : base;
+}
+
+/**
+ * Current settings state
  */
-let settings = JSON.parse(JSON.stringify(defaultSettings));
+let settings = createInitialSettings();
 
 /**
  * Get current settings
@@ -47,7 +112,7 @@ export function getSettings() {
 
 /**
  * Update a specific setting
- * @param {string} category - 'layout', 'text', 'paper', or 'dividers'
+ * @param {string} category - 'layout', 'text', 'paper', 'dividers', or 'export'
  * @param {string} key - Setting key within category
  * @param {any} value - New value
  */
@@ -64,6 +129,36 @@ export function updateSetting(category, key, value) {
     }
 }
 
+/**
+ * Physical paper sizes for print export, in millimetres (portrait)
+ */
+export const PAPER_SIZES = {
+    a4: { label: 'A4 (210 x 297 mm)', width: 210, height: 297 },
+    a5: { label: 'A5 (148 x 210 mm)', width: 148, height: 210 },
+    letter: { label: 'US Letter (8.5 x 11 in)', width: 215.9, height: 279.4 },
+    square8: { label: 'Square (8 x 8 in)', width: 203.2, height: 203.2 }
+};
+
+/**
+ * Allowed bleed range for print export, in millimetres
+ */
+export const BLEED_RANGE_MM = { min: 3, max: 5 };
+
+/**
+ * Get the physical trim size of a page, honoring orientation
+ * @returns {{width: number, height: number}|null} Size in mm, or null when no paper size is set
+ */
+export function getPhysicalPageSize() {
+    const size = PAPER_SIZES[settings.layout.paperSize];
+    if (!size) return null;
+
+    const shortSide = Math.min(size.width, size.height);
+    const longSide = Math.max(size.width, size.height);
+    return settings.layout.isLandscape
+        ? { width: longSide, height: shortSide }
+        : { width: shortSide, height: longSide };
+}
+
 export function calculatePaperDimensions() {
     // Rule: width + height = 2000px
     // Ratio = width / height (if landscape) or height / width (if portrait)?
@@ -71,7 +166,11 @@ export function calculatePaperDimensions() {
     // Let's assume ratio input describes the shape (e.g., 1.618).
 
     // We treat ratio as LongSide / ShortSide
-    const r = Math.max(settings.layout.ratio, 1);
+    // A physical paper size dictates its own ratio
+    const size = PAPER_SIZES[settings.layout.paperSize];
+    const r = size
+        ? Math.max(size.width, size.height) / Math.min(size.width, size.height)
+        : Math.max(settings.layout.ratio, 1);
 
     // h + w = 2000
     // w = r * h (if w is long side)
@@ -114,14 +213,28 @@ export function applySettings() {
     root.style.setProperty('--text-font-size', `${settings.text.fontSize}px`);
     root.style.setProperty('--text-ratio', (settings.text.fontSize / 1000).toString());
     root.style.setProperty('--text-color', settings.text.textColor);
+    Object.entries(getTypographyVariables(settings.text)).forEach(([name, value]) => {
+        root.style.setProperty(name, value);
+    });
 
     // Header color logic
-    if (settings.text.colorAffectsHeaders) {
-        root.style.setProperty('--header-color', settings.text.textColor);
+    const headerColor = settings.text.colorAffectsHeaders ? settings.text.textColor : settings.text.headingColor;
+    if (headerColor) {
+        root.style.setProperty('--header-color', headerColor);
     } else {
         root.style.removeProperty('--header-color');
     }
 
+    // Heading fonts fall back to the body font
+    HEADING_LEVELS.forEach(level => {
+        const font = settings.text.headingFonts[level];
+        if (font) {
+            root.style.setProperty(`--${level}-font-family`, font);
+        } else {
+            root.style.removeProperty(`--${level}-font-family`);
+        }
+    });
+
     // Paper settings
     root.style.setProperty('--paper-bg-color', settings.paper.backgroundColor);
     root.style.setProperty('--bg-image-opacity', settings.paper.backgroundImageOpacity);
@@ -133,6 +246,7 @@ export function applySettings() {
     // Divider settings
     root.style.setProperty('--divider-ratio', (settings.dividers.width / 1000).toString());
     root.style.setProperty('--divider-color', settings.dividers.color);
+    root.style.setProperty('--gutter-ratio', (settings.layout.gutter / 1000).toString());
 
     // Layout border settings
     const shouldShowBorder = settings.dividers.showBorders && settings.dividers.width > 0;
@@ -140,14 +254,25 @@ export function applySettings() {
 }
 
 /**
- * Reset settings to defaults
+ * Reset settings to defaults, including the user's default theme
  */
 export function resetSettings() {
-    settings = JSON.parse(JSON.stringify(defaultSettings));
+    settings = createInitialSettings();
     applySettings();
     document.dispatchEvent(new CustomEvent('settingsUpdated'));
 }
 
+/**
+ * Apply a theme's fonts, colors and dividers to the document
+ * @param {import('./internal/themeUtils.js').Theme} theme
+ */
+export function applyTheme(theme) {
+    settings = applyThemeToSettings(settings, theme);
+    applySettings();
+    syncFormWithSettings();
+    document.dispatchEvent(new CustomEvent('settingsUpdated'));
+}
+
 /**
  * Load settings from a saved object
  * @param {object} savedSettings - Settings object from file
@@ -157,16 +282,27 @@ export function loadSettings(savedSettings) {
         // Deep merge with defaults to handle missing keys
         settings = {
             layout: { ...defaultSettings.layout, ...savedSettings.layout },
-            text: { ...defaultSettings.text, ...savedSettings.text },
+            text: {
+                ...defaultSettings.text,
+                ...savedSettings.text,
+                headingFonts: { ...defaultSettings.text.headingFonts, ...savedSettings.text?.headingFonts },
+                headings: normalizeHeadingStyles(savedSettings.text?.headings)
+            },
             paper: {
                 ...defaultSettings.paper,
                 ...savedSettings.paper,
                 // Migration: handle old 'coverImage' names if present in saved file
                 backgroundImage: savedSettings.paper.backgroundImage || savedSettings.paper.coverImage || null,
-                backgroundImageOpacity: savedSettings.paper.backgroundImageOpacity !== undefined ? savedSettings.paper.backgroundImageOpacity : (savedSettings.paper.coverImageOpacity !== undefined ? savedSettings.paper.coverImageOpacity : 0.2)
+                backgroundImageOpacity: savedSettings.paper.backgroundImageOpacity !== undefined ? savedSettings.paper.backgroundImageOpacity : (savedSettings.paper.coverImageOpacity !== undefined ? savedSettings.paper.coverImageOpacity : 0.2),
+                margin: normalizeMargins(savedSettings.paper.margin) ?? { ...defaultSettings.paper.margin }
             },
             dividers: { ...defaultSettings.dividers, ...savedSettings.dividers },
-            electron: { ...defaultSettings.electron, ...savedSettings.electron }
+            electron: { ...defaultSettings.electron, ...savedSettings.electron },
+            export: {
+                // Files saved before presets existed get the built-in ones
+                presets: normalizeExportPresets(savedSettings.export?.presets)
+                    ?? JSON.parse(JSON.stringify(defaultSettings.export.presets))
+            }
         };
         applySettings();
     }
@@ -198,6 +334,21 @@ export const FONT_OPTIONS = [
     { value: "monospace", label: 'Monospace' }
 ];
 
+/**
+ * Families of the imported fonts (see assets/fonts.js), listed after FONT_OPTIONS
+ */
+let customFontOptions = [];
+
+/**
+ * @param {{value: string, label: string}[]} options
+ */
+export function setCustomFontOptions(options) {
+    if (JSON.stringify(options) === JSON.stringify(customFontOptions)) return;
+    customFontOptions = options;
+    populateFontSelects();
+    syncFormWithSettings();
+}
+
 /**
  * Setup settings modal handlers
  */
@@ -247,10 +398,13 @@ export function setupSettingsHandlers() {
     setupPaperControls();
     setupDividerControls();
     setupElectronControls();
+    setupPublishingControls();
 
     // Re-apply settings on layout updates
     document.addEventListener('layoutUpdated', () => {
         applySettings();
+        // Margin inputs follow the page being edited
+        syncMarginControls();
     });
 
     // Apply settings on load
@@ -262,24 +416,66 @@ function syncFormWithSettings() {
     const ratioSelect = document.getElementById('setting-layout-ratio');
     const landscapeToggle = document.getElementById('setting-layout-landscape');
 
-    if (ratioSelect) ratioSelect.value = settings.layout.ratio;
+    if (ratioSelect) {
+        ratioSelect.value = settings.layout.ratio;
+        ratioSelect.disabled = !!settings.layout.paperSize;
+    }
     if (landscapeToggle) landscapeToggle.checked = settings.layout.isLandscape;
 
+    const paperSizeSelect = document.getElementById('setting-paper-size');
+    const bleedSlider = document.getElementById('setting-bleed');
+    const bleedValue = document.getElementById('bleed-value');
+    const cropMarksToggle = document.getElementById('setting-crop-marks');
+
+    if (paperSizeSelect) paperSizeSelect.value = settings.layout.paperSize || '';
+    if (bleedSlider) bleedSlider.value = settings.layout.bleedMm;
+    if (bleedValue) bleedValue.textContent = `${settings.layout.bleedMm}mm`;
+    if (cropMarksToggle) cropMarksToggle.checked = settings.layout.cropMarks;
+
+    const spreadsToggle = document.getElementById('setting-spreads');
+    const singleCoverToggle = document.getElementById('setting-single-cover');
+    if (spreadsToggle) spreadsToggle.checked = settings.layout.spreads;
+    if (singleCoverToggle) {
+        singleCoverToggle.checked = settings.layout.singleCover;
+        singleCoverToggle.disabled = !settings.layout.spreads;
+    }
+
     // Text
     const fontSelect = document.getElementById('setting-font-family');
     const fontSizeSlider = document.getElementById('setting-font-size');
     const fontSizeValue = document.getElementById('font-size-value');
 
-    if (fontSelect) {
-        fontSelect.value = settings.text.fontFamily;
-        fontSelect.style.fontFamily = settings.text.fontFamily;
-    }
+    if (fontSelect) selectFontOption(fontSelect, settings.text.fontFamily);
+    HEADING_LEVELS.forEach(level => {
+        const select = document.getElementById(`setting-${level}-font`);
+        if (select) selectFontOption(select, settings.text.headingFonts[level] || '');
+    });
     if (fontSizeSlider) fontSizeSlider.value = settings.text.fontSize;
     if (fontSizeValue) fontSizeValue.textContent = `${settings.text.fontSize}px`;
 
+    TEXT_SPACING_CONTROLS.forEach(({ key, id, format }) => {
+        const slider = document.getElementById(`setting-${id}`);
+        const value = document.getElementById(`${id}-value`);
+        if (slider) slider.value = settings.text[key];
+        if (value) value.textContent = format(settings.text[key]);
+    });
+    HEADING_LEVELS.forEach(level => {
+        HEADING_STYLE_CONTROLS.forEach(({ key, id }) => {
+            const input = document.getElementById(`setting-${level}-${id}`);
+            if (input) input.value = settings.text.headings[level][key];
+        });
+    });
+
     const colorHeadersToggle = document.getElementById('setting-color-headers');
     if (colorHeadersToggle) colorHeadersToggle.checked = settings.text.colorAffectsHeaders;
 
+    const headingColorInput = document.getElementById('setting-heading-color');
+    if (headingColorInput) {
+        // The input shows the default heading shade until a color is picked
+        headingColorInput.value = settings.text.headingColor || '#111827';
+        headingColorInput.disabled = settings.text.colorAffectsHeaders;
+    }
+
     updateColorUI('text-color', settings.text.textColor);
 
     // Paper
@@ -292,6 +488,7 @@ function syncFormWithSettings() {
     if (bgOpacityValue) bgOpacityValue.textContent = `${Math.round(settings.paper.backgroundImageOpacity * 100)}%`;
     if (pageNumbersToggle) pageNumbersToggle.checked = settings.paper.showPageNumbers;
     updateColorUI('paper-color', settings.paper.backgroundColor);
+    syncMarginControls();
 
     if (bgPreview) {
         if (settings.paper.backgroundImage) {
@@ -309,6 +506,11 @@ function syncFormWithSettings() {
     if (dividerWidthValue) dividerWidthValue.textContent = settings.dividers.width; // Removed 'px'
     updateColorUI('divider-color', settings.dividers.color);
 
+    const gutterSlider = document.getElementById('setting-gutter');
+    const gutterValue = document.getElementById('gutter-value');
+    if (gutterSlider) gutterSlider.value = settings.layout.gutter;
+    if (gutterValue) gutterValue.textContent = settings.layout.gutter;
+
     const showBordersToggle = document.getElementById('setting-show-borders');
     if (showBordersToggle) showBordersToggle.checked = settings.dividers.showBorders;
 
@@ -388,6 +590,25 @@ function setupColorSelection(type, category, key) {
     });
 }
 
+/**
+ * Body text sliders: settings.text key, element id (with a "-value" label) and label format
+ */
+const TEXT_SPACING_CONTROLS = [
+    { key: 'lineHeight', id: 'line-height', format: value => String(value) },
+    { key: 'letterSpacing', id: 'letter-spacing', format: value => `${value}em` },
+    { key: 'paragraphSpacing', id: 'paragraph-spacing', format: value => `${value}em` }
+];
+
+/**
+ * Per-heading inputs: key of the heading style and element id suffix
+ */
+const HEADING_STYLE_CONTROLS = [
+    { key: 'size', id: 'size' },
+    { key: 'weight', id: 'weight' },
+    { key: 'lineHeight', id: 'line-height' },
+    { key: 'letterSpacing', id: 'letter-spacing' }
+];
+
 function setupTextControls() {
     const fontSelect = document.getElementById('setting-font-family');
     const fontSizeSlider = document.getElementById('setting-font-size');
@@ -405,14 +626,92 @@ function setupTextControls() {
         updateSetting('text', 'fontSize', value);
     });
 
+    TEXT_SPACING_CONTROLS.forEach(({ key, id, format }) => {
+        const value = document.getElementById(`${id}-value`);
+        document.getElementById(`setting-${id}`)?.addEventListener('input', (e) => {
+            const number = clampTypography(key, e.target.value, defaultSettings.text[key]);
+            if (value) value.textContent = format(number);
+            updateSetting('text', key, number);
+        });
+    });
+
+    HEADING_LEVELS.forEach(level => {
+        HEADING_STYLE_CONTROLS.forEach(({ key, id }) => {
+            const input = document.getElementById(`setting-${level}-${id}`);
+            input?.addEventListener('change', (e) => {
+                const style = settings.text.headings[level];
+                const number = clampTypography(key, e.target.value, style[key]);
+                input.value = number;
+                updateSetting('text', 'headings', { ...settings.text.headings, [level]: { ...style, [key]: number } });
+            });
+        });
+    });
+
+    populateFontSelects();
+    HEADING_LEVELS.forEach(level => {
+        const select = document.getElementById(`setting-${level}-font`);
+        select?.addEventListener('change', (e) => {
+            updateSetting('text', 'headingFonts', { ...settings.text.headingFonts, [level]: e.target.value || null });
+            select.style.fontFamily = e.target.value;
+        });
+    });
+
+    const headingColorInput = document.getElementById('setting-heading-color');
+    headingColorInput?.addEventListener('input', (e) => {
+        updateSetting('text', 'headingColor', e.target.value);
+    });
+    document.getElementById('reset-heading-color')?.addEventListener('click', () => {
+        updateSetting('text', 'headingColor', null);
+        syncFormWithSettings();
+    });
+
     const colorHeadersToggle = document.getElementById('setting-color-headers');
     colorHeadersToggle?.addEventListener('change', (e) => {
         updateSetting('text', 'colorAffectsHeaders', e.target.checked);
+        if (headingColorInput) headingColorInput.disabled = e.target.checked;
     });
 
     setupColorSelection('text-color', 'text', 'textColor');
 }
 
+/**
+ * Fills the font dropdowns with FONT_OPTIONS and the imported fonts
+ */
+function populateFontSelects() {
+    const fill = (select, firstOption) => {
+        select.innerHTML = '';
+        if (firstOption) select.add(firstOption);
+        FONT_OPTIONS.forEach(({ value, label }) => select.add(new Option(label, value)));
+        if (customFontOptions.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Imported Fonts';
+            customFontOptions.forEach(({ value, label }) => group.appendChild(new Option(label, value)));
+            select.appendChild(group);
+        }
+    };
+
+    const fontSelect = document.getElementById('setting-font-family');
+    if (fontSelect) fill(fontSelect, null);
+    HEADING_LEVELS.forEach(level => {
+        const select = document.getElementById(`setting-${level}-font`);
+        if (select) fill(select, new Option('Same as body', ''));
+    });
+}
+
+/**
+ * Selects a font in a font dropdown, listing it first when it isn't one of FONT_OPTIONS
+ * (themes from other devices may use any font).
+ * @param {HTMLSelectElement} select
+ * @param {string} value
+ */
+function selectFontOption(select, value) {
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value.split(',')[0].replace(/['"]/g, '').trim(), value));
+    }
+    select.value = value;
+    select.style.fontFamily = value;
+}
+
 function setupPaperControls() {
     const bgImageInput = document.getElementById('setting-bg-image');
     const bgOpacitySlider = document.getElementById('setting-bg-opacity');
@@ -455,6 +754,78 @@ function setupPaperControls() {
     pageNumbersToggle?.addEventListener('change', (e) => {
         updateSetting('paper', 'showPageNumbers', e.target.checked);
     });
+
+    setupMarginControls();
+}
+
+/**
+ * Margin inputs edit the document margins, or the current page's own margins once
+ * "Custom Margins for This Page" is on. Page margins live in the layout tree, so they
+ * go through undo history like other page edits.
+ */
+function setupMarginControls() {
+    const overrideToggle = document.getElementById('setting-page-margin-override');
+    const mirrorToggle = document.getElementById('setting-mirror-margins');
+
+    MARGIN_SIDES.forEach(side => {
+        const input = document.getElementById(`setting-margin-${side}`);
+        input?.addEventListener('change', (e) => {
+            const value = normalizeMargins({ [side]: e.target.value })[side];
+            e.target.value = value;
+
+            const page = getCurrentPage();
+            if (page.pageMargin) {
+                saveState();
+                page.pageMargin = { ...page.pageMargin, [side]: value };
+                document.dispatchEvent(new CustomEvent('settingsUpdated'));
+            } else {
+                updateSetting('paper', 'margin', { ...settings.paper.margin, [side]: value });
+            }
+        });
+    });
+
+    overrideToggle?.addEventListener('change', (e) => {
+        saveState();
+        const page = getCurrentPage();
+        if (e.target.checked) {
+            // Start from the document margins
+            page.pageMargin = { ...settings.paper.margin };
+        } else {
+            delete page.pageMargin;
+        }
+        syncMarginControls();
+        document.dispatchEvent(new CustomEvent('settingsUpdated'));
+    });
+
+    mirrorToggle?.addEventListener('change', (e) => {
+        updateSetting('paper', 'mirrorMargins', e.target.checked);
+        syncMarginControls();
+    });
+}
+
+function syncMarginControls() {
+    const page = getCurrentPage();
+    const pageMargin = normalizeMargins(page?.pageMargin);
+    const margins = pageMargin || settings.paper.margin;
+
+    MARGIN_SIDES.forEach(side => {
+        const input = document.getElementById(`setting-margin-${side}`);
+        if (input && document.activeElement !== input) input.value = margins[side];
+    });
+
+    const overrideToggle = document.getElementById('setting-page-margin-override');
+    const mirrorToggle = document.getElementById('setting-mirror-margins');
+    const scope = document.getElementById('margin-scope');
+    if (overrideToggle) overrideToggle.checked = !!pageMargin;
+    if (mirrorToggle) mirrorToggle.checked = settings.paper.mirrorMargins;
+    if (scope) scope.textContent = pageMargin ? 'This page' : 'Document';
+
+    // Mirrored spreads measure from the gutter
+    const mirrored = settings.layout.spreads && settings.paper.mirrorMargins;
+    const leftLabel = document.getElementById('margin-left-label');
+    const rightLabel = document.getElementById('margin-right-label');
+    if (leftLabel) leftLabel.textContent = mirrored ? 'Inside' : 'Left';
+    if (rightLabel) rightLabel.textContent = mirrored ? 'Outside' : 'Right';
 }
 
 function setupDividerControls() {
@@ -469,6 +840,14 @@ function setupDividerControls() {
 
     setupColorSelection('divider-color', 'dividers', 'color');
 
+    const gutterSlider = document.getElementById('setting-gutter');
+    const gutterValue = document.getElementById('gutter-value');
+    gutterSlider?.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (gutterValue) gutterValue.textContent = value;
+        updateSetting('layout', 'gutter', value);
+    });
+
     const showBordersToggle = document.getElementById('setting-show-borders');
     showBordersToggle?.addEventListener('change', (e) => {
         updateSetting('dividers', 'showBorders', e.target.checked);
@@ -479,6 +858,7 @@ function setupLayoutControls() {
     const ratioSelect = document.getElementById('setting-layout-ratio');
     if (ratioSelect) {
         ratioSelect.value = settings.layout.ratio;
+        ratioSelect.disabled = !!settings.layout.paperSize;
         ratioSelect.addEventListener('change', (e) => {
             updateSetting('layout', 'ratio', parseFloat(e.target.value));
         });
@@ -491,6 +871,74 @@ function setupLayoutControls() {
             updateSetting('layout', 'isLandscape', e.target.checked);
         });
     }
+
+    const paperSizeSelect = document.getElementById('setting-paper-size');
+    if (paperSizeSelect) {
+        paperSizeSelect.innerHTML = '<option value="">None (aspect ratio only)</option>' +
+            Object.entries(PAPER_SIZES)
+                .map(([key, size]) => `<option value="${key}">${size.label}</option>`)
+                .join('');
+        paperSizeSelect.value = settings.layout.paperSize || '';
+        paperSizeSelect.addEventListener('change', (e) => {
+            updateSetting('layout', 'paperSize', e.target.value || null);
+            if (ratioSelect) ratioSelect.disabled = !!settings.layout.paperSize;
+        });
+    }
+
+    const bleedSlider = document.getElementById('setting-bleed');
+    const bleedValue = document.getElementById('bleed-value');
+    bleedSlider?.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (bleedValue) bleedValue.textContent = `${value}mm`;
+        updateSetting('layout', 'bleedMm', value);
+    });
+
+    const cropMarksToggle = document.getElementById('setting-crop-marks');
+    cropMarksToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'cropMarks', e.target.checked);
+    });
+
+    const spreadsToggle = document.getElementById('setting-spreads');
+    const singleCoverToggle = document.getElementById('setting-single-cover');
+    spreadsToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'spreads', e.target.checked);
+        if (singleCoverToggle) singleCoverToggle.disabled = !e.target.checked;
+    });
+    singleCoverToggle?.addEventListener('change', (e) => {
+        updateSetting('layout', 'singleCover', e.target.checked);
+    });
+}
+
+function setupPublishingControls() {
+    const typeSelect = document.getElementById('setting-publisher-type');
+    if (!typeSelect) return;
+
+    const fields = {
+        url: document.getElementById('setting-publisher-url'),
+        authHeader: document.getElementById('setting-publisher-auth-header'),
+        authToken: document.getElementById('setting-publisher-auth-token')
+    };
+
+    const updateVisibility = () => {
+        document.querySelectorAll('.publisher-http-only').forEach(el => {
+            el.style.display = typeSelect.value === 'http' ? '' : 'none';
+        });
+    };
+
+    // Publisher config lives outside the layout settings (it may hold credentials)
+    const config = getPublisherConfig();
+    typeSelect.value = config.type;
+    Object.entries(fields).forEach(([key, input]) => {
+        if (!input) return;
+        input.value = config[key];
+        input.addEventListener('change', () => savePublisherConfig({ [key]: input.value.trim() }));
+    });
+    updateVisibility();
+
+    typeSelect.addEventListener('change', (e) => {
+        savePublisherConfig({ type: e.target.value });
+        updateVisibility();
+    });
 }
 
 function setupElectronControls() {
@@ -0,0 +1,241 @@
+import { showAlert, showConfirm, STORAGE_PREFIX } from '../core/utils.js';
+import { toast } from '../core/errorHandler.js';
+import { getSettings, applyTheme, getDefaultTheme, setDefaultTheme } from './settings.js';
+import {
+    BUILT_IN_THEMES,
+    createThemeFromSettings,
+    settingsMatchTheme,
+    isSameLook,
+    normalizeThemes
+} from './internal/themeUtils.js';
+
+/**
+ * Themes
+ * Gallery of built-in and user-saved themes in the settings panel. User themes live in
+ * localStorage so they are shared between documents, and can be exported to / imported from JSON.
+ */
+
+const THEMES_KEY = `${STORAGE_PREFIX}themes`;
+
+/**
+ * @returns {import('./internal/themeUtils.js').Theme[]}
+ */
+export function getUserThemes() {
+    try {
+        return normalizeThemes(JSON.parse(localStorage.getItem(THEMES_KEY) || '[]')) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * @param {import('./internal/themeUtils.js').Theme[]} themes
+ */
+function saveUserThemes(themes) {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(themes));
+}
+
+/**
+ * Small page showing the theme's paper, heading and body text and divider
+ * @param {import('./internal/themeUtils.js').Theme} theme
+ * @returns {HTMLElement}
+ */
+function createThemePreview(theme) {
+    const preview = document.createElement('div');
+    preview.className = 'theme-preview';
+    preview.setAttribute('aria-hidden', 'true');
+    preview.style.backgroundColor = theme.colors.paper;
+    preview.style.borderColor = theme.colors.divider;
+    preview.style.borderWidth = theme.dividers.showBorders && theme.dividers.width > 0 ? '2px' : '1px';
+
+    const heading = document.createElement('span');
+    heading.className = 'theme-preview-heading';
+    heading.textContent = 'Aa';
+    heading.style.fontFamily = theme.fonts.h1 || theme.fonts.body;
+    heading.style.color = theme.colors.heading || theme.colors.text;
+
+    const body = document.createElement('span');
+    body.className = 'theme-preview-body';
+    body.textContent = 'Body text';
+    body.style.fontFamily = theme.fonts.body;
+    body.style.color = theme.colors.text;
+
+    const palette = document.createElement('span');
+    palette.className = 'theme-preview-palette';
+    [theme.colors.text, theme.colors.heading || theme.colors.text, theme.colors.divider].forEach(color => {
+        const dot = document.createElement('span');
+        dot.style.backgroundColor = color;
+        palette.appendChild(dot);
+    });
+
+    preview.append(heading, body, palette);
+    return preview;
+}
+
+export function setupThemeHandlers() {
+    const gallery = document.getElementById('theme-gallery');
+    const nameInput = document.getElementById('theme-name');
+    const saveBtn = document.getElementById('save-theme');
+    const importBtn = document.getElementById('import-themes');
+    const exportBtn = document.getElementById('export-themes');
+
+    if (!gallery) return;
+
+    function renderThemeGallery() {
+        // Applying a theme re-renders the gallery: keep keyboard focus on the same button
+        const focused = gallery.contains(document.activeElement) ? document.activeElement : null;
+        const focusKey = focused ? `${focused.dataset.themeId}|${focused.dataset.action}` : null;
+
+        gallery.innerHTML = '';
+        const settings = getSettings();
+        const defaultTheme = getDefaultTheme();
+
+        [...BUILT_IN_THEMES, ...getUserThemes()].forEach(theme => {
+            const isActive = settingsMatchTheme(settings, theme);
+            const isDefault = defaultTheme ? isSameLook(defaultTheme, theme) : theme.id === 'builtin-classic';
+
+            const card = document.createElement('div');
+            card.className = 'theme-card';
+            card.classList.toggle('active', isActive);
+            card.setAttribute('role', 'listitem');
+
+            const name = document.createElement('span');
+            name.className = 'theme-name';
+            name.textContent = isDefault ? `${theme.name} (default)` : theme.name;
+            name.title = theme.name;
+
+            const actions = document.createElement('div');
+            actions.className = 'theme-actions';
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn-text';
+            applyBtn.textContent = isActive ? 'Applied' : 'Apply';
+            applyBtn.title = `Apply "${theme.name}" to this document`;
+            applyBtn.dataset.themeId = theme.id;
+            applyBtn.dataset.action = 'apply';
+            applyBtn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+            applyBtn.addEventListener('click', () => applyTheme(theme));
+
+            const defaultBtn = document.createElement('button');
+            defaultBtn.className = 'btn-text';
+            defaultBtn.textContent = 'Set default';
+            defaultBtn.title = `Start new documents with "${theme.name}"`;
+            defaultBtn.dataset.themeId = theme.id;
+            defaultBtn.dataset.action = 'default';
+            defaultBtn.disabled = isDefault;
+            defaultBtn.addEventListener('click', () => {
+                // The built-in defaults need no stored theme
+                setDefaultTheme(theme.id === 'builtin-classic' ? null : theme);
+                renderThemeGallery();
+                toast.success(`New documents will start with "${theme.name}"`);
+            });
+
+            actions.append(applyBtn, defaultBtn);
+
+            if (!theme.builtIn) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'theme-delete';
+                deleteBtn.innerHTML = '<span aria-hidden="true">&times;</span>';
+                deleteBtn.setAttribute('aria-label', `Delete theme ${theme.name}`);
+                deleteBtn.title = 'Delete theme';
+                deleteBtn.addEventListener('click', async () => {
+                    const confirmed = await showConfirm(`Delete the theme "${theme.name}"?`, 'Delete Theme', 'Delete');
+                    if (!confirmed) return;
+                    // The default theme is stored on its own and stays until another is chosen
+                    saveUserThemes(getUserThemes().filter(t => t.id !== theme.id));
+                    renderThemeGallery();
+                });
+                card.appendChild(deleteBtn);
+            }
+
+            card.append(createThemePreview(theme), name, actions);
+            gallery.appendChild(card);
+        });
+
+        if (focusKey) {
+            const [themeId, action] = focusKey.split('|');
+            gallery.querySelector(`button[data-theme-id="${CSS.escape(themeId)}"][data-action="${action}"]`)?.focus();
+        }
+    }
+
+    saveBtn?.addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showAlert('Enter a name for the theme first.', 'Theme Name Required');
+            return;
+        }
+
+        const theme = createThemeFromSettings(getSettings(), name);
+        const themes = getUserThemes();
+        const existing = themes.findIndex(t => t.name.toLowerCase() === name.toLowerCase());
+        // Saving under an existing name replaces that theme
+        const updated = existing === -1
+            ? [...themes, theme]
+            : themes.map((t, index) => (index === existing ? { ...theme, id: t.id } : t));
+
+        saveUserThemes(updated);
+        nameInput.value = '';
+        renderThemeGallery();
+        toast.success(`Theme "${theme.name}" saved`);
+    });
+
+    exportBtn?.addEventListener('click', () => {
+        const themes = getUserThemes();
+        if (themes.length === 0) {
+            showAlert('Save the current look as a theme first. Built-in themes are always available.', 'No Themes');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify({ version: '1.0', themes }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'themes.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    });
+
+    importBtn?.addEventListener('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                let imported = null;
+                try {
+                    const data = JSON.parse(event.target.result);
+                    // A single theme, a list, or an export file
+                    imported = normalizeThemes(Array.isArray(data) ? data : data.themes || [data]);
+                } catch (err) {
+                    console.error('Failed to parse themes:', err);
+                }
+
+                if (!imported || imported.length === 0) {
+                    showAlert('No valid themes found in this file.', 'Import Error');
+                    return;
+                }
+
+                const themes = getUserThemes();
+                const ids = new Set(themes.map(t => t.id));
+                saveUserThemes([...themes, ...imported.filter(t => !ids.has(t.id))]);
+                renderThemeGallery();
+                toast.success(`Imported ${imported.length} theme${imported.length === 1 ? '' : 's'}`);
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+    });
+
+    // Follow edits in the settings panel, and opened documents when the panel opens
+    document.addEventListener('settingsUpdated', renderThemeGallery);
+    document.getElementById('settings-btn')?.addEventListener('click', renderThemeGallery);
+    renderThemeGallery();
+}
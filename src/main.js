@@ -9,14 +9,22 @@ import { marked } from 'marked';
 import DOMPurify from 'dompurify';
 import { DIVIDER_SIZE } from './js/core/constants.js';
 import { setupSettingsHandlers } from './js/ui/settings.js';
+import { setupThemeHandlers } from './js/ui/themes.js';
+import { setupCustomFonts } from './js/assets/fonts.js';
 import { setupGlobalErrorHandler } from './js/core/errorHandler.js';
 
-import { setupPageHandlers } from './js/layout/pages.js';
+import { setupPageHandlers, goToPage } from './js/layout/pages.js';
+import { setupSpreadView } from './js/layout/spreads.js';
+import { setupTemplateHandlers } from './js/layout/templates.js';
+import { setupCellStyleHandlers } from './js/layout/cellStyle.js';
+import { setupOutlineHandlers } from './js/layout/outline.js';
+import { startTextEditing, handleToolbarCommand, formatTextarea } from './js/layout/richText.js';
+import { setupTextFlow, focusFlowHead } from './js/layout/textFlow.js';
 import { setupFileIOHandlers } from './js/io/fileIO.js';
 import { importImageToNode, handleTouchStart, handleTouchMove, handleTouchEnd } from './js/assets/assets.js';
 import { setupKeyboardNavigation } from './js/ui/keyboard.js';
 import { shortcutsOverlay } from './js/ui/ShortcutsOverlay.js';
-import { findNodeById, toggleTextAlignment, startDrag, startEdgeDrag, handleDividerMerge } from './js/layout/layout.js';
+import { findNodeById, toggleTextAlignment, startDrag, startEdgeDrag, handleDividerMerge, distributeEvenly } from './js/layout/layout.js';
 
 import { dragDropService } from './js/ui/DragDropService.js';
 import { setupPlatformAdapters } from './js/core/platform.js';
@@ -169,9 +177,16 @@ function initialize() {
     setupExportHandlers();
     setupGlobalHandlers();
     setupSettingsHandlers();
+    setupThemeHandlers();
+    setupCustomFonts();
+    setupTextFlow();
     setupFileIOHandlers();
     loadShortcuts();
     setupPageHandlers();
+    setupSpreadView();
+    setupTemplateHandlers();
+    setupCellStyleHandlers();
+    setupOutlineHandlers();
     setupKeyboardNavigation();
 
     setupShortcutsHandlers();
@@ -448,7 +463,15 @@ function setupDelegatedHandlers() {
             return;
         }
 
-        const preview = e.target.closest('.markdown-content');
+        // Toolbar buttons keep the focus (and selection) in the editor
+        if (e.target.closest('.text-toolbar-btn')) {
+            e.preventDefault();
+            return;
+        }
+        if (e.target.closest('.wysiwyg-editor, .text-toolbar')) return;
+
+        // Flowed text is moved with the cell it starts in
+        const preview = e.target.closest('.markdown-content:not(.flow-continuation)');
         if (preview && e.button === 0) {
             // Drag preview start
             const container = preview.closest('.rectangle-base');
@@ -477,7 +500,7 @@ function setupDelegatedHandlers() {
         }
 
         const preview = e.target.closest('.markdown-content');
-        if (preview) {
+        if (preview && !preview.classList.contains('wysiwyg-editor') && !preview.classList.contains('flow-continuation')) {
             const container = preview.closest('.rectangle-base');
             const node = findNodeById(getCurrentPage(), container?.id);
             if (node) {
@@ -489,6 +512,15 @@ function setupDelegatedHandlers() {
     paper.addEventListener('touchmove', handleTouchMove, { passive: false });
     paper.addEventListener('touchend', handleTouchEnd);
 
+    // Double-click a divider to give every cell of its container the same size
+    paper.addEventListener('dblclick', (e) => {
+        const divider = e.target.closest('.divider');
+        if (!divider || e.ctrlKey || e.metaKey) return;
+
+        e.stopPropagation();
+        distributeEvenly(divider.dataset.parentId);
+    });
+
     // Global click delegation
     paper.addEventListener('click', (e) => {
         // Divider Merge (Ctrl + Click)
@@ -534,18 +566,40 @@ function setupDelegatedHandlers() {
             return;
         }
 
+        // Formatting toolbar
+        const toolbarBtn = e.target.closest('.text-toolbar-btn');
+        if (toolbarBtn) {
+            e.stopPropagation();
+            handleToolbarCommand(toolbarBtn);
+            return;
+        }
+        // Clicks inside the WYSIWYG editor (or the toolbar) edit, they don't split or follow links
+        if (e.target.closest('.wysiwyg-editor, .text-toolbar') && !e.shiftKey && !e.ctrlKey && !e.altKey) {
+            e.stopPropagation();
+            return;
+        }
+
+        // Wiki-link: jump to the linked page (and cell) instead of editing
+        const wikiLink = e.target.closest('a.wiki-link');
+        if (wikiLink && !e.shiftKey && !e.ctrlKey && !e.altKey) {
+            e.preventDefault();
+            e.stopPropagation();
+            const pageNumber = parseInt(wikiLink.getAttribute('href').replace('#page=', ''), 10);
+            goToPage(pageNumber - 1, wikiLink.dataset.cellId || null);
+            return;
+        }
+
         // Preview -> Editor flip
         const preview = e.target.closest('.markdown-content');
         if (preview) {
             // If modifiers are pressed, we don't want to enter edit mode, but we DO want to potentially split (fallthrough)
             if (!e.shiftKey && !e.ctrlKey && !e.altKey) {
                 const container = preview.closest('.rectangle-base');
-                const editor = container?.querySelector('.text-editor');
-                if (editor) {
+                if (container?.querySelector('.text-editor')) {
+                    e.stopPropagation();
+                    startTextEditing(container);
+                } else if (container && focusFlowHead(container.id)) {
                     e.stopPropagation();
-                    preview.classList.add('hidden');
-                    editor.classList.remove('hidden');
-                    editor.focus();
                 }
                 return;
             }
@@ -703,6 +757,13 @@ function handleEditorKeydown(e, editor) {
         return;
     }
 
+    // Ctrl + B / Ctrl + I, like the toolbar
+    if ((e.key === 'b' || e.key === 'i') && (e.ctrlKey || e.metaKey) && !e.shiftKey) {
+        e.preventDefault();
+        formatTextarea(editor, e.key === 'b' ? 'bold' : 'italic');
+        return;
+    }
+
     if (e.key === 'k' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
         const selection = value.substring(start, end);
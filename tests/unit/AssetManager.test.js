@@ -59,6 +59,26 @@ describe('AssetManager', () => {
         expect(eventDetail.asset.name).toBe('updated.png');
     });
 
+    it('should track selected assets and drop removed ones', () => {
+        assetManager.addAsset({ id: '1', name: 'a.png', type: 'image' });
+        assetManager.addAsset({ id: '2', name: 'b.png', type: 'image' });
+        const listener = vi.fn();
+        assetManager.addEventListener('selection:changed', listener);
+
+        assetManager.toggleSelected('2');
+        assetManager.toggleSelected('1');
+        expect(assetManager.getSelectedAssets().map(a => a.id)).toEqual(['1', '2']);
+
+        assetManager.removeAsset('1');
+        expect(assetManager.isSelected('1')).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    it('should use the recorded image size without decoding', async () => {
+        const asset = { id: '1', name: 'a.png', type: 'image', width: 300, height: 200 };
+        expect(await assetManager.getImageSize(asset)).toEqual({ width: 300, height: 200 });
+    });
+
     it('should return undefined for non-existent asset', () => {
         expect(assetManager.getAsset('999')).toBeUndefined();
     });
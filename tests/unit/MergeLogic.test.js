@@ -153,20 +153,14 @@ describe('Advanced Merge Logic (isDividerMergeable)', () => {
         expect(isDividerMergeable(parent)).toBe(true);
         const merged = mergeNodesInTree(parent, 'rect-A2');
 
-        // P should now be A1 | [ Merged | B2 ]
+        // P should now be A1 | Merged | B2, all in the same container
         // A1 Abs: 20%. New size = 20%
         // Merged Abs: 20% + 18% = 38%. New size = 38%
         // B2 Abs: 42%. New size = 42%
 
-        expect(merged.children[0].id).toBe('rect-A1');
-        expect(merged.children[0].size).toBe('20%');
-
-        const inner = merged.children[1];
-        expect(inner.splitState).toBe('split');
-        expect(inner.children[0].id).toBe('rect-A2'); // Content was merged into A2/B1 identity
-        expect(inner.children[0].size).toBe('38%');
-        expect(inner.children[1].id).toBe('rect-B2');
-        expect(inner.children[1].size).toBe('42%');
+        expect(merged.children.map(c => c.id)).toEqual(['rect-A1', 'rect-A2', 'rect-B2']);
+        expect(merged.children.map(c => c.size)).toEqual(['20%', '38%', '42%']);
+        expect(merged.children[1].splitState).toBe('unsplit'); // Content was merged into A2/B1 identity
     });
 
     it('should prioritize initiating node content in merge', () => {
@@ -203,3 +197,39 @@ describe('Advanced Merge Logic (isDividerMergeable)', () => {
         expect(merged.id).toBeUndefined(); // parentNode's ID is usually preserved or promoted elsewhere, but mergedContent itself has no ID
     });
 });
+
+describe('N-ary Merge Logic', () => {
+    const makeRow = () => ({
+        id: 'P',
+        splitState: 'split',
+        orientation: 'vertical',
+        children: [
+            { id: 'A', splitState: 'unsplit', size: '25%' },
+            { id: 'B', splitState: 'unsplit', size: '25%', text: 'B' },
+            {
+                id: 'C',
+                splitState: 'split',
+                orientation: 'horizontal',
+                size: '25%',
+                children: [
+                    { id: 'C1', splitState: 'unsplit', size: '50%' },
+                    { id: 'C2', splitState: 'unsplit', size: '50%' }
+                ]
+            },
+            { id: 'D', splitState: 'unsplit', size: '25%' }
+        ]
+    });
+
+    it('should check the divider at the given index', () => {
+        const row = makeRow();
+        expect(isDividerMergeable(row, 0)).toBe(true);
+        expect(isDividerMergeable(row, 1)).toBe(false);
+        expect(isDividerMergeable(row, 3)).toBe(false);
+    });
+
+    it('should merge two cells and keep the other siblings in place', () => {
+        const merged = mergeNodesInTree(makeRow(), 'A', 0);
+        expect(merged.children.map(c => c.id)).toEqual(['A', 'C', 'D']);
+        expect(merged.children[0]).toMatchObject({ size: '50%', text: 'B', splitState: 'unsplit' });
+    });
+});
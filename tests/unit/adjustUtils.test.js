@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getImageAdjustments,
+    hasAdjustments,
+    getAdjustmentKey,
+    getRotatedSize,
+    adjustPixels
+} from '../../src/js/layout/internal/adjustUtils.js';
+
+const pixels = (...rgb) => new Uint8ClampedArray(rgb.flatMap(([r, g, b]) => [r, g, b, 255]));
+
+const adjust = (overrides) => getImageAdjustments({ adjust: overrides });
+
+describe('adjustUtils.js - image adjustments', () => {
+    it('should default and clamp values', () => {
+        expect(getImageAdjustments({ assetId: 'a' })).toMatchObject({
+            rotation: 0, flipV: false, brightness: 100, contrast: 100, saturation: 100, tone: 'none'
+        });
+
+        const a = getImageAdjustments({ rotation: -90, adjust: { brightness: 500, contrast: 'x', tone: 'neon', duotoneDark: 'red' } });
+        expect(a.rotation).toBe(270);
+        expect(a.brightness).toBe(200);
+        expect(a.contrast).toBe(100);
+        expect(a.tone).toBe('none');
+        expect(a.duotoneDark).toMatch(/^#[0-9a-f]{6}$/i);
+    });
+
+    it('should only report adjustments that change the image', () => {
+        expect(hasAdjustments({ assetId: 'a', flip: true, zoom: 2 })).toBe(false);
+        expect(hasAdjustments({ rotation: 360, adjust: { brightness: 100 } })).toBe(false);
+        expect(hasAdjustments({ flipV: true })).toBe(true);
+        expect(hasAdjustments({ adjust: { tone: 'sepia' } })).toBe(true);
+
+        expect(getAdjustmentKey({ assetId: 'a' })).toBe('');
+        expect(getAdjustmentKey({ rotation: 90 })).not.toBe(getAdjustmentKey({ rotation: 180 }));
+        // Duotone colors only matter for duotone
+        expect(getAdjustmentKey({ adjust: { tone: 'sepia', duotoneDark: '#000000' } }))
+            .toBe(getAdjustmentKey({ adjust: { tone: 'sepia' } }));
+    });
+
+    it('should swap the size for quarter turns', () => {
+        expect(getRotatedSize(400, 300, 90)).toEqual({ width: 300, height: 400 });
+        expect(getRotatedSize(400, 300, 180)).toEqual({ width: 400, height: 300 });
+    });
+
+    it('should apply brightness and contrast', () => {
+        const data = pixels([100, 50, 200]);
+        adjustPixels(data, adjust({ brightness: 150 }));
+        expect([...data]).toEqual([150, 75, 255, 255]);
+
+        const flat = pixels([100, 128, 200]);
+        adjustPixels(flat, adjust({ contrast: 0 }));
+        expect([...flat.slice(0, 3)]).toEqual([128, 128, 128]);
+    });
+
+    it('should desaturate to luminance and apply tones', () => {
+        const gray = pixels([255, 0, 0]);
+        adjustPixels(gray, adjust({ saturation: 0 }));
+        expect(gray[0]).toBe(gray[1]);
+        expect(gray[1]).toBe(gray[2]);
+
+        const sepia = pixels([100, 100, 100]);
+        adjustPixels(sepia, adjust({ tone: 'sepia' }));
+        expect(sepia[0]).toBeGreaterThan(sepia[1]);
+        expect(sepia[1]).toBeGreaterThan(sepia[2]);
+    });
+
+    it('should map shadows and highlights to the duotone colors', () => {
+        const data = pixels([0, 0, 0], [255, 255, 255]);
+        adjustPixels(data, adjust({ tone: 'duotone', duotoneDark: '#102030', duotoneLight: '#f0e0d0' }));
+        expect([...data]).toEqual([16, 32, 48, 255, 240, 224, 208, 255]);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { assetManager } from '../../src/js/assets/AssetManager.js';
+import { prepareAdjustedImages, getFailedAdjustedImages, clearAdjustedImages } from '../../src/js/assets/adjustedImages.js';
+
+describe('adjustedImages.js - linked images', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        clearAdjustedImages();
+        assetManager.dispose();
+    });
+
+    it('should fetch linked files instead of drawing them directly, and report failures', async () => {
+        const fetch = vi.fn(async () => ({ ok: false }));
+        vi.stubGlobal('fetch', fetch);
+        assetManager.addAsset({
+            id: 'asset-1',
+            name: 'photo.jpg',
+            isReference: true,
+            absolutePath: '/photos/photo.jpg',
+            lowResData: 'data:image/jpeg;base64,AAAA'
+        });
+        const page = { id: 'rect-1', splitState: 'unsplit', text: null, image: { assetId: 'asset-1', rotation: 90 } };
+
+        await prepareAdjustedImages([page]);
+
+        expect(fetch).toHaveBeenCalledWith(`broco-local://${encodeURIComponent('/photos/photo.jpg')}`);
+        expect(getFailedAdjustedImages()).toEqual(['photo.jpg']);
+
+        clearAdjustedImages();
+        expect(getFailedAdjustedImages()).toEqual([]);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { buildAutoLayout, chunkEvenly } from '../../src/js/layout/internal/autoLayout.js';
+import { computeLeafBoxes } from '../../src/js/layout/internal/treeUtils.js';
+
+const images = (...ratios) => ratios.map((ratio, i) => ({ assetId: `img-${i}`, ratio }));
+
+/** Largest mismatch between a cell's shape and its image, for a page of the given ratio */
+const worstMismatch = (layout, list, pageRatio) => Math.max(...computeLeafBoxes(layout).map(({ node, box }) => {
+    const cellRatio = (box.width * pageRatio) / box.height;
+    const image = list.find(img => img.assetId === node.image.assetId);
+    return Math.abs(Math.log(cellRatio / image.ratio));
+}));
+
+describe('autoLayout.js - aspect-ratio layouts', () => {
+    it('should stack two landscape images on a portrait page', () => {
+        const list = images(1.5, 1.5);
+        const layout = buildAutoLayout(list, 0.75);
+
+        expect(layout.orientation).toBe('horizontal');
+        expect(layout.children.map(c => c.image.assetId)).toEqual(['img-0', 'img-1']);
+        expect(worstMismatch(layout, list, 0.75)).toBeLessThan(0.01);
+    });
+
+    it('should find an exact fit for images that tile the page', () => {
+        // Two squares side by side over a 2:1 banner make a square page
+        const list = images(1, 1, 2);
+        const layout = buildAutoLayout(list, 1);
+
+        expect(worstMismatch(layout, list, 1)).toBeLessThan(0.01);
+        expect(computeLeafBoxes(layout).map(({ node }) => node.image.assetId)).toEqual(['img-0', 'img-1', 'img-2']);
+    });
+
+    it('should merge same-direction splits into one row', () => {
+        const layout = buildAutoLayout(images(0.5, 0.5, 0.5), 1.5);
+
+        expect(layout.orientation).toBe('vertical');
+        expect(layout.children).toHaveLength(3);
+        layout.children.forEach(child => expect(parseFloat(child.size)).toBeCloseTo(100 / 3));
+    });
+
+    it('should return an empty cell for no images', () => {
+        expect(buildAutoLayout([], 1)).toEqual({ splitState: 'unsplit', image: null, text: null });
+    });
+
+    it('should split into pages without leaving a lone last item', () => {
+        expect(chunkEvenly([1, 2, 3, 4, 5, 6, 7, 8, 9], 4).map(c => c.length)).toEqual([3, 3, 3]);
+        expect(chunkEvenly([1, 2, 3, 4, 5, 6, 7, 8], 4).map(c => c.length)).toEqual([4, 4]);
+        expect(chunkEvenly([], 4)).toEqual([]);
+    });
+});
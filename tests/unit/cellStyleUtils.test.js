@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeCellStyle, getCellStyle, hasCellStyle, getInnerRadius } from '../../src/js/layout/internal/cellStyleUtils.js';
+
+describe('cellStyleUtils.js - per-cell style', () => {
+    it('should keep only valid, non-default values', () => {
+        expect(normalizeCellStyle({
+            background: '#FFEEDD',
+            padding: 500,
+            radius: -4,
+            borderWidth: 'x',
+            borderColor: '#374151',
+            verticalAlign: 'middle'
+        })).toEqual({ background: '#ffeedd', padding: 100, verticalAlign: 'middle' });
+
+        expect(normalizeCellStyle({ background: 'red', verticalAlign: 'top' })).toBeNull();
+        expect(normalizeCellStyle('bold')).toBeNull();
+    });
+
+    it('should fill in defaults for unstyled cells', () => {
+        const node = { id: 'rect-1', splitState: 'unsplit' };
+        expect(hasCellStyle(node)).toBe(false);
+        expect(getCellStyle(node)).toMatchObject({ background: null, padding: 0, radius: 0, borderWidth: 0, verticalAlign: 'top' });
+
+        expect(hasCellStyle({ cellStyle: { radius: 10 } })).toBe(true);
+        expect(getCellStyle({ cellStyle: { radius: 10 } }).radius).toBe(10);
+    });
+
+    it('should keep inner corners concentric', () => {
+        expect(getInnerRadius({ radius: 40, padding: 10, borderWidth: 5 })).toBe(25);
+        expect(getInnerRadius({ radius: 10, padding: 20, borderWidth: 0 })).toBe(0);
+    });
+});
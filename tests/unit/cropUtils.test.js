@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getImageCrop,
+    hasCustomCrop,
+    getCropStyle,
+    computeCropPlacement,
+    panCrop,
+    focusCropAt
+} from '../../src/js/layout/internal/cropUtils.js';
+
+const box = { x: 0, y: 0, width: 100, height: 100 };
+const wide = { width: 200, height: 100 };
+
+describe('cropUtils.js - focal point and zoom', () => {
+    it('should default to a centered, unzoomed crop and clamp stored values', () => {
+        expect(getImageCrop({ assetId: 'a', fit: 'cover' })).toEqual({ focusX: 0.5, focusY: 0.5, zoom: 1 });
+        expect(getImageCrop({ focusX: -1, focusY: 2, zoom: 20 })).toEqual({ focusX: 0, focusY: 1, zoom: 5 });
+        expect(hasCustomCrop({ fit: 'cover' })).toBe(false);
+        expect(hasCustomCrop({ fit: 'cover', zoom: 1.5 })).toBe(true);
+    });
+
+    it('should keep the focal point in view like object-position', () => {
+        expect(computeCropPlacement(box, wide, { fit: 'cover', focusX: 0 }).x).toBe(0);
+        expect(computeCropPlacement(box, wide, { fit: 'cover', focusX: 1 }).x).toBe(-100);
+        expect(computeCropPlacement(box, wide, { fit: 'cover' }).x).toBe(-50);
+    });
+
+    it('should zoom around the focal point', () => {
+        const placement = computeCropPlacement(box, wide, { fit: 'cover', focusX: 0.25, focusY: 0.5, zoom: 2 });
+        expect(placement.width).toBe(400);
+        expect(placement.height).toBe(200);
+        // The image point at 25% / 50% stays at 25% / 50% of the slot
+        expect(placement.x + placement.width * 0.25).toBe(25);
+        expect(placement.y + placement.height * 0.5).toBe(50);
+    });
+
+    it('should mirror the focal point of flipped images', () => {
+        const placement = computeCropPlacement(box, wide, { fit: 'cover', focusX: 0, flip: true });
+        expect(placement.x).toBe(-100);
+        expect(getCropStyle({ focusX: 0, zoom: 2, flip: true }).left).toBe('-100%');
+    });
+
+    it('should match the CSS geometry used by the renderer', () => {
+        const image = { fit: 'cover', focusX: 0.2, focusY: 0.7, zoom: 1.5 };
+        const style = getCropStyle(image);
+        expect(style).toEqual({ left: '-10%', top: '-35%', width: '150%', height: '150%', position: '20% 70%' });
+    });
+
+    it('should pan by the dragged distance within the overflow', () => {
+        const image = { fit: 'cover' };
+        // Centered at x = -50; dragging right by 25px shows more of the left side
+        expect(panCrop(image, box, wide, 25, 10)).toEqual({ focusX: 0.25, focusY: 0.5, zoom: 1 });
+        expect(panCrop(image, box, wide, 500, 0).focusX).toBe(0);
+    });
+
+    it('should focus on the clicked image point', () => {
+        const crop = focusCropAt({ fit: 'cover' }, box, wide, 0.5, 0.5);
+        expect(crop.focusX).toBe(0.5);
+        expect(focusCropAt({ fit: 'cover' }, box, wide, 0, 0.5).focusX).toBe(0.25);
+    });
+});
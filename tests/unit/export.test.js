@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import html2canvas from 'html2canvas';
+import { setupExportHandlers } from '../../src/js/io/export.js';
+import { savePublisherConfig } from '../../src/js/io/publishers.js';
+import { state } from '../../src/js/core/state.js';
+import { getSettings, updateSetting } from '../../src/js/ui/settings.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+vi.mock('html2canvas', () => ({ default: vi.fn() }));
+
+/** Export modal controls the handlers need, plus the loading overlay */
+function renderExportModal(format = 'pdf-vector') {
+    document.body.innerHTML = `
+        <button id="export-layout-btn">Export</button>
+        <div id="export-modal">
+            <select id="export-format-select">
+                <option value="${format}">${format}</option>
+                <option value="png">png</option>
+            </select>
+            <p id="export-pdf-font-warning" hidden></p>
+            <select id="export-page-scope">
+                <option value="all">All pages</option>
+                <option value="range">Range</option>
+            </select>
+            <input type="text" id="export-page-range">
+            <span id="export-page-summary"></span>
+            <input type="range" id="export-quality" value="100">
+            <span id="quality-value"></span>
+            <span id="export-dimensions"></span>
+            <button id="confirm-export">Download</button>
+            <button id="confirm-publish">Publish Flipbook</button>
+            <button id="cancel-export">Close</button>
+        </div>
+        <div id="export-loading">
+            <p id="loading-status"></p>
+            <p id="loading-progress"></p>
+            <button id="cancel-export-job">Cancel</button>
+        </div>`;
+    setupExportHandlers();
+}
+
+describe('export.js - publishing', () => {
+    let calls;
+
+    beforeEach(() => {
+        calls = [];
+        // jsdom has no font loading
+        Object.defineProperty(document, 'fonts', { value: { ready: Promise.resolve() }, configurable: true });
+        html2canvas.mockImplementation(async () => {
+            calls.push('render');
+            return { toBlob: (callback, type) => callback(new Blob(['jpeg'], { type })) };
+        });
+        state.pages = [{ id: 'rect-1', splitState: 'unsplit', image: null, text: '# Album' }];
+        state.currentPageIndex = 0;
+    });
+
+    afterEach(() => {
+        delete window.showDirectoryPicker;
+        localStorage.clear();
+        vi.clearAllMocks();
+    });
+
+    it('should choose the folder during the click, before rendering any page', async () => {
+        const folder = {
+            name: 'Album',
+            getDirectoryHandle: async () => folder,
+            getFileHandle: async () => ({
+                createWritable: async () => ({ write: async () => calls.push('write'), close: async () => {} })
+            })
+        };
+        window.showDirectoryPicker = vi.fn(async () => {
+            calls.push('pick');
+            return folder;
+        });
+        savePublisherConfig({ type: 'folder' });
+        renderExportModal();
+
+        document.getElementById('confirm-publish').click();
+        // Still within the click: the picker has its user activation
+        expect(window.showDirectoryPicker).toHaveBeenCalledTimes(1);
+
+        await vi.waitFor(() => expect(calls).toContain('write'));
+        expect(calls.indexOf('pick')).toBeLessThan(calls.indexOf('render'));
+        expect(window.showDirectoryPicker).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not render anything when no folder was chosen', async () => {
+        window.showDirectoryPicker = vi.fn(async () => {
+            throw new DOMException('Dismissed', 'AbortError');
+        });
+        savePublisherConfig({ type: 'folder' });
+        renderExportModal();
+
+        document.getElementById('confirm-publish').click();
+        await vi.waitFor(() => expect(window.showDirectoryPicker).toHaveBeenCalled());
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(html2canvas).not.toHaveBeenCalled();
+        expect(document.getElementById('confirm-publish').disabled).toBe(false);
+    });
+});
+
+describe('export.js - PDF font warning', () => {
+    let bodyFont;
+
+    beforeEach(() => {
+        bodyFont = getSettings().text.fontFamily;
+        updateSetting('text', 'fontFamily', "'Playfair Display', serif");
+        renderExportModal('pdf-vector');
+    });
+
+    afterEach(() => {
+        updateSetting('text', 'fontFamily', bodyFont);
+        localStorage.clear();
+    });
+
+    it('should warn when a vector PDF will set the body font in a standard font', () => {
+        document.getElementById('export-layout-btn').click();
+
+        const warning = document.getElementById('export-pdf-font-warning');
+        expect(warning.hidden).toBe(false);
+        expect(warning.textContent).toContain('Playfair Display (set in Times)');
+    });
+
+    it('should not warn for image formats', () => {
+        document.getElementById('export-layout-btn').click();
+        const formatSelect = document.getElementById('export-format-select');
+        formatSelect.value = 'png';
+        formatSelect.dispatchEvent(new Event('change'));
+
+        expect(document.getElementById('export-pdf-font-warning').hidden).toBe(true);
+    });
+});
+
+describe('export.js - PDF outline', () => {
+    let pdfBlob;
+
+    beforeEach(() => {
+        Object.defineProperty(document, 'fonts', { value: { ready: Promise.resolve() }, configurable: true });
+        // jsdom lays nothing out: text runs have no boxes
+        Range.prototype.getClientRects = () => [];
+        pdfBlob = null;
+        URL.createObjectURL = vi.fn(blob => {
+            pdfBlob = blob;
+            return 'blob:export';
+        });
+        URL.revokeObjectURL = vi.fn();
+        state.pages = [
+            leaf('rect-1', { text: '# Welcome', title: 'Cover' }),
+            leaf('rect-2', { text: '# Skipped chapter' }),
+            split('rect-3', [leaf('rect-4', { text: '# Appendix' }), leaf('rect-5', { text: '## Sources' })])
+        ];
+        state.currentPageIndex = 0;
+    });
+
+    afterEach(() => {
+        delete Range.prototype.getClientRects;
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+        localStorage.clear();
+        vi.clearAllMocks();
+    });
+
+    it('should bookmark the titles and headings of the exported pages', async () => {
+        renderExportModal('pdf-vector');
+        document.getElementById('export-page-scope').value = 'range';
+        document.getElementById('export-page-range').value = '1,3';
+
+        document.getElementById('confirm-export').click();
+        await vi.waitFor(() => expect(pdfBlob).not.toBeNull());
+
+        const pdfText = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(pdfBlob);
+        });
+        expect(pdfText).toContain('/Title (Cover)');
+        expect(pdfText).toContain('/Title (Welcome)');
+        expect(pdfText).toContain('/Title (Appendix)');
+        expect(pdfText).toContain('/Title (Sources)');
+        expect(pdfText).not.toContain('Skipped chapter');
+    });
+});
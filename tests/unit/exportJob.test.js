@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ExportJob, ExportCancelledError, estimateRemainingMs, formatEta } from '../../src/js/io/exportJob.js';
+
+describe('exportJob.js - ETA', () => {
+    it('should extrapolate from the average step duration', () => {
+        expect(estimateRemainingMs(10000, 2, 10)).toBe(40000);
+        expect(estimateRemainingMs(10000, 10, 10)).toBe(0);
+    });
+
+    it('should not guess before the first step completed', () => {
+        expect(estimateRemainingMs(500, 0, 10)).toBe(null);
+        expect(formatEta(null)).toBe('estimating time left...');
+    });
+
+    it('should format seconds and minutes', () => {
+        expect(formatEta(12400)).toBe('about 12s left');
+        expect(formatEta(150000)).toBe('about 3 min left');
+    });
+});
+
+describe('exportJob.js - ExportJob', () => {
+    it('should emit progress for each step', async () => {
+        const job = new ExportJob(2);
+        const listener = vi.fn();
+        job.addEventListener('progress', listener);
+
+        job.startStep('Processing page 1 of 2');
+        await job.completeStep();
+        job.startStep('Processing page 2 of 2');
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][0].detail).toMatchObject({
+            label: 'Processing page 2 of 2',
+            completed: 1,
+            total: 2
+        });
+    });
+
+    it('should abort the next step once cancelled', async () => {
+        const job = new ExportJob(3);
+        job.startStep('Processing page 1 of 3');
+        job.cancel();
+
+        await expect(job.completeStep()).rejects.toBeInstanceOf(ExportCancelledError);
+        expect(() => job.startStep('Processing page 2 of 3')).toThrow(ExportCancelledError);
+    });
+
+    it('should zip on the main thread when workers are unavailable', async () => {
+        const job = new ExportJob(1);
+        const blob = await job.encoder.zip([{ path: 'page-1.svg', data: '<svg/>' }]);
+
+        expect(blob.size).toBeGreaterThan(0);
+        job.dispose();
+    });
+});
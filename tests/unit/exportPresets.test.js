@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_EXPORT_PRESETS,
+    normalizeExportPresets,
+    createExportPreset,
+    resolvePresetScale
+} from '../../src/js/io/exportPresets.js';
+
+describe('exportPresets.js - normalizeExportPresets', () => {
+    it('should keep valid presets and fill in missing fields', () => {
+        const [preset] = normalizeExportPresets([{ id: 'a', name: ' Proofs ', format: 'png' }]);
+        expect(preset).toMatchObject({ id: 'a', name: 'Proofs', format: 'png', quality: 100, pageScope: 'all', background: null });
+    });
+
+    it('should drop presets with an unknown format or no name', () => {
+        expect(normalizeExportPresets([{ name: 'x', format: 'gif' }, { name: '', format: 'png' }])).toEqual([]);
+        expect(normalizeExportPresets(undefined)).toBe(null);
+    });
+
+    it('should create presets with a fresh id from modal values', () => {
+        const preset = createExportPreset('Client', { format: 'pdf', quality: 500, fileName: 'proof' });
+        expect(preset.id).toMatch(/^preset-/);
+        expect(preset.quality).toBe(300);
+        expect(preset.fileName).toBe('proof');
+    });
+});
+
+describe('exportPresets.js - resolvePresetScale', () => {
+    const byId = (id) => DEFAULT_EXPORT_PRESETS.find(p => p.id === id);
+
+    it('should size pixel-width presets to the requested width', () => {
+        expect(resolvePresetScale(byId('instagram-png'), { layoutWidth: 1000 })).toBeCloseTo(1.08);
+    });
+
+    it('should use DPI against the print paper size when one is set', () => {
+        // A4 width at 300dpi is 2480px
+        expect(resolvePresetScale(byId('print-pdf'), { layoutWidth: 1000, physicalWidthMm: 210 })).toBeCloseTo(2.48);
+        expect(resolvePresetScale(byId('print-pdf'), { layoutWidth: 1000 })).toBe(3);
+    });
+
+    it('should fall back to the percentage', () => {
+        expect(resolvePresetScale(byId('web-jpg'), { layoutWidth: 800 })).toBe(0.6);
+    });
+});
@@ -44,6 +44,7 @@ describe('fileIO.js', () => {
         // Reset state
         state.pages = [];
         state.currentPageIndex = 0;
+        state.documentName = null;
         updateCurrentId(1);
 
         // Mock DOM elements
@@ -118,6 +119,17 @@ describe('fileIO.js', () => {
             expect(mockUrlCreate).toHaveBeenCalled();
             expect(mockAnchor.download).toMatch(/layout-.*\.layout\.json/);
             expect(mockAnchor.click).toHaveBeenCalled();
+            // Exports after saving are named like the saved file
+            expect(mockAnchor.download).toBe(`${state.documentName}.layout.json`);
+        });
+
+        it('should keep the name of the opened file', () => {
+            state.pages = [{ id: 'rect-1' }];
+            state.documentName = 'Album';
+
+            saveLayout();
+
+            expect(mockAnchor.download).toBe('Album.layout.json');
         });
     });
 
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { renderFileNameTemplate, ensurePageToken, sanitizeFileName } from '../../src/js/io/fileNameTemplate.js';
+
+describe('fileNameTemplate.js - renderFileNameTemplate', () => {
+    const context = {
+        document: 'Lookbook',
+        pages: [7],
+        date: new Date(2024, 2, 5),
+        firstHeading: 'Spring / Summer',
+        preset: 'Web JPG 60%'
+    };
+
+    it('should expand every token', () => {
+        expect(renderFileNameTemplate('{document}_{page:03}_{date}', context)).toBe('Lookbook_007_2024-03-05');
+        expect(renderFileNameTemplate('{firstHeading} ({preset})', context)).toBe('Spring - Summer (Web JPG 60%)');
+    });
+
+    it('should render spreads and runs of pages as ranges', () => {
+        expect(renderFileNameTemplate('p{page:2}', { pages: [2, 3] })).toBe('p02-03');
+        // Only the exported pages, not the span they cover
+        expect(renderFileNameTemplate('{page}', { pages: [1, 4, 9] })).toBe('1,4,9');
+        expect(renderFileNameTemplate('{page}', { pages: [1, 2, 3, 7, 9, 10] })).toBe('1-3,7,9-10');
+    });
+
+    it('should drop separators left by empty tokens and keep unknown tokens', () => {
+        expect(renderFileNameTemplate('{document}-{preset}-{page}', { document: 'doc', pages: [1] })).toBe('doc-1');
+        expect(renderFileNameTemplate('{preset} - {document}', { document: 'doc' })).toBe('doc');
+        expect(renderFileNameTemplate('{pgae}', context)).toBe('{pgae}');
+    });
+
+    it('should add a page token for per-page files only when missing', () => {
+        expect(ensurePageToken('{document}')).toBe('{document}-{page}');
+        expect(ensurePageToken('{page:03}-{document}')).toBe('{page:03}-{document}');
+    });
+
+    it('should strip characters not allowed in file names', () => {
+        expect(sanitizeFileName('a/b:c*?"d')).toBe('a-b-c-d');
+    });
+});
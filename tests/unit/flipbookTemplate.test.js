@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { buildFlipbookHtml } from '../../src/js/io/internal/flipbookTemplate.js';
+
+describe('flipbookTemplate.js - buildFlipbookHtml', () => {
+    const data = {
+        title: 'Album <2024>',
+        pages: [
+            { file: 'pages/page-1.jpg', width: 828, height: 1172, links: [] },
+            {
+                file: 'pages/page-2.jpg', width: 828, height: 1172,
+                links: [{ type: 'internal', targetPage: 1, title: 'Back', rect: { x: 1, y: 2, width: 3, height: 4 } }]
+            }
+        ],
+        bookmarks: [{ title: '</script><b>Intro</b>', page: 1 }]
+    };
+
+    it('should escape the title and keep inline data from closing the script', () => {
+        const html = buildFlipbookHtml(data);
+        expect(html).toContain('<title>Album &lt;2024&gt;</title>');
+        expect(html.match(/<\/script>/g).length).toBe(1);
+    });
+
+    it('should emit a viewer script that parses', () => {
+        const html = buildFlipbookHtml(data);
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const script = doc.querySelector('script').textContent;
+        expect(() => new Function(script)).not.toThrow();
+        expect(script).toContain('pages/page-2.jpg');
+    });
+});
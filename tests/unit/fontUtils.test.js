@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getFontFormat,
+    isFontFileName,
+    parseFontFileName,
+    toFontFamilyValue,
+    getPrimaryFontFamily,
+    canEmbedInPdf
+} from '../../src/js/assets/internal/fontUtils.js';
+
+const fontDataUrl = (signature) => `data:font/ttf;base64,${btoa(signature + '\u0000\u0000\u0000\u0000')}`;
+
+describe('fontUtils.js - imported fonts', () => {
+    it('should recognise font files by extension', () => {
+        expect(getFontFormat('Inter.TTF')).toBe('truetype');
+        expect(getFontFormat('fonts/Inter.otf')).toBe('opentype');
+        expect(getFontFormat('Inter.woff2')).toBe('woff2');
+        expect(isFontFileName('Inter.woff')).toBe(false);
+        expect(isFontFileName('photo.png')).toBe(false);
+    });
+
+    it('should read the family and face from the file name', () => {
+        expect(parseFontFileName('Inter-Regular.ttf')).toEqual({ family: 'Inter', weight: 400, style: 'normal' });
+        expect(parseFontFileName('Source-Serif_BoldItalic.otf')).toEqual({ family: 'Source Serif', weight: 700, style: 'italic' });
+        expect(parseFontFileName('Lato-Italic.ttf')).toEqual({ family: 'Lato', weight: 400, style: 'italic' });
+        expect(parseFontFileName('OpenSans-SemiBold.woff2')).toEqual({ family: 'Open Sans', weight: 600, style: 'normal' });
+        // An unknown last part belongs to the family name
+        expect(parseFontFileName('My-Font.ttf')).toEqual({ family: 'My Font', weight: 400, style: 'normal' });
+        expect(parseFontFileName("Bad;Name{}.ttf").family).toBe('Bad Name');
+    });
+
+    it('should build and read CSS font-family values', () => {
+        expect(toFontFamilyValue('Open Sans')).toBe("'Open Sans', sans-serif");
+        expect(getPrimaryFontFamily("'Open Sans', sans-serif")).toBe('Open Sans');
+        expect(getPrimaryFontFamily('"Inter",serif')).toBe('Inter');
+        expect(getPrimaryFontFamily('')).toBe('');
+    });
+
+    it('should only embed TrueType outlines in PDF', () => {
+        expect(canEmbedInPdf(fontDataUrl('\u0000\u0001\u0000\u0000'))).toBe(true);
+        expect(canEmbedInPdf(fontDataUrl('true'))).toBe(true);
+        expect(canEmbedInPdf(fontDataUrl('OTTO'))).toBe(false);
+        expect(canEmbedInPdf(fontDataUrl('wOF2'))).toBe(false);
+        expect(canEmbedInPdf('not a data url')).toBe(false);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Layout Fixtures
+ * Builders for page trees shaped like the entries of state.pages, shared by the tests.
+ */
+
+/**
+ * Cell with no content unless given
+ * @param {string} id
+ * @param {Object} [extra] Other node fields, e.g. text, image, flowTo
+ * @returns {Object}
+ */
+export function leaf(id, extra = {}) {
+    return { id, splitState: 'unsplit', image: null, text: null, ...extra };
+}
+
+/**
+ * Split whose children share its space evenly
+ * @param {string} id
+ * @param {Object[]} children
+ * @param {'vertical'|'horizontal'} [orientation]
+ * @returns {Object}
+ */
+export function split(id, children, orientation = 'vertical') {
+    return {
+        id,
+        splitState: 'split',
+        orientation,
+        children: children.map(child => ({ ...child, size: `${100 / children.length}%` }))
+    };
+}
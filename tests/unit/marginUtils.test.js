@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeMargins,
+    resolvePageMargins,
+    hasMargins
+} from '../../src/js/layout/internal/marginUtils.js';
+
+const makeSettings = (overrides = {}) => ({
+    layout: { spreads: false, singleCover: true, ...overrides.layout },
+    paper: { margin: { top: 40, right: 30, bottom: 60, left: 50 }, mirrorMargins: true, ...overrides.paper }
+});
+
+describe('marginUtils.js - page margins', () => {
+    it('should clamp margins and fill in missing sides', () => {
+        expect(normalizeMargins({ top: 500, left: -3, right: '20' })).toEqual({ top: 250, right: 20, bottom: 0, left: 0 });
+        expect(normalizeMargins(null)).toBeNull();
+    });
+
+    it('should prefer the page override over the document margins', () => {
+        const page = { id: 'rect-1', pageMargin: { top: 10, right: 10, bottom: 10, left: 10 } };
+        expect(resolvePageMargins(page, makeSettings(), 0, 1)).toEqual({ top: 10, right: 10, bottom: 10, left: 10 });
+        expect(resolvePageMargins({ id: 'rect-2' }, makeSettings(), 0, 1)).toEqual({ top: 40, right: 30, bottom: 60, left: 50 });
+    });
+
+    it('should mirror inside and outside margins on left-hand spread pages', () => {
+        const settings = makeSettings({ layout: { spreads: true } });
+        const page = { id: 'rect-1' };
+
+        // Page 2 sits on the left after a single cover: its inside margin is on the right
+        const left = resolvePageMargins(page, settings, 1, 3);
+        expect(left).toEqual({ top: 40, right: 50, bottom: 60, left: 30 });
+
+        const right = resolvePageMargins(page, settings, 2, 3);
+        expect(right).toEqual({ top: 40, right: 30, bottom: 60, left: 50 });
+    });
+
+    it('should not mirror when mirroring is off or spreads are off', () => {
+        const unmirrored = makeSettings({ layout: { spreads: true }, paper: { mirrorMargins: false } });
+        expect(resolvePageMargins({}, unmirrored, 1, 3).left).toBe(50);
+        expect(resolvePageMargins({}, makeSettings(), 1, 3).left).toBe(50);
+    });
+
+    it('should report whether any margin is set', () => {
+        expect(hasMargins({ top: 0, right: 0, bottom: 0, left: 0 })).toBe(false);
+        expect(hasMargins({ top: 0, right: 0, bottom: 1, left: 0 })).toBe(true);
+    });
+});
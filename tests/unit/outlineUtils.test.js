@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+    normalizePageTitle,
+    extractHeadings,
+    buildOutline,
+    outlineToBookmarks,
+    getBookmarkParents
+} from '../../src/js/layout/internal/outlineUtils.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+describe('outlineUtils.js - document outline', () => {
+    it('should clean page titles', () => {
+        expect(normalizePageTitle('  Chapter \n One ')).toBe('Chapter One');
+        expect(normalizePageTitle('   ')).toBeNull();
+        expect(normalizePageTitle(42)).toBeNull();
+        expect(normalizePageTitle('x'.repeat(200))).toHaveLength(80);
+    });
+
+    it('should list headings in leaf order, skipping fenced code', () => {
+        const page = split('rect-1', [
+            leaf('rect-2', { text: '# Intro ##\nbody\n```\n# not a heading\n```\n### Detail' }),
+            leaf('rect-3', { text: 'text\n## Next' }),
+            leaf('rect-4')
+        ]);
+        expect(extractHeadings(page)).toEqual([
+            { level: 1, text: 'Intro', nodeId: 'rect-2' },
+            { level: 3, text: 'Detail', nodeId: 'rect-2' },
+            { level: 2, text: 'Next', nodeId: 'rect-3' }
+        ]);
+    });
+
+    it('should turn the outline of exported pages into bookmarks', () => {
+        const pages = [
+            leaf('rect-1', { text: '# Welcome', title: 'Cover' }),
+            leaf('rect-2', { text: '## Untitled heading' }),
+            leaf('rect-3', { text: '# Skipped', title: 'Not exported' })
+        ];
+        const outline = buildOutline(pages);
+        expect(outline[1]).toEqual({ pageIndex: 1, title: null, headings: [{ level: 2, text: 'Untitled heading', nodeId: 'rect-2' }] });
+
+        // Page 3 isn't exported, page 2 comes out first
+        const pageNumbers = [2, 1, null];
+        expect(outlineToBookmarks(outline, index => pageNumbers[index])).toEqual([
+            { title: 'Untitled heading', pageNumber: 1, level: 2 },
+            { title: 'Cover', pageNumber: 2, level: 0 },
+            { title: 'Welcome', pageNumber: 2, level: 1 }
+        ]);
+    });
+
+    it('should nest bookmarks under the closest lower level', () => {
+        const levels = [0, 1, 2, 2, 1, 0, 3, 1];
+        expect(getBookmarkParents(levels.map(level => ({ level })))).toEqual([-1, 0, 1, 1, 0, -1, 5, 5]);
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { parsePageRange, resolvePageIndices, remapPageNumber, remapPageNumberToUnit, PageRangeError } from '../../src/js/io/pageSelection.js';
+
+describe('pageSelection.js - parsePageRange', () => {
+    it('should parse pages and ranges into sorted 0-based indices', () => {
+        expect(parsePageRange('1-3, 7, 10-12', 12)).toEqual([0, 1, 2, 6, 9, 10, 11]);
+    });
+
+    it('should merge overlaps and accept open ranges', () => {
+        expect(parsePageRange('4-, 2;3 , 3', 5)).toEqual([1, 2, 3, 4]);
+        expect(parsePageRange('-2', 5)).toEqual([0, 1]);
+    });
+
+    it('should reject pages outside the document', () => {
+        expect(() => parsePageRange('2-9', 5)).toThrow('outside the document');
+        expect(() => parsePageRange('0', 5)).toThrow(PageRangeError);
+    });
+
+    it('should reject malformed and backwards input', () => {
+        expect(() => parsePageRange('abc', 5)).toThrow('not a valid page');
+        expect(() => parsePageRange('4-2', 5)).toThrow('Use 2-4');
+        expect(() => parsePageRange('  ', 5)).toThrow(PageRangeError);
+    });
+});
+
+describe('pageSelection.js - resolvePageIndices', () => {
+    const context = { pageCount: 4, currentPageIndex: 2 };
+
+    it('should resolve all and current page scopes', () => {
+        expect(resolvePageIndices('all', context)).toEqual([0, 1, 2, 3]);
+        expect(resolvePageIndices('current', context)).toEqual([2]);
+    });
+
+    it('should use sidebar selection in document order', () => {
+        expect(resolvePageIndices('selected', { ...context, selectedIndices: [3, 0, 3, 9] })).toEqual([0, 3]);
+        expect(() => resolvePageIndices('selected', context)).toThrow('No pages are selected');
+    });
+
+    it('should remap page numbers to the exported subset', () => {
+        expect(remapPageNumber([1, 4, 6], 5)).toBe(2);
+        expect(remapPageNumber([1, 4, 6], 1)).toBe(null);
+    });
+
+    it('should remap page numbers to the output page of their spread', () => {
+        const units = [[0], [1, 2], [3, 4]];
+        expect(remapPageNumberToUnit(units, 3)).toBe(2);
+        expect(remapPageNumberToUnit(units, 5)).toBe(3);
+        expect(remapPageNumberToUnit(units, 6)).toBe(null);
+    });
+});
@@ -0,0 +1,150 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'node:http';
+import {
+    HttpPublisher,
+    LojkinePublisher,
+    LocalFolderPublisher,
+    createPublisher,
+    getPublisherConfig,
+    savePublisherConfig
+} from '../../src/js/io/publishers.js';
+import { ExportJob, ExportCancelledError } from '../../src/js/io/exportJob.js';
+
+// 1x1 JPEG-ish payload, content is irrelevant to the publisher
+const PAGE = { imageData: 'data:image/jpeg;base64,/9j/4AAQSkZJRg==', width: 800, height: 1200 };
+
+describe('publishers.js - HttpPublisher against a local server', () => {
+    let server;
+    let baseUrl;
+    let lastRequest;
+    let nextResponse;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                lastRequest = { headers: req.headers, body: Buffer.concat(chunks).toString('latin1') };
+                res.writeHead(nextResponse.status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(nextResponse.body));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/publish`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        lastRequest = null;
+        nextResponse = { status: 200, body: { url: 'https://books.example.com/abc' } };
+    });
+
+    it('should post pages as multipart with the auth header and return the URL', async () => {
+        const publisher = new HttpPublisher({ url: baseUrl, authHeader: 'X-Api-Key', authToken: 'secret' });
+        const links = [[{ type: 'external', url: 'https://a.b', rect: { x: 1, y: 1, width: 1, height: 1 } }]];
+
+        const url = await publisher.publish([PAGE], links, [{ title: 'Intro', page: 1 }], { title: 'Album' });
+
+        expect(url).toBe('https://books.example.com/abc');
+        expect(lastRequest.headers['x-api-key']).toBe('secret');
+        expect(lastRequest.headers['content-type']).toContain('multipart/form-data');
+        expect(lastRequest.body).toContain('filename="page-1.jpg"');
+        expect(lastRequest.body).toContain('Album');
+        expect(lastRequest.body).toContain('"Intro"');
+    });
+
+    it('should surface the server error message', async () => {
+        nextResponse = { status: 401, body: { error: 'Invalid key' } };
+        const publisher = new HttpPublisher({ url: baseUrl });
+
+        await expect(publisher.publish([PAGE], [[]], [], { title: 'Album' })).rejects.toThrow('Invalid key');
+    });
+
+    it('should refuse to publish without a URL', async () => {
+        await expect(new HttpPublisher({ url: '' }).publish([PAGE], [[]], [], { title: 'x' }))
+            .rejects.toThrow('No publishing URL configured');
+    });
+
+    it('should send the lojkine JSON payload with links merged into pages', async () => {
+        const publisher = new LojkinePublisher(baseUrl);
+        await publisher.publish([PAGE], [[{ type: 'internal', targetPage: 1 }]], [], { title: 'Album' });
+
+        const payload = JSON.parse(lastRequest.body);
+        expect(payload.title).toBe('Album');
+        expect(payload.pages[0].links).toHaveLength(1);
+        expect(payload.pages[0].imageData).toBe(PAGE.imageData);
+    });
+});
+
+describe('publishers.js - cancelling', () => {
+    let server;
+    let baseUrl;
+    let requestClosed;
+
+    beforeAll(async () => {
+        // Takes the upload and never answers
+        server = http.createServer((req) => {
+            requestClosed = new Promise(resolve => req.on('close', resolve));
+            req.resume();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/publish`;
+    });
+
+    afterAll(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    it('should stop the upload and open nothing when the job is cancelled', async () => {
+        const job = new ExportJob(1);
+        const open = vi.fn();
+        const publishing = job.runCancellable(signal => new HttpPublisher({ url: baseUrl })
+            .publish([PAGE], [[]], [], { title: 'Album' }, { signal }))
+            .then(open);
+
+        await vi.waitFor(() => expect(requestClosed).toBeDefined());
+        job.cancel();
+
+        await expect(publishing).rejects.toBeInstanceOf(ExportCancelledError);
+        await requestClosed;
+        expect(open).not.toHaveBeenCalled();
+    });
+
+    it('should drop a result that arrives after cancelling', async () => {
+        const job = new ExportJob(1);
+        const publishing = job.runCancellable(async () => {
+            job.cancel();
+            return 'https://books.example.com/late';
+        });
+
+        await expect(publishing).rejects.toBeInstanceOf(ExportCancelledError);
+    });
+});
+
+describe('publishers.js - configuration', () => {
+    beforeEach(() => {
+        const store = {};
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => (key in store ? store[key] : null),
+            setItem: (key, value) => { store[key] = String(value); }
+        });
+    });
+
+    it('should default to the hosted publisher', () => {
+        expect(getPublisherConfig().type).toBe('lojkine');
+        expect(createPublisher()).toBeInstanceOf(LojkinePublisher);
+    });
+
+    it('should create the configured publisher', () => {
+        savePublisherConfig({ type: 'http', url: 'https://self.host/api' });
+        const publisher = createPublisher();
+        expect(publisher).toBeInstanceOf(HttpPublisher);
+        expect(publisher.url).toBe('https://self.host/api');
+
+        savePublisherConfig({ type: 'folder' });
+        expect(createPublisher()).toBeInstanceOf(LocalFolderPublisher);
+    });
+});
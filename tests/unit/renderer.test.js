@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderLayout } from '../../src/js/layout/renderer.js';
+import { state } from '../../src/js/core/state.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+describe('renderer.js - wiki-links', () => {
+    let paper;
+
+    beforeEach(() => {
+        state.pages = [
+            leaf('rect-1', { text: 'See [[Credits]], [[the map|Map]] or [[Nowhere]]' }),
+            leaf('rect-2', { text: '# Chapter One', title: 'Credits' }),
+            split('rect-3', [leaf('rect-4', { text: 'Body' }), leaf('rect-5', { name: 'The Map' })])
+        ];
+        state.currentPageIndex = 0;
+        paper = document.createElement('div');
+        document.body.replaceChildren(paper);
+    });
+
+    it('should link text to the page and cell each wiki-link resolves to', () => {
+        renderLayout(paper, state.pages[0], { hideControls: true, pageIndex: 0 });
+
+        const [credits, map] = paper.querySelectorAll('a.wiki-link');
+        expect(credits.getAttribute('href')).toBe('#page=2');
+        expect(credits.textContent).toBe('Credits');
+        expect(map.getAttribute('href')).toBe('#page=3');
+        expect(map.dataset.cellId).toBe('rect-5');
+        expect(map.textContent).toBe('Map');
+
+        const unresolved = paper.querySelector('.wiki-link.is-unresolved');
+        expect(unresolved.tagName).toBe('SPAN');
+        expect(unresolved.dataset.wikiTarget).toBe('Nowhere');
+    });
+
+    it('should follow the target page when pages move', () => {
+        state.pages.reverse();
+        renderLayout(paper, state.pages[2], { hideControls: true, pageIndex: 2 });
+
+        expect(paper.querySelector('a.wiki-link').getAttribute('href')).toBe('#page=2');
+        expect(paper.querySelectorAll('a.wiki-link')[1].getAttribute('href')).toBe('#page=1');
+    });
+});
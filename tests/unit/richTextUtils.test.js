@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { marked } from 'marked';
+import {
+    applyMarkdownFormat,
+    splitMarkdownBlocks,
+    joinMarkdownBlocks,
+    htmlToMarkdown
+} from '../../src/js/layout/internal/richTextUtils.js';
+
+const format = (value, start, end, command) => applyMarkdownFormat(value, start, end, command);
+
+/** Re-renders markdown as the WYSIWYG surface would show it, and serializes it back */
+const roundTrip = (markdown) => {
+    const el = document.createElement('div');
+    el.innerHTML = marked.parse(markdown);
+    return htmlToMarkdown(el);
+};
+
+describe('richTextUtils.js - toolbar commands', () => {
+    it('should wrap and unwrap inline formats', () => {
+        expect(format('a word here', 2, 6, 'bold')).toEqual({ value: 'a **word** here', selectionStart: 4, selectionEnd: 8 });
+        expect(format('a **word** here', 4, 8, 'bold')).toEqual({ value: 'a word here', selectionStart: 2, selectionEnd: 6 });
+        // Italic inside bold adds a marker instead of stripping half of the bold one
+        expect(format('**word**', 2, 6, 'italic').value).toBe('***word***');
+        expect(format('a *word* b', 3, 7, 'italic').value).toBe('a word b');
+        // Spaces stay outside the markers; no selection inserts a placeholder
+        expect(format('a word ', 2, 7, 'italic').value).toBe('a *word* ');
+        expect(format('', 0, 0, 'code')).toEqual({ value: '`code`', selectionStart: 1, selectionEnd: 5 });
+        expect(format('x', 0, 1, 'link')).toEqual({ value: '[x](url)', selectionStart: 4, selectionEnd: 7 });
+    });
+
+    it('should toggle line prefixes on every selected line', () => {
+        expect(format('one\ntwo', 0, 7, 'ul').value).toBe('- one\n- two');
+        expect(format('- one\n- two', 0, 11, 'ul').value).toBe('one\ntwo');
+        expect(format('- one\n\n- two', 0, 12, 'ol').value).toBe('1. one\n\n2. two');
+        expect(format('## Title', 3, 3, 'h1')).toEqual({ value: '# Title', selectionStart: 7, selectionEnd: 7 });
+        expect(format('# Title', 0, 0, 'h1').value).toBe('Title');
+        expect(format('', 0, 0, 'h2').value).toBe('## ');
+        expect(format('a\nb', 0, 3, 'quote').value).toBe('> a\n> b');
+        expect(format('a\nb', 0, 3, 'code').value).toBe('```\na\nb\n```');
+    });
+});
+
+describe('richTextUtils.js - WYSIWYG round trip', () => {
+    const markdown = '\n# Title\nSome *text*  with [a link](https://x.y)\n\n\n- one\n  - nested\n- two\n\n| a | b |\n|---|---|\n| 1 | 2 |\n';
+
+    it('should rebuild untouched markdown byte for byte', () => {
+        const { head, blocks } = splitMarkdownBlocks(markdown);
+        expect(blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'list', 'table']);
+
+        const parts = blocks.map((block, index) => ({ body: block.body, sep: block.sep, index, unchanged: true }));
+        expect(joinMarkdownBlocks(head, parts, blocks[3].sep)).toBe(markdown);
+    });
+
+    it('should keep edited and new blocks apart from their neighbours', () => {
+        const { head, blocks } = splitMarkdownBlocks('# Title\nText');
+        const parts = [
+            { body: '# Title', sep: blocks[0].sep, index: 0, unchanged: true },
+            { body: 'New paragraph', sep: null, index: null, unchanged: false },
+            { body: 'Text edited', sep: blocks[1].sep, index: 1, unchanged: false }
+        ];
+        expect(joinMarkdownBlocks(head, parts, '')).toBe('# Title\n\nNew paragraph\n\nText edited');
+    });
+
+    it('should serialize rendered markdown back to equivalent markdown', () => {
+        expect(roundTrip('# Title\n\nSome **bold**, *em*, `code` and [link](https://x.y "T").')).toBe(
+            '# Title\n\nSome **bold**, *em*, `code` and [link](https://x.y "T").'
+        );
+        expect(roundTrip('- one\n  - nested\n- two\n\n1. first\n2. second')).toBe('- one\n  - nested\n- two\n\n1. first\n2. second');
+        expect(roundTrip('> quoted\n\n```js\nlet a = `x`;\n```')).toBe('> quoted\n\n```js\nlet a = `x`;\n```');
+    });
+
+    it('should escape typed text so it stays literal', () => {
+        const el = document.createElement('div');
+        el.innerHTML = '<p># not a heading, 2 * 3, snake_case and _x_</p><div>1. not a list</div><p>a<br>b</p>';
+        expect(htmlToMarkdown(el)).toBe('\\# not a heading, 2 \\* 3, snake_case and \\_x\\_\n\n1\\. not a list\n\na\nb');
+
+        const link = document.createElement('div');
+        link.innerHTML = '<p><a class="wiki-link" data-wiki-target="Credits" href="#page=2">the credits</a> <b>bold </b></p>';
+        expect(htmlToMarkdown(link)).toBe('[[Credits|the credits]] **bold**');
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getSpreads,
+    getSpreadPosition,
+    groupPagesIntoSpreads,
+    getGutterSpans,
+    mirrorAcrossGutter
+} from '../../src/js/layout/internal/spreadUtils.js';
+
+describe('spreadUtils.js - spread pairing', () => {
+    it('should keep a single cover on its own and pair the following pages', () => {
+        expect(getSpreads(5, true)).toEqual([[0], [1, 2], [3, 4]]);
+        expect(getSpreads(4, true)).toEqual([[0], [1, 2], [3]]);
+    });
+
+    it('should pair from the first page without a single cover', () => {
+        expect(getSpreads(3, false)).toEqual([[0, 1], [2]]);
+    });
+
+    it('should report the side and facing page', () => {
+        expect(getSpreadPosition(0, 5, true)).toEqual({ side: 'right', facingIndex: null });
+        expect(getSpreadPosition(1, 5, true)).toEqual({ side: 'left', facingIndex: 2 });
+        expect(getSpreadPosition(2, 5, true)).toEqual({ side: 'right', facingIndex: 1 });
+        expect(getSpreadPosition(2, 3, false)).toEqual({ side: 'left', facingIndex: null });
+    });
+
+    it('should group only the exported pages', () => {
+        expect(groupPagesIntoSpreads([0, 1, 4], 5, true)).toEqual([[0], [1], [4]]);
+        expect(groupPagesIntoSpreads([1, 2, 3], 5, true)).toEqual([[1, 2], [3]]);
+    });
+});
+
+describe('spreadUtils.js - gutter spans', () => {
+    const page = {
+        id: 'root',
+        splitState: 'split',
+        orientation: 'vertical',
+        children: [
+            { id: 'a', splitState: 'unsplit', size: '30%', image: { assetId: 'x', spanGutter: true } },
+            { id: 'b', splitState: 'unsplit', size: '70%', image: { assetId: 'y', spanGutter: true } }
+        ]
+    };
+
+    it('should only span slots touching the gutter', () => {
+        expect(getGutterSpans(page, 'left').map(({ node }) => node.id)).toEqual(['b']);
+        expect(getGutterSpans(page, 'right').map(({ node }) => node.id)).toEqual(['a']);
+    });
+
+    it('should mirror a slot onto the facing page', () => {
+        const [{ box }] = getGutterSpans(page, 'left');
+        expect(mirrorAcrossGutter(box)).toEqual({ x: 0, y: 0, width: 70, height: 100 });
+    });
+});
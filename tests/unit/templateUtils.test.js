@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BUILT_IN_TEMPLATES,
+    createTemplateFromPage,
+    instantiateTemplate,
+    collectPageContent,
+    pourContent,
+    normalizeTemplates
+} from '../../src/js/layout/internal/templateUtils.js';
+
+const idGenerator = () => {
+    let n = 100;
+    return () => `rect-${++n}`;
+};
+
+// Two rows: a full-width top cell, then two cells side by side
+const makePage = () => ({
+    id: 'rect-1',
+    splitState: 'split',
+    orientation: 'horizontal',
+    pageMargin: { top: 20, right: 20, bottom: 20, left: 20 },
+    children: [
+        { id: 'rect-2', splitState: 'unsplit', size: '40%', image: { assetId: 'a', fit: 'cover' }, text: null },
+        {
+            id: 'rect-3',
+            splitState: 'split',
+            orientation: 'vertical',
+            size: '60%',
+            children: [
+                { id: 'rect-4', splitState: 'unsplit', size: '50%', image: null, text: 'Caption', textAlign: 'center' },
+                { id: 'rect-5', splitState: 'unsplit', size: '50%', image: { assetId: 'b', fit: 'contain' }, text: null }
+            ]
+        }
+    ]
+});
+
+describe('templateUtils.js - page templates', () => {
+    it('should save the structure without ids or content by default', () => {
+        const template = createTemplateFromPage(makePage(), ' Cover ');
+
+        expect(template.name).toBe('Cover');
+        expect(template.layout.pageMargin).toEqual({ top: 20, right: 20, bottom: 20, left: 20 });
+        expect(template.layout.children[1].children[1]).toEqual({ splitState: 'unsplit', size: '50%' });
+        expect(JSON.stringify(template.layout)).not.toContain('rect-');
+    });
+
+    it('should keep the content when asked', () => {
+        const template = createTemplateFromPage(makePage(), 'Cover', { includeContent: true });
+        expect(template.layout.children[1].children[0]).toEqual({ splitState: 'unsplit', size: '50%', text: 'Caption', textAlign: 'center' });
+    });
+
+    it('should build pages with fresh ids', () => {
+        const template = BUILT_IN_TEMPLATES.find(t => t.id === 'builtin-hero-3');
+        const page = instantiateTemplate(template, idGenerator());
+
+        expect(page.id).toBe('rect-101');
+        expect(page.size).toBeUndefined();
+        expect(page.children[1].children).toHaveLength(3);
+        expect(page.children[1].children[2]).toMatchObject({ splitState: 'unsplit', image: null, text: null });
+    });
+
+    it('should collect content in reading order', () => {
+        const contents = collectPageContent(makePage());
+        expect(contents.map(c => c.image?.assetId ?? c.text)).toEqual(['a', 'Caption', 'b']);
+    });
+
+    it('should pour content into empty cells and report what did not fit', () => {
+        const grid = instantiateTemplate(BUILT_IN_TEMPLATES.find(t => t.id === 'builtin-grid-2x2'), idGenerator());
+        grid.children[0].children[1].text = 'Kept';
+
+        const leftover = pourContent(grid, [{ image: { assetId: 'a' } }, { text: 'x' }, { image: { assetId: 'b' } }, { text: 'y' }]);
+
+        expect(leftover).toBe(1);
+        expect(grid.children[0].children[0].image.assetId).toBe('a');
+        expect(grid.children[0].children[1].text).toBe('Kept');
+        expect(grid.children[1].children[0].text).toBe('x');
+        expect(grid.children[1].children[1].image.assetId).toBe('b');
+    });
+
+    it('should drop invalid templates on import', () => {
+        const templates = normalizeTemplates([
+            { name: 'Ok', layout: { splitState: 'split', orientation: 'vertical', children: [{ splitState: 'unsplit' }, { splitState: 'unsplit' }] } },
+            { name: 'Bad orientation', layout: { splitState: 'split', orientation: 'diagonal', children: [{}, {}] } },
+            { name: '', layout: { splitState: 'unsplit' } },
+            { name: 'Fake built-in', id: 'builtin-grid-2x2', layout: { splitState: 'unsplit' } }
+        ]);
+
+        expect(templates.map(t => t.name)).toEqual(['Ok', 'Fake built-in']);
+        expect(templates[1].id).not.toBe('builtin-grid-2x2');
+        expect(normalizeTemplates({})).toBeNull();
+    });
+});
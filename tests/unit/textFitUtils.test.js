@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+    TEXT_FIT_LIMITS,
+    normalizeTextFit,
+    getTextFitCells,
+    findLargestFittingSize,
+    getFitFontSizeValue
+} from '../../src/js/layout/internal/textFitUtils.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+describe('textFitUtils.js', () => {
+    it('should clean fit bounds', () => {
+        expect(normalizeTextFit(undefined)).toBeNull();
+        expect(normalizeTextFit({ min: '12', max: 30.4 })).toEqual({ min: 12, max: 30 });
+        expect(normalizeTextFit({ min: 80, max: 20 })).toEqual({ min: 20, max: 80 });
+        expect(normalizeTextFit({ min: 0, max: 1000 })).toEqual(TEXT_FIT_LIMITS);
+        expect(normalizeTextFit({ min: 'x' })).toEqual({ min: 10, max: 60 });
+    });
+
+    it('should only fit text cells', () => {
+        const pages = [
+            leaf('rect-1', { text: 'A', textFit: { min: 10, max: 20 } }),
+            split('rect-2', [
+                leaf('rect-3', { textFit: { min: 10, max: 20 } }),
+                leaf('rect-4', { text: '', textFit: { min: 30, max: 5 } }),
+                leaf('rect-5', { text: 'B' })
+            ])
+        ];
+        expect(getTextFitCells(pages)).toEqual([
+            { pageIndex: 0, nodeId: 'rect-1', bounds: { min: 10, max: 20 } },
+            { pageIndex: 1, nodeId: 'rect-4', bounds: { min: 5, max: 30 } }
+        ]);
+    });
+
+    it('should find the largest fitting size in half steps', () => {
+        const tried = [];
+        const fits = (size) => {
+            tried.push(size);
+            return size <= 23.7;
+        };
+        expect(findLargestFittingSize({ min: 10, max: 60 }, fits)).toBe(23.5);
+        expect(tried.length).toBeLessThan(9);
+        // Nothing fits: the smallest size, still overflowing
+        expect(findLargestFittingSize({ min: 10, max: 60 }, () => false)).toBe(10);
+        expect(findLargestFittingSize({ min: 10, max: 60 }, () => true)).toBe(60);
+        expect(getFitFontSizeValue(25)).toBe('calc(var(--paper-scale-ref) * 0.025)');
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { findOverflowingCells, updateTextFlow } from '../../src/js/layout/textFlow.js';
+import { renderLayout } from '../../src/js/layout/renderer.js';
+import { startDrag, stopDrag } from '../../src/js/layout/internal/dragHandler.js';
+import { ExportJob, ExportCancelledError } from '../../src/js/io/exportJob.js';
+import { state } from '../../src/js/core/state.js';
+import { A4_PAPER_ID } from '../../src/js/core/constants.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+vi.mock('../../src/js/io/history.js', () => ({ saveState: vi.fn() }));
+
+/** Fitted size of the cell holding the element, 20 when it isn't fitted */
+function getFitSize(element) {
+    const value = element.closest('.splittable-rect')?.style.getPropertyValue('--text-font-size-proportional') || '';
+    const match = value.match(/\* ([\d.]+)\)/);
+    return match ? parseFloat(match[1]) * 1000 : 20;
+}
+
+/** Width of the cell holding the element, in percent of its split */
+function getCellWidth(element) {
+    return parseFloat(element.closest('.splittable-rect')?.style.flexGrow) || 100;
+}
+
+// jsdom lays nothing out: cells have 100px of room, and text grows with its length and
+// size and shrinks with the width of its cell
+beforeAll(() => {
+    Object.defineProperty(HTMLElement.prototype, 'clientHeight', { configurable: true, get: () => 100 });
+    Object.defineProperty(HTMLElement.prototype, 'scrollHeight', {
+        configurable: true,
+        get() {
+            return this.textContent.length * getFitSize(this) / getCellWidth(this);
+        }
+    });
+    HTMLElement.prototype.getBoundingClientRect = function () {
+        const width = getCellWidth(this) * 10;
+        return { left: 0, top: 0, right: width, bottom: 1000, width, height: 1000, x: 0, y: 0 };
+    };
+});
+
+afterAll(() => {
+    delete HTMLElement.prototype.clientHeight;
+    delete HTMLElement.prototype.scrollHeight;
+    delete HTMLElement.prototype.getBoundingClientRect;
+});
+
+describe('textFlow.js - overflow check', () => {
+    beforeEach(() => {
+        state.pages = [
+            leaf('rect-1', { text: 'Short' }),
+            leaf('rect-2'),
+            leaf('rect-3', { text: 'x'.repeat(600) })
+        ];
+        state.currentPageIndex = 0;
+        document.body.innerHTML = '';
+    });
+
+    it('should find cut off cells one page per job step', async () => {
+        const job = new ExportJob(3);
+        const labels = [];
+        job.addEventListener('progress', event => labels.push(event.detail.label));
+
+        await expect(findOverflowingCells([0, 1, 2], job)).resolves.toEqual([{ pageIndex: 2, nodeId: 'rect-3' }]);
+        expect(labels).toEqual(['Checking text on page 1', 'Checking text on page 2', 'Checking text on page 3']);
+        expect(job.completedSteps).toBe(3);
+        // Measured offscreen and removed again
+        expect(document.querySelector('.export-container')).toBeNull();
+    });
+
+    it('should stop when the job is cancelled', async () => {
+        const job = new ExportJob(3);
+        const labels = [];
+        job.addEventListener('progress', event => {
+            labels.push(event.detail.label);
+            if (labels.length === 2) job.cancel();
+        });
+
+        await expect(findOverflowingCells([0, 1, 2], job)).rejects.toBeInstanceOf(ExportCancelledError);
+        expect(labels).toEqual(['Checking text on page 1', 'Checking text on page 2']);
+    });
+});
+
+describe('textFlow.js - fitting while resizing', () => {
+    let paper;
+
+    beforeEach(() => {
+        state.pages = [split('rect-1', [
+            leaf('rect-2', { text: 'x'.repeat(100), textFit: { min: 10, max: 60 } }),
+            leaf('rect-3', { text: 'Other' })
+        ])];
+        state.currentPageIndex = 0;
+        paper = document.createElement('div');
+        paper.id = A4_PAPER_ID;
+        document.body.replaceChildren(paper);
+        updateTextFlow();
+        renderLayout(paper, state.pages[0]);
+    });
+
+    it('should refit the text as the divider is dragged', async () => {
+        const fitted = document.getElementById('rect-2');
+        const preview = fitted.querySelector('.markdown-content:not(.wysiwyg-editor)');
+        // Measured at export size when the page was laid out
+        expect(getFitSize(preview)).toBe(50);
+
+        startDrag(new MouseEvent('mousedown', { clientX: 500 }), paper.querySelector('.divider'));
+        document.dispatchEvent(new MouseEvent('mousemove', { clientX: 200 }));
+        expect(fitted.style.flexGrow).toBe('20');
+
+        // Refitted on the next frame to the narrower cell
+        await vi.waitFor(() => expect(getFitSize(preview)).toBe(20));
+        expect(preview.scrollHeight).toBeLessThanOrEqual(preview.clientHeight + 1);
+        stopDrag();
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+    isFlowTarget,
+    getFlowChains,
+    getFlowTargets,
+    getFlowSplitPoints,
+    splitFlowText
+} from '../../src/js/layout/internal/textFlowUtils.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+describe('textFlowUtils.js - chains', () => {
+    it('should only flow into empty cells', () => {
+        expect(isFlowTarget(leaf('rect-1'))).toBe(true);
+        expect(isFlowTarget(leaf('rect-1', { text: '' }))).toBe(false);
+        expect(isFlowTarget(leaf('rect-1', { image: { assetId: 'a' } }))).toBe(false);
+        expect(isFlowTarget(split('rect-1', [leaf('rect-2')]))).toBe(false);
+    });
+
+    it('should follow links across pages and stop at used or filled cells', () => {
+        const pages = [
+            split('rect-1', [
+                leaf('rect-2', { text: 'Story', flowTo: 'rect-3' }),
+                leaf('rect-3', { flowTo: 'rect-5' }),
+                leaf('rect-4', { text: 'Other', flowTo: 'rect-3' })
+            ]),
+            split('rect-6', [
+                leaf('rect-5', { flowTo: 'rect-2' }),
+                leaf('rect-7', { text: 'Filled', flowTo: 'rect-8' }),
+                leaf('rect-8', { image: { assetId: 'a' } })
+            ])
+        ];
+        // rect-4 points at a cell rect-2 already uses, rect-5 back at the head
+        expect(getFlowChains(pages)).toEqual([[
+            { pageIndex: 0, nodeId: 'rect-2' },
+            { pageIndex: 0, nodeId: 'rect-3' },
+            { pageIndex: 1, nodeId: 'rect-5' }
+        ]]);
+    });
+
+    it('should offer free cells of this and later pages', () => {
+        const pages = [
+            split('rect-1', [leaf('rect-2', { name: 'Side' }), leaf('rect-3', { text: 'A', flowTo: 'rect-4' }), leaf('rect-4')]),
+            split('rect-5', [leaf('rect-6', { text: 'B', flowTo: 'rect-7' }), leaf('rect-7'), leaf('rect-8')])
+        ];
+        const ids = (targets) => targets.map(target => target.nodeId);
+
+        expect(getFlowTargets(pages, 0, 'rect-3')).toEqual([
+            { pageIndex: 0, nodeId: 'rect-2', label: 'Side' },
+            { pageIndex: 0, nodeId: 'rect-4', label: 'Cell 3' },
+            { pageIndex: 1, nodeId: 'rect-8', label: 'Cell 3' }
+        ]);
+        // A continuation can't link back to its head's chain, nor before its page
+        expect(ids(getFlowTargets(pages, 1, 'rect-7'))).toEqual(['rect-8']);
+    });
+});
+
+describe('textFlowUtils.js - split points', () => {
+    const cut = (markdown) => getFlowSplitPoints(markdown).map(point => splitFlowText(markdown, point));
+
+    it('should cut between blocks and list items, never right after a heading', () => {
+        expect(cut('# Title\n\nOne\n\n- a\n- b\n\n```\nx y\n```\nEnd')).toEqual([
+            ['# Title\n\nOne', '- a\n- b\n\n```\nx y\n```\nEnd'],
+            ['# Title\n\nOne\n\n- a', '- b\n\n```\nx y\n```\nEnd'],
+            ['# Title\n\nOne\n\n- a\n- b', '```\nx y\n```\nEnd'],
+            ['# Title\n\nOne\n\n- a\n- b\n\n```\nx y\n```', 'End']
+        ]);
+    });
+
+    it('should cut paragraphs between words, keeping markup whole', () => {
+        expect(cut('Some **bold text** and [a link](u) 2. end')).toEqual([
+            ['Some', '**bold text** and [a link](u) 2. end'],
+            ['Some **bold text**', 'and [a link](u) 2. end'],
+            ['Some **bold text** and', '[a link](u) 2. end'],
+            // Continuing with "2. end" would start a list
+            ['Some **bold text** and [a link](u) 2.', 'end']
+        ]);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+    BUILT_IN_THEMES,
+    createThemeFromSettings,
+    applyThemeToSettings,
+    settingsMatchTheme,
+    normalizeTheme,
+    normalizeThemes
+} from '../../src/js/ui/internal/themeUtils.js';
+
+const makeSettings = () => ({
+    layout: { ratio: 1.414, gutter: 4 },
+    text: {
+        fontFamily: 'sans-serif',
+        fontSize: 20,
+        textColor: '#374151',
+        colorAffectsHeaders: false,
+        headingFonts: { h1: null, h2: null, h3: null },
+        headingColor: null
+    },
+    paper: { backgroundColor: '#ffffff', backgroundImage: 'data:image/png;base64,x', margin: { top: 10, right: 10, bottom: 10, left: 10 } },
+    dividers: { width: 5, color: '#d1d5db', showBorders: true },
+    export: { presets: [] }
+});
+
+describe('themeUtils.js - themes', () => {
+    it('should ship valid built-in themes, Classic matching the defaults', () => {
+        BUILT_IN_THEMES.forEach(theme => {
+            expect(normalizeTheme(theme)).not.toBeNull();
+        });
+        expect(settingsMatchTheme(makeSettings(), BUILT_IN_THEMES[0])).toBe(true);
+        expect(settingsMatchTheme(makeSettings(), BUILT_IN_THEMES[1])).toBe(false);
+    });
+
+    it('should apply only the look and leave the document alone', () => {
+        const settings = makeSettings();
+        const editorial = BUILT_IN_THEMES.find(t => t.id === 'builtin-editorial');
+        const next = applyThemeToSettings(settings, editorial);
+
+        expect(next.text.fontFamily).toBe(editorial.fonts.body);
+        expect(next.text.headingFonts.h2).toBe(editorial.fonts.h2);
+        expect(next.text.headingColor).toBe(editorial.colors.heading);
+        expect(next.paper.backgroundColor).toBe(editorial.colors.paper);
+        expect(next.dividers).toMatchObject({ width: 2, color: '#111827', showBorders: false });
+        expect(settingsMatchTheme(next, editorial)).toBe(true);
+
+        // Layout, sizes, margins and images are kept, the input is untouched
+        expect(next.text.fontSize).toBe(20);
+        expect(next.layout).toEqual(settings.layout);
+        expect(next.paper.margin).toEqual(settings.paper.margin);
+        expect(next.paper.backgroundImage).toBe(settings.paper.backgroundImage);
+        expect(settings.text.fontFamily).toBe('sans-serif');
+    });
+
+    it('should capture the current look and round-trip it', () => {
+        const settings = makeSettings();
+        settings.text.headingFonts.h1 = "'Lato', sans-serif";
+        settings.text.colorAffectsHeaders = true;
+
+        const theme = createThemeFromSettings(settings, '  Mine ');
+        expect(theme.name).toBe('Mine');
+        expect(theme.fonts).toEqual({ body: 'sans-serif', h1: "'Lato', sans-serif", h2: null, h3: null });
+        // "Apply color to headers" becomes an explicit heading color
+        expect(theme.colors.heading).toBe('#374151');
+        expect(settingsMatchTheme(applyThemeToSettings(makeSettings(), theme), theme)).toBe(true);
+    });
+
+    it('should validate themes from files', () => {
+        const valid = {
+            id: 'builtin-classic',
+            name: 'Imported',
+            fonts: { body: "'Inter', sans-serif", h1: 'url(evil)', h2: '' },
+            colors: { text: '#ABCDEF', heading: 'red', paper: '#ffffff', divider: '#000000' },
+            dividers: { width: 500, showBorders: false }
+        };
+        const theme = normalizeTheme(valid);
+        expect(theme.id).not.toBe('builtin-classic');
+        expect(theme.fonts).toEqual({ body: "'Inter', sans-serif", h1: null, h2: null, h3: null });
+        expect(theme.colors).toEqual({ text: '#abcdef', heading: null, paper: '#ffffff', divider: '#000000' });
+        expect(theme.dividers).toEqual({ width: 100, showBorders: false });
+
+        expect(normalizeTheme({ ...valid, name: ' ' })).toBeNull();
+        expect(normalizeTheme({ ...valid, colors: { ...valid.colors, paper: 'white' } })).toBeNull();
+        expect(normalizeTheme({ ...valid, fonts: { body: 'a; } body { display: none' } })).toBeNull();
+
+        expect(normalizeThemes('nope')).toBeNull();
+        expect(normalizeThemes([valid, null, { name: 'x' }])).toHaveLength(1);
+    });
+});
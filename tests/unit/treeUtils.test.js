@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { deleteNodeFromTree } from '../../src/js/layout/internal/treeUtils.js';
+import { deleteNodeFromTree, splitNodeInTree, distributeChildrenEvenly } from '../../src/js/layout/internal/treeUtils.js';
 
 describe('treeUtils.js - deleteNodeFromTree', () => {
     it('should delete a node and merge its sibling into the parent', () => {
@@ -55,3 +55,81 @@ describe('treeUtils.js - deleteNodeFromTree', () => {
         expect(result).toBe(null);
     });
 });
+
+describe('treeUtils.js - N-ary splits', () => {
+    it('should keep siblings in the container when deleting from three or more', () => {
+        const root = {
+            id: 'root',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'A', splitState: 'unsplit', size: '20%' },
+                { id: 'B', splitState: 'unsplit', size: '50%' },
+                { id: 'C', splitState: 'unsplit', size: '30%' }
+            ]
+        };
+
+        const focus = deleteNodeFromTree(root, 'B');
+
+        expect(focus.id).toBe('A');
+        expect(root.children.map(c => c.id)).toEqual(['A', 'C']);
+        expect(root.children.map(c => parseFloat(c.size))).toEqual([40, 60]);
+    });
+
+    it('should split a leaf into N equal cells carrying its content', () => {
+        const root = { id: 'root', splitState: 'unsplit', image: null, text: 'Hello', textAlign: 'center' };
+
+        const cells = splitNodeInTree(root, 'root', 'vertical', 3);
+
+        expect(root.splitState).toBe('split');
+        expect(root.text).toBe(null);
+        expect(cells).toHaveLength(3);
+        expect(cells.map(c => c.size)).toEqual(['33.333333333333336%', '33.333333333333336%', '33.333333333333336%']);
+        expect(cells[0]).toMatchObject({ text: 'Hello', textAlign: 'center' });
+    });
+
+    it('should add cells to a container split the same way instead of nesting', () => {
+        const root = {
+            id: 'root',
+            splitState: 'split',
+            orientation: 'vertical',
+            children: [
+                { id: 'A', splitState: 'unsplit', size: '50%' },
+                { id: 'B', splitState: 'unsplit', size: '50%' }
+            ]
+        };
+
+        splitNodeInTree(root, 'B', 'vertical', 2);
+
+        expect(root.children).toHaveLength(3);
+        expect(root.children.map(c => c.size)).toEqual(['50%', '25%', '25%']);
+        expect(distributeChildrenEvenly(root)).toBe(true);
+        expect(root.children.every(c => c.size === `${100 / 3}%`)).toBe(true);
+    });
+});
+
+describe('treeUtils.js - page margins', () => {
+    it('should keep a page margin override on the root when the page is split', () => {
+        const pageMargin = { top: 20, right: 20, bottom: 20, left: 20 };
+        const root = { id: 'root', splitState: 'unsplit', image: null, text: 'Hello', pageMargin };
+
+        const cells = splitNodeInTree(root, 'root', 'horizontal', 2);
+
+        expect(root.pageMargin).toBe(pageMargin);
+        expect(cells[0].pageMargin).toBeUndefined();
+        expect(cells[0].text).toBe('Hello');
+    });
+});
+
+describe('treeUtils.js - image crop', () => {
+    it('should carry the focal point and zoom into the cell that keeps the image', () => {
+        const image = { assetId: 'a', fit: 'cover', focusX: 0.2, focusY: 0.8, zoom: 1.5 };
+        const root = { id: 'root', splitState: 'unsplit', image, text: null };
+
+        const cells = splitNodeInTree(root, 'root', 'horizontal', 2, 1);
+
+        expect(cells[1].image).toEqual(image);
+        expect(cells[1].image).not.toBe(image);
+        expect(cells[0].image).toBe(null);
+    });
+});
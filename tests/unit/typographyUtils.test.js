@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_HEADING_STYLES,
+    clampTypography,
+    normalizeHeadingStyles,
+    getTypographyVariables
+} from '../../src/js/ui/internal/typographyUtils.js';
+
+describe('typographyUtils.js - typography', () => {
+    it('should clamp values to their range and round weights', () => {
+        expect(clampTypography('lineHeight', 10, 1.6)).toBe(3);
+        expect(clampTypography('letterSpacing', '-1', 0)).toBe(-0.1);
+        expect(clampTypography('weight', 640, 400)).toBe(600);
+        expect(clampTypography('size', 'big', 2)).toBe(2);
+        expect(clampTypography('paragraphSpacing', '', 0.25)).toBe(0.25);
+    });
+
+    it('should fill in missing heading styles from files', () => {
+        expect(normalizeHeadingStyles(undefined)).toEqual(DEFAULT_HEADING_STYLES);
+
+        const styles = normalizeHeadingStyles({ h1: { size: 3, weight: 'bold' }, h2: { lineHeight: 0.1 } });
+        expect(styles.h1).toEqual({ size: 3, weight: 800, lineHeight: 1.6, letterSpacing: 0 });
+        expect(styles.h2.lineHeight).toBe(0.8);
+        expect(styles.h3).toEqual(DEFAULT_HEADING_STYLES.h3);
+    });
+
+    it('should map the text settings to CSS variables', () => {
+        const vars = getTypographyVariables({
+            lineHeight: 1.4,
+            letterSpacing: 0.02,
+            paragraphSpacing: 1,
+            headings: { ...DEFAULT_HEADING_STYLES, h2: { size: 1.5, weight: 300, lineHeight: 1.1, letterSpacing: -0.01 } }
+        });
+
+        expect(vars['--text-line-height']).toBe('1.4');
+        expect(vars['--text-letter-spacing']).toBe('0.02em');
+        expect(vars['--paragraph-spacing']).toBe('1');
+        expect(vars['--h1-size']).toBe('2.5');
+        expect(vars['--h2-weight']).toBe('300');
+        expect(vars['--h2-line-height']).toBe('1.1');
+        expect(vars['--h2-letter-spacing']).toBe('-0.01em');
+    });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest';
+import { computeImagePlacement, parseCssColor, extendSceneIntoBleed } from '../../src/js/io/internal/pageScene.js';
+import { resolvePdfFontFamily, resolvePdfFontStyle, getPdfFontSubstitutions } from '../../src/js/io/internal/pdfRenderer.js';
+import { sceneToSvg } from '../../src/js/io/internal/svgRenderer.js';
+
+describe('pageScene.js - computeImagePlacement', () => {
+    const box = { x: 10, y: 20, width: 100, height: 100 };
+
+    it('should overflow the box on the long side for cover', () => {
+        const placement = computeImagePlacement(box, { width: 200, height: 100 }, 'cover');
+        expect(placement.height).toBe(100);
+        expect(placement.width).toBe(200);
+        expect(placement.x).toBe(-40);
+        expect(placement.y).toBe(20);
+    });
+
+    it('should letterbox inside the box for contain', () => {
+        const placement = computeImagePlacement(box, { width: 200, height: 100 }, 'contain');
+        expect(placement.width).toBe(100);
+        expect(placement.height).toBe(50);
+        expect(placement.x).toBe(10);
+        expect(placement.y).toBe(45);
+    });
+
+    it('should follow the slot crop', () => {
+        const placement = computeImagePlacement(box, { width: 200, height: 100 }, 'cover', { focusX: 0, zoom: 2 });
+        expect(placement.width).toBe(400);
+        expect(placement.x).toBe(10);
+        expect(placement.y).toBe(-30);
+    });
+
+    it('should fall back to the box when the image size is unknown', () => {
+        expect(computeImagePlacement(box, { width: 0, height: 0 }, 'cover')).toEqual(box);
+    });
+});
+
+describe('pageScene.js - extendSceneIntoBleed', () => {
+    const makeScene = () => ({
+        width: 100,
+        height: 200,
+        border: null,
+        backgroundImage: null,
+        dividers: [{ x: 49, y: 0, width: 2, height: 200, color: { r: 0, g: 0, b: 0, a: 1 } }],
+        images: [
+            {
+                box: { x: 0, y: 0, width: 49, height: 200 },
+                placement: { x: 0, y: 0, width: 49, height: 200 },
+                naturalWidth: 49, naturalHeight: 200, fit: 'cover'
+            },
+            {
+                box: { x: 51, y: 50, width: 30, height: 30 },
+                placement: { x: 51, y: 50, width: 30, height: 30 },
+                naturalWidth: 30, naturalHeight: 30, fit: 'cover'
+            }
+        ]
+    });
+
+    it('should extend edge images into the bleed and refit cover placement', () => {
+        const result = extendSceneIntoBleed(makeScene(), 10);
+        const edge = result.images[0];
+
+        expect(result.bleed).toBe(10);
+        expect(edge.box).toEqual({ x: -10, y: -10, width: 59, height: 220 });
+        expect(edge.placement.width).toBeGreaterThanOrEqual(59);
+        expect(edge.placement.height).toBeGreaterThanOrEqual(220);
+    });
+
+    it('should leave interior images untouched', () => {
+        const scene = makeScene();
+        const result = extendSceneIntoBleed(scene, 10);
+        expect(result.images[1].box).toEqual(scene.images[1].box);
+    });
+
+    it('should extend dividers running to the edge', () => {
+        const result = extendSceneIntoBleed(makeScene(), 10);
+        expect(result.dividers[0].y).toBe(-10);
+        expect(result.dividers[0].height).toBe(220);
+        expect(result.dividers[0].x).toBe(49);
+    });
+
+    it('should extend square cell fills but keep rounded cells in place', () => {
+        const white = { r: 255, g: 255, b: 255, a: 1 };
+        const scene = {
+            ...makeScene(),
+            cells: [
+                { box: { x: 0, y: 0, width: 49, height: 100 }, background: white, radius: 0, border: null },
+                { box: { x: 0, y: 100, width: 49, height: 100 }, background: white, radius: 5, border: null }
+            ]
+        };
+        const result = extendSceneIntoBleed(scene, 10);
+        expect(result.cells[0].box).toEqual({ x: -10, y: -10, width: 59, height: 110 });
+        expect(result.cells[1].box).toEqual(scene.cells[1].box);
+    });
+
+    it('should not bleed past the inner edge of a spread page', () => {
+        const result = extendSceneIntoBleed(makeScene(), 10, { left: false, right: true, top: true, bottom: true });
+        expect(result.images[0].box).toEqual({ x: 0, y: -10, width: 49, height: 220 });
+        expect(result.bleedEdges.left).toBe(false);
+    });
+});
+
+describe('pageScene.js - parseCssColor', () => {
+    it('should parse rgb and rgba strings', () => {
+        expect(parseCssColor('rgb(1, 2, 3)')).toEqual({ r: 1, g: 2, b: 3, a: 1 });
+        expect(parseCssColor('rgba(10, 20, 30, 0.5)')).toEqual({ r: 10, g: 20, b: 30, a: 0.5 });
+    });
+
+    it('should parse hex colors', () => {
+        expect(parseCssColor('#ff0080')).toEqual({ r: 255, g: 0, b: 128, a: 1 });
+        expect(parseCssColor('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    });
+
+    it('should return null for transparent or unknown values', () => {
+        expect(parseCssColor('transparent')).toBe(null);
+        expect(parseCssColor('')).toBe(null);
+    });
+});
+
+describe('pdfRenderer.js - font mapping', () => {
+    it('should map CSS families to PDF standard fonts', () => {
+        expect(resolvePdfFontFamily("'Playfair Display', serif")).toBe('times');
+        expect(resolvePdfFontFamily("'Source Sans 3', sans-serif")).toBe('helvetica');
+        expect(resolvePdfFontFamily("'JetBrains Mono', monospace")).toBe('courier');
+        expect(resolvePdfFontFamily('')).toBe('helvetica');
+    });
+
+    it('should map weight and style to jsPDF styles', () => {
+        expect(resolvePdfFontStyle('400', 'normal')).toBe('normal');
+        expect(resolvePdfFontStyle('700', 'normal')).toBe('bold');
+        expect(resolvePdfFontStyle('400', 'italic')).toBe('italic');
+        expect(resolvePdfFontStyle('bold', 'italic')).toBe('bolditalic');
+    });
+
+    it('should list the fonts a PDF sets in a standard font', () => {
+        const faces = [
+            { family: 'Brand', embeddable: true },
+            { family: 'Display', embeddable: false }
+        ];
+        const families = ["'Playfair Display', serif", 'sans-serif', "'Courier New', monospace", 'Brand', 'Display', "'Inter', sans-serif", 'Inter'];
+
+        expect(getPdfFontSubstitutions(families, faces)).toEqual([
+            { family: 'Playfair Display', standard: 'Times' },
+            { family: 'Display', standard: 'Helvetica' },
+            { family: 'Inter', standard: 'Helvetica' }
+        ]);
+    });
+});
+
+describe('svgRenderer.js - sceneToSvg', () => {
+    const black = { r: 0, g: 0, b: 0, a: 1 };
+    const scene = {
+        width: 100,
+        height: 200,
+        background: { r: 255, g: 255, b: 255, a: 1 },
+        backgroundImage: null,
+        border: { width: 2, color: black },
+        dividers: [{ x: 49, y: 0, width: 2, height: 200, color: black }],
+        decorations: [],
+        images: [{
+            nodeId: 'rect-2',
+            src: 'data:image/png;base64,AAAA',
+            box: { x: 0, y: 0, width: 49, height: 200 },
+            placement: { x: -10, y: 0, width: 69, height: 200 },
+            flip: true
+        }],
+        texts: [{
+            text: 'A & B',
+            x: 60, baseline: 20, width: 30, height: 12, fontSize: 10,
+            fontFamily: "'Inter', sans-serif", fontWeight: '400', fontStyle: 'normal',
+            color: black, underline: false, strike: false
+        }]
+    };
+
+    it('should produce a well-formed SVG with clipped images and real text', async () => {
+        const markup = await sceneToSvg(scene);
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+
+        expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+        expect(doc.querySelectorAll('clipPath').length).toBe(1);
+
+        const image = doc.querySelector('image');
+        expect(image.getAttribute('transform')).toBe('translate(49 0) scale(-1 1)');
+        expect(image.parentNode.getAttribute('clip-path')).toBe('url(#clip-1)');
+
+        const text = doc.querySelector('text');
+        expect(text.textContent).toBe('A & B');
+        expect(text.getAttribute('textLength')).toBe('30');
+        expect(text.hasAttribute('letter-spacing')).toBe(false);
+
+        const spaced = await sceneToSvg({ ...scene, texts: [{ ...scene.texts[0], letterSpacing: 0.5 }] });
+        expect(spaced).toContain('letter-spacing="0.5"');
+    });
+
+    it('should draw cell fills under images and rounded borders on top', async () => {
+        const red = { r: 255, g: 0, b: 0, a: 1 };
+        const markup = await sceneToSvg({
+            ...scene,
+            images: [{ ...scene.images[0], radius: 6 }],
+            cells: [{ nodeId: 'rect-2', box: { x: 0, y: 0, width: 49, height: 200 }, background: red, radius: 8, border: { width: 2, color: black } }]
+        });
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+
+        const fill = doc.querySelector('#cells rect');
+        expect(fill.getAttribute('rx')).toBe('8');
+        expect(fill.getAttribute('fill')).toBe('rgb(255,0,0)');
+        expect(doc.querySelector('clipPath rect').getAttribute('rx')).toBe('6');
+
+        const border = [...doc.querySelectorAll('rect[stroke]')].find(r => r.getAttribute('rx') === '7');
+        expect(border.getAttribute('x')).toBe('1');
+        expect(border.getAttribute('width')).toBe('47');
+        // Fills come before the images, borders after the text
+        expect(markup.indexOf('id="cells"')).toBeLessThan(markup.indexOf('id="images"'));
+        expect(markup.indexOf('rx="7"')).toBeGreaterThan(markup.indexOf('id="text"'));
+    });
+
+    it('should embed only the imported fonts the text uses', async () => {
+        const font = (family) => ({ family, weight: 400, style: 'normal', format: 'truetype', dataUrl: 'data:font/ttf;base64,AAEAAA==' });
+        const markup = await sceneToSvg(scene, [font('Inter'), font('Unused')]);
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+
+        expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+        const css = doc.querySelector('defs style').textContent;
+        expect(css).toContain("font-family:'Inter'");
+        expect(css).not.toContain('Unused');
+
+        expect(await sceneToSvg(scene)).not.toContain('@font-face');
+    });
+});
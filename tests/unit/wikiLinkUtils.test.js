@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseWikiLink,
+    getPageTitle,
+    resolveWikiLink,
+    findWikiLinks,
+    findBacklinks
+} from '../../src/js/layout/internal/wikiLinkUtils.js';
+import { leaf, split } from './helpers/layoutFixtures.js';
+
+const makePages = () => [
+    split('rect-1', [
+        leaf('rect-2', { text: 'Intro text, see [[Credits]] and [[the map|Map]]' }),
+        leaf('rect-3', { text: '# Welcome\n## Subtitle' })
+    ]),
+    leaf('rect-4', { text: '# Chapter One', title: 'Credits' }),
+    split('rect-5', [
+        leaf('rect-6', { text: '## Chapter  one' }),
+        leaf('rect-7', { name: 'The Map' }),
+        leaf('rect-8', { text: 'Back to [[welcome]] or [[Nowhere]]' })
+    ])
+];
+
+describe('wikiLinkUtils.js - wiki-links', () => {
+    it('should parse targets and labels', () => {
+        expect(parseWikiLink(' Credits ')).toEqual({ target: 'Credits', label: 'Credits' });
+        expect(parseWikiLink('the map|See the map')).toEqual({ target: 'the map', label: 'See the map' });
+        expect(parseWikiLink(' |label')).toBeNull();
+        expect(findWikiLinks('a [[One]] b [[Two|2]] [[]] [[x\ny]]')).toEqual(['One', 'Two']);
+    });
+
+    it('should name pages by title, else by their first heading', () => {
+        const pages = makePages();
+        expect(getPageTitle(pages[0])).toBe('Welcome');
+        expect(getPageTitle(pages[1])).toBe('Credits');
+        expect(getPageTitle(pages[2])).toBe('Chapter  one');
+        expect(getPageTitle(leaf('rect-9', { text: 'No heading' }))).toBeNull();
+    });
+
+    it('should resolve titles before headings and pages before cells', () => {
+        const pages = makePages();
+        expect(resolveWikiLink(pages, 'credits')).toEqual({ pageIndex: 1, nodeId: null });
+        expect(resolveWikiLink(pages, 'WELCOME')).toEqual({ pageIndex: 0, nodeId: null });
+        // Whitespace-insensitive; titled pages still answer to their first heading, the first page wins
+        expect(resolveWikiLink(pages, 'chapter one')).toEqual({ pageIndex: 1, nodeId: null });
+        expect(resolveWikiLink(pages, 'the   map')).toEqual({ pageIndex: 2, nodeId: 'rect-7' });
+        expect(resolveWikiLink(pages, 'Nowhere')).toBeNull();
+    });
+
+    it('should list backlinks from other pages, one per cell', () => {
+        const pages = makePages();
+        expect(findBacklinks(pages, 0)).toEqual([{ pageIndex: 2, nodeId: 'rect-8' }]);
+        expect(findBacklinks(pages, 1)).toEqual([{ pageIndex: 0, nodeId: 'rect-2' }]);
+        expect(findBacklinks(pages, 2)).toEqual([{ pageIndex: 0, nodeId: 'rect-2' }]);
+    });
+});
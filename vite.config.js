@@ -2,6 +2,10 @@ import { defineConfig } from 'vite'
 
 export default defineConfig({
   base: './',
+  worker: {
+    // The export worker bundles jsPDF, whose lazy imports need code splitting
+    format: 'es'
+  },
   server: {
     open: true,
     watch: {